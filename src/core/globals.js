@@ -28,7 +28,10 @@ var player = {
     crouchHeight: 40,
     normalHeight: 78,
     flyMode: false,
-    flySpeed: 3.0
+    flySpeed: 3.0,
+    isSwimming: false,
+    swimSpeedMultiplier: 0.5,
+    swimEyeHeight: 3      // eye level above the water surface while swimming
 };
 
 // Input state
@@ -46,12 +49,64 @@ var input = {
     lookY: 0
 };
 
+// Heightmap precision.  Altitude is stored 16-bit by default, in 1/256ths of
+// a data unit, so tall tiles (ridges at heightScale 2.0, map3 at 25.0) rise
+// smoothly instead of in whole-unit stairs.  8-bit storage (whole units,
+// half the memory) is kept as an option.  Precision is read per map from
+// its array type, so tiles of either kind can be mixed freely.
+var heightmap = {
+    bits: 16   // HEIGHTS select in the seed menu; stored in world saves
+};
+var ALTITUDE_16_STEPS = 256;   // 16-bit steps per data unit
+
+function createAltitudeArray(n) {
+    return (heightmap.bits === 8) ? new Uint8Array(n) : new Uint16Array(n);
+}
+
+// Data units (the 0–255 generator range) per stored altitude step
+function altitudeUnit(m) {
+    return (m.altitude.BYTES_PER_ELEMENT === 2) ? 1 / ALTITUDE_16_STEPS : 1;
+}
+
+// World units per stored altitude step — use instead of m.heightScale
+function altitudeScale(m) {
+    return m.heightScale * altitudeUnit(m);
+}
+
+// Altitude of m at idx, in data units
+function getAltitude(m, idx) {
+    return m.altitude[idx] * altitudeUnit(m);
+}
+
+// Store v (data units, fractions kept at 16-bit) into m at idx
+function setAltitude(m, idx, v) {
+    if (m.altitude.BYTES_PER_ELEMENT === 2) {
+        m.altitude[idx] = Math.max(0, Math.min(65535, Math.round(v * ALTITUDE_16_STEPS)));
+    } else {
+        m.altitude[idx] = Math.max(0, Math.min(255, Math.round(v)));
+    }
+}
+
+// Switch precision and reallocate the base maps that are regenerated in
+// place.  Tiles created afterwards pick the new precision up on their own.
+// Subdivided tiles are copies of the base map's altitude, so their cache
+// (voxelEngine.js) is dropped and rebuilt at the new precision.
+function setHeightmapBits(bits) {
+    heightmap.bits = (bits === 8) ? 8 : 16;
+    [map, map2, map3, biomeMapMountain].forEach(function(m) {
+        if (m.altitude.BYTES_PER_ELEMENT !== heightmap.bits / 8) {
+            m.altitude = createAltitudeArray(m.altitude.length);
+        }
+    });
+    window.subdividedTileCache = {};
+}
+
 // Map data
 var map = {
     width: 1024,
     height: 1024,
     shift: 10,
-    altitude: new Uint8Array(1024 * 1024),
+    altitude: createAltitudeArray(1024 * 1024),
     color: new Uint32Array(1024 * 1024),
     heightScale: 1.0  // Multiply height values by this (1.0 = ~84m max, 20.0 = ~1680m max)
 };
@@ -61,7 +116,7 @@ var map2 = {
     width: 1024,
     height: 1024,
     shift: 10,
-    altitude: new Uint8Array(1024 * 1024),
+    altitude: createAltitudeArray(1024 * 1024),
     color: new Uint32Array(1024 * 1024),
     heightScale: 1.0
 };
@@ -71,34 +126,23 @@ var map3 = {
     width: 1024,
     height: 1024,
     shift: 10,
-    altitude: new Uint8Array(1024 * 1024),
+    altitude: createAltitudeArray(1024 * 1024),
     color: new Uint32Array(1024 * 1024),
     heightScale: 25.0  // Medium mountains (~2,100m max)
 };
 
-// Fourth map data (T1/H1 - mountain and valley map for northern region)
-var map4 = {
-    width: 4096,
-    height: 4096,
-    shift: 12,  // 2^12 = 4096
-    altitude: new Uint8Array(4096 * 4096),
-    color: new Uint32Array(4096 * 4096),
-    heightScale: 10.0  // Medium-height mountains and valleys (~850m max)
-};
-
 // Biome mountain map — used by biome generation system as maps[3].
-// Replaces map4 in biome mode (map4 is 4096x4096 and unused in biome mode).
 var biomeMapMountain = {
     width: 1024,
     height: 1024,
     shift: 10,
-    altitude: new Uint8Array(1024 * 1024),
+    altitude: createAltitudeArray(1024 * 1024),
     color: new Uint32Array(1024 * 1024),
     heightScale: 1.0
 };
 
 // Array of all map data for easy access
-var maps = [map, map2, map3, map4];
+var maps = [map, map2, map3, biomeMapMountain];
 
 // Tile system - stores which map each tile uses
 var tileSystem = {
@@ -185,7 +229,7 @@ var renderOpts = {
     tileBlending: true,     // 4 key - Tile overlap blending
     groundFloor: false,     // G key - Cap terrain draw at 75% screen height (no infinite wall)
     minimapVisible: true,   // M key - Minimap visibility
-    renderMode: 'tiled'     // 6 key - Cycle render modes: 'subdivided', 'tiled', 'cached', 'direct'
+    renderMode: 'tiled'     // 6 key - Cycle registered render modes (registerRenderMode in voxelEngine.js)
 };
 
 // Hidden Y buffer for terrain rendering
@@ -17,6 +17,10 @@ var tileEditor = {
 // -----------------------------------------------------------------------
 
 function openEditor() {
+    if (typeof worldStream !== 'undefined' && worldStream.enabled) {
+        alert('Tile editing is not available in an infinite world.');
+        return;
+    }
     if (!proceduralMode || !window.worldMapData) {
         alert('Generate a world first before editing.');
         return;
@@ -120,6 +124,12 @@ function getTileDisplayName(tileX, tileY) {
     if (idx === 2) return 'HILLS';
     if (idx === 3) return 'MOUNTAIN';
     var found;
+    if (window.biomeVariantMaps) {
+        for (var vb in window.biomeVariantMaps) {
+            var vPos = window.biomeVariantMaps[vb].indexOf(idx);
+            if (vPos >= 0) return biomeVariantInfo(+vb).name + ' V' + (vPos + 1);
+        }
+    }
     if (window.mountainRidgeMapIndex) {
         found = Object.keys(window.mountainRidgeMapIndex).find(function(k) { return window.mountainRidgeMapIndex[k] === idx; });
         if (found) return 'MTN ' + found;
@@ -136,6 +146,16 @@ function getTileDisplayName(tileX, tileY) {
         found = Object.keys(window.foothillMapIndex).find(function(k) { return window.foothillMapIndex[k] === idx; });
         if (found) return 'FOOTHILL ' + found;
     }
+    if (window.demTileIndex && window.demTileIndex[key] === idx) {
+        found = (window.worldDEMImports || []).find(function(r) { return r.tiles.indexOf(key) >= 0; });
+        return found ? 'DEM ' + found.name : 'DEM';
+    }
+    if (window.roadTileIndex && window.roadTileIndex[key] === idx) return 'ROAD';
+    if (window.settlementTileIndex && window.settlementTileIndex[key] === idx) return 'SETTLEMENT';
+    if (window.hydrologyTileIndex && window.hydrologyTileIndex[key] === idx) return 'RIVER';
+    if (window.continuousTileIndex && window.continuousTileIndex[key] === idx) return 'CONTINUOUS';
+    var reg = findRegisteredTile(idx);
+    if (reg) return reg.key === 'BASE' ? reg.biome.name : reg.biome.name + ' ' + reg.key;
     return idx !== undefined ? 'TILE #' + idx : '—';
 }
 
@@ -254,7 +274,7 @@ function paintTargetedTile() {
     var target  = getTargetedTile();
     var tileKey = getTileKey(target.tileX, target.tileY);
     tileSystem.tileMap[tileKey] = tileEditor.currentMapIdx;
-    if (typeof updateTreesOnTile === 'function') updateTreesOnTile(tileKey);
+    if (typeof respawnTreesOnTile === 'function') respawnTreesOnTile(tileKey);
     if (typeof Draw === 'function') Draw();
     updateEditHUD();
 }
@@ -326,9 +346,16 @@ function buildEditorTilePicker() {
         picker.appendChild(item);
     }
 
-    addLabel('SAND');      addItem(maps[0], 0, 'SAND');
-    addLabel('PLAINS');    addItem(maps[1], 1, 'PLAINS');
-    addLabel('HILLS');     addItem(maps[2], 2, 'HILLS');
+    // Per-cell variants of a base biome, listed under its base tile
+    function addVariants(biome, name) {
+        var pool = window.biomeVariantMaps && window.biomeVariantMaps[biome];
+        if (!pool) return;
+        pool.forEach(function(idx, i) { addItem(maps[idx], idx, name + ' V' + (i + 1)); });
+    }
+
+    addLabel('SAND');      addItem(maps[0], 0, 'SAND');    addVariants(BIOME_BEACH,  'SAND');
+    addLabel('PLAINS');    addItem(maps[1], 1, 'PLAINS');  addVariants(BIOME_PLAINS, 'PLAINS');
+    addLabel('HILLS');     addItem(maps[2], 2, 'HILLS');   addVariants(BIOME_HILLS,  'HILLS');
     addLabel('MOUNTAIN');  addItem(maps[3], 3, 'MTN BASE');
 
     if (window.mountainRidgeMapIndex) {
@@ -386,6 +413,17 @@ function buildEditorTilePicker() {
         }
     }
 
+    // Registered plugin biomes, one section per palette group
+    registeredBiomes().forEach(function(biome) {
+        var keys = Object.keys(biome.mapIndex).sort();
+        if (!keys.length) return;
+        addLabel(biome.paletteGroup);
+        keys.forEach(function(k) {
+            var idx = biome.mapIndex[k];
+            addItem(maps[idx], idx, k === 'BASE' ? biome.name : biome.name + ' ' + k);
+        });
+    });
+
     // Sync picker position to currentMapIdx
     var pos = tileEditor.allItems.findIndex(function(it) { return it.mapIdx === tileEditor.currentMapIdx; });
     if (pos < 0) {
@@ -516,6 +554,19 @@ function rotateTile(clockwise) {
         }
     ];
 
+    // Registered plugin biomes with an orientation rotate the same way
+    registeredBiomes().forEach(function(biome) {
+        if (!biome.orientationKey) return;
+        groups.push({
+            index: biome.mapIndex,
+            gen:   function(m, s, k) {
+                m.heightScale = BIOME_HEIGHT_SCALE;
+                biome.generator(m, s, k);
+            },
+            seed:  function(k) { return registeredBiomeSeed(biome, k, currentSeed); }
+        });
+    });
+
     for (var g = 0; g < groups.length; g++) {
         var grp = groups[g];
         if (!grp.index) continue;
@@ -537,7 +588,7 @@ function rotateTile(clockwise) {
                 width:    1024,
                 height:   1024,
                 shift:    10,
-                altitude: new Uint8Array(1024 * 1024),
+                altitude: createAltitudeArray(1024 * 1024),
                 color:    new Uint32Array(1024 * 1024)
             };
             grp.gen(newMap, grp.seed(newKey), newKey);
@@ -546,7 +597,7 @@ function rotateTile(clockwise) {
         }
 
         tileSystem.tileMap[tileKey] = grp.index[newKey];
-        if (typeof updateTreesOnTile === 'function') updateTreesOnTile(tileKey);
+        if (typeof respawnTreesOnTile === 'function') respawnTreesOnTile(tileKey);
         if (typeof Draw === 'function') Draw();
         updateEditHUD();
         return;  // handled — stop searching groups
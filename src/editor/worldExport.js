@@ -0,0 +1,426 @@
+// ===============================
+// World Export — stitched images and terrain meshes
+// ===============================
+// Samples the playable world through the renderer's own tile lookup
+// (getTerrainData), so overlaps are blended exactly as they are on screen,
+// and turns the samples into:
+//   heightmap.png  — 16-bit greyscale, lowest to highest sampled height
+//   colormap.png   — 8-bit RGB
+//   biomes.png     — 8-bit palette image: each pixel's index is the biome id
+//                    of its world map cell, colored like the minimap
+//   world.obj      — decimated triangle mesh, vertex colors after each
+//                    position ("v x y z r g b", read by Blender and MeshLab)
+//   world.ply      — the same mesh as binary PLY with uchar vertex colors
+// Meshes are Y-up in world units: x and z are world x and y, y is height.
+//
+// The page downloads these from the save popup, sampling a few rows at a
+// time between frames (sampleWorldExportAsync) so the tab stays responsive,
+// and keeps images small enough for the device's memory
+// (worldExportMaxImageSide).  tools/generateWorld.js loads this file too and
+// writes the same images (and, with --mesh, the mesh) from the command line
+// with the synchronous sampleWorldExport.  Everything here except the
+// download helpers at the bottom runs without a DOM.
+"use strict";
+
+var WORLD_EXPORT_MAX_IMAGE_SIDE = 8192;   // images never exceed this many px a side
+var WORLD_EXPORT_MESH_SIDE      = 512;    // vertices along a side of the default mesh
+var WORLD_EXPORT_PIXEL_BYTES    = 15;     // samples + PNG scanlines held per image px
+var WORLD_EXPORT_SLICE_MS       = 30;     // page sampling time between yields
+
+var worldExportBusy = false;   // an export is sampling
+
+// -----------------------------------------------------------------------
+// Sampling
+// -----------------------------------------------------------------------
+
+// Side of the playable world in world units.  Tiles are looked up by their
+// advance, so the last playable tile's overlap strip belongs to the empty
+// border tile beyond it and is not part of the world.
+function worldExportExtent() {
+    return 2 * worldPlayableHalf() * (tileSystem.tileWidth - tileSystem.overlapSize);
+}
+
+// World units per image pixel when none is asked for, keeping the image
+// within maxSide px a side (default WORLD_EXPORT_MAX_IMAGE_SIDE)
+function worldExportImageScale(maxSide) {
+    return Math.max(4, Math.ceil(worldExportExtent() / (maxSide || WORLD_EXPORT_MAX_IMAGE_SIDE)));
+}
+
+// Largest image side the page should attempt: an export may hold an eighth
+// of the device's memory (navigator.deviceMemory, 4 GB where unknown).
+function worldExportMaxImageSide() {
+    var gb = (typeof navigator !== 'undefined' && navigator.deviceMemory) || 4;
+    var side = Math.floor(Math.sqrt(gb * 1073741824 / 8 / WORLD_EXPORT_PIXEL_BYTES));
+    return Math.min(WORLD_EXPORT_MAX_IMAGE_SIDE, side);
+}
+
+// World units between mesh vertices when none is asked for
+function worldExportMeshStep() {
+    return Math.max(4, Math.ceil(worldExportExtent() / (WORLD_EXPORT_MESH_SIDE - 1)));
+}
+
+// Biome id of the world map cell under world point (x, y), 0 outside the grid
+function worldExportBiome(x, y) {
+    if (!window.worldMapData) return 0;
+    var t  = getTileCoords(x, y);
+    var cx = tileToCell(t.tileX), cy = tileToCell(t.tileY);
+    if (cx < 0 || cy < 0 || cx >= WORLD_MAP_SIZE || cy >= WORLD_MAP_SIZE) return 0;
+    return window.worldMapData[cy * WORLD_MAP_SIZE + cx];
+}
+
+// Samples of the playable world every `scale` world units, not yet taken:
+// { width, height, heights (NaN = no tile), colors (ABGR), biomes, origin,
+//   side, scale, min, max, rows (rows sampled so far) }.
+function createWorldExportSamples(scale) {
+    var side = worldExportExtent();
+    var x0   = -side / 2;
+    var n    = Math.ceil(side / scale);
+    return { width: n, height: n, heights: new Float32Array(n * n), colors: new Uint32Array(n * n),
+             biomes: new Uint8Array(n * n), origin: [x0, x0], side: side, scale: scale,
+             min: Infinity, max: -Infinity, rows: 0 };
+}
+
+// Sample rows s.rows .. end - 1.  Culling is off and overlap blending on
+// while they are taken, whatever the render toggles say.  min / max become
+// 0 / 0 once the last row is in and no sample hit a tile.
+function sampleWorldExportRows(s, end) {
+    var n = s.width, x0 = s.origin[0], scale = s.scale;
+    var culling = renderOpts.tileCulling, blending = renderOpts.tileBlending;
+    renderOpts.tileCulling  = false;
+    renderOpts.tileBlending = true;
+    try {
+        for (var py = s.rows; py < end; py++) {
+            for (var px = 0; px < n; px++) {
+                var x = x0 + px * scale, y = x0 + py * scale;
+                var d = getTerrainData(x, y);
+                var i = py * n + px;
+                s.heights[i] = d ? d.height : NaN;
+                s.colors[i]  = d ? d.color  : 0;
+                s.biomes[i]  = worldExportBiome(x, y);
+                if (d) {
+                    if (d.height < s.min) s.min = d.height;
+                    if (d.height > s.max) s.max = d.height;
+                }
+            }
+        }
+    } finally {
+        renderOpts.tileCulling  = culling;
+        renderOpts.tileBlending = blending;
+    }
+    s.rows = end;
+    if (end === s.height && s.min > s.max) { s.min = 0; s.max = 0; }
+}
+
+// The whole world at once (the CLI; blocks until done)
+function sampleWorldExport(scale) {
+    var s = createWorldExportSamples(scale);
+    sampleWorldExportRows(s, s.height);
+    return s;
+}
+
+// The page's form: rows are taken for up to WORLD_EXPORT_SLICE_MS at a
+// time, yielding to the event loop in between.  onProgress(rows, height)
+// follows every slice; onDone(s) gets the finished samples.
+// Returns { cancel }.
+function sampleWorldExportAsync(scale, onProgress, onDone) {
+    var s = createWorldExportSamples(scale);
+    var timer = null;
+    var slice = function() {
+        var start = Date.now();
+        while (s.rows < s.height && Date.now() - start < WORLD_EXPORT_SLICE_MS) {
+            sampleWorldExportRows(s, s.rows + 1);
+        }
+        if (onProgress) onProgress(s.rows, s.height);
+        if (s.rows < s.height) timer = setTimeout(slice, 0);
+        else onDone(s);
+    };
+    timer = setTimeout(slice, 0);
+    return { cancel: function() { clearTimeout(timer); } };
+}
+
+// -----------------------------------------------------------------------
+// Images
+// -----------------------------------------------------------------------
+// The *Rows functions return unfiltered PNG scanlines (a 0 filter byte, then
+// the pixels) ready to be deflated into an IDAT chunk.
+
+function exportHeightRows(s) {
+    var span   = (s.max > s.min) ? s.max - s.min : 1;
+    var stride = 1 + s.width * 2;
+    var rows   = new Uint8Array(stride * s.height);
+    for (var y = 0; y < s.height; y++) {
+        for (var x = 0; x < s.width; x++) {
+            var v = s.heights[y * s.width + x];
+            v = (v === v) ? Math.round((v - s.min) / span * 65535) : 0;
+            var o = y * stride + 1 + x * 2;
+            rows[o]     = v >> 8;
+            rows[o + 1] = v & 0xFF;
+        }
+    }
+    return rows;
+}
+
+function exportColorRows(s) {
+    var stride = 1 + s.width * 3;
+    var rows   = new Uint8Array(stride * s.height);
+    for (var y = 0; y < s.height; y++) {
+        for (var x = 0; x < s.width; x++) {
+            var c = s.colors[y * s.width + x];   // ABGR
+            var o = y * stride + 1 + x * 3;
+            rows[o]     = c & 0xFF;
+            rows[o + 1] = (c >>> 8) & 0xFF;
+            rows[o + 2] = (c >>> 16) & 0xFF;
+        }
+    }
+    return rows;
+}
+
+function exportBiomeRows(s) {
+    var stride = 1 + s.width;
+    var rows   = new Uint8Array(stride * s.height);
+    for (var y = 0; y < s.height; y++) rows.set(s.biomes.subarray(y * s.width, (y + 1) * s.width), y * stride + 1);
+    return rows;
+}
+
+// PLTE chunk data for biomes.png: BIOME_COLORS (built-ins and registered
+// plugins) by biome id, magenta for ids without a color
+function exportBiomePalette() {
+    var count = 1;
+    for (var id = 0; id < BIOME_COLORS.length; id++) if (BIOME_COLORS[id]) count = id + 1;
+    var pal = new Uint8Array(count * 3);
+    for (var i = 0; i < count; i++) {
+        var m = /(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(BIOME_COLORS[i] || '');
+        pal[i * 3]     = m ? +m[1] : 255;
+        pal[i * 3 + 1] = m ? +m[2] : 0;
+        pal[i * 3 + 2] = m ? +m[3] : 255;
+    }
+    return pal;
+}
+
+// Biome id → name, built-ins and registered plugins
+function exportBiomeLegend() {
+    var legend = {};
+    ['BEACH', 'PLAINS', 'HILLS', 'MOUNTAIN', 'TRANSITION', 'RIDGE', 'FOOTHILL'].forEach(function(name) {
+        legend[window['BIOME_' + name]] = name;
+    });
+    registeredBiomes().forEach(function(b) { legend[b.id] = b.name; });
+    return legend;
+}
+
+var EXPORT_CRC_TABLE = (function() {
+    var t = new Int32Array(256);
+    for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        t[n] = c;
+    }
+    return t;
+})();
+
+function exportPNGChunk(type, data) {
+    var out = new Uint8Array(12 + data.length);
+    var dv  = new DataView(out.buffer);
+    dv.setUint32(0, data.length);
+    for (var i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(data, 8);
+    var c = -1;
+    for (var j = 4; j < 8 + data.length; j++) c = EXPORT_CRC_TABLE[(c ^ out[j]) & 0xFF] ^ (c >>> 8);
+    dv.setUint32(8 + data.length, (c ^ -1) >>> 0);
+    return out;
+}
+
+// A whole PNG file from already-deflated scanlines.  colorType 0 =
+// greyscale, 2 = RGB, 3 = palette (pass its PLTE data).
+function exportPNGFile(width, height, bitDepth, colorType, idat, palette) {
+    var ihdr = new Uint8Array(13);
+    var dv   = new DataView(ihdr.buffer);
+    dv.setUint32(0, width);
+    dv.setUint32(4, height);
+    ihdr[8] = bitDepth;
+    ihdr[9] = colorType;   // compression, filter and interlace bytes stay 0
+    var parts = [new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), exportPNGChunk('IHDR', ihdr)];
+    if (palette) parts.push(exportPNGChunk('PLTE', palette));
+    parts.push(exportPNGChunk('IDAT', idat), exportPNGChunk('IEND', new Uint8Array(0)));
+
+    var total = 0;
+    parts.forEach(function(p) { total += p.length; });
+    var out = new Uint8Array(total);
+    for (var i = 0, off = 0; i < parts.length; i++) { out.set(parts[i], off); off += parts[i].length; }
+    return out;
+}
+
+// -----------------------------------------------------------------------
+// Meshes
+// -----------------------------------------------------------------------
+// Both formats hold one vertex per sample and two triangles per sample
+// square, wound counter-clockwise seen from above.  Squares touching a
+// sample with no tile are left out; those vertices sit at the lowest height.
+
+function exportMeshTriangles(s, emit) {
+    var w = s.width;
+    for (var y = 0; y + 1 < s.height; y++) {
+        for (var x = 0; x + 1 < w; x++) {
+            var a = y * w + x, b = a + 1, c = a + w, d = c + 1;
+            if (s.heights[a] !== s.heights[a] || s.heights[b] !== s.heights[b] ||
+                s.heights[c] !== s.heights[c] || s.heights[d] !== s.heights[d]) continue;
+            emit(a, c, b);
+            emit(b, c, d);
+        }
+    }
+}
+
+// Wavefront OBJ text
+function worldMeshOBJ(s) {
+    var lines = [
+        '# VoxelSpace world export — ' + s.width + 'x' + s.height + ' vertices, ' + s.scale + ' world units apart',
+        '# Y up; x and z are world x and y.  Vertex colors follow each position.',
+        'o world'
+    ];
+    for (var i = 0; i < s.heights.length; i++) {
+        var h = s.heights[i] === s.heights[i] ? s.heights[i] : s.min;
+        var c = s.colors[i];
+        lines.push('v ' + (s.origin[0] + (i % s.width) * s.scale) + ' ' + h.toFixed(2) + ' ' +
+                   (s.origin[1] + Math.floor(i / s.width) * s.scale) + ' ' +
+                   ((c & 0xFF) / 255).toFixed(3) + ' ' + (((c >>> 8) & 0xFF) / 255).toFixed(3) + ' ' +
+                   (((c >>> 16) & 0xFF) / 255).toFixed(3));
+    }
+    exportMeshTriangles(s, function(a, b, c) {
+        lines.push('f ' + (a + 1) + ' ' + (b + 1) + ' ' + (c + 1));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Binary little-endian PLY
+function worldMeshPLY(s) {
+    var faces = 0;
+    exportMeshTriangles(s, function() { faces++; });
+    var header = [
+        'ply',
+        'format binary_little_endian 1.0',
+        'comment VoxelSpace world export, Y up',
+        'element vertex ' + s.heights.length,
+        'property float x', 'property float y', 'property float z',
+        'property uchar red', 'property uchar green', 'property uchar blue',
+        'element face ' + faces,
+        'property list uchar int vertex_indices',
+        'end_header'
+    ].join('\n') + '\n';
+
+    var out = new Uint8Array(header.length + s.heights.length * 15 + faces * 13);
+    for (var k = 0; k < header.length; k++) out[k] = header.charCodeAt(k);
+    var dv = new DataView(out.buffer), off = header.length;
+    for (var i = 0; i < s.heights.length; i++) {
+        var c = s.colors[i];
+        dv.setFloat32(off,     s.origin[0] + (i % s.width) * s.scale, true);
+        dv.setFloat32(off + 4, s.heights[i] === s.heights[i] ? s.heights[i] : s.min, true);
+        dv.setFloat32(off + 8, s.origin[1] + Math.floor(i / s.width) * s.scale, true);
+        out[off + 12] = c & 0xFF;
+        out[off + 13] = (c >>> 8) & 0xFF;
+        out[off + 14] = (c >>> 16) & 0xFF;
+        off += 15;
+    }
+    exportMeshTriangles(s, function(a, b, c) {
+        out[off] = 3;
+        dv.setInt32(off + 1, a, true);
+        dv.setInt32(off + 5, b, true);
+        dv.setInt32(off + 9, c, true);
+        off += 13;
+    });
+    return out;
+}
+
+// -----------------------------------------------------------------------
+// Page downloads (save popup)
+// -----------------------------------------------------------------------
+
+// zlib-deflate bytes with the platform's CompressionStream
+function exportDeflate(bytes, onDone) {
+    var stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    new Response(stream).arrayBuffer().then(function(buf) { onDone(new Uint8Array(buf)); }, function(e) {
+        console.error(e);
+        alert('Export failed: could not compress the image.');
+    });
+}
+
+function downloadExportFile(name, data, type) {
+    var url = URL.createObjectURL(new Blob([data], { type: type }));
+    var a   = document.createElement('a');
+    a.href     = url;
+    a.download = name;
+    a.click();
+    setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+}
+
+function canExportWorld() {
+    if (!proceduralMode || !window.worldMapData || (typeof worldStream !== 'undefined' && worldStream.enabled)) {
+        alert('Export needs a generated world (not the infinite one).');
+        return false;
+    }
+    return true;
+}
+
+// Sample the world in the background, showing progress on button btnId;
+// the export buttons are disabled until onDone(s) has run.
+function sampleWorldExportForButton(btnId, scale, onDone) {
+    if (worldExportBusy) return;
+    worldExportBusy = true;
+    var btn   = document.getElementById(btnId);
+    var label = btn ? btn.textContent : '';
+    var setButtons = function(disabled) {
+        ['export-images-btn', 'export-obj-btn', 'export-ply-btn'].forEach(function(id) {
+            var b = document.getElementById(id);
+            if (b) b.disabled = disabled;
+        });
+    };
+    setButtons(true);
+    sampleWorldExportAsync(scale, function(rows, height) {
+        if (btn) btn.textContent = 'SAMPLING ' + Math.floor(rows / height * 100) + '%';
+    }, function(s) {
+        worldExportBusy = false;
+        setButtons(false);
+        if (btn) btn.textContent = label;
+        onDone(s);
+    });
+}
+
+// heightmap.png, colormap.png, biomes.png and a JSON sidecar describing them
+function exportWorldImages() {
+    if (!canExportWorld()) return;
+    sampleWorldExportForButton('export-images-btn', worldExportImageScale(worldExportMaxImageSide()), function(s) {
+        var base = 'voxelworld_' + currentSeed + '_';
+        exportDeflate(exportHeightRows(s), function(idat) {
+            downloadExportFile(base + 'heightmap.png', exportPNGFile(s.width, s.height, 16, 0, idat), 'image/png');
+        });
+        exportDeflate(exportColorRows(s), function(idat) {
+            downloadExportFile(base + 'colormap.png', exportPNGFile(s.width, s.height, 8, 2, idat), 'image/png');
+        });
+        exportDeflate(exportBiomeRows(s), function(idat) {
+            downloadExportFile(base + 'biomes.png', exportPNGFile(s.width, s.height, 8, 3, idat, exportBiomePalette()), 'image/png');
+        });
+        downloadExportFile(base + 'images.json', JSON.stringify({
+            seed: String(currentSeed), origin: s.origin, extent: s.side, scale: s.scale,
+            width: s.width, height: s.height, minHeight: s.min, maxHeight: s.max,
+            biomes: exportBiomeLegend()
+        }, null, 2), 'application/json');
+    });
+}
+
+// format: 'obj' or 'ply'
+function exportWorldMesh(format) {
+    if (!canExportWorld()) return;
+    sampleWorldExportForButton('export-' + format + '-btn', worldExportMeshStep(), function(s) {
+        var name = 'voxelworld_' + currentSeed + '.' + format;
+        if (format === 'ply') downloadExportFile(name, worldMeshPLY(s), 'application/octet-stream');
+        else                  downloadExportFile(name, worldMeshOBJ(s), 'text/plain');
+    });
+}
+
+function initWorldExportEvents() {
+    var buttons = { 'export-images-btn': exportWorldImages,
+                    'export-obj-btn':    function() { exportWorldMesh('obj'); },
+                    'export-ply-btn':    function() { exportWorldMesh('ply'); } };
+    Object.keys(buttons).forEach(function(id) {
+        var btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', buttons[id]);
+    });
+}
@@ -2,8 +2,22 @@
 // World Save / Load System
 // ===============================
 // Three localStorage save slots + JSON export/import.
-// Save data includes the seed (for deterministic re-generation) and the
-// full tileSystem.tileMap so edited tile placements are preserved.
+// Save data includes the seed and world size (for deterministic
+// re-generation) and the full tileSystem.tileMap so edited tile placements
+// are preserved.  Saves without a worldSize predate configurable worlds and
+// are treated as 16x16, and saves without heightBits predate 16-bit
+// heightmaps and regenerate at 8-bit.  Infinite (streamed) worlds store only
+// the seed, heightBits and `stream: true` — their tiles are regenerated on
+// demand.  Both kinds store the biome plugins they were generated with
+// (activeBiomeSet); saves without that list predate the plugins and
+// regenerate without them, and a save naming a plugin the page lacks is
+// refused.  Both also store erosion.enabled; saves without it regenerate
+// eroded, as every world was before the seed menu could turn erosion off.
+// Grid saves record BIOME_VARIANT_POOL as variantPool; saves without it
+// predate the per-cell variants and regenerate without them.
+// A slot save over the storage quota is retried without its DEM imports
+// (flagged with demDropped, the tiles that lost them), and the player is told
+// on saving and again on loading; JSON exports always keep them.
 "use strict";
 
 var SAVE_SLOTS      = 3;
@@ -22,14 +36,57 @@ function getSaveSlot(slotIndex) {
     }
 }
 
-function saveToSlot(slotIndex) {
-    if (!proceduralMode || !window.worldMapData) return false;
-    var data = {
+// Snapshot of the current world for a save slot or export, or null if
+// there is nothing to save.
+function buildSaveData() {
+    if (!proceduralMode) return null;
+    if (typeof worldStream !== 'undefined' && worldStream.enabled) {
+        return { seed: String(currentSeed), stream: true, heightBits: heightmap.bits, erosion: saveErosion(), biomes: saveBiomeSet(), savedAt: new Date().toISOString() };
+    }
+    if (!window.worldMapData) return null;
+    return {
         seed:         String(currentSeed),
+        worldSize:    WORLD_MAP_SIZE,
+        continuous:   continuousTerrain.enabled,
+        climate:      typeof climate !== 'undefined' && climate.enabled,
+        heightBits:   heightmap.bits,
+        erosion:      saveErosion(),
+        biomes:       saveBiomeSet(),
+        variantPool:  typeof BIOME_VARIANT_POOL !== 'undefined' ? BIOME_VARIANT_POOL : 0,
         savedAt:      new Date().toISOString(),
         tileMap:      JSON.parse(JSON.stringify(tileSystem.tileMap)),
-        worldMapData: Array.from(window.worldMapData)
+        worldMapData: Array.from(window.worldMapData),
+        dem:          typeof saveDEMImports === 'function' ? saveDEMImports() : null
     };
+}
+
+function saveErosion() {
+    return typeof erosion !== 'undefined' ? erosion.enabled : false;
+}
+
+function saveBiomeSet() {
+    return typeof activeBiomeSet === 'function' ? activeBiomeSet() : [];
+}
+
+function saveToSlot(slotIndex) {
+    var data = buildSaveData();
+    if (!data) return false;
+    if (writeSaveSlot(slotIndex, data)) return true;
+
+    // DEM samples are what usually overflow the quota: keep the world without them
+    var stripped = data.dem ? withoutDEMImports(data) : null;
+    if (stripped && writeSaveSlot(slotIndex, stripped)) {
+        alert('Saved without the DEM imports: they do not fit in browser storage. Tiles ' +
+              stripped.demDropped.join(' ') + ' and the edits on them will load as generated terrain. ' +
+              'Use EXPORT to keep them in a file.');
+        return true;
+    }
+    alert('Save failed: the world does not fit in browser storage. Use EXPORT to save it to a file.');
+    return false;
+}
+
+// false when localStorage refuses the data; the slot keeps what it held
+function writeSaveSlot(slotIndex, data) {
     try {
         localStorage.setItem(SAVE_KEY_PREFIX + slotIndex, JSON.stringify(data));
         return true;
@@ -39,25 +96,73 @@ function saveToSlot(slotIndex) {
     }
 }
 
+// data less its DEM imports.  Their tiles leave the saved tileMap and are
+// listed in demDropped, so a load puts the generated tiles back there.
+function withoutDEMImports(data) {
+    var copy = Object.assign({}, data, { dem: null, demDropped: [], tileMap: Object.assign({}, data.tileMap) });
+    (window.worldDEMImports || []).forEach(function(r) {
+        r.tiles.forEach(function(key) {
+            if (!(key in copy.tileMap)) return;
+            delete copy.tileMap[key];
+            copy.demDropped.push(key);
+        });
+    });
+    return copy;
+}
+
 function loadFromData(data, onDone) {
-    if (!data || !data.seed || !data.tileMap) return false;
+    if (!data || !data.seed || !(data.tileMap || data.stream)) return false;
+
+    // Generate with the save's biome set so the seed draws the same grid
+    if (typeof useBiomeSet === 'function') {
+        var missing = useBiomeSet(data.biomes || []);
+        if (missing.length) {
+            alert('This world needs the biome plugin' + (missing.length > 1 ? 's ' : ' ') + missing.join(', ') + '.');
+            return false;
+        }
+    }
 
-    // Re-generate world from seed (deterministic: same maps[] indices as when saved)
     items = [];
-    generateTerrain(data.seed);
+    setHeightmapBits(data.heightBits || 8);
+    if (typeof erosion !== 'undefined') erosion.enabled = data.erosion !== false;
+    if (data.stream) {
+        // Infinite world: nothing to restore beyond the seed
+        startWorldStream(data.seed);
+    } else {
+        // Re-generate world from seed (deterministic: same maps[] indices as when saved)
+        setWorldMapSize(data.worldSize || 16);
+        continuousTerrain.enabled = !!data.continuous;
+        if (typeof climate !== 'undefined') climate.enabled = !!data.climate;
+        if (typeof BIOME_VARIANT_POOL !== 'undefined') BIOME_VARIANT_POOL = data.variantPool || 0;
+        generateTerrain(data.seed);
+
+        // DEM imports go back in their saved order, so their tiles take the
+        // maps[] indices the saved tileMap refers to
+        if (data.dem && typeof restoreDEMImports === 'function') restoreDEMImports(data.dem);
+
+        // Initialize tile system first (sets tileMap from worldMapData),
+        // then override it with the saved tileMap to restore any edits.  A
+        // save stripped of its DEM imports is laid over the generated map
+        // instead, so its dropped tiles keep their generated terrain.
+        initializeTileSystem();
+        var savedTiles = JSON.parse(JSON.stringify(data.tileMap));
+        if (data.demDropped) {
+            Object.assign(tileSystem.tileMap, savedTiles);
+            alert('This save was made without its DEM imports. Tiles ' + data.demDropped.join(' ') +
+                  ' show generated terrain instead.');
+        } else {
+            tileSystem.tileMap = savedTiles;
+        }
 
-    // Initialize tile system first (sets tileMap from worldMapData),
-    // then override it with the saved tileMap to restore any edits.
-    initializeTileSystem();
-    tileSystem.tileMap = JSON.parse(JSON.stringify(data.tileMap));
+        // Restore world map grid (needed for minimap and editor)
+        if (data.worldMapData) {
+            window.worldMapData = new Uint8Array(data.worldMapData);
+        }
 
-    // Restore world map grid (needed for minimap and editor)
-    if (data.worldMapData) {
-        window.worldMapData = new Uint8Array(data.worldMapData);
+        // Re-initialize systems that depend on tile map
+        spawnBiomeTrees();
     }
-
-    // Re-initialize systems that depend on tile map
-    spawnBiomeTrees();
+    if (typeof placeSettlementBuildings === 'function') placeSettlementBuildings();
     camera.height = getRawTerrainHeight(camera.x, camera.y) + player.normalHeight;
     BuildTileLegend();
     flattenTerrainUnderCube();
@@ -71,6 +176,13 @@ function loadFromData(data, onDone) {
     return true;
 }
 
+// "16×16"-style label for a save's world dimension.
+function saveSizeLabel(data) {
+    if (data.stream) return 'INFINITE';
+    var n = data.worldSize || 16;
+    return n + '×' + n;
+}
+
 function loadFromSlot(slotIndex, onDone) {
     var data = getSaveSlot(slotIndex);
     if (!data) return false;
@@ -82,13 +194,8 @@ function loadFromSlot(slotIndex, onDone) {
 // -----------------------------------------------------------------------
 
 function exportWorld() {
-    if (!proceduralMode || !window.worldMapData) return;
-    var data = {
-        seed:         String(currentSeed),
-        savedAt:      new Date().toISOString(),
-        tileMap:      JSON.parse(JSON.stringify(tileSystem.tileMap)),
-        worldMapData: Array.from(window.worldMapData)
-    };
+    var data = buildSaveData();
+    if (!data) return;
     var blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     var url  = URL.createObjectURL(blob);
     var a    = document.createElement('a');
@@ -153,7 +260,7 @@ function refreshSavePopupSlots() {
                 var dateStr = dt.toLocaleDateString() + ' ' + dt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
                 slotEl.innerHTML =
                     '<span class="sp-num">FILE ' + (slotIndex + 1) + '</span>' +
-                    '<span class="sp-seed">SEED: ' + data.seed + '</span>' +
+                    '<span class="sp-seed">SEED: ' + data.seed + ' · ' + saveSizeLabel(data) + '</span>' +
                     '<span class="sp-date">' + dateStr + '</span>' +
                     '<span class="sp-action">OVERWRITE</span>';
                 slotEl.classList.add('sp-occupied');
@@ -248,6 +355,7 @@ function refreshLoadSlots() {
                 card.innerHTML =
                     '<div class="ls-file-num">FILE ' + (slotIndex + 1) + '</div>' +
                     '<div class="ls-seed">SEED: ' + data.seed + '</div>' +
+                    '<div class="ls-date">WORLD: ' + saveSizeLabel(data) + '</div>' +
                     '<div class="ls-date">' + dateStr + '</div>' +
                     '<button class="ls-load-btn">▸ LOAD</button>';
 
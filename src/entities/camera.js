@@ -91,8 +91,8 @@ function pushAwayFromCube() {
 }
 
 var canMoveTo = (nx, ny) => {
-    // Check if any valid tile exists at this position (2D tile system)
-    var tileData = getTerrainData(nx, ny);
+    // Check the active render mode has terrain at this position
+    var tileData = sampleTerrain(nx, ny);
     if (!tileData) {
         return false;  // No tile at this position
     }
@@ -155,8 +155,13 @@ function UpdateCamera() {
     }
 
     // NORMAL MODE - Original movement with collision
+    // Deep water (optional water module) switches to swimming: slower, no gravity
+    var swimLevel = (typeof getSwimLevel === 'function') ? getSwimLevel(camera.x, camera.y) : null;
+    player.isSwimming = swimLevel !== null;
+
     var isSprinting = input.sprint,
         baseSpeed = player.moveSpeed * (isSprinting ? player.sprintMultiplier : 1) * deltaTime, nx, ny, slopeMult;
+    if (player.isSwimming) baseSpeed *= player.swimSpeedMultiplier;
 
     // Push player away from cube if too close (prevents camera clipping on rotation)
     pushAwayFromCube();
@@ -197,6 +202,17 @@ function UpdateCamera() {
     camera.velocityY -= 0.5 * deltaTime;
     camera.height += camera.velocityY * deltaTime;
 
+    // Swimming: buoyancy eases the eyes back to just above the surface and
+    // water drag damps any vertical speed left over from a jump or fall
+    if (player.isSwimming) {
+        var floatHeight = swimLevel + player.swimEyeHeight;
+        if (camera.height < floatHeight) {
+            camera.height += (floatHeight - camera.height) * Math.min(1, 0.2 * deltaTime);
+            if (camera.velocityY < 0) camera.velocityY = 0;
+        }
+        camera.velocityY *= 0.8;
+    }
+
     // Ground clamping
     var groundHeight = getGroundHeight(camera.x, camera.y);
     if (camera.height < groundHeight) {
@@ -32,56 +32,63 @@ function spawnRandomItems(type, texture, options) {
     }
 }
 
-// Spawn trees in dark-green areas of plains biome tiles.
-// Dark green = low-altitude plains (altitude < 65): r≈70, g≈118, b≈44 in the
-// stored ABGR format → detectable via g>100 && r<88 && b<58.
-// Each biome tile's map is sampled directly (no tile-system overhead per pixel).
+// Plant every playable tile of a fixed-size world from its biome's
+// vegetation rules (vegetation.js).  Seeded per tile, so the same seed or
+// save always gives the same forests.
 function spawnBiomeTrees() {
     if (!window.worldMapData || !tileSystem || !textures.tree) return;
 
-    var tileAdvance = tileSystem.tileWidth - tileSystem.overlapSize; // 896
-    var step   = 32;   // world units between candidate positions
-    var chance = 0.09; // probability of a tree at each dark-green hit
+    // Non-border tile range: -halfGrid .. halfGrid-1 (-5 .. 4 on a 16-cell grid)
+    var halfGrid = worldPlayableHalf();
+    for (var tileY = -halfGrid; tileY < halfGrid; tileY++) {
+        for (var tileX = -halfGrid; tileX < halfGrid; tileX++) {
+            if (!(getTileKey(tileX, tileY) in tileSystem.tileMap)) continue;
+            spawnTreesOnTile(tileX, tileY);
+        }
+    }
+    buildTreeLUT();
+}
 
-    // Non-border tile range: tileX/tileY from -5 to 4
-    for (var tileY = -5; tileY < 5; tileY++) {
-        for (var tileX = -5; tileX < 5; tileX++) {
-            var tileKey = tileX + ',' + tileY;
-            if (!(tileKey in tileSystem.tileMap)) continue;
+// Plant one placed tile.  biome defaults to the biome the tile shows; the
+// streaming world passes its own.  The new indices are added to treeLUT
+// directly so no full rebuild is needed.
+function spawnTreesOnTile(tileX, tileY, biome) {
+    if (!textures.tree) return;
 
-            // Only place trees on plains tiles
-            var wmX = tileX + 8;
-            var wmY = tileY + 8;
-            if (wmX < 0 || wmX >= WORLD_MAP_SIZE || wmY < 0 || wmY >= WORLD_MAP_SIZE) continue;
-            if (window.worldMapData[wmY * WORLD_MAP_SIZE + wmX] !== BIOME_PLAINS) continue;
+    var tileKey = getTileKey(tileX, tileY);
+    scatterVegetation(tileX, tileY, biome).forEach(function(p) {
+        var sp = VEGETATION_SPECIES[p.species];
+        items.push({
+            type: 'tree',
+            species: p.species,
+            x: p.x, y: p.y, z: p.z,
+            dx: 0, dy: 0, dz: 0,
+            spriteW: sp.width * p.size,
+            spriteH: sp.height * p.size,
+            image: textures[sp.texture] || textures.tree
+        });
+        if (!treeLUT[tileKey]) treeLUT[tileKey] = [];
+        treeLUT[tileKey].push(items.length - 1);
+    });
+}
 
-            var m      = maps[tileSystem.tileMap[tileKey]];
-            var mshift = m.shift;
-            var margin = 64; // skip overlap fringe
+// Re-plant a tile whose map was swapped in the editor, under the rules of
+// the biome it now shows.
+function respawnTreesOnTile(tileKey) {
+    var c = tileKey.split(',');
+    removeTreesOnTile(tileKey);
+    spawnTreesOnTile(+c[0], +c[1]);
+}
 
-            for (var ly = margin; ly < m.height - margin; ly += step) {
-                for (var lx = margin; lx < m.width - margin; lx += step) {
-                    // Plains altitude range is 50–100.
-                    // The dark-green patches are exactly the low-altitude band (< 65).
-                    // Sampling altitude directly is more reliable than reverse-engineering color.
-                    var alt = m.altitude[(ly << mshift) + lx];
-                    if (alt < 65) {
-                        if (Math.random() < chance) {
-                            var wx = tileX * tileAdvance + lx;
-                            var wy = tileY * tileAdvance + ly;
-                            items.push({
-                                type: 'tree',
-                                x: wx, y: wy, z: getRawTerrainHeight(wx, wy),
-                                dx: 0, dy: 0, dz: 0,
-                                image: textures.tree
-                            });
-                        }
-                    }
-                }
-            }
-        }
-    }
-    console.log('Trees spawned:', items.length);
+// Remove every tree standing on a tile (streaming world eviction, editor).
+// Indices into items[] shift, so the LUT is rebuilt afterwards.
+function removeTreesOnTile(tileKey) {
+    if (!treeLUT[tileKey]) return;
+    items = items.filter(function(item) {
+        if (item.type !== 'tree') return true;
+        var c = getTileCoords(item.x, item.y);
+        return getTileKey(c.tileX, c.tileY) !== tileKey;
+    });
     buildTreeLUT();
 }
 
@@ -0,0 +1,233 @@
+// ===============================
+// Vegetation — seeded Poisson-disk scatter with per-biome rules
+// ===============================
+// scatterVegetation() decides where trees and shrubs stand on one placed
+// tile.  Everything is derived from the world seed and the tile coords, so
+// a seed or a loaded save always grows the same forests, and a tile painted
+// in the editor is simply scattered again under its new biome's rules.
+//
+// Each biome has a list of layers.  A layer is one Poisson-disk pass:
+//   species     — { name: weight } drawn from VEGETATION_SPECIES
+//   spacing     — minimum distance between plants of this layer, world units
+//   keep        — share of Poisson points that are planted on average
+//   alt         — [min, max] ground altitude in data units (the 0–255 range)
+//   maxSlope    — steepest ground (rise / run) a plant stands on
+//   cluster     — 0 = even cover … 1 = plants only in clumps
+//   clusterSize — rough clump size, world units
+// Built-in biomes read VEGETATION_RULES; registered biomes pass the same
+// list as `vegetation` to registerBiome().
+"use strict";
+
+// Sprite shapes.  width / height multiply the item renderer's base scale;
+// each plant gets a size within [sizeMin, sizeMax].
+var VEGETATION_SPECIES = {
+    oak:   { texture: 'tree', width: 6,   height: 12, sizeMin: 0.85, sizeMax: 1.15 },
+    pine:  { texture: 'tree', width: 4.5, height: 14, sizeMin: 0.80, sizeMax: 1.25 },
+    shrub: { texture: 'tree', width: 3,   height: 4,  sizeMin: 0.70, sizeMax: 1.20 }
+};
+
+// Keyed by biome name — the BIOME_* ids are defined by scripts loaded later
+var VEGETATION_RULES = {
+    // The dark-green low meadow (altitude < 65) carries the woods
+    PLAINS: [
+        { species: { oak: 3, shrub: 1 },  spacing: 36, keep: 0.35, alt: [0, 65],   maxSlope: 0.5, cluster: 0.5, clusterSize: 600 }
+    ],
+    HILLS: [
+        { species: { pine: 1 },           spacing: 60, keep: 0.25, alt: [65, 115], maxSlope: 0.6, cluster: 0.7, clusterSize: 500 }
+    ],
+    FOOTHILL: [
+        { species: { pine: 3, shrub: 1 }, spacing: 80, keep: 0.20, alt: [0, 120],  maxSlope: 0.5, cluster: 0.6, clusterSize: 500 }
+    ]
+};
+
+var VEGETATION_POISSON_TRIES = 30;   // Bridson candidates per active point
+
+// Layers for a biome id (empty when nothing grows there)
+function vegetationRules(biome) {
+    var reg = (typeof getRegisteredBiome === 'function') ? getRegisteredBiome(biome) : null;
+    if (reg) return reg.vegetation || [];
+    for (var name in VEGETATION_RULES) {
+        if (window['BIOME_' + name] === biome) return VEGETATION_RULES[name];
+    }
+    return [];
+}
+
+// Biome a placed tile stands for: read from the map it shows, so a tile
+// painted in the editor counts as what it looks like.  Tiles the lookup
+// tables cannot name (rivers, continuous tiles) use their world-map cell,
+// or the streaming world's cell biome.
+function vegetationTileBiome(tileX, tileY) {
+    var idx = tileSystem.tileMap[getTileKey(tileX, tileY)];
+    if (idx === undefined) return 0;
+    if (idx <= 3) return [BIOME_BEACH, BIOME_PLAINS, BIOME_HILLS, BIOME_MOUNTAIN][idx];
+
+    var inTable = function(t) {
+        if (!t) return false;
+        for (var k in t) if (t[k] === idx) return true;
+        return false;
+    };
+    if (window.biomeVariantMaps) {
+        for (var vb in window.biomeVariantMaps) {
+            if (window.biomeVariantMaps[vb].indexOf(idx) >= 0) return +vb;
+        }
+    }
+    if (inTable(window.mountainRidgeMapIndex)) return BIOME_MOUNTAIN;
+    if (inTable(window.transitionMapIndex))    return BIOME_TRANSITION;
+    if (inTable(window.wideRidgeMapIndex))     return BIOME_RIDGE;
+    if (inTable(window.foothillMapIndex) || inTable(window.steepFoothillMapIndex)) return BIOME_FOOTHILL;
+    if (inTable(window.hillsCapMapIndex))      return BIOME_HILLS;
+    var reg = (typeof findRegisteredTile === 'function') ? findRegisteredTile(idx) : null;
+    if (reg) return reg.biome.id;
+
+    // Streaming worlds have no world map: ask the stream for the cell's biome
+    if (typeof worldStream !== 'undefined' && worldStream.enabled) return getStreamBiome(tileX, tileY);
+    if (!window.worldMapData) return 0;
+    var cx = tileToCell(tileX), cy = tileToCell(tileY);
+    if (cx < 0 || cx >= WORLD_MAP_SIZE || cy < 0 || cy >= WORLD_MAP_SIZE) return 0;
+    return window.worldMapData[cy * WORLD_MAP_SIZE + cx];
+}
+
+// -----------------------------------------------------------------------
+// Sampling
+// -----------------------------------------------------------------------
+
+// Seed for one layer of one tile
+function vegetationSeed(tileX, tileY, layer) {
+    var h = (currentSeed ^ 0x7E6E7A71) >>> 0;
+    h = Math.imul(h ^ (tileX | 0), 0x9E3779B1);
+    h = Math.imul(h ^ (tileY | 0), 0x85EBCA6B);
+    h = Math.imul(h ^ layer, 0xC2B2AE35);
+    return (h ^ (h >>> 15)) >>> 0;
+}
+
+// Bridson Poisson-disk sampling over [0, w) × [0, h): no two points closer
+// than r.  Returns [[x, y], ...] in generation order.
+function poissonDisk(rng, w, h, r) {
+    var cell = r / Math.SQRT2;
+    var gw = Math.ceil(w / cell), gh = Math.ceil(h / cell);
+    var grid = new Int32Array(gw * gh).fill(-1);
+    var points = [], active = [];
+
+    var add = function(x, y) {
+        grid[Math.floor(y / cell) * gw + Math.floor(x / cell)] = points.length;
+        active.push(points.length);
+        points.push([x, y]);
+    };
+    var free = function(x, y) {
+        var gx = Math.floor(x / cell), gy = Math.floor(y / cell);
+        for (var j = Math.max(0, gy - 2); j <= Math.min(gh - 1, gy + 2); j++) {
+            for (var i = Math.max(0, gx - 2); i <= Math.min(gw - 1, gx + 2); i++) {
+                var p = grid[j * gw + i];
+                if (p >= 0 && Math.hypot(points[p][0] - x, points[p][1] - y) < r) return false;
+            }
+        }
+        return true;
+    };
+
+    add(rng() * w, rng() * h);
+    while (active.length) {
+        var a = Math.floor(rng() * active.length);
+        var base = points[active[a]];
+        var placed = false;
+        for (var t = 0; t < VEGETATION_POISSON_TRIES; t++) {
+            var ang = rng() * Math.PI * 2;
+            var dist = r * (1 + rng());
+            var x = base[0] + Math.cos(ang) * dist;
+            var y = base[1] + Math.sin(ang) * dist;
+            if (x < 0 || x >= w || y < 0 || y >= h || !free(x, y)) continue;
+            add(x, y);
+            placed = true;
+            break;
+        }
+        if (!placed) active.splice(a, 1);
+    }
+    return points;
+}
+
+// Clump noise is world-space, so clumps carry across tile borders
+var vegetationClumps = { seed: -1, noise: null };
+
+function vegetationClumpNoise() {
+    if (vegetationClumps.seed !== currentSeed) {
+        vegetationClumps.seed  = currentSeed;
+        vegetationClumps.noise = createPerlinNoise((currentSeed ^ 0x7C1A5732) >>> 0);
+    }
+    return vegetationClumps.noise;
+}
+
+function pickSpecies(species, u) {
+    var total = 0, name;
+    for (name in species) total += species[name];
+    u *= total;
+    for (name in species) {
+        u -= species[name];
+        if (u < 0) return name;
+    }
+    return name;
+}
+
+// -----------------------------------------------------------------------
+// Entry point
+// -----------------------------------------------------------------------
+
+// Plants for the tile at (tileX, tileY) under biome's rules (defaults to
+// the biome the tile shows).  Covers the tile's own advance square, the
+// area getTileCoords assigns to it, so neighbouring tiles never plant the
+// same overlap twice.  Returns [{ x, y, z, species, size }] in world units;
+// z comes from the tile's altitude, not from the active render mode.
+function scatterVegetation(tileX, tileY, biome) {
+    var m = maps[tileSystem.tileMap[getTileKey(tileX, tileY)]];
+    if (!m) return [];
+    if (biome === undefined) biome = vegetationTileBiome(tileX, tileY);
+    var layers = vegetationRules(biome);
+    if (!layers.length) return [];
+
+    var advance = tileSystem.tileWidth - tileSystem.overlapSize;
+    var ox = tileX * advance, oy = tileY * advance;
+    var clumps = vegetationClumpNoise();
+    var hs = altitudeScale(m);
+    var last = m.width - 1;
+    // Keep plants off the roads (roads.js)
+    var roadSegs = (typeof roadSegmentsNear === 'function') ? roadSegmentsNear(ox, oy, ox + advance, oy + advance, 0) : [];
+    var ground = function(x, y) {
+        return m.altitude[(Math.max(0, Math.min(last, y)) << m.shift) + Math.max(0, Math.min(last, x))];
+    };
+    var plants = [];
+
+    layers.forEach(function(L, li) {
+        var rng = mulberry32(vegetationSeed(tileX, tileY, li));
+        var alt = L.alt || [0, Infinity];
+        var maxSlope = L.maxSlope !== undefined ? L.maxSlope : Infinity;
+        var cluster = L.cluster || 0;
+        var freq = 1 / (L.clusterSize || 500);
+
+        poissonDisk(rng, advance, advance, L.spacing).forEach(function(p) {
+            // Draw every number up front so each point uses the same stream
+            // whether or not it is planted
+            var uKeep = rng(), uSpecies = rng(), uSize = rng();
+            var lx = p[0] | 0, ly = p[1] | 0;
+            var idx = (ly << m.shift) + lx;
+
+            var a = getAltitude(m, idx);
+            if (a < alt[0] || a > alt[1]) return;
+            if (m.waterLevel && m.waterLevel[idx] > 0) return;
+            var sx = (ground(lx + 2, ly) - ground(lx - 2, ly)) * hs / 4;
+            var sy = (ground(lx, ly + 2) - ground(lx, ly - 2)) * hs / 4;
+            if (Math.hypot(sx, sy) > maxSlope) return;
+
+            var wx = ox + p[0], wy = oy + p[1];
+            if (roadSegs.length && roadDistance(roadSegs, wx, wy) < ROAD_HALF_WIDTH + 6) return;
+            if (typeof settlementOccupied === 'function' && settlementOccupied(wx, wy, SETTLEMENT_YARD + 10)) return;
+            var c = Math.max(0, Math.min(1, 0.5 + fbm(clumps, wx * freq, wy * freq, 3, 2.0, 0.5) * 1.5));
+            if (uKeep >= L.keep * ((1 - cluster) + cluster * 2 * c)) return;
+
+            var name = pickSpecies(L.species, uSpecies);
+            var sp = VEGETATION_SPECIES[name];
+            plants.push({
+                x: wx, y: wy, z: m.altitude[idx] * hs, species: name,
+                size: sp.sizeMin + uSize * (sp.sizeMax - sp.sizeMin)
+            });
+        });
+    });
+    return plants;
+}
@@ -1,8 +1,9 @@
 // =====================================================
 // Building Config — edit this file to redesign the
-// building layout.  To disable entirely: set
-// enabled:false OR remove both <script> tags for
-// indoor/ in index.html.
+// building layout.  enabled:false removes this
+// building only (the textures are still shared with
+// settlement buildings); remove both <script> tags for
+// indoor/ in index.html to disable buildings entirely.
 // =====================================================
 "use strict";
 
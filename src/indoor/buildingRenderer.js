@@ -40,13 +40,15 @@ function _loadBuildingTex(key, src) {
     img.src = src;
 }
 
-// Called once from Init() in main.js
+// Called once from Init() in main.js.  The textures are shared by every
+// registered building, settlement buildings included, so they load even
+// when buildingConfig itself is disabled.
 function initBuilding() {
-    if (!buildingConfig || !buildingConfig.enabled) return;
+    if (!buildingConfig) return;
     _loadBuildingTex('wall',    buildingConfig.wallTexture);
     _loadBuildingTex('ceiling', buildingConfig.ceilingTexture);
     _loadBuildingTex('floor',   buildingConfig.floorTexture);
-    registerBuildingCollider(buildingConfig);
+    if (buildingConfig.enabled) registerBuildingCollider(buildingConfig);
 }
 
 // ---- Texture sampling ----
@@ -191,15 +193,26 @@ function _drawBuildingQuad(v0, v1, v2, v3, shade, tex, uRep, vRep) {
 
 // =====================================================
 // RenderBuilding — called each frame from main.js
+// Draws every registered building (see the collision
+// registry below): buildingConfig and any settlement
+// buildings of the current world.
 // =====================================================
 function RenderBuilding() {
-    if (!buildingConfig || !buildingConfig.enabled) return;
+    if (!buildingColliders.length) return;
 
     // Keep shared trig values current
     cubeSinYaw = Math.sin(camera.angle);
     cubeCosYaw = Math.cos(camera.angle);
 
-    var cfg   = buildingConfig;
+    for (var i = 0; i < buildingColliders.length; i++) {
+        var cfg = buildingColliders[i];
+        // Past the terrain's draw distance
+        if (Math.hypot(cfg.x - camera.x, cfg.y - camera.y) > camera.distance) continue;
+        _renderBuildingShell(cfg);
+    }
+}
+
+function _renderBuildingShell(cfg) {
     var hw    = cfg.width  / 2;
     var hd    = cfg.depth  / 2;
     var wH    = cfg.wallHeight;
@@ -288,7 +301,7 @@ function RenderBuilding() {
     hHeader(oy2, dl,  dr,  baseZ + dH, 1.0);
 
     // ------------------------------------------------------------------
-    // Interior walls (from buildingConfig.interiorWalls array)
+    // Interior walls (from the cfg.interiorWalls array)
     // ------------------------------------------------------------------
 
     var iWalls = cfg.interiorWalls;
@@ -352,9 +365,11 @@ function RenderBuilding() {
 //
 // Any building config can be registered with
 // registerBuildingCollider(cfg).  initBuilding() does
-// this automatically for buildingConfig.  Future
-// buildings just call registerBuildingCollider() and
-// get wall + ceiling collision for free.
+// this automatically for buildingConfig, and
+// placeSettlementBuildings() (procedural/settlements.js)
+// for the buildings of each generated world.  A
+// registered building gets rendering plus wall and
+// ceiling collision for free.
 //
 // camera.js calls:
 //   getBuildingCollision(x, y)  — wall/door check
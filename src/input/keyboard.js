@@ -47,6 +47,13 @@ function DetectKeysDown(e) {
             console.log("Tile blending: " + (renderOpts.tileBlending ? "ON" : "OFF"));
             updateOptimizationLegend();
             break;
+        case 53:                                 // 5 - Toggle water surface
+            if (typeof water !== 'undefined') {
+                water.enabled = !water.enabled;
+                console.log("Water: " + (water.enabled ? "ON" : "OFF"));
+                updateOptimizationLegend();
+            }
+            break;
         case 71:                                 // G - Toggle ground floor cap
             renderOpts.groundFloor = !renderOpts.groundFloor;
             console.log("Ground floor: " + (renderOpts.groundFloor ? "ON" : "OFF"));
@@ -67,17 +74,11 @@ function DetectKeysDown(e) {
             break;
         }
         case 54:                                 // 6 - Cycle render mode
-            var modes = ['tiled', 'cached', 'direct', 'subdivided'];
+            var modes = renderModeNames();
             var currentIndex = modes.indexOf(renderOpts.renderMode);
             var nextIndex = (currentIndex + 1) % modes.length;
             renderOpts.renderMode = modes[nextIndex];
-            var modeNames = {
-                'tiled': 'Tiled (Slow)',
-                'cached': 'Cached Tiles (Fast)',
-                'direct': 'Direct Array (Fastest)',
-                'subdivided': 'Subdivided Tiles (Visual)'
-            };
-            console.log("Render mode: " + modeNames[renderOpts.renderMode]);
+            console.log("Render mode: " + currentRenderMode().label);
             updateOptimizationLegend();
             break;
     }
@@ -105,12 +106,6 @@ function DetectKeysUp(e) {
 function updateOptimizationLegend() {
     var legend = document.getElementById('optimization-legend');
     if (legend) {
-        var modeNames = {
-            'tiled': 'Tiled (Slow)',
-            'cached': 'Cached (Fast)',
-            'direct': 'Direct (Fastest)',
-            'subdivided': 'Subdivided (Visual)'
-        };
         var legendEl   = document.getElementById('tile-legend');
         var legendOn   = legendEl && legendEl.style.display !== 'none' && legendEl.style.display !== '';
         legend.innerHTML =
@@ -119,8 +114,9 @@ function updateOptimizationLegend() {
             '<div>[2] Bilinear Filter: ' + (renderOpts.bilinearFilter ? 'ON' : 'OFF') + '</div>' +
             '<div>[3] Depth Interp: ' + (renderOpts.depthInterp ? 'ON' : 'OFF') + '</div>' +
             '<div>[4] Tile Blending: ' + (renderOpts.tileBlending ? 'ON' : 'OFF') + '</div>' +
+            (typeof water !== 'undefined' ? '<div>[5] Water: ' + (water.enabled ? 'ON' : 'OFF') + '</div>' : '') +
             '<div>[G] Ground Floor: ' + (renderOpts.groundFloor ? 'ON' : 'OFF') + '</div>' +
-            '<div>[6] Mode: ' + modeNames[renderOpts.renderMode] + '</div>' +
+            '<div>[6] Mode: ' + currentRenderMode().label + '</div>' +
             '<div>[M] Minimap: ' + (renderOpts.minimapVisible ? 'ON' : 'OFF') + '</div>' +
             '<div>[L] Tile Legend: ' + (legendOn ? 'ON' : 'OFF') + '</div>';
     }
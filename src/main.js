@@ -41,6 +41,8 @@ function Draw(timestamp) {
     if (timestamp - lastFrameTime >= frameDuration) {
         lastFrameTime = timestamp;
         UpdateCamera();
+        if (typeof updateWorldStream === 'function') updateWorldStream();
+        if (typeof updateWater === 'function') updateWater();
         DrawBackground();
         RenderCube();
         if (typeof RenderBuilding === 'function') RenderBuilding();
@@ -69,7 +71,9 @@ function Draw(timestamp) {
 
 // Initialize game
 function Init() {
-    showSeedMenu();
+    // Tile recipes must be registered before the first world is generated
+    if (typeof loadTileRecipes === 'function') loadTileRecipes(showSeedMenu);
+    else showSeedMenu();
     OnResizeWindow();
     InitMinimap();
     loadCubeTexture();
@@ -0,0 +1,608 @@
+// ===============================
+// DEM Import — real-world heightmaps as world tiles
+// ===============================
+// Reads survey elevation data and stamps it into the current world:
+//   Esri ASCII grid (.asc)       — text header, then rows of elevations
+//   PGM / PPM (P2, P5, P3, P6)   — 8- or 16-bit samples; a PPM's heights are
+//                                   its channel mean
+//   PNG                          — 8- or 16-bit grayscale (a color PNG reads
+//                                   as its channel mean)
+// parseDEMFile() turns file bytes into a grid; importDEM() resamples the grid
+// into 1024x1024 tiles laid out with the usual 128px overlap, colors them,
+// pushes them onto maps[] and points tileSystem.tileMap at them.  A second,
+// RGB file picked along with the heights colors the tiles; otherwise the
+// biome color functions and the materials pass do.
+//
+// Every import is kept in window.worldDEMImports, heights as 16-bit samples,
+// and travels with world saves.  A grid with more samples than its tiles
+// can show is resampled on import to one sample per px, so a save holds at
+// most DEM_MAX_TILES tiles' worth of samples.  Loading a save stamps the imports again
+// right after the seed regenerates, so they get the same maps[] indices the
+// saved tileMap refers to.
+//
+// TO DISABLE: remove the script tag and the DEM button in index.html.
+"use strict";
+
+var DEM_MAX_TILES  = 16;    // tiles per import — each is a 5 MB tile
+var DEM_BASE_ALT   = 40;    // lowest imported ground, world units
+var DEM_RELIEF     = 160;   // lowest-to-highest rise when the cell size is unknown
+var DEM_MAX_RELIEF = 480;   // cap on the rise at true proportions
+var DEM_BAND_BLEND = 0.02;  // share of the relief over which color bands blend
+
+// -----------------------------------------------------------------------
+// Parsing
+// -----------------------------------------------------------------------
+// Every parser returns a grid:
+//   { width, height, data: Float32Array (NaN = no data), rgb: Uint8Array
+//     or null (3 bytes per sample, color sources only), cellSize or null }
+// with row 0 the northern edge.
+
+function demError(msg) {
+    return new Error('DEM import: ' + msg);
+}
+
+// Esri ASCII grid.  cellsize is kept, so the relief can be scaled to true
+// proportions.
+function parseAsciiGrid(text) {
+    var tokens = text.split(/\s+/).filter(function(t) { return t.length; });
+    var header = {}, pos = 0;
+    while (pos < tokens.length && /^[a-z_]+$/i.test(tokens[pos])) {
+        header[tokens[pos].toLowerCase()] = parseFloat(tokens[pos + 1]);
+        pos += 2;
+    }
+    var w = header.ncols, h = header.nrows;
+    if (!(w > 0 && h > 0)) throw demError('ASCII grid has no ncols / nrows');
+    if (tokens.length - pos < w * h) throw demError('ASCII grid has ' + (tokens.length - pos) + ' of ' + (w * h) + ' values');
+    var nodata = header.nodata_value;
+    var data = new Float32Array(w * h);
+    for (var i = 0; i < w * h; i++) {
+        var v = parseFloat(tokens[pos + i]);
+        data[i] = (v === nodata || isNaN(v)) ? NaN : v;
+    }
+    return { width: w, height: h, data: data, rgb: null, cellSize: header.cellsize || header.dx || null };
+}
+
+// Netpbm P2 / P5 (gray) and P3 / P6 (RGB), 8- or 16-bit (big-endian)
+function parsePNM(bytes) {
+    var magic = String.fromCharCode(bytes[0], bytes[1]);
+    var channels = (magic === 'P3' || magic === 'P6') ? 3 : 1;
+    var ascii = (magic === 'P2' || magic === 'P3');
+
+    // Header: magic, width, height, maxval — whitespace and # comments between
+    var pos = 2, fields = [];
+    while (fields.length < 3) {
+        while (pos < bytes.length && /\s/.test(String.fromCharCode(bytes[pos]))) pos++;
+        if (bytes[pos] === 0x23) {   // '#'
+            while (pos < bytes.length && bytes[pos] !== 0x0A) pos++;
+            continue;
+        }
+        var tok = '';
+        while (pos < bytes.length && !/\s/.test(String.fromCharCode(bytes[pos]))) tok += String.fromCharCode(bytes[pos++]);
+        if (!tok) throw demError('truncated ' + magic + ' header');
+        fields.push(parseInt(tok, 10));
+    }
+    pos++;   // the single whitespace byte before binary samples
+    var w = fields[0], h = fields[1], maxval = fields[2];
+    var n = w * h * channels;
+
+    var samples = new Float32Array(n);
+    if (ascii) {
+        var rest = '';
+        for (var k = pos; k < bytes.length; k++) rest += String.fromCharCode(bytes[k]);
+        var vals = rest.replace(/#[^\n]*/g, ' ').split(/\s+/).filter(function(t) { return t.length; });
+        if (vals.length < n) throw demError(magic + ' has ' + vals.length + ' of ' + n + ' samples');
+        for (var i = 0; i < n; i++) samples[i] = parseInt(vals[i], 10);
+    } else {
+        var wide = maxval > 255;
+        if (bytes.length - pos < n * (wide ? 2 : 1)) throw demError('truncated ' + magic + ' data');
+        for (var j = 0; j < n; j++) {
+            samples[j] = wide ? (bytes[pos + 2 * j] << 8) | bytes[pos + 2 * j + 1] : bytes[pos + j];
+        }
+    }
+    return demGridFromSamples(w, h, channels, samples, maxval);
+}
+
+// A grid from interleaved samples: heights are the channel mean, and 3- or
+// 4-channel sources keep their color scaled to 8 bits.
+function demGridFromSamples(w, h, channels, samples, maxval) {
+    var data = new Float32Array(w * h);
+    var rgb  = channels >= 3 ? new Uint8Array(w * h * 3) : null;
+    var colorChannels = channels >= 3 ? 3 : 1;
+    for (var i = 0; i < w * h; i++) {
+        var sum = 0;
+        for (var c = 0; c < colorChannels; c++) {
+            var v = samples[i * channels + c];
+            sum += v;
+            if (rgb) rgb[i * 3 + c] = Math.round(v * 255 / maxval);
+        }
+        data[i] = sum / colorChannels;
+    }
+    return { width: w, height: h, data: data, rgb: rgb, cellSize: null };
+}
+
+// PNG, any non-interlaced color type at 8 or 16 bits (1, 2 and 4 bits for
+// gray and palette images).  Decompression is asynchronous, so the grid is
+// handed to onDone; onError gets anything that goes wrong.
+function parsePNG(bytes, onDone, onError) {
+    var u32 = function(p) { return ((bytes[p] << 24) | (bytes[p + 1] << 16) | (bytes[p + 2] << 8) | bytes[p + 3]) >>> 0; };
+    var hdr = null, palette = null, idat = [], total = 0;
+    for (var pos = 8; pos + 8 <= bytes.length;) {
+        var len  = u32(pos);
+        var type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+        var body = bytes.subarray(pos + 8, pos + 8 + len);
+        if (type === 'IHDR') {
+            hdr = { width: u32(pos + 8), height: u32(pos + 12), depth: body[8], colorType: body[9], interlace: body[12] };
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'IDAT') {
+            idat.push(body);
+            total += len;
+        } else if (type === 'IEND') {
+            break;
+        }
+        pos += 12 + len;
+    }
+    if (!hdr) { onError(demError('PNG has no IHDR chunk')); return; }
+    if (hdr.interlace) { onError(demError('interlaced PNGs are not supported')); return; }
+    var channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[hdr.colorType];
+    if (!channels) { onError(demError('unknown PNG color type ' + hdr.colorType)); return; }
+    if (hdr.colorType === 3 && !palette) { onError(demError('palette PNG has no PLTE chunk')); return; }
+
+    var packed = new Uint8Array(total);
+    for (var i = 0, off = 0; i < idat.length; i++) { packed.set(idat[i], off); off += idat[i].length; }
+    demInflate(packed, function(raw) {
+        try {
+            onDone(demDecodePNG(hdr, channels, palette, raw));
+        } catch (e) {
+            onError(e);
+        }
+    }, onError);
+}
+
+// zlib-inflate bytes with the platform's DecompressionStream
+function demInflate(bytes, onDone, onError) {
+    if (typeof DecompressionStream === 'undefined') {
+        onError(demError('PNG decompression is not available here'));
+        return;
+    }
+    var stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    new Response(stream).arrayBuffer().then(function(buf) { onDone(new Uint8Array(buf)); }, onError);
+}
+
+// Unfilter the inflated scanlines and read them into a grid
+function demDecodePNG(hdr, channels, palette, raw) {
+    var w = hdr.width, h = hdr.height, depth = hdr.depth;
+    var stride = Math.ceil(w * channels * depth / 8);
+    var bpp    = Math.max(1, channels * depth / 8);
+    if (raw.length < h * (stride + 1)) throw demError('truncated PNG data');
+
+    var cur = new Uint8Array(stride), prev = new Uint8Array(stride);
+    var outChannels = palette ? 3 : channels;
+    var samples = new Float32Array(w * h * outChannels);
+    var maxval  = palette ? 255 : (1 << depth) - 1;
+
+    for (var y = 0; y < h; y++) {
+        var base = y * (stride + 1), filter = raw[base];
+        for (var x = 0; x < stride; x++) {
+            var a = x >= bpp ? cur[x - bpp] : 0, b = prev[x], c = x >= bpp ? prev[x - bpp] : 0;
+            var v = raw[base + 1 + x], p;
+            switch (filter) {
+                case 0: p = 0; break;
+                case 1: p = a; break;
+                case 2: p = b; break;
+                case 3: p = (a + b) >> 1; break;
+                case 4: {
+                    var pa = Math.abs(b - c), pb = Math.abs(a - c), pc = Math.abs(a + b - 2 * c);
+                    p = (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+                    break;
+                }
+                default: throw demError('bad PNG filter ' + filter + ' on row ' + y);
+            }
+            cur[x] = (v + p) & 0xFF;
+        }
+        for (var px = 0; px < w; px++) {
+            for (var ch = 0; ch < channels; ch++) {
+                var s, k = px * channels + ch;
+                if (depth === 16)     s = (cur[2 * k] << 8) | cur[2 * k + 1];
+                else if (depth === 8) s = cur[k];
+                else                  s = (cur[(k * depth) >> 3] >> (8 - depth - ((k * depth) & 7))) & ((1 << depth) - 1);
+                if (palette) {
+                    for (var pc2 = 0; pc2 < 3; pc2++) samples[(y * w + px) * 3 + pc2] = palette[s * 3 + pc2];
+                } else {
+                    samples[(y * w + px) * channels + ch] = s;
+                }
+            }
+        }
+        var tmp = prev; prev = cur; cur = tmp;
+    }
+    // Gray + alpha and RGBA: the alpha channel is not height or color
+    return demGridFromSamples(w, h, outChannels, samples, maxval);
+}
+
+// Pick the parser from the file's first bytes.  onDone(grid) / onError(err).
+function parseDEMFile(bytes, onDone, onError) {
+    try {
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+            parsePNG(bytes, onDone, onError);
+            return;
+        }
+        if (bytes[0] === 0x50 && bytes[1] >= 0x32 && bytes[1] <= 0x36 && bytes[1] !== 0x34) {
+            onDone(parsePNM(bytes));
+            return;
+        }
+        var head = '';
+        for (var i = 0; i < Math.min(bytes.length, 16); i++) head += String.fromCharCode(bytes[i]);
+        if (/^\s*ncols/i.test(head)) {
+            onDone(parseAsciiGrid(new TextDecoder().decode(bytes)));
+            return;
+        }
+        onError(demError('not an ASCII grid, PGM / PPM or PNG file'));
+    } catch (e) {
+        onError(e);
+    }
+}
+
+// -----------------------------------------------------------------------
+// Stored form
+// -----------------------------------------------------------------------
+
+function demToBase64(u8) {
+    var s = '';
+    for (var i = 0; i < u8.length; i += 0x8000) s += String.fromCharCode.apply(null, u8.subarray(i, i + 0x8000));
+    return btoa(s);
+}
+
+function demFromBase64(str) {
+    var s = atob(str), u8 = new Uint8Array(s.length);
+    for (var i = 0; i < s.length; i++) u8[i] = s.charCodeAt(i);
+    return u8;
+}
+
+// Quantize a heights grid to 16-bit samples over its own range, missing
+// data at the lowest value.  Imports sample this form, so an import and its
+// restore from a save are identical.
+function demQuantize(grid) {
+    var lo = Infinity, hi = -Infinity;
+    for (var i = 0; i < grid.data.length; i++) {
+        var v = grid.data[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+    }
+    if (lo === Infinity) throw demError('the grid holds no data');
+    var q = new Uint16Array(grid.data.length), span = (hi - lo) || 1;
+    for (var j = 0; j < q.length; j++) {
+        q[j] = isNaN(grid.data[j]) ? 0 : Math.round((grid.data[j] - lo) / span * 65535);
+    }
+    return { width: grid.width, height: grid.height, samples: q, min: lo, max: hi, cellSize: grid.cellSize };
+}
+
+// -----------------------------------------------------------------------
+// Coloring
+// -----------------------------------------------------------------------
+
+// Biome color functions by share t of the relief (0 = lowest ground); u is
+// the position inside the band
+var DEM_COLOR_BANDS = [
+    { upTo: 0.06, color: function(u, pv) { return beachColor(0, u, pv); } },
+    { upTo: 0.35, color: function(u, pv) { return plainsColor(60 + u * 30, pv); } },
+    { upTo: 0.65, color: function(u, pv) { return hillsColor(85 + u * 63, pv); } },
+    { upTo: 1.00, color: function(u, pv) { return mountainColor(105 + u * 150, pv); } }
+];
+
+function demBiomeColor(t, pv) {
+    var lo = 0;
+    for (var i = 0; i < DEM_COLOR_BANDS.length; i++) {
+        var band = DEM_COLOR_BANDS[i];
+        if (t <= band.upTo || i === DEM_COLOR_BANDS.length - 1) {
+            var u = Math.max(0, Math.min(1, (t - lo) / (band.upTo - lo)));
+            var col = band.color(u, pv);
+            // Fade in from the band below
+            if (i > 0 && t - lo < DEM_BAND_BLEND) {
+                var k = 0.5 + (t - lo) / (2 * DEM_BAND_BLEND);
+                col = blendColors(DEM_COLOR_BANDS[i - 1].color(1, pv), col, k * k * (3 - 2 * k));
+            }
+            return col;
+        }
+        lo = band.upTo;
+    }
+}
+
+// Materials profile for relief rising from base: grass low down, scree and
+// rock on the steep ground, snow near the top
+function demMaterialProfile(base, relief) {
+    return {
+        grass: { below: base + relief * 0.5, maxSlope: 0.35 },
+        scree: { slope: 0.55, curvature: 0.12 },
+        rock:  { slope: 0.95, blend: 0.30 },
+        snow:  { line: base + relief * 0.88, blend: relief * 0.04, maxSlope: 1.10, aspect: relief * 0.05 }
+    };
+}
+
+// -----------------------------------------------------------------------
+// Import
+// -----------------------------------------------------------------------
+
+// arr (width x height, 1 or 3 channels) bilinearly resampled to w x h, as
+// a new array of the same type
+function demResample(arr, width, height, channels, w, h) {
+    var out = new arr.constructor(w * h * channels);
+    for (var y = 0; y < h; y++) {
+        var fy = (y + 0.5) * height / h - 0.5;
+        for (var x = 0; x < w; x++) {
+            var fx = (x + 0.5) * width / w - 0.5;
+            for (var ch = 0; ch < channels; ch++) {
+                out[(y * w + x) * channels + ch] = Math.round(demBilinear(arr, width, height, channels, ch, fx, fy));
+            }
+        }
+    }
+    return out;
+}
+
+// Tiles across (nx) and down (ny) a width x height grid covers at scale
+// world px per sample
+function demTileSpan(width, height, scale) {
+    var adv = tileSystem.tileWidth - tileSystem.overlapSize;
+    return { nx: Math.max(1, Math.ceil(width * scale / adv)), ny: Math.max(1, Math.ceil(height * scale / adv)) };
+}
+
+// Bilinear sample of a width x height array (1 or 3 channels) at (fx, fy),
+// clamped to the edges
+function demBilinear(arr, width, height, channels, ch, fx, fy) {
+    fx = Math.max(0, Math.min(width - 1, fx));
+    fy = Math.max(0, Math.min(height - 1, fy));
+    var x0 = Math.floor(fx), y0 = Math.floor(fy);
+    var x1 = Math.min(width - 1, x0 + 1), y1 = Math.min(height - 1, y0 + 1);
+    var tx = fx - x0, ty = fy - y0;
+    var a = arr[(y0 * width + x0) * channels + ch], b = arr[(y0 * width + x1) * channels + ch];
+    var c = arr[(y1 * width + x0) * channels + ch], d = arr[(y1 * width + x1) * channels + ch];
+    return (a + (b - a) * tx) * (1 - ty) + (c + (d - c) * tx) * ty;
+}
+
+// Stamp a heights grid into the world.  opts (all optional):
+//   color        — a grid with rgb to color the tiles from
+//   scale        — world px per sample (default 1, lowered to fit DEM_MAX_TILES)
+//   tileX, tileY — top-left tile (default: centered on the camera's tile)
+//   relief       — lowest-to-highest rise in world units (default: true
+//                  proportions from the cell size, else DEM_RELIEF)
+//   name         — label for the tile editor
+// Returns the import record stored in window.worldDEMImports.
+function importDEM(grid, opts) {
+    opts = opts || {};
+    var q = grid.samples ? grid : demQuantize(grid);
+    var adv  = tileSystem.tileWidth - tileSystem.overlapSize;
+    var half = worldPlayableHalf();
+
+    // Scale: one sample per px unless that takes too many tiles
+    var scale = opts.scale;
+    if (!scale) {
+        scale = 1;
+        while (true) {
+            var sp = demTileSpan(q.width, q.height, scale);
+            if (sp.nx * sp.ny <= DEM_MAX_TILES && sp.nx <= 2 * half && sp.ny <= 2 * half) break;
+            scale *= 0.9;
+        }
+    }
+    var color = opts.color || null;
+
+    // A new grid squeezed below one sample per px keeps only the samples the
+    // tiles show; restored grids were stored that way already
+    if (!grid.samples && scale < 1) {
+        var rw = Math.max(2, Math.round(q.width * scale)), rh = Math.max(2, Math.round(q.height * scale));
+        if (color && color.width * color.height > rw * rh) {
+            color = { width: rw, height: rh, rgb: demResample(color.rgb, color.width, color.height, 3, rw, rh) };
+        }
+        q = {
+            width: rw, height: rh, min: q.min, max: q.max,
+            cellSize: q.cellSize ? q.cellSize * q.width / rw : null,
+            samples: demResample(q.samples, q.width, q.height, 1, rw, rh)
+        };
+        scale = 1;
+    }
+
+    var span = demTileSpan(q.width, q.height, scale);
+    if (span.nx * span.ny > DEM_MAX_TILES) throw demError(span.nx + 'x' + span.ny + ' tiles is over the ' + DEM_MAX_TILES + ' tile budget');
+    if (span.nx > 2 * half || span.ny > 2 * half) throw demError('the grid is wider than the playable world');
+
+    var tileX = opts.tileX, tileY = opts.tileY;
+    if (tileX === undefined || tileY === undefined) {
+        var at = getTileCoords(camera.x, camera.y);
+        tileX = at.tileX - ((span.nx - 1) >> 1);
+        tileY = at.tileY - ((span.ny - 1) >> 1);
+    }
+    tileX = Math.max(-half, Math.min(half - span.nx, tileX));
+    tileY = Math.max(-half, Math.min(half - span.ny, tileY));
+
+    var relief = opts.relief || (q.cellSize ? Math.min(DEM_MAX_RELIEF, (q.max - q.min) * scale / q.cellSize) : DEM_RELIEF);
+    var hs = Math.max(1, Math.ceil((DEM_BASE_ALT + relief) / 250 * 4) / 4);
+
+    // The grid sits centered in the tiles' own squares, in world px
+    var ox = tileX * adv + (span.nx * adv - q.width * scale) / 2;
+    var oy = tileY * adv + (span.ny * adv - q.height * scale) / 2;
+    var record = {
+        name: opts.name || 'DEM', tileX: tileX, tileY: tileY, scale: scale, relief: relief,
+        width: q.width, height: q.height, min: q.min, max: q.max, cellSize: q.cellSize || null,
+        samples: q.samples, color: color ? { width: color.width, height: color.height, rgb: color.rgb } : null,
+        tiles: []
+    };
+
+    if (!window.demTileIndex) window.demTileIndex = {};
+    for (var ty = tileY; ty < tileY + span.ny; ty++) {
+        for (var tx = tileX; tx < tileX + span.nx; tx++) {
+            var m = {
+                width:       tileSystem.tileWidth,
+                height:      tileSystem.tileHeight,
+                shift:       10,
+                altitude:    createAltitudeArray(tileSystem.tileWidth * tileSystem.tileHeight),
+                color:       new Uint32Array(tileSystem.tileWidth * tileSystem.tileHeight),
+                heightScale: hs
+            };
+            stampDEMTile(m, q, color, record, tx * adv - ox, ty * adv - oy, {
+                w: tx === tileX, e: tx === tileX + span.nx - 1, n: ty === tileY, s: ty === tileY + span.ny - 1
+            });
+            var key = getTileKey(tx, ty);
+            window.demTileIndex[key] = maps.length;
+            tileSystem.tileMap[key] = maps.length;
+            maps.push(m);
+            record.tiles.push(key);
+        }
+    }
+    (window.worldDEMImports = window.worldDEMImports || []).push(record);
+    demClearCoveredSettlements(record.tiles);
+    return record;
+}
+
+// Heights and colors of one tile.  (gx, gy) is the tile's pixel (0, 0) in
+// world px from the grid's corner; outer marks the import's outside edges,
+// which fade to BIOME_TRANSITION_ALT like every generated tile.
+function stampDEMTile(m, q, color, record, gx, gy, outer) {
+    var w = m.width, h = m.height, hs = m.heightScale;
+    var span = (q.max - q.min) || 1;
+    var inv  = 1 / record.scale;
+    for (var y = 0; y < h; y++) {
+        var fy = (gy + y) * inv - 0.5;
+        var ey = Math.min(outer.n ? y : Infinity, outer.s ? h - 1 - y : Infinity);
+        for (var x = 0; x < w; x++) {
+            var fx = (gx + x) * inv - 0.5;
+            var t = demBilinear(q.samples, q.width, q.height, 1, 0, fx, fy) / 65535;
+            var alt = DEM_BASE_ALT + t * record.relief;
+
+            var e = Math.min(ey, outer.w ? x : Infinity, outer.e ? w - 1 - x : Infinity);
+            if (e < BIOME_BLEND_WIDTH) {
+                var f = e / BIOME_BLEND_WIDTH;
+                f = f * f * (3 - 2 * f);
+                alt = alt * f + BIOME_TRANSITION_ALT * (1 - f);
+            }
+            var idx = (y << m.shift) + x;
+            setAltitude(m, idx, alt / hs);
+
+            if (color) {
+                var cx = (fx + 0.5) / q.width * color.width - 0.5, cy = (fy + 0.5) / q.height * color.height - 0.5;
+                var r = demBilinear(color.rgb, color.width, color.height, 3, 0, cx, cy) | 0;
+                var g = demBilinear(color.rgb, color.width, color.height, 3, 1, cx, cy) | 0;
+                var b = demBilinear(color.rgb, color.width, color.height, 3, 2, cx, cy) | 0;
+                m.color[idx] = (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+            } else {
+                var wx = gx + x, wy = gy + y;
+                m.color[idx] = demBiomeColor((alt - DEM_BASE_ALT) / record.relief, pixelVar(wx, wy));
+            }
+        }
+    }
+    if (!color && typeof applyMaterials === 'function') {
+        applyMaterials(m, demMaterialProfile(DEM_BASE_ALT, record.relief));
+    }
+}
+
+// Settlements on imported tiles lose their buildings (the pad is gone)
+function demClearCoveredSettlements(keys) {
+    if (!window.worldSettlements) return;
+    window.worldSettlements = window.worldSettlements.filter(function(s) {
+        return keys.indexOf(getTileKey(cellToTile(s.cell.x), cellToTile(s.cell.y))) < 0;
+    });
+    if (typeof placeSettlementBuildings === 'function') placeSettlementBuildings();
+}
+
+// Forget the imports of the previous world.  Called whenever a new world
+// is generated, installed or streamed.
+function clearDEMImports() {
+    window.demTileIndex = null;
+    window.worldDEMImports = null;
+}
+
+// -----------------------------------------------------------------------
+// Saves
+// -----------------------------------------------------------------------
+
+// The imports of the current world in save form, or null
+function saveDEMImports() {
+    if (!window.worldDEMImports || !window.worldDEMImports.length) return null;
+    return window.worldDEMImports.map(function(r) {
+        return {
+            name: r.name, tileX: r.tileX, tileY: r.tileY, scale: r.scale, relief: r.relief,
+            width: r.width, height: r.height, min: r.min, max: r.max, cellSize: r.cellSize,
+            samples: demToBase64(new Uint8Array(r.samples.buffer, r.samples.byteOffset, r.samples.byteLength)),
+            color: r.color ? { width: r.color.width, height: r.color.height, rgb: demToBase64(r.color.rgb) } : null
+        };
+    });
+}
+
+// Stamp saved imports again, in their saved order
+function restoreDEMImports(list) {
+    (list || []).forEach(function(s) {
+        var bytes = demFromBase64(s.samples);
+        importDEM({
+            width: s.width, height: s.height, min: s.min, max: s.max, cellSize: s.cellSize,
+            samples: new Uint16Array(bytes.buffer, 0, s.width * s.height)
+        }, {
+            name: s.name, tileX: s.tileX, tileY: s.tileY, scale: s.scale, relief: s.relief,
+            color: s.color ? { width: s.color.width, height: s.color.height, rgb: demFromBase64(s.color.rgb) } : null
+        });
+    });
+}
+
+// -----------------------------------------------------------------------
+// DEM button
+// -----------------------------------------------------------------------
+
+// Read the picked files, then import: one file is the heights; with two,
+// the RGB one colors the other.
+function importDEMFiles(files) {
+    files = Array.prototype.slice.call(files, 0, 2);
+    var grids = [], left = files.length;
+    var fail = function(e) {
+        left = -1;
+        console.error(e);
+        alert(e.message || 'DEM import failed.');
+    };
+    files.forEach(function(file, i) {
+        var reader = new FileReader();
+        reader.onload = function(ev) {
+            if (left < 0) return;
+            parseDEMFile(new Uint8Array(ev.target.result), function(grid) {
+                if (left < 0) return;
+                grid.name = file.name;
+                grids[i] = grid;
+                if (--left === 0) finishDEMImport(grids, fail);
+            }, fail);
+        };
+        reader.onerror = function() { fail(demError('could not read ' + file.name)); };
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+function finishDEMImport(grids, fail) {
+    var heights = grids[0], color = null;
+    if (grids.length === 2) {
+        if (!grids[0].rgb === !grids[1].rgb) {
+            fail(demError('pick one height file and one RGB color image'));
+            return;
+        }
+        heights = grids[0].rgb ? grids[1] : grids[0];
+        color   = grids[0].rgb ? grids[0] : grids[1];
+    }
+    try {
+        var record = importDEM(heights, { color: color, name: heights.name.replace(/\.[^.]*$/, '').toUpperCase() });
+    } catch (e) {
+        fail(e);
+        return;
+    }
+    if (typeof respawnTreesOnTile === 'function') record.tiles.forEach(respawnTreesOnTile);
+    if (typeof BuildTileLegend === 'function') BuildTileLegend();
+    camera.height = Math.max(camera.height, getRawTerrainHeight(camera.x, camera.y) + player.normalHeight);
+}
+
+function initDEMImportEvents() {
+    var btn   = document.getElementById('dem-btn');
+    var input = document.getElementById('dem-file-input');
+    if (!btn || !input) return;
+    btn.addEventListener('click', function() {
+        if (!proceduralMode || !window.worldMapData) {
+            alert('DEM import needs a generated world (not the infinite one).');
+            return;
+        }
+        input.click();
+    });
+    input.addEventListener('change', function() {
+        if (input.files.length) importDEMFiles(input.files);
+        input.value = '';
+    });
+}
@@ -1,10 +1,39 @@
 // ===============================
 // Map Loading - Minimal
 // ===============================
+// Tile system set-up for generated worlds, and map packs: hand-authored
+// worlds of color / height image pairs described by a JSON manifest.
+//
+// A map pack manifest (see maps/classic.json):
+//   {
+//     "name":      "Classic",
+//     "worldSize": 16,                        // 16, 32 or 64 (default 16)
+//     "seaLevel":  0,                         // world units (default 0, no sea)
+//     "spawn":     [448, 448],                // camera start, world units
+//     "maps": {                               // images relative to the manifest
+//       "C1W": { "color": "C1W.png", "height": "D1.png", "heightScale": 1 },
+//       "BIG": { "color": "c.png", "height": "h.png", "size": [2048, 2048] }
+//     },
+//     "tiles":  [{ "map": "C1W", "at": [0, 0] }],   // explicit placements
+//     "fill":   ["C1W"],                      // every other playable tile
+//     "border": "C14"                         // ring outside the playable area
+//   }
+// Images are read at their own size, or resampled to "size".  A map larger
+// than one tile is cut into 1024x1024 slices that advance 896 px, so the
+// slices keep the usual 128 px overlap; it is placed by its top-left tile.
+// "fill" and "border" use a map's first slice.  Heights are the red channel
+// of the height image (0-255 data units) times heightScale.
+//
+// Packs are listed in the seed menu from <link rel="map-pack"> tags in
+// index.html; a pack can also be opened from a local folder.
 "use strict";
 
+var MAP_PACK_SIZES = [16, 32, 64];
+
+// Read image pixels.  dimensions[i] ({ width, height }) resamples image i;
+// null keeps its own size.  Resolves with one ImageData per URL.
 function DownloadImagesAsync(urls, dimensions) {
-    return new Promise(function(resolve) {
+    return new Promise(function(resolve, reject) {
         var pending = urls.length, result = [];
         if (!pending) { resolve([]); return; }
         urls.forEach(function(url, i) {
@@ -12,132 +41,333 @@ function DownloadImagesAsync(urls, dimensions) {
             img.onload = function() {
                 var tcv = document.createElement("canvas"),
                     tcx = tcv.getContext("2d");
-                var dim = dimensions[i];
+                var dim = (dimensions && dimensions[i]) || img;
                 tcv.width = dim.width;
                 tcv.height = dim.height;
                 tcx.drawImage(img, 0, 0, dim.width, dim.height);
-                result[i] = tcx.getImageData(0, 0, dim.width, dim.height).data;
+                try {
+                    result[i] = tcx.getImageData(0, 0, dim.width, dim.height);
+                } catch (e) {
+                    // file:// pages may not read image pixels back
+                    reject(mapPackError('cannot read the pixels of ' + url + ' (serve the page over http)'));
+                    return;
+                }
                 pending--;
                 if (!pending) resolve(result);
             };
+            img.onerror = function() { reject(mapPackError('cannot load ' + url)); };
             img.src = url;
         });
     });
 }
 
-function LoadMap(files, files2, files3, files4) {
-    var f = files.split(";");
-    var f2 = files2.split(";");
-    var f3 = files3.split(";");
-    var f4 = files4.split(";");
-
-    // Load all four map sets with their respective dimensions
-    DownloadImagesAsync([
-        "maps/" + f[0] + ".png",   // Map 1 color
-        "maps/" + f[1] + ".png",   // Map 1 height
-        "maps/" + f2[0] + ".png",  // Map 2 color
-        "maps/" + f2[1] + ".png",  // Map 2 height
-        "maps/" + f3[0] + ".png",  // Map 3 color
-        "maps/" + f3[1] + ".png",  // Map 3 height
-        "maps/" + f4[0] + ".png",  // Map 4 color (T1 - mountains/valleys)
-        "maps/" + f4[1] + ".png"   // Map 4 height (H1 - mountains/valleys)
-    ], [
-        map,  // Map 1 color dimensions
-        map,  // Map 1 height dimensions
-        map2, // Map 2 color dimensions
-        map2, // Map 2 height dimensions
-        map3, // Map 3 color dimensions
-        map3, // Map 3 height dimensions
-        map4, // Map 4 color dimensions (4096x4096)
-        map4  // Map 4 height dimensions (4096x4096)
-    ]).then(OnLoadedImages);
+// -----------------------------------------------------------------------
+// Map packs
+// -----------------------------------------------------------------------
+
+function mapPackError(msg) {
+    return new Error('Map pack: ' + msg);
 }
 
-function OnLoadedImages(result) {
-    var datac1 = result[0], datah1 = result[1];
-    var datac2 = result[2], datah2 = result[3];
-    var datac3 = result[4], datah3 = result[5];
-    var datac4 = result[6], datah4 = result[7];
-
-    // Load first map
-    for (var i = 0; i < map.width * map.height; i++) {
-        map.color[i] = 0xFF000000 |
-                       (datac1[(i << 2) + 2] << 16) |
-                       (datac1[(i << 2) + 1] << 8) |
-                        datac1[(i << 2) + 0];
-        map.altitude[i] = datah1[i << 2];
+// Check a parsed manifest; throws a mapPackError naming the first problem
+function validateMapPack(pack) {
+    if (!pack || typeof pack !== 'object') throw mapPackError('the manifest is not a JSON object');
+    if (!pack.maps || !Object.keys(pack.maps).length) throw mapPackError('"maps" lists no maps');
+    if (pack.worldSize !== undefined && MAP_PACK_SIZES.indexOf(pack.worldSize) < 0) {
+        throw mapPackError('"worldSize" must be 16, 32 or 64');
     }
+    Object.keys(pack.maps).forEach(function(id) {
+        var m = pack.maps[id];
+        if (!m || typeof m.color !== 'string' || typeof m.height !== 'string') {
+            throw mapPackError('map "' + id + '" needs "color" and "height" images');
+        }
+        if (m.size && !(m.size.length === 2 && m.size[0] >= 1 && m.size[1] >= 1)) {
+            throw mapPackError('map "' + id + '" has a bad "size"');
+        }
+    });
+    var known = function(id, where) {
+        if (!pack.maps[id]) throw mapPackError(where + ' names unknown map "' + id + '"');
+    };
+    (pack.tiles || []).forEach(function(t, i) {
+        known(t.map, 'tiles[' + i + ']');
+        if (!(t.at && t.at.length === 2)) throw mapPackError('tiles[' + i + '] needs "at": [tileX, tileY]');
+    });
+    (pack.fill || []).forEach(function(id) { known(id, '"fill"'); });
+    if (pack.border) known(pack.border, '"border"');
+}
 
-    // Load second map
-    for (var i = 0; i < map2.width * map2.height; i++) {
-        map2.color[i] = 0xFF000000 |
-                        (datac2[(i << 2) + 2] << 16) |
-                        (datac2[(i << 2) + 1] << 8) |
-                         datac2[(i << 2) + 0];
-        map2.altitude[i] = datah2[i << 2];
+// Cut one map's image pair into tile slices, push them onto maps[] and
+// return { slices, across, down }
+function sliceMapPackImages(entry, color, height) {
+    var tw = tileSystem.tileWidth, th = tileSystem.tileHeight;
+    var adv = tw - tileSystem.overlapSize;
+    var w = color.width, h = color.height;
+    var across = Math.max(1, Math.ceil((w - tileSystem.overlapSize) / adv));
+    var down   = Math.max(1, Math.ceil((h - tileSystem.overlapSize) / adv));
+    var slices = [];
+    for (var j = 0; j < down; j++) {
+        for (var i = 0; i < across; i++) {
+            var m = {
+                width:       tw,
+                height:      th,
+                shift:       10,
+                altitude:    createAltitudeArray(tw * th),
+                color:       new Uint32Array(tw * th),
+                heightScale: entry.heightScale || 1.0
+            };
+            for (var y = 0; y < th; y++) {
+                // Slices past the image's edge repeat its last row / column
+                var sy = Math.min(h - 1, j * adv + y);
+                for (var x = 0; x < tw; x++) {
+                    var s = (sy * w + Math.min(w - 1, i * adv + x)) << 2;
+                    var idx = (y << m.shift) + x;
+                    m.color[idx] = (0xFF000000 |
+                                    (color.data[s + 2] << 16) |
+                                    (color.data[s + 1] << 8) |
+                                     color.data[s]) >>> 0;
+                    setAltitude(m, idx, height.data[s]);
+                }
+            }
+            slices.push(maps.length);
+            maps.push(m);
+        }
     }
+    return { slices: slices, across: across, down: down };
+}
 
-    // Load third map
-    for (var i = 0; i < map3.width * map3.height; i++) {
-        map3.color[i] = 0xFF000000 |
-                        (datac3[(i << 2) + 2] << 16) |
-                        (datac3[(i << 2) + 1] << 8) |
-                         datac3[(i << 2) + 0];
-        map3.altitude[i] = datah3[i << 2];
+// Load a validated manifest's images (resolve maps a manifest path to a
+// URL, and may throw) and make the pack the current world.
+// onDone(loaded pack) / onError(err).
+function LoadMap(pack, resolve, onDone, onError) {
+    var ids = Object.keys(pack.maps);
+    var colorUrls = [], heightUrls = [], sizes = [];
+    try {
+        ids.forEach(function(id) {
+            var m = pack.maps[id];
+            colorUrls.push(resolve(m.color));
+            heightUrls.push(resolve(m.height));
+            sizes.push(m.size ? { width: m.size[0], height: m.size[1] } : null);
+        });
+    } catch (e) {
+        onError(e);
+        return;
     }
+    // Height images are read at their color image's size
+    DownloadImagesAsync(colorUrls, sizes).then(function(colors) {
+        return DownloadImagesAsync(heightUrls, colors).then(function(heights) {
+            onDone(OnLoadedImages(pack, ids, colors, heights));
+        });
+    }).catch(onError);
+}
 
-    // Load fourth map (T1/H1 - mountain and valley map)
-    for (var i = 0; i < map4.width * map4.height; i++) {
-        map4.color[i] = 0xFF000000 |
-                        (datac4[(i << 2) + 2] << 16) |
-                        (datac4[(i << 2) + 1] << 8) |
-                         datac4[(i << 2) + 0];
-        map4.altitude[i] = datah4[i << 2];
-    }
+// Install a map pack's images as the current world; returns the loaded pack
+function OnLoadedImages(pack, ids, colors, heights) {
+    if (typeof stopWorldStream === 'function') stopWorldStream();
+    if (typeof clearDEMImports === 'function') clearDEMImports();
+    clearMapPack();
+
+    proceduralMode = false;
+    window.worldMapData      = null;
+    window.worldHydrology    = null;
+    window.worldSettlements  = null;
+    window.worldRoads        = null;
+    setWorldMapSize(pack.worldSize || 16);
+    items = [];
+
+    maps.length = 0;
+    var hasWater = typeof water !== 'undefined';
+    var loaded = { name: pack.name || 'MAP PACK', source: pack, maps: {}, seaLevel: hasWater ? water.seaLevel : 0 };
+    ids.forEach(function(id, i) {
+        loaded.maps[id] = sliceMapPackImages(pack.maps[id], colors[i], heights[i]);
+    });
+    window.mapPack = loaded;
+    if (hasWater) water.seaLevel = pack.seaLevel || 0;
 
-    // Initialize tile system - assign random maps to tiles
     initializeTileSystem();
+    if (typeof placeSettlementBuildings === 'function') placeSettlementBuildings();
+    console.log('Map pack', loaded.name, 'loaded:', maps.length, 'tiles from', ids.length, 'maps');
+    return loaded;
+}
 
-    // Flatten terrain under the cube
-    flattenTerrainUnderCube();
+// Return to the base maps after a map pack, ahead of generating a world
+function clearMapPack() {
+    if (!window.mapPack) return;
+    if (typeof water !== 'undefined') water.seaLevel = window.mapPack.seaLevel;
+    window.mapPack = null;
+    maps.length = 0;
+    maps.push(map, map2, map3, biomeMapMountain);
+}
 
-    // Start draw loop
-    Draw();
+// Fetch a manifest by URL; its images are relative to it
+function loadMapPackURL(url, onDone, onError) {
+    var base = url.replace(/[^\/]*$/, '');
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.onload = function() {
+        try {
+            if (xhr.status && xhr.status !== 200) throw mapPackError(url + ': HTTP ' + xhr.status);
+            var pack = JSON.parse(xhr.responseText);
+            validateMapPack(pack);
+        } catch (e) {
+            onError(e instanceof SyntaxError ? mapPackError(url + ': ' + e.message) : e);
+            return;
+        }
+        LoadMap(pack, function(p) { return base + p; }, onDone, onError);
+    };
+    xhr.onerror = function() { onError(mapPackError('cannot load ' + url)); };
+    try {
+        xhr.send();
+    } catch (e) {
+        // Some browsers refuse file:// requests synchronously
+        xhr.onerror();
+    }
 }
 
+// Open a pack from a picked folder (a FileList with webkitRelativePath):
+// the manifest is pack.json, or the only .json file in it
+function loadMapPackFolder(files, onDone, onError) {
+    files = Array.prototype.slice.call(files);
+    var byPath = {};
+    files.forEach(function(f) { byPath[f.webkitRelativePath || f.name] = f; });
+    var json = files.filter(function(f) { return /\.json$/i.test(f.name); });
+    var manifest = json.filter(function(f) { return f.name.toLowerCase() === 'pack.json'; })[0] ||
+                   (json.length === 1 ? json[0] : null);
+    if (!manifest) {
+        onError(mapPackError(json.length ? 'the folder has several .json files and no pack.json' : 'the folder has no .json manifest'));
+        return;
+    }
+    var dir = (manifest.webkitRelativePath || manifest.name).replace(/[^\/]*$/, '');
+    var reader = new FileReader();
+    reader.onload = function() {
+        var urls = [];
+        var finish = function(fn) {
+            return function(x) {
+                urls.forEach(function(u) { URL.revokeObjectURL(u); });
+                fn(x);
+            };
+        };
+        try {
+            var pack = JSON.parse(reader.result);
+            validateMapPack(pack);
+        } catch (e) {
+            onError(e instanceof SyntaxError ? mapPackError(manifest.name + ': ' + e.message) : e);
+            return;
+        }
+        LoadMap(pack, function(p) {
+            var file = byPath[dir + p];
+            if (!file) throw mapPackError('the folder has no ' + p);
+            var u = URL.createObjectURL(file);
+            urls.push(u);
+            return u;
+        }, finish(onDone), finish(onError));
+    };
+    reader.onerror = function() { onError(mapPackError('cannot read ' + manifest.name)); };
+    reader.readAsText(manifest);
+}
+
+// Seed menu: fill the MAP PACK list from <link rel="map-pack"> tags and
+// play the chosen pack (or a folder) with PLAY MAP PACK
+function initMapPackMenu(onLoaded) {
+    var select   = document.getElementById('map-pack-select');
+    var playBtn  = document.getElementById('play-pack-btn');
+    var folderIn = document.getElementById('map-pack-folder-input');
+    var progress = document.getElementById('gen-progress');
+    if (!select || !playBtn) return;
+
+    var folderOpt = select.querySelector('option[value="folder"]');
+    Array.prototype.forEach.call(document.querySelectorAll('link[rel="map-pack"]'), function(link) {
+        var opt = document.createElement('option');
+        opt.value = link.getAttribute('href');
+        opt.textContent = (link.getAttribute('title') || opt.value).toUpperCase();
+        select.insertBefore(opt, folderOpt);
+    });
+    if (select.options.length) select.selectedIndex = 0;
+
+    var busy = false;
+    var done = function(pack) {
+        busy = false;
+        playBtn.disabled = false;
+        if (progress) progress.textContent = '';
+        onLoaded(pack);
+    };
+    var fail = function(e) {
+        busy = false;
+        playBtn.disabled = false;
+        if (progress) progress.textContent = '';
+        console.error(e);
+        alert(e.message || 'Map pack failed to load.');
+    };
+    var start = function(load) {
+        busy = true;
+        playBtn.disabled = true;
+        if (progress) progress.textContent = 'LOADING MAP PACK...';
+        load(done, fail);
+    };
+
+    playBtn.addEventListener('click', function() {
+        if (busy) return;
+        if (select.value === 'folder') {
+            if (folderIn) folderIn.click();
+        } else {
+            start(function(ok, err) { loadMapPackURL(select.value, ok, err); });
+        }
+    });
+    if (folderIn) folderIn.addEventListener('change', function() {
+        var files = folderIn.files;
+        if (files.length) start(function(ok, err) { loadMapPackFolder(files, ok, err); });
+        folderIn.value = '';
+    });
+}
+
+// -----------------------------------------------------------------------
+// Tile system
+// -----------------------------------------------------------------------
+
 // Initialize the tile system.
 // In procedural/biome mode: uses the world map from constraint satisfaction.
-// Fallback: original random assignment (used if LoadMap is called directly).
+// With a map pack: the pack's placements (initializeMapPackTileSystem).
 function initializeTileSystem() {
     if (proceduralMode && window.worldMapData) {
         initializeBiomeTileSystem();
-        return;
+    } else if (window.mapPack) {
+        initializeMapPackTileSystem(window.mapPack);
     }
+}
 
-    // ---- Original random assignment (fallback) ----
-    var gridSize = 10;
-    var halfGrid = Math.floor(gridSize / 2);
+// Map pack placement: "border" around the playable area, "fill" inside it
+// (picked per tile by a coordinate hash, so a pack always lays out the
+// same), then the explicit "tiles" on top.
+function initializeMapPackTileSystem(loaded) {
+    var pack = loaded.source;
+    var halfGrid = worldPlayableHalf();
+    var fill = pack.fill || [];
     var tileCount = 0;
+    tileSystem.tileMap = {};
 
     for (var tileY = -halfGrid - 1; tileY <= halfGrid; tileY++) {
         for (var tileX = -halfGrid - 1; tileX <= halfGrid; tileX++) {
             var tileKey = tileX + ',' + tileY;
             var isBorder = (tileX === -halfGrid - 1) || (tileX === halfGrid) ||
-                          (tileY === -halfGrid - 1) || (tileY === halfGrid);
+                           (tileY === -halfGrid - 1) || (tileY === halfGrid);
 
             if (isBorder) {
-                tileSystem.tileMap[tileKey] = 2;
-            } else if (tileX === 0 && tileY === 0) {
-                tileSystem.tileMap[tileKey] = 0;
-            } else if (tileX === 1 && tileY === 0) {
-                tileSystem.tileMap[tileKey] = 1;
-            } else {
-                tileSystem.tileMap[tileKey] = Math.floor(Math.random() * 2);
+                if (pack.border) tileSystem.tileMap[tileKey] = loaded.maps[pack.border].slices[0];
+            } else if (fill.length) {
+                var h = (Math.imul(tileX, 73856093) ^ Math.imul(tileY, 19349663)) >>> 0;
+                tileSystem.tileMap[tileKey] = loaded.maps[fill[h % fill.length]].slices[0];
             }
             tileCount++;
         }
     }
-    console.log("Tile system initialized (random) with", tileCount, "tiles");
+    (pack.tiles || []).forEach(function(t) {
+        var m = loaded.maps[t.map];
+        for (var j = 0; j < m.down; j++) {
+            for (var i = 0; i < m.across; i++) {
+                tileSystem.tileMap[getTileKey(t.at[0] + i, t.at[1] + j)] = m.slices[j * m.across + i];
+            }
+        }
+    });
+    console.log("Tile system initialized (map pack) with", tileCount, "tiles");
 }
 
 // Biome-aware tile system initialization.
@@ -148,13 +378,26 @@ function initializeTileSystem() {
 //   PLAINS   (2) → 1  (map2             — gentle grassland)
 //   HILLS    (3) → 2  (map3             — rolling hills)
 //   MOUNTAIN (4) → 3  (biomeMapMountain — dramatic peaks)
+// Oriented biomes (mountain, transition, ridge, foothill) and registered
+// plugin biomes route through their per-key index tables, and beach, plains
+// and hills cells use their variant from window.biomeVariantIndex.  In
+// continuous mode, cells with a world-space tile (window.continuousTileIndex)
+// use it ahead of all of these.  Cells carved by the hydrology pass use their
+// own tile from window.hydrologyTileIndex, and cells a road was carved into
+// use theirs from window.roadTileIndex.  Settlement cells use their levelled
+// tile from window.settlementTileIndex, and imported DEM tiles
+// (window.demTileIndex, see demImport.js) take precedence over everything.
 //
-// Border tiles (outer ring) always use index 3 (mountain wall).
+// The playable area is read from the world dimension (worldPlayableHalf);
+// the border ring just outside it is left empty.
 function initializeBiomeTileSystem() {
-    var gridSize = 10;
-    var halfGrid = Math.floor(gridSize / 2);
+    var halfGrid = worldPlayableHalf();
     var tileCount = 0;
 
+    // Start from an empty map so a smaller world doesn't inherit the
+    // outer tiles of a previously generated larger one.
+    tileSystem.tileMap = {};
+
     for (var tileY = -halfGrid - 1; tileY <= halfGrid; tileY++) {
         for (var tileX = -halfGrid - 1; tileX <= halfGrid; tileX++) {
             var tileKey  = tileX + ',' + tileY;
@@ -164,36 +407,20 @@ function initializeBiomeTileSystem() {
             if (isBorder) {
                 // Border tiles left empty — no mountain wall at world edge
             } else {
-                // Look up this tile's position in the 16x16 world map.
-                // Tile (0,0) → cell (8,8); tile (-5,-5) → cell (3,3); etc.
-                var wmX = Math.max(0, Math.min(WORLD_MAP_SIZE - 1, tileX + 8));
-                var wmY = Math.max(0, Math.min(WORLD_MAP_SIZE - 1, tileY + 8));
-                var biome = window.worldMapData[wmY * WORLD_MAP_SIZE + wmX];
-
-                if (biome === BIOME_MOUNTAIN && window.mountainRidgeMapIndex) {
-                    // Route each mountain cell to its oriented ridge tile
-                    var ridgeKey = getMountainRidgeKey(window.worldMapData, wmX, wmY);
-                    var ridgeIdx = window.mountainRidgeMapIndex[ridgeKey];
-                    tileSystem.tileMap[tileKey] = (ridgeIdx !== undefined) ? ridgeIdx : 3;
-                } else if (biome === BIOME_TRANSITION && window.transitionMapIndex) {
-                    // Route each transition cell to its oriented blend tile
-                    var tKey = getTransitionKey(window.worldMapData, wmX, wmY);
-                    var tIdx = window.transitionMapIndex[tKey];
-                    tileSystem.tileMap[tileKey] = (tIdx !== undefined) ? tIdx : 0; // fallback: beach
-                } else if (biome === BIOME_RIDGE && window.wideRidgeMapIndex) {
-                    // Route each wide ridge cell to its oriented straight-ridge tile
-                    var rKey = getRidgeOrientationKey(window.worldMapData, wmX, wmY);
-                    var rIdx = window.wideRidgeMapIndex[rKey];
-                    tileSystem.tileMap[tileKey] = (rIdx !== undefined) ? rIdx : 3; // fallback: mountain
-                } else if (biome === BIOME_FOOTHILL && window.foothillMapIndex) {
-                    // Route each foothill cell to its oriented ramp tile
-                    var fKey = getFoothillKey(window.worldMapData, wmX, wmY);
-                    var fIdx = window.foothillMapIndex[fKey];
-                    tileSystem.tileMap[tileKey] = (fIdx !== undefined) ? fIdx : 1; // fallback: plains
-                } else {
-                    // biome is 1–4; subtract 1 for zero-based map index
-                    tileSystem.tileMap[tileKey] = Math.max(0, biome - 1);
-                }
+                // Look up this tile's position in the world map.
+                // On a 16-cell grid tile (0,0) → cell (8,8); tile (-5,-5) → cell (3,3).
+                var wmX = Math.max(0, Math.min(WORLD_MAP_SIZE - 1, tileToCell(tileX)));
+                var wmY = Math.max(0, Math.min(WORLD_MAP_SIZE - 1, tileToCell(tileY)));
+                var hIdx = window.hydrologyTileIndex ? window.hydrologyTileIndex[tileKey] : undefined;
+                var rIdx = window.roadTileIndex ? window.roadTileIndex[tileKey] : undefined;
+                var sIdx = window.settlementTileIndex ? window.settlementTileIndex[tileKey] : undefined;
+                var dIdx = window.demTileIndex ? window.demTileIndex[tileKey] : undefined;
+
+                // Cells a road, settlement, river or lake is in use their own carved copy
+                tileSystem.tileMap[tileKey] = (dIdx !== undefined) ? dIdx :
+                                              (rIdx !== undefined) ? rIdx :
+                                              (sIdx !== undefined) ? sIdx :
+                                              (hIdx !== undefined) ? hIdx : biomeTileIndex(wmX, wmY);
             }
             tileCount++;
         }
@@ -201,6 +428,49 @@ function initializeBiomeTileSystem() {
     console.log("Biome tile system initialized with", tileCount, "tiles");
 }
 
+// maps[] index for world map cell (wmX, wmY) — see the routing table above.
+function biomeTileIndex(wmX, wmY) {
+    var biome   = window.worldMapData[wmY * WORLD_MAP_SIZE + wmX];
+    var tileKey = getTileKey(cellToTile(wmX), cellToTile(wmY));
+
+    if (window.continuousTileIndex && window.continuousTileIndex[tileKey] !== undefined) {
+        // World-space tile from continuous mode
+        return window.continuousTileIndex[tileKey];
+    } else if (biome === BIOME_MOUNTAIN && window.mountainRidgeMapIndex) {
+        // Route each mountain cell to its oriented ridge tile
+        var ridgeKey = getMountainRidgeKey(window.worldMapData, wmX, wmY);
+        var ridgeIdx = window.mountainRidgeMapIndex[ridgeKey];
+        return (ridgeIdx !== undefined) ? ridgeIdx : 3;
+    } else if (biome === BIOME_TRANSITION && window.transitionMapIndex) {
+        // Route each transition cell to its oriented blend tile
+        var tKey = getTransitionKey(window.worldMapData, wmX, wmY);
+        var tIdx = window.transitionMapIndex[tKey];
+        return (tIdx !== undefined) ? tIdx : 0; // fallback: beach
+    } else if (biome === BIOME_RIDGE && window.wideRidgeMapIndex) {
+        // Route each wide ridge cell to its oriented straight-ridge tile
+        var rKey = getRidgeOrientationKey(window.worldMapData, wmX, wmY);
+        var rIdx = window.wideRidgeMapIndex[rKey];
+        return (rIdx !== undefined) ? rIdx : 3; // fallback: mountain
+    } else if (biome === BIOME_FOOTHILL && window.foothillMapIndex) {
+        // Route each foothill cell to its oriented ramp tile
+        var fKey = getFoothillKey(window.worldMapData, wmX, wmY);
+        var fIdx = window.foothillMapIndex[fKey];
+        return (fIdx !== undefined) ? fIdx : 1; // fallback: plains
+    } else if (getRegisteredBiome(biome)) {
+        // Registered plugin biome — route to its tile for this key
+        var reg  = getRegisteredBiome(biome);
+        var bKey = registeredBiomeKey(reg, gridBiomeLookup(window.worldMapData, WORLD_MAP_SIZE), wmX, wmY);
+        var bIdx = reg.mapIndex[bKey];
+        return (bIdx !== undefined) ? bIdx : 1; // fallback: plains
+    } else if (window.biomeVariantIndex) {
+        // Per-cell variant of a base biome (see generateBiomeVariantTiles)
+        var vIdx = window.biomeVariantIndex[tileKey];
+        if (vIdx !== undefined) return vIdx;
+    }
+    // biome is 1–4; subtract 1 for zero-based map index
+    return Math.max(0, biome - 1);
+}
+
 // Flatten terrain within the cube's footprint to prevent terrain poking through
 function flattenTerrainUnderCube() {
     var s = cube.size;
@@ -210,7 +480,7 @@ function flattenTerrainUnderCube() {
     var maxY = Math.ceil(cube.y + s / 2);
 
     // Find the minimum height within the cube's footprint
-    var minHeight = 255;
+    var minHeight = Infinity;
     for (var y = minY; y <= maxY; y++) {
         for (var x = minX; x <= maxX; x++) {
             var mx = x & (map.width - 1);
@@ -131,11 +131,11 @@ function genBeachTile(mapObj, seed) {
             var baseAlt = wetAlt + (dryAlt - wetAlt) * wetFactor;
 
             var fade     = biomeEdgeFade(x, y, w, h);
-            var altitude = Math.round(baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade));
+            var altitude = baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade);
             altitude = Math.max(18, Math.min(72, altitude));
 
             var idx = (y << mapObj.shift) + x;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = beachColor(altitude, wetFactor, pixelVar(x, y));
         }
     }
@@ -158,11 +158,11 @@ function genPlainsTile(mapObj, seed) {
             var baseAlt = 52 + t * 45;
 
             var fade     = biomeEdgeFade(x, y, w, h);
-            var altitude = Math.round(baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade));
+            var altitude = baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade);
             altitude = Math.max(50, Math.min(100, altitude));
 
             var idx = (y << mapObj.shift) + x;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = plainsColor(altitude, pixelVar(x, y));
         }
     }
@@ -192,7 +192,7 @@ function genHillsTile(mapObj, seed) {
             var baseAlt = 68 + t * 88;   // 68–156
 
             var fade     = biomeEdgeFade(x, y, w, h);
-            var altitude = Math.round(baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade));
+            var altitude = baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade);
             altitude = Math.max(65, Math.min(158, altitude));
 
             // Remap altitude → color range [120, 158] to skip the green/mossy zones
@@ -201,10 +201,13 @@ function genHillsTile(mapObj, seed) {
             colorAlt = Math.max(120, Math.min(158, colorAlt));
 
             var idx = (y << mapObj.shift) + x;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = hillsColor(colorAlt, pixelVar(x, y));
         }
     }
+
+    if (typeof applyErosion === 'function') applyErosion(mapObj, seed);
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'HILLS');
 }
 
 // Hills end-cap: same hills terrain but tapers from full hills height at the
@@ -253,15 +256,19 @@ function genHillsEndCapTile(mapObj, seed, key) {
 
             // Fade perpendicular edges; capTaper handles the along-axis slope
             var fade     = ridgeEdgeFade(x, y, w, h, hasN, hasS, hasE, hasW);
-            var altitude = Math.round(baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade));
+            var altitude = baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade);
             altitude = Math.max(65, Math.min(158, altitude));
 
             // Use hillsColor directly — moss (green) will appear at low altitudes near the cap
             var idx = (y << mapObj.shift) + x;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = hillsColor(altitude, pixelVar(x, y));
         }
     }
+
+    // Erode like genHillsTile so the cap matches the hills it ends
+    if (typeof applyErosion === 'function') applyErosion(mapObj, seed);
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'HILLS');
 }
 
 // MOUNTAIN — one dominant ridged peak with snow cap.
@@ -292,14 +299,17 @@ function genMountainTile(mapObj, seed) {
             // connect naturally with hills tiles.
             var fade     = biomeEdgeFade(x, y, w, h);
             var edgeAlt  = 85;
-            var altitude = Math.round(baseAlt * fade + edgeAlt * (1 - fade));
+            var altitude = baseAlt * fade + edgeAlt * (1 - fade);
             altitude = Math.max(80, Math.min(255, altitude));
 
             var idx = (y << mapObj.shift) + x;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = mountainColor(altitude, pixelVar(x, y));
         }
     }
+
+    if (typeof applyErosion === 'function') applyErosion(mapObj, seed);
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'MOUNTAIN');
 }
 
 // -----------------------------------------------------------------------
@@ -339,6 +349,7 @@ function ridgeEdgeFade(x, y, w, h, hasN, hasS, hasE, hasW) {
 function genDirectionalMountainTile(mapObj, seed, ridgeKey) {
     var detailFn = createPerlinNoise((seed ^ 0xF00DCAFE) >>> 0);
     var warpFn   = createPerlinNoise((seed ^ 0xA1B2C3D4) >>> 0);  // domain warp
+    var warp     = [0, 0];  // domainWarp() output
     var elevFn   = createPerlinNoise((seed ^ 0x9E8D7C6B) >>> 0);  // along-ridge elevation
     var w = mapObj.width, h = mapObj.height;
     mapObj.heightScale = BIOME_HEIGHT_SCALE;
@@ -365,8 +376,8 @@ function genDirectionalMountainTile(mapObj, seed, ridgeKey) {
             // ---- Domain warp: perturb sample coords before computing ridge dist ----
             // Uses two independent noise passes with offset seeds to get dx, dy.
             // This bends the ridge organically rather than leaving it geometric.
-            var wx  = fbm(warpFn, lx * WARP_FREQ,       ly * WARP_FREQ,       3, 2.0, 0.5) * WARP_AMP;
-            var wy  = fbm(warpFn, lx * WARP_FREQ + 4.7, ly * WARP_FREQ + 1.9, 3, 2.0, 0.5) * WARP_AMP;
+            domainWarp(warpFn, lx * WARP_FREQ, ly * WARP_FREQ, WARP_AMP, 4.7, 1.9, warp);
+            var wx  = warp[0], wy = warp[1];
             var wlx = lx + wx;
             var wly = ly + wy;
 
@@ -425,14 +436,17 @@ function genDirectionalMountainTile(mapObj, seed, ridgeKey) {
             // ---- Directional edge fade ----
             var fade    = ridgeEdgeFade(px, py, w, h, hasN, hasS, hasE, hasW);
             var edgeAlt = 85;
-            var altitude = Math.round(baseAlt * fade + edgeAlt * (1 - fade));
+            var altitude = baseAlt * fade + edgeAlt * (1 - fade);
             altitude = Math.max(80, Math.min(255, altitude));
 
             var idx = (py << mapObj.shift) + px;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = mountainColor(altitude, pixelVar(px, py));
         }
     }
+
+    if (typeof applyErosion === 'function') applyErosion(mapObj, seed);
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'MOUNTAIN');
 }
 
 // -----------------------------------------------------------------------
@@ -446,6 +460,7 @@ function genDirectionalMountainTile(mapObj, seed, ridgeKey) {
 function genPeakMountainTile(mapObj, seed) {
     var detailFn  = createPerlinNoise((seed ^ 0xB5C6D7E8) >>> 0);
     var warpFn    = createPerlinNoise((seed ^ 0x3F2E1D0C) >>> 0);
+    var warp      = [0, 0];  // domainWarp() output
     var speckleFn = createPerlinNoise((seed ^ 0x7C8D9EAF) >>> 0);  // color-only speckle
     var rng       = mulberry32((seed ^ 0x5E6F7A8B) >>> 0);
     var w = mapObj.width, h = mapObj.height;
@@ -481,8 +496,8 @@ function genPeakMountainTile(mapObj, seed) {
             var lx = px / (w - 1);
 
             // Domain warp — breaks perfect circular symmetry
-            var wx  = fbm(warpFn, lx * WARP_FREQ,       ly * WARP_FREQ,       3, 2.0, 0.5) * WARP_AMP;
-            var wy  = fbm(warpFn, lx * WARP_FREQ + 5.3, ly * WARP_FREQ + 2.1, 3, 2.0, 0.5) * WARP_AMP;
+            domainWarp(warpFn, lx * WARP_FREQ, ly * WARP_FREQ, WARP_AMP, 5.3, 2.1, warp);
+            var wx  = warp[0], wy = warp[1];
             var wlx = lx + wx, wly = ly + wy;
 
             // Maximum contribution across all peaks — peaks merge where they overlap.
@@ -501,7 +516,7 @@ function genPeakMountainTile(mapObj, seed) {
 
             // Fade all four edges to edgeFadeAlt → world-space BASE_ALT at seams.
             var fade     = biomeEdgeFade(px, py, w, h);
-            var altitude = Math.round(baseAlt * fade + edgeFadeAlt * (1 - fade));
+            var altitude = baseAlt * fade + edgeFadeAlt * (1 - fade);
             altitude     = Math.max(38, Math.min(255, altitude));
 
             // Remap to [188, 255] base range (grey-rock → snow), then add a
@@ -512,10 +527,12 @@ function genPeakMountainTile(mapObj, seed) {
             colorAlt = Math.max(148, Math.min(255, colorAlt));  // allow down to dark-grey band
 
             var idx = (py << mapObj.shift) + px;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = mountainColor(colorAlt, pixelVar(px, py));
         }
     }
+
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'PEAK');
 }
 
 // -----------------------------------------------------------------------
@@ -526,6 +543,7 @@ function genPeakMountainTile(mapObj, seed) {
 function genSinglePeakMountainTile(mapObj, seed) {
     var detailFn  = createPerlinNoise((seed ^ 0xD4E5F6A7) >>> 0);
     var warpFn    = createPerlinNoise((seed ^ 0x1A2B3C4D) >>> 0);
+    var warp      = [0, 0];  // domainWarp() output
     var speckleFn = createPerlinNoise((seed ^ 0x9F0E1D2C) >>> 0);
     var w = mapObj.width, h = mapObj.height;
 
@@ -546,8 +564,8 @@ function genSinglePeakMountainTile(mapObj, seed) {
         for (var px = 0; px < w; px++) {
             var lx = px / (w - 1);
 
-            var wx  = fbm(warpFn, lx * WARP_FREQ,       ly * WARP_FREQ,       3, 2.0, 0.5) * WARP_AMP;
-            var wy  = fbm(warpFn, lx * WARP_FREQ + 5.3, ly * WARP_FREQ + 2.1, 3, 2.0, 0.5) * WARP_AMP;
+            domainWarp(warpFn, lx * WARP_FREQ, ly * WARP_FREQ, WARP_AMP, 5.3, 2.1, warp);
+            var wx  = warp[0], wy = warp[1];
             var wlx = lx + wx, wly = ly + wy;
 
             // Single centered cone — cubic falloff for a sharp, defined summit.
@@ -559,7 +577,7 @@ function genSinglePeakMountainTile(mapObj, seed) {
             var baseAlt = edgeFadeAlt + (PEAK_MAX - edgeFadeAlt) * profile + noise;
 
             var fade     = biomeEdgeFade(px, py, w, h);
-            var altitude = Math.round(baseAlt * fade + edgeFadeAlt * (1 - fade));
+            var altitude = baseAlt * fade + edgeFadeAlt * (1 - fade);
             altitude     = Math.max(38, Math.min(255, altitude));
 
             var speckle  = fbm(speckleFn, (px / w) * 18.0, (py / h) * 18.0, 3, 2.0, 0.5) * 42;
@@ -567,10 +585,12 @@ function genSinglePeakMountainTile(mapObj, seed) {
             colorAlt = Math.max(148, Math.min(255, colorAlt));
 
             var idx = (py << mapObj.shift) + px;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = mountainColor(colorAlt, pixelVar(px, py));
         }
     }
+
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'PEAK');
 }
 
 // Scan the world map, find every unique mountain ridge configuration, allocate
@@ -582,11 +602,12 @@ function generateMountainRidgeTiles(baseSeed) {
     var grid = window.worldMapData;
     var s    = WORLD_MAP_SIZE;
 
-    // Collect unique ridge keys from the playable inner area (cells 3–12)
+    // Collect unique ridge keys from the playable inner area
     var keyToMap = {};   // ridgeKey → newly allocated map object
+    var lo = worldPlayableMinCell(), hi = worldPlayableMaxCell();
 
-    for (var gy = 3; gy <= 12; gy++) {
-        for (var gx = 3; gx <= 12; gx++) {
+    for (var gy = lo; gy <= hi; gy++) {
+        for (var gx = lo; gx <= hi; gx++) {
             if (grid[gy * s + gx] !== BIOME_MOUNTAIN) continue;
             var key = getMountainRidgeKey(grid, gx, gy);
             if (keyToMap[key]) continue;   // already created
@@ -595,7 +616,7 @@ function generateMountainRidgeTiles(baseSeed) {
                 width:       1024,
                 height:      1024,
                 shift:       10,
-                altitude:    new Uint8Array(1024 * 1024),
+                altitude:    createAltitudeArray(1024 * 1024),
                 color:       new Uint32Array(1024 * 1024),
                 heightScale: BIOME_HEIGHT_SCALE
             };
@@ -617,7 +638,7 @@ function generateMountainRidgeTiles(baseSeed) {
     // for any world, even if no isolated mountain cell exists naturally.
     var peakMap = {
         width:    1024, height:   1024, shift: 10,
-        altitude: new Uint8Array(1024 * 1024),
+        altitude: createAltitudeArray(1024 * 1024),
         color:    new Uint32Array(1024 * 1024),
         heightScale: BIOME_HEIGHT_SCALE
     };
@@ -629,7 +650,7 @@ function generateMountainRidgeTiles(baseSeed) {
     // Single-peak variant
     var peak1Map = {
         width:    1024, height:   1024, shift: 10,
-        altitude: new Uint8Array(1024 * 1024),
+        altitude: createAltitudeArray(1024 * 1024),
         color:    new Uint32Array(1024 * 1024),
         heightScale: BIOME_HEIGHT_SCALE
     };
@@ -717,7 +738,7 @@ function genTransitionTile(mapObj, seed, key) {
             b = Math.max(0, Math.min(255, b));
 
             var idx = (y << mapObj.shift) + x;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
         }
     }
@@ -743,7 +764,7 @@ function generateTransitionTiles(baseSeed) {
                 width:       1024,
                 height:      1024,
                 shift:       10,
-                altitude:    new Uint8Array(1024 * 1024),
+                altitude:    createAltitudeArray(1024 * 1024),
                 color:       new Uint32Array(1024 * 1024),
                 heightScale: BIOME_HEIGHT_SCALE
             };
@@ -774,6 +795,7 @@ function generateTransitionTiles(baseSeed) {
 function genStraightRidgeTile(mapObj, seed, key) {
     var detailFn  = createPerlinNoise((seed ^ 0xF1D9A3E7) >>> 0);
     var warpFn    = createPerlinNoise((seed ^ 0x2B4C6D8E) >>> 0);
+    var warp      = [0, 0];  // domainWarp() output
     var speckleFn = createPerlinNoise((seed ^ 0xE3F4A5B6) >>> 0);
     var w = mapObj.width, h = mapObj.height;
 
@@ -807,8 +829,8 @@ function genStraightRidgeTile(mapObj, seed, key) {
             var lx = px / (w - 1);
 
             // Domain warp for organic-looking ridge edges
-            var wx  = fbm(warpFn, lx * WARP_FREQ,       ly * WARP_FREQ,       3, 2.0, 0.5) * WARP_AMP;
-            var wy  = fbm(warpFn, lx * WARP_FREQ + 5.1, ly * WARP_FREQ + 2.9, 3, 2.0, 0.5) * WARP_AMP;
+            domainWarp(warpFn, lx * WARP_FREQ, ly * WARP_FREQ, WARP_AMP, 5.1, 2.9, warp);
+            var wx  = warp[0], wy = warp[1];
             var wlx = lx + wx, wly = ly + wy;
 
             // Distance from the ridge centreline
@@ -837,7 +859,7 @@ function genStraightRidgeTile(mapObj, seed, key) {
             // Fade the PERPENDICULAR edges to edgeFadeAlt so that
             //   edgeFadeAlt * RIDGE_HS = 82 world units, matching all scale-1.0 neighbors.
             var fade    = ridgeEdgeFade(px, py, w, h, hasN, hasS, hasE, hasW);
-            var altitude = Math.round(baseAlt * fade + edgeFadeAlt * (1 - fade));
+            var altitude = baseAlt * fade + edgeFadeAlt * (1 - fade);
             altitude = Math.max(38, Math.min(255, altitude));
 
             // Remap altitude [edgeFadeAlt, 255] → [148, 255] for color lookup so
@@ -848,10 +870,12 @@ function genStraightRidgeTile(mapObj, seed, key) {
             colorAlt = Math.max(148, Math.min(255, colorAlt));
 
             var idx = (py << mapObj.shift) + px;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = mountainColor(colorAlt, pixelVar(px, py));
         }
     }
+
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'PEAK');
 }
 
 // End-cap tile for the wide ridge: the ridge enters from one side and tapers
@@ -862,6 +886,7 @@ function genStraightRidgeTile(mapObj, seed, key) {
 function genRidgeEndCapTile(mapObj, seed, key) {
     var detailFn  = createPerlinNoise((seed ^ 0xF1D9A3E7) >>> 0);
     var warpFn    = createPerlinNoise((seed ^ 0x2B4C6D8E) >>> 0);
+    var warp      = [0, 0];  // domainWarp() output
     var speckleFn = createPerlinNoise((seed ^ 0xE3F4A5B6) >>> 0);
     var w = mapObj.width, h = mapObj.height;
 
@@ -903,8 +928,8 @@ function genRidgeEndCapTile(mapObj, seed, key) {
             var capTaper = axisT * axisT * (3.0 - 2.0 * axisT);  // smoothstep
 
             // Domain warp for organic-looking ridge edges
-            var wx  = fbm(warpFn, lx * WARP_FREQ,       ly * WARP_FREQ,       3, 2.0, 0.5) * WARP_AMP;
-            var wy  = fbm(warpFn, lx * WARP_FREQ + 5.1, ly * WARP_FREQ + 2.9, 3, 2.0, 0.5) * WARP_AMP;
+            domainWarp(warpFn, lx * WARP_FREQ, ly * WARP_FREQ, WARP_AMP, 5.1, 2.9, warp);
+            var wx  = warp[0], wy = warp[1];
             var wlx = lx + wx, wly = ly + wy;
 
             var ridgeDist = isNS ? Math.abs(wlx - 0.5) : Math.abs(wly - 0.5);
@@ -928,7 +953,7 @@ function genRidgeEndCapTile(mapObj, seed, key) {
 
             // ridgeEdgeFade only blends the perpendicular (E/W or N/S) edges
             var fade     = ridgeEdgeFade(px, py, w, h, hasN, hasS, hasE, hasW);
-            var altitude = Math.round(baseAlt * fade + edgeFadeAlt * (1 - fade));
+            var altitude = baseAlt * fade + edgeFadeAlt * (1 - fade);
             altitude = Math.max(38, Math.min(255, altitude));
 
             var speckle  = fbm(speckleFn, (px / w) * 18.0, (py / h) * 18.0, 3, 2.0, 0.5) * 42;
@@ -936,10 +961,12 @@ function genRidgeEndCapTile(mapObj, seed, key) {
             colorAlt = Math.max(148, Math.min(255, colorAlt));
 
             var idx = (py << mapObj.shift) + px;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = mountainColor(colorAlt, pixelVar(px, py));
         }
     }
+
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'PEAK');
 }
 
 // Scan worldMapData for BIOME_RIDGE cells, generate one 1024×1024 map per
@@ -962,7 +989,7 @@ function generateStraightRidgeTiles(baseSeed) {
                 width:       1024,
                 height:      1024,
                 shift:       10,
-                altitude:    new Uint8Array(1024 * 1024),
+                altitude:    createAltitudeArray(1024 * 1024),
                 color:       new Uint32Array(1024 * 1024),
                 heightScale: BIOME_HEIGHT_SCALE
             };
@@ -987,7 +1014,7 @@ function generateStraightRidgeTiles(baseSeed) {
             width:       1024,
             height:      1024,
             shift:       10,
-            altitude:    new Uint8Array(1024 * 1024),
+            altitude:    createAltitudeArray(1024 * 1024),
             color:       new Uint32Array(1024 * 1024),
             heightScale: 2.0
         };
@@ -1083,17 +1110,19 @@ function genFoothillTile(mapObj, seed, key) {
                 if (hasE || hasW) { fadeHasN = true; fadeHasS = true; }
             }
             var fade     = ridgeEdgeFade(x, y, w, h, fadeHasN, fadeHasS, fadeHasE, fadeHasW);
-            var altitude = Math.round(baseAlt * fade + ALT_PLAINS * (1 - fade));
+            var altitude = baseAlt * fade + ALT_PLAINS * (1 - fade);
             altitude = Math.max(65, Math.min(165, altitude));
 
             var speckle  = fbm(speckleFn, (x / w) * 18.0, (y / h) * 18.0, 3, 2.0, 0.5) * 20;
             var colorAlt = Math.max(65, Math.min(165, altitude + Math.round(speckle)));
 
             var idx = (y << mapObj.shift) + x;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = foothillColor(colorAlt, pixelVar(x, y));
         }
     }
+
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'FOOTHILL');
 }
 
 // Steeper foothill variant: higher ALT_RIDGE and a sharper profile curve so the
@@ -1148,17 +1177,19 @@ function genSteepFoothillTile(mapObj, seed, key) {
                 if (hasE || hasW) { fadeHasN = true; fadeHasS = true; }
             }
             var fade     = ridgeEdgeFade(x, y, w, h, fadeHasN, fadeHasS, fadeHasE, fadeHasW);
-            var altitude = Math.round(baseAlt * fade + ALT_PLAINS * (1 - fade));
+            var altitude = baseAlt * fade + ALT_PLAINS * (1 - fade);
             altitude = Math.max(65, Math.min(215, altitude));
 
             var speckle  = fbm(speckleFn, (x / w) * 18.0, (y / h) * 18.0, 3, 2.0, 0.5) * 20;
             var colorAlt = Math.max(65, Math.min(215, altitude + Math.round(speckle)));
 
             var idx = (y << mapObj.shift) + x;
-            mapObj.altitude[idx] = altitude;
+            setAltitude(mapObj, idx, altitude);
             mapObj.color[idx]    = foothillColor(colorAlt, pixelVar(x, y));
         }
     }
+
+    if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'FOOTHILL');
 }
 
 // Scan worldMapData for BIOME_FOOTHILL cells, generate one tile per unique
@@ -1181,7 +1212,7 @@ function generateFoothillTiles(baseSeed) {
                 width:       1024,
                 height:      1024,
                 shift:       10,
-                altitude:    new Uint8Array(1024 * 1024),
+                altitude:    createAltitudeArray(1024 * 1024),
                 color:       new Uint32Array(1024 * 1024),
                 heightScale: BIOME_HEIGHT_SCALE
             };
@@ -1208,7 +1239,7 @@ function generateFoothillTiles(baseSeed) {
             width:       1024,
             height:      1024,
             shift:       10,
-            altitude:    new Uint8Array(1024 * 1024),
+            altitude:    createAltitudeArray(1024 * 1024),
             color:       new Uint32Array(1024 * 1024),
             heightScale: BIOME_HEIGHT_SCALE
         };
@@ -1245,7 +1276,7 @@ function generateBiomeTiles(baseSeed) {
             width:       1024,
             height:      1024,
             shift:       10,
-            altitude:    new Uint8Array(1024 * 1024),
+            altitude:    createAltitudeArray(1024 * 1024),
             color:       new Uint32Array(1024 * 1024),
             heightScale: BIOME_HEIGHT_SCALE
         };
@@ -1254,3 +1285,83 @@ function generateBiomeTiles(baseSeed) {
         maps.push(hMap);
     }
 }
+
+// -----------------------------------------------------------------------
+// Per-cell base biome variants
+// -----------------------------------------------------------------------
+// generateBiomeTiles makes one beach, plains and hills tile, so every cell of
+// a biome would repeat the same terrain.  Instead each beach / plains / hills
+// cell gets its own variant, seeded from the world seed and its tile coords.
+// BIOME_VARIANT_POOL caps the variants per biome (each tile is ~5 MB); once
+// a biome's pool is full, further cells reuse the entry their seed hashes to.
+// 0 turns variants off.  The two spawn cells keep the base tiles.  The cap
+// changes which tiles a seed builds, so generationSettings() hands it to the
+// worker and the CLI, and saves record it; new worlds from the seed menu go
+// back to BIOME_VARIANT_POOL_DEFAULT.
+var BIOME_VARIANT_POOL_DEFAULT = 4;
+var BIOME_VARIANT_POOL = BIOME_VARIANT_POOL_DEFAULT;
+
+// Generator and display name for biomes that get variants, else null.
+function biomeVariantInfo(biome) {
+    if (biome === BIOME_BEACH)  return { gen: genBeachTile,  name: 'SAND' };
+    if (biome === BIOME_PLAINS) return { gen: genPlainsTile, name: 'PLAINS' };
+    if (biome === BIOME_HILLS)  return { gen: genHillsTile,  name: 'HILLS' };
+    return null;
+}
+
+// Integer hash of the world seed, biome and tile coords.
+function biomeVariantSeed(baseSeed, biome, tileX, tileY) {
+    var h = (baseSeed ^ Math.imul(biome, 0x9E3779B1)) | 0;
+    h = Math.imul(h ^ Math.imul(tileX, 374761393), 0x85EBCA6B);
+    h = Math.imul(h ^ Math.imul(tileY, 1013904223), 0xC2B2AE35);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x27D4EB2F);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+// Generate variants for the beach, plains and hills cells of the world map,
+// appending them to maps[].  Stores:
+//   window.biomeVariantIndex = { tileKey → mapIndex }  — read by biomeTileIndex
+//   window.biomeVariantMaps  = { biome → [mapIndex] }  — editor palette, legend
+function generateBiomeVariantTiles(baseSeed) {
+    window.biomeVariantIndex = {};
+    window.biomeVariantMaps  = {};
+    if (!window.worldMapData || BIOME_VARIANT_POOL <= 0) return;
+
+    var grid = window.worldMapData;
+    var s    = WORLD_MAP_SIZE;
+    var lo = worldPlayableMinCell(), hi = worldPlayableMaxCell();
+
+    for (var gy = lo; gy <= hi; gy++) {
+        for (var gx = lo; gx <= hi; gx++) {
+            var biome = grid[gy * s + gx];
+            var info  = biomeVariantInfo(biome);
+            if (!info || isSpawnCell(gx, gy)) continue;
+
+            var tileX = cellToTile(gx), tileY = cellToTile(gy);
+            if (window.continuousTileIndex && window.continuousTileIndex[getTileKey(tileX, tileY)] !== undefined) continue;
+            var seed  = biomeVariantSeed(baseSeed, biome, tileX, tileY);
+            var pool  = window.biomeVariantMaps[biome] || (window.biomeVariantMaps[biome] = []);
+            var idx;
+
+            if (pool.length < BIOME_VARIANT_POOL) {
+                var vMap = {
+                    width:       1024,
+                    height:      1024,
+                    shift:       10,
+                    altitude:    createAltitudeArray(1024 * 1024),
+                    color:       new Uint32Array(1024 * 1024),
+                    heightScale: BIOME_HEIGHT_SCALE
+                };
+                info.gen(vMap, seed);
+                idx = maps.length;
+                maps.push(vMap);
+                pool.push(idx);
+            } else {
+                idx = pool[seed % pool.length];   // pool full — share a variant
+            }
+            window.biomeVariantIndex[getTileKey(tileX, tileY)] = idx;
+        }
+    }
+}
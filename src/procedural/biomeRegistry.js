@@ -0,0 +1,240 @@
+// ===============================
+// Biome Registry — plugin API for extra biome types
+// ===============================
+// registerBiome() adds a biome without touching core files.  Everything that
+// used to hard-code the biome list consults the registry for ids above the
+// built-in seven: the BIOME_NOT_ALLOWED matrix, minimap colors, Voronoi
+// seeding, the layout solver's domain, tile generation, tile routing, the
+// editor palette / HUD / rotation, the tile legend and the streaming world.
+//
+//   registerBiome({
+//       id:             8,             // optional — next free id if omitted
+//       name:           'DESERT',      // defines the global BIOME_DESERT
+//       generator:      function(mapObj, seed, key) { ... },
+//       orientationKey: function(biomeAt, gx, gy) { return 'NS'; },  // optional
+//       constraints:    [BIOME_HILLS], // biomes it may not be adjacent to
+//       minimapColor:   'rgb(220,190,120)',
+//       paletteGroup:   'DESERT',      // editor / legend section (default: name)
+//       seedWeight:     0.2,           // Voronoi share vs. built-ins' 1.0 total
+//       elevationRank:  2,             // hydrology: 0 beach … 5 mountain (default 2)
+//       vegetation:     [ ... ]        // scatter layers, see vegetation.js (default none)
+//   });
+//
+// biomeAt(x, y) returns the biome id of any cell (0 outside the world), so
+// orientation keys work the same in fixed and streaming worlds.  Without an
+// orientationKey a biome gets a single tile keyed 'BASE'.
+// Biome scripts must be loaded before the world is generated.
+//
+// Every registered biome takes part in generation unless useBiomeSet() says
+// otherwise.  Saves record the set they were generated with (activeBiomeSet)
+// so a world keeps its grid when plugins are added or reweighted later.
+"use strict";
+
+// id → registered biome entry
+var BIOME_REGISTRY = {};
+
+function registerBiome(def) {
+    if (!def || !def.name || typeof def.generator !== 'function') {
+        throw new Error('registerBiome: name and generator are required');
+    }
+    var id = def.id || BIOME_COUNT + 1;
+    if (id <= 7 || BIOME_REGISTRY[id]) {
+        throw new Error('registerBiome: biome id ' + id + ' is already taken');
+    }
+    if (id > 30) throw new Error('registerBiome: biome ids are limited to 30');
+
+    var name  = String(def.name).toUpperCase();
+    var biome = {
+        id:             id,
+        name:           name,
+        generator:      def.generator,
+        orientationKey: def.orientationKey || null,
+        constraints:    def.constraints || [],
+        minimapColor:   def.minimapColor || 'rgb(255,0,255)',
+        paletteGroup:   def.paletteGroup || name,
+        seedWeight:     def.seedWeight || 0,
+        defaultWeight:  def.seedWeight || 0,
+        active:         true,  // see useBiomeSet
+        elevationRank:  def.elevationRank !== undefined ? def.elevationRank : 2,
+        vegetation:     def.vegetation || [],
+        mapIndex:       {}     // orientation key → maps[] index (per world)
+    };
+    BIOME_REGISTRY[id] = biome;
+    window['BIOME_' + name] = id;
+    BIOME_COUNT = Math.max(BIOME_COUNT, id);
+
+    // Grow the constraint matrix to the new size; rules apply both ways
+    for (var r = 0; r <= BIOME_COUNT; r++) {
+        if (!BIOME_NOT_ALLOWED[r]) BIOME_NOT_ALLOWED[r] = [];
+        for (var c = 0; c <= BIOME_COUNT; c++) {
+            if (BIOME_NOT_ALLOWED[r][c] === undefined) BIOME_NOT_ALLOWED[r][c] = 0;
+        }
+    }
+    biome.constraints.forEach(function(other) {
+        BIOME_NOT_ALLOWED[id][other] = 1;
+        BIOME_NOT_ALLOWED[other][id] = 1;
+    });
+
+    BIOME_COLORS[id] = biome.minimapColor;
+    rebuildBiomeSolverDomain();
+    return id;
+}
+
+function getRegisteredBiome(id) {
+    return BIOME_REGISTRY[id] || null;
+}
+
+// Every registered biome in id order, taking part or not.
+function allRegisteredBiomes() {
+    return Object.keys(BIOME_REGISTRY).map(Number).sort(function(a, b) { return a - b; })
+        .map(function(id) { return BIOME_REGISTRY[id]; });
+}
+
+// Registered biomes taking part in generation, in id order.
+function registeredBiomes() {
+    return allRegisteredBiomes().filter(function(b) { return b.active; });
+}
+
+// -----------------------------------------------------------------------
+// Active set
+// -----------------------------------------------------------------------
+
+// [{ name, seedWeight }] of the biomes taking part — stored with saves.
+function activeBiomeSet() {
+    return registeredBiomes().map(function(b) { return { name: b.name, seedWeight: b.seedWeight }; });
+}
+
+// Generate with the biomes in set at their saved weights, the others
+// switched off (null = every registered biome at its own weight).  Returns
+// the names in set that are not registered; nothing changes then.
+function useBiomeSet(set) {
+    var all = allRegisteredBiomes();
+    var byName = {};
+    all.forEach(function(b) { byName[b.name] = b; });
+    var missing = (set || []).filter(function(e) { return !byName[e.name]; })
+        .map(function(e) { return e.name; });
+    if (missing.length) return missing;
+
+    all.forEach(function(b) {
+        b.active     = !set;
+        b.seedWeight = b.defaultWeight;
+    });
+    (set || []).forEach(function(e) {
+        byName[e.name].active     = true;
+        byName[e.name].seedWeight = e.seedWeight;
+    });
+    rebuildBiomeSolverDomain();
+    return [];
+}
+
+// Built-in seeding biomes plus every active biome with a seed weight.
+function rebuildBiomeSolverDomain() {
+    BIOME_SOLVER_DOMAIN.length = 0;
+    BIOME_SOLVER_DOMAIN.push(BIOME_BEACH, BIOME_PLAINS, BIOME_HILLS);
+    registeredBiomes().forEach(function(b) {
+        if (b.seedWeight > 0) BIOME_SOLVER_DOMAIN.push(b.id);
+    });
+}
+
+// -----------------------------------------------------------------------
+// Seeding
+// -----------------------------------------------------------------------
+
+// Voronoi site biome for a uniform draw bp ∈ [0, 1).  Built-ins keep their
+// 30 / 35 / 35 split over a weight of 1.0 and active registered seed weights
+// extend the range.  Any active weight changes the grid of every seed, so
+// only a world generated with no active plugin weights draws as a
+// plugin-free one; saves keep their set for that reason (useBiomeSet).
+function pickSeedBiome(bp) {
+    var list  = registeredBiomes();
+    var total = 1;
+    for (var i = 0; i < list.length; i++) total += list[i].seedWeight;
+    var t = bp * total;
+    if (t < 0.30) return BIOME_BEACH;
+    if (t < 0.65) return BIOME_PLAINS;
+    if (t < 1.00) return BIOME_HILLS;
+    var acc = 1;
+    for (var j = 0; j < list.length; j++) {
+        acc += list[j].seedWeight;
+        if (t < acc && list[j].seedWeight > 0) return list[j].id;
+    }
+    return BIOME_HILLS;
+}
+
+// -----------------------------------------------------------------------
+// Tiles
+// -----------------------------------------------------------------------
+
+// biomeAt(x, y) lookup over a size x size grid (0 outside it).
+function gridBiomeLookup(grid, size) {
+    return function(x, y) {
+        return (x >= 0 && x < size && y >= 0 && y < size) ? grid[y * size + x] : 0;
+    };
+}
+
+function registeredBiomeKey(biome, biomeAt, gx, gy) {
+    return (biome.orientationKey && biome.orientationKey(biomeAt, gx, gy)) || 'BASE';
+}
+
+// Per-tile seed: base seed mixed with the biome id and an FNV-1a hash of the key.
+function registeredBiomeSeed(biome, key, baseSeed) {
+    var h = 2166136261;
+    for (var i = 0; i < key.length; i++) {
+        h ^= key.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return (baseSeed ^ Math.imul(biome.id, 0x9E3779B1) ^ h) >>> 0;
+}
+
+// Allocate and generate one tile for a registered biome.
+function genRegisteredBiomeTile(biome, key, baseSeed, mapObj) {
+    var m = mapObj || {
+        width:    1024, height: 1024, shift: 10,
+        altitude: createAltitudeArray(1024 * 1024),
+        color:    new Uint32Array(1024 * 1024)
+    };
+    m.heightScale = BIOME_HEIGHT_SCALE;
+    biome.generator(m, registeredBiomeSeed(biome, key, baseSeed), key);
+    return m;
+}
+
+// Fixed-world pass: one tile per unique key found in the playable area.
+// Biomes without orientation always get their BASE tile so the editor can
+// paint them even if the seed placed none.  Runs after generateFoothillTiles.
+function generateRegisteredBiomeTiles(baseSeed) {
+    var list = registeredBiomes();
+    if (!list.length || !window.worldMapData) return;
+
+    var grid    = window.worldMapData;
+    var s       = WORLD_MAP_SIZE;
+    var biomeAt = gridBiomeLookup(grid, s);
+    var lo = worldPlayableMinCell(), hi = worldPlayableMaxCell();
+
+    list.forEach(function(biome) {
+        biome.mapIndex = {};
+        if (!biome.orientationKey) {
+            biome.mapIndex.BASE = maps.length;
+            maps.push(genRegisteredBiomeTile(biome, 'BASE', baseSeed));
+        }
+        for (var gy = lo; gy <= hi; gy++) {
+            for (var gx = lo; gx <= hi; gx++) {
+                if (grid[gy * s + gx] !== biome.id) continue;
+                var key = registeredBiomeKey(biome, biomeAt, gx, gy);
+                if (biome.mapIndex[key] !== undefined) continue;
+                biome.mapIndex[key] = maps.length;
+                maps.push(genRegisteredBiomeTile(biome, key, baseSeed));
+            }
+        }
+    });
+}
+
+// Registered biome + key that owns maps[idx], or null.
+function findRegisteredTile(idx) {
+    var list = registeredBiomes();
+    for (var i = 0; i < list.length; i++) {
+        for (var k in list[i].mapIndex) {
+            if (list[i].mapIndex[k] === idx) return { biome: list[i], key: k };
+        }
+    }
+    return null;
+}
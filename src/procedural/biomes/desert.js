@@ -0,0 +1,70 @@
+// ===============================
+// Desert Biome — wind-aligned dunes
+// ===============================
+// Registered through registerBiome(); see biomeRegistry.js.
+"use strict";
+
+function desertColor(altitude, crest, pv) {
+    var v = (pv - 0.5) * 12;
+    // Trough sand is a shade darker and redder; sunlit crests bleach out
+    var r = 196 + crest * 34 + v;
+    var g = 150 + crest * 38 + v * 0.8;
+    var b =  92 + crest * 40 + v * 0.5;
+    if (altitude < 70) { r -= 10; g -= 12; b -= 8; }
+    r = Math.max(0, Math.min(255, r | 0));
+    g = Math.max(0, Math.min(255, g | 0));
+    b = Math.max(0, Math.min(255, b | 0));
+    return (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+// DESERT — parallel dune ridges perpendicular to one prevailing wind.
+// Each dune has a long windward slope and a short steep lee face; a domain
+// warp bends the crest lines so they don't read as a perfect grating.
+function genDesertTile(mapObj, seed) {
+    var warpFn   = createPerlinNoise((seed ^ 0x5A4D3E2F) >>> 0);
+    var detailFn = createPerlinNoise((seed ^ 0xD0E1F2A3) >>> 0);
+    var rng      = mulberry32((seed ^ 0x7B8C9D0E) >>> 0);
+    var w = mapObj.width, h = mapObj.height;
+    mapObj.heightScale = BIOME_HEIGHT_SCALE;
+
+    var windAngle = rng() * Math.PI;           // dunes run perpendicular to this
+    var wcos = Math.cos(windAngle), wsin = Math.sin(windAngle);
+    var duneFreq = 5 + rng() * 3;              // dunes across one tile
+
+    for (var y = 0; y < h; y++) {
+        for (var x = 0; x < w; x++) {
+            var nx = x / w, ny = y / h;
+            var warp = fbm(warpFn, nx * 2.5, ny * 2.5, 3, 2.0, 0.5);
+            var u    = (nx * wcos + ny * wsin) * duneFreq + warp * 1.4;
+            var p    = u - Math.floor(u);      // 0..1 across one dune
+
+            // Asymmetric profile: 0→1 over the windward 75 %, 1→0 over the lee 25 %
+            var crest = p < 0.75 ? p / 0.75 : (1 - p) / 0.25;
+            crest = crest * crest * (3 - 2 * crest);
+
+            var detail  = fbm(detailFn, nx * 14, ny * 14, 3, 2.0, 0.5);
+            var baseAlt = 62 + crest * 52 + detail * 6;   // 56–120
+
+            var fade     = biomeEdgeFade(x, y, w, h);
+            var altitude = baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade);
+            altitude = Math.max(55, Math.min(120, altitude));
+
+            var idx = (y << mapObj.shift) + x;
+            setAltitude(mapObj, idx, altitude);
+            mapObj.color[idx]    = desertColor(altitude, crest * fade, pixelVar(x, y));
+        }
+    }
+}
+
+registerBiome({
+    id:           8,
+    name:         'DESERT',
+    generator:    genDesertTile,
+    constraints:  [],
+    minimapColor: 'rgb(226,184,112)',
+    paletteGroup: 'DESERT',
+    seedWeight:   0.20,
+    vegetation:   [
+        { species: { shrub: 1 }, spacing: 120, keep: 0.08, alt: [0, 255], maxSlope: 0.4, cluster: 0.2, clusterSize: 800 }
+    ]
+});
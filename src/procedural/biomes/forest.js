@@ -0,0 +1,65 @@
+// ===============================
+// Forest Biome — dense forest floor
+// ===============================
+// Registered through registerBiome(); see biomeRegistry.js.
+"use strict";
+
+function forestColor(altitude, canopy, pv) {
+    var v = (pv - 0.5) * 16;
+    // canopy 0 = sunlit clearing (moss), 1 = deep shade (needles, dark loam)
+    var r = 64 - canopy * 30 + v;
+    var g = 98 - canopy * 40 + v;
+    var b = 38 - canopy * 14 + v * 0.4;
+    if (altitude > 96) { r += 14; g += 6; b += 6; }   // drier, rootier knolls
+    r = Math.max(0, Math.min(255, r | 0));
+    g = Math.max(0, Math.min(255, g | 0));
+    b = Math.max(0, Math.min(255, b | 0));
+    return (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+// FOREST — uneven ground of roots and hummocks under a dark canopy.
+// A high-frequency bump layer gives the floor its lumpy texture; a
+// separate canopy noise only drives color (shade vs. clearings).
+function genForestTile(mapObj, seed) {
+    var noiseFn  = createPerlinNoise((seed ^ 0xF0E5F0E5) >>> 0);
+    var bumpFn   = createPerlinNoise((seed ^ 0x2A3B4C5D) >>> 0);
+    var canopyFn = createPerlinNoise((seed ^ 0x8E9FA0B1) >>> 0);
+    var w = mapObj.width, h = mapObj.height;
+    mapObj.heightScale = BIOME_HEIGHT_SCALE;
+
+    for (var y = 0; y < h; y++) {
+        for (var x = 0; x < w; x++) {
+            var nx = (x / w) * 4.0;
+            var ny = (y / h) * 4.0;
+            var n    = fbm(noiseFn, nx, ny, 5, 2.0, 0.5);
+            var bump = fbm(bumpFn, nx * 6, ny * 6, 3, 2.0, 0.5);
+
+            var t = Math.max(0, Math.min(1, (n + 0.5) / 1.0));
+            var baseAlt = 62 + t * 38 + bump * 8;   // 54–108
+
+            var fade     = biomeEdgeFade(x, y, w, h);
+            var altitude = baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade);
+            altitude = Math.max(55, Math.min(108, altitude));
+
+            var canopy = Math.max(0, Math.min(1, fbm(canopyFn, nx * 2.5, ny * 2.5, 4, 2.0, 0.5) + 0.6));
+
+            var idx = (y << mapObj.shift) + x;
+            setAltitude(mapObj, idx, altitude);
+            mapObj.color[idx]    = forestColor(altitude, canopy * fade, pixelVar(x, y));
+        }
+    }
+}
+
+registerBiome({
+    id:           10,
+    name:         'FOREST',
+    generator:    genForestTile,
+    constraints:  [BIOME_DESERT, BIOME_BEACH],
+    minimapColor: 'rgb(34,66,28)',
+    paletteGroup: 'FOREST',
+    seedWeight:   0.25,
+    vegetation:   [
+        { species: { pine: 3, oak: 2 }, spacing: 26, keep: 0.70, alt: [0, 108], maxSlope: 0.7, cluster: 0.3, clusterSize: 400 },
+        { species: { shrub: 1 },        spacing: 48, keep: 0.30, alt: [0, 96],  maxSlope: 0.5, cluster: 0.5, clusterSize: 300 }
+    ]
+});
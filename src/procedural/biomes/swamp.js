@@ -0,0 +1,70 @@
+// ===============================
+// Swamp Biome — mud flats with standing pools
+// ===============================
+// Registered through registerBiome(); see biomeRegistry.js.
+"use strict";
+
+function swampColor(altitude, pool, pv) {
+    var v = (pv - 0.5) * 12;
+    var r, g, b;
+    if (pool) {
+        r = 46 + v * 0.4; g = 62 + v * 0.4; b = 44 + v * 0.3;   // murky water
+    } else if (altitude < 60) {
+        r = 74 + v; g = 70 + v; b = 42 + v * 0.5;               // wet mud
+    } else {
+        r = 82 + v; g = 104 + v; b = 46 + v * 0.4;             // reeds and moss
+    }
+    r = Math.max(0, Math.min(255, r | 0));
+    g = Math.max(0, Math.min(255, g | 0));
+    b = Math.max(0, Math.min(255, b | 0));
+    return (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+// SWAMP — low, nearly flat ground.  Wherever the terrain sinks below the
+// water line it is clamped flat and colored as a pool, so pools only form
+// at low altitude and always have level surfaces.
+function genSwampTile(mapObj, seed) {
+    var noiseFn  = createPerlinNoise((seed ^ 0x5A3F5A3F) >>> 0);
+    var detailFn = createPerlinNoise((seed ^ 0xC1D2E3F4) >>> 0);
+    var w = mapObj.width, h = mapObj.height;
+    mapObj.heightScale = BIOME_HEIGHT_SCALE;
+
+    var WATER_ALT = 50;
+
+    for (var y = 0; y < h; y++) {
+        for (var x = 0; x < w; x++) {
+            var nx = (x / w) * 5.0;
+            var ny = (y / h) * 5.0;
+            var n      = fbm(noiseFn, nx, ny, 5, 2.0, 0.5);
+            var detail = fbm(detailFn, nx * 5, ny * 5, 2, 2.0, 0.5);
+
+            var baseAlt = 56 + n * 26 + detail * 3;   // ~40–72
+
+            var pool = baseAlt < WATER_ALT;
+            if (pool) baseAlt = WATER_ALT;
+
+            var fade     = biomeEdgeFade(x, y, w, h);
+            var altitude = baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade);
+            altitude = Math.max(WATER_ALT, Math.min(76, altitude));
+
+            var idx = (y << mapObj.shift) + x;
+            setAltitude(mapObj, idx, altitude);
+            mapObj.color[idx]    = swampColor(altitude, pool && fade > 0.5, pixelVar(x, y));
+        }
+    }
+}
+
+registerBiome({
+    id:            11,
+    name:          'SWAMP',
+    generator:     genSwampTile,
+    constraints:   [BIOME_DESERT, BIOME_TUNDRA, BIOME_MOUNTAIN, BIOME_RIDGE],
+    minimapColor:  'rgb(72,86,52)',
+    paletteGroup:  'SWAMP',
+    seedWeight:    0.15,
+    elevationRank: 1,
+    // Dry ground only — pools sit at exactly the water line (50)
+    vegetation:    [
+        { species: { shrub: 3, oak: 1 }, spacing: 44, keep: 0.35, alt: [51, 76], maxSlope: 0.5, cluster: 0.6, clusterSize: 350 }
+    ]
+});
@@ -0,0 +1,72 @@
+// ===============================
+// Tundra Biome — snowfields and frozen flats
+// ===============================
+// Registered through registerBiome(); see biomeRegistry.js.
+"use strict";
+
+function tundraColor(altitude, frozen, pv) {
+    var v = (pv - 0.5) * 10;
+    var r, g, b;
+    if (frozen) {
+        r = 176 + v * 0.5; g = 204 + v * 0.5; b = 222 + v * 0.4;   // blue ice
+    } else if (altitude < 78) {
+        r = 118 + v; g = 112 + v; b = 98 + v * 0.6;                // bare frozen earth
+    } else if (altitude < 92) {
+        r = 196 + v; g = 200 + v; b = 204 + v;                     // patchy snow
+    } else {
+        r = 232 + v * 0.3; g = 236 + v * 0.3; b = 242 + v * 0.3;   // deep snow
+    }
+    r = Math.max(0, Math.min(255, r | 0));
+    g = Math.max(0, Math.min(255, g | 0));
+    b = Math.max(0, Math.min(255, b | 0));
+    return (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+// TUNDRA — low snowy swells with dead-flat frozen ponds in the hollows.
+// Anything below the freeze line is clamped flat and colored as ice.
+function genTundraTile(mapObj, seed) {
+    var noiseFn = createPerlinNoise((seed ^ 0x1CE1CE11) >>> 0);
+    var pondFn  = createPerlinNoise((seed ^ 0x6F7E8D9C) >>> 0);
+    var w = mapObj.width, h = mapObj.height;
+    mapObj.heightScale = BIOME_HEIGHT_SCALE;
+
+    var FREEZE_ALT = 66;
+
+    for (var y = 0; y < h; y++) {
+        for (var x = 0; x < w; x++) {
+            var nx = (x / w) * 3.0;
+            var ny = (y / h) * 3.0;
+            var n    = fbm(noiseFn, nx, ny, 5, 2.0, 0.5);
+            var pond = fbm(pondFn, nx * 1.6, ny * 1.6, 3, 2.0, 0.5);
+
+            var t = Math.max(0, Math.min(1, (n + 0.5) / 1.0));
+            var baseAlt = 70 + t * 38 - Math.max(0, pond) * 30;   // hollows dip below the freeze line
+
+            var frozen = baseAlt < FREEZE_ALT;
+            if (frozen) baseAlt = FREEZE_ALT;
+
+            var fade     = biomeEdgeFade(x, y, w, h);
+            var altitude = baseAlt * fade + BIOME_TRANSITION_ALT * (1 - fade);
+            altitude = Math.max(FREEZE_ALT, Math.min(110, altitude));
+
+            var idx = (y << mapObj.shift) + x;
+            setAltitude(mapObj, idx, altitude);
+            mapObj.color[idx]    = tundraColor(altitude, frozen && fade > 0.5, pixelVar(x, y));
+        }
+    }
+}
+
+registerBiome({
+    id:            9,
+    name:          'TUNDRA',
+    generator:     genTundraTile,
+    constraints:   [BIOME_DESERT],
+    minimapColor:  'rgb(214,224,234)',
+    paletteGroup:  'TUNDRA',
+    seedWeight:    0.15,
+    elevationRank: 3,
+    // Scattered pines on the bare earth and patchy snow, off the ponds
+    vegetation:    [
+        { species: { pine: 1 }, spacing: 70, keep: 0.20, alt: [67, 92], maxSlope: 0.5, cluster: 0.8, clusterSize: 600 }
+    ]
+});
@@ -0,0 +1,197 @@
+// ===============================
+// Climate — biome assignment from temperature and moisture
+// ===============================
+// Optional replacement for the random biome types of Stage 1.  Three seeded
+// fields are built over the world grid once the ridge walks are in place:
+//   elevation   — low-frequency noise, raised near mountain and ridge cells.
+//                 The lowest cells become the coast (beach).
+//   temperature — cold in the north, warm in the south, colder with height.
+//   moisture    — highest near the coast and falling off inland, cut down
+//                 in the rain shadow downwind of mountains and ridges.
+// CLIMATE_TABLE (a Whittaker-style temperature × moisture lookup) then picks
+// each cell's biome.  Mountain and ridge cells are left alone, and the
+// constraint solver and belt passes run afterwards exactly as before.
+//
+// The fields use their own seeds, so the Voronoi draw and the ridge walks
+// are the same whichever mode is selected.
+"use strict";
+
+var climate = {
+    enabled:        false,  // BIOMES select in the seed menu
+    coastShare:     0.22,   // lowest share of cells that become beach
+    uplandShare:    0.22,   // highest share of the remaining cells that become hills
+    lapseRate:      0.45,   // temperature lost per unit of elevation
+    moistureReach:  3.5,    // cells inland over which coastal moisture falls off by 1/e
+    shadowReach:    3,      // cells downwind of a mountain that stay dry
+    shadowStrength: 0.65    // moisture removed right behind a mountain
+};
+
+// Rows: temperature band (cold → hot).  Columns: moisture band (arid → wet).
+// Names are looked up as BIOME_<name>; biomes that are not loaded fall back
+// to plains.
+var CLIMATE_TABLE = [
+    //  arid        dry         moist       wet
+    ['TUNDRA',  'TUNDRA',  'FOREST',  'FOREST'],   // cold
+    ['PLAINS',  'PLAINS',  'FOREST',  'FOREST'],   // temperate
+    ['DESERT',  'PLAINS',  'PLAINS',  'SWAMP' ],   // warm
+    ['DESERT',  'DESERT',  'PLAINS',  'SWAMP' ]    // hot
+];
+
+// Wind directions — the wind blows from (dx, dy) toward (-dx, -dy)
+var CLIMATE_WINDS = [
+    { name: 'N', dx:  0, dy: -1 },
+    { name: 'S', dx:  0, dy:  1 },
+    { name: 'E', dx:  1, dy:  0 },
+    { name: 'W', dx: -1, dy:  0 }
+];
+
+// Biome id for a CLIMATE_TABLE name.  Only biomes the solver may place
+// qualify, so an unloaded or unseeded plugin becomes plains.
+function climateBiomeId(name) {
+    var id = window['BIOME_' + name];
+    return (id && BIOME_SOLVER_DOMAIN.indexOf(id) >= 0) ? id : BIOME_PLAINS;
+}
+
+// Cardinal step distance from the nearest cell where isSource(i) is true
+// (size * 2 where there is none).
+function climateDistance(size, isSource) {
+    var DX = [0, 0, 1, -1];
+    var DY = [-1, 1, 0, 0];
+    var dist  = new Int32Array(size * size).fill(-1);
+    var queue = [];
+    for (var i = 0; i < size * size; i++) {
+        if (isSource(i)) { dist[i] = 0; queue.push(i); }
+    }
+    for (var head = 0; head < queue.length; head++) {
+        var c = queue[head], cx = c % size, cy = (c / size) | 0;
+        for (var d = 0; d < 4; d++) {
+            var nx = cx + DX[d], ny = cy + DY[d];
+            if (nx < 0 || nx >= size || ny < 0 || ny >= size) continue;
+            var n = ny * size + nx;
+            if (dist[n] >= 0) continue;
+            dist[n] = dist[c] + 1;
+            queue.push(n);
+        }
+    }
+    for (var j = 0; j < dist.length; j++) if (dist[j] < 0) dist[j] = size * 2;
+    return dist;
+}
+
+// Value below which `share` of the listed cells of field f fall.
+function climateQuantile(f, cells, share) {
+    var vals = cells.map(function(i) { return f[i]; }).sort(function(a, b) { return a - b; });
+    if (!vals.length) return -Infinity;
+    return vals[Math.min(vals.length - 1, Math.floor(vals.length * share))];
+}
+
+// Rescale f over the listed cells to [0, 1] (in place, for every cell).
+function climateNormalize(f, cells) {
+    var lo = Infinity, hi = -Infinity;
+    cells.forEach(function(i) { lo = Math.min(lo, f[i]); hi = Math.max(hi, f[i]); });
+    var span = (hi > lo) ? hi - lo : 1;
+    for (var i = 0; i < f.length; i++) f[i] = Math.max(0, Math.min(1, (f[i] - lo) / span));
+}
+
+// -----------------------------------------------------------------------
+// Fields
+// -----------------------------------------------------------------------
+
+// Build the elevation, temperature and moisture fields for grid.
+// Returns { elevation, temperature, moisture, coastLevel, uplandLevel, wind }.
+function buildClimate(grid, size, seed) {
+    var total    = size * size;
+    var elevNz   = createPerlinNoise((seed ^ 0xC11A7E01) >>> 0);
+    var tempNz   = createPerlinNoise((seed ^ 0xC11A7E02) >>> 0);
+    var moistNz  = createPerlinNoise((seed ^ 0xC11A7E03) >>> 0);
+    var wind     = CLIMATE_WINDS[Math.floor(mulberry32((seed ^ 0xC11A7E04) >>> 0)() * 4)];
+    var isRange  = function(i) { return grid[i] === BIOME_MOUNTAIN || grid[i] === BIOME_RIDGE; };
+    var lo = worldPlayableMinCell(), hi = worldPlayableMaxCell();
+
+    // Cells the climate may assign: playable, not mountain or ridge
+    var open = [];
+    for (var y = lo; y <= hi; y++) {
+        for (var x = lo; x <= hi; x++) if (!isRange(y * size + x)) open.push(y * size + x);
+    }
+
+    // Elevation: noise plus a rise toward the mountain ranges
+    var elevation = new Float32Array(total);
+    var rangeDist = climateDistance(size, isRange);
+    for (var i = 0; i < total; i++) {
+        var ex = i % size, ey = (i / size) | 0;
+        elevation[i] = 0.5 + fbm(elevNz, ex * 0.21, ey * 0.21, 3, 2.0, 0.5) * 0.8 +
+                       0.35 * Math.max(0, 1 - rangeDist[i] / 3);
+    }
+    climateNormalize(elevation, open);
+    var coastLevel  = climateQuantile(elevation, open, climate.coastShare);
+    var inland      = open.filter(function(c) { return elevation[c] > coastLevel; });
+    var uplandLevel = climateQuantile(elevation, inland, 1 - climate.uplandShare);
+
+    // Temperature: latitude, lapse rate, a little noise
+    var temperature = new Float32Array(total);
+    for (var t = 0; t < total; t++) {
+        var tx = t % size, ty = (t / size) | 0;
+        var lat = (ty - lo) / Math.max(1, hi - lo);   // 0 north … 1 south
+        temperature[t] = lat - climate.lapseRate * elevation[t] +
+                         fbm(tempNz, tx * 0.17, ty * 0.17, 2, 2.0, 0.5) * 0.25;
+    }
+    climateNormalize(temperature, open);
+
+    // Moisture: distance from the coast, then the rain shadow
+    var moisture  = new Float32Array(total);
+    var coastDist = climateDistance(size, function(i) { return elevation[i] <= coastLevel && !isRange(i); });
+    for (var m = 0; m < total; m++) {
+        var mx = m % size, my = (m / size) | 0;
+        var wet = Math.max(0, Math.exp(-coastDist[m] / climate.moistureReach) +
+                              fbm(moistNz, mx * 0.19, my * 0.19, 3, 2.0, 0.5) * 0.35);
+
+        // Walk upwind: a range within shadowReach cells dries this cell out
+        for (var k = 1; k <= climate.shadowReach; k++) {
+            var ux = mx + wind.dx * k, uy = my + wind.dy * k;
+            if (ux < 0 || ux >= size || uy < 0 || uy >= size) break;
+            if (isRange(uy * size + ux)) {
+                wet *= 1 - climate.shadowStrength * (1 - (k - 1) / climate.shadowReach);
+                break;
+            }
+        }
+        moisture[m] = wet;
+    }
+    climateNormalize(moisture, open);
+
+    return {
+        elevation:   elevation,
+        temperature: temperature,
+        moisture:    moisture,
+        coastLevel:  coastLevel,
+        uplandLevel: uplandLevel,
+        wind:        wind.name
+    };
+}
+
+// Biome for a cell with the given climate values.
+function climateBiome(c, i) {
+    if (c.elevation[i] <= c.coastLevel) return BIOME_BEACH;
+    var tb = Math.min(3, Math.floor(c.temperature[i] * 4));
+    var mb = Math.min(3, Math.floor(c.moisture[i] * 4));
+    // High ground reads as hills unless it is cold enough to freeze
+    if (c.elevation[i] >= c.uplandLevel && tb > 0) return BIOME_HILLS;
+    return climateBiomeId(CLIMATE_TABLE[tb][mb]);
+}
+
+// -----------------------------------------------------------------------
+// Entry point
+// -----------------------------------------------------------------------
+
+// Re-type every playable non-mountain, non-ridge cell of grid from the
+// climate model.  Stores the fields in window.worldClimate.
+function applyClimateBiomes(grid, size, seed) {
+    var c  = buildClimate(grid, size, seed);
+    var lo = worldPlayableMinCell(), hi = worldPlayableMaxCell();
+    for (var y = lo; y <= hi; y++) {
+        for (var x = lo; x <= hi; x++) {
+            var i = y * size + x;
+            if (grid[i] === BIOME_MOUNTAIN || grid[i] === BIOME_RIDGE) continue;
+            grid[i] = climateBiome(c, i);
+        }
+    }
+    window.worldClimate = c;
+}
@@ -0,0 +1,222 @@
+// ===============================
+// Continuous Terrain — world-space noise across tile seams
+// ===============================
+// The regular generators build each tile from its own tile-local noise and
+// fade every edge to BIOME_TRANSITION_ALT, which leaves a flat band along
+// every seam, even between two hills cells.  In continuous mode the beach,
+// plains, hills and transition cells are generated from one set of noise
+// functions sampled in world pixels instead, so neighbouring tiles carry
+// on each other's features.
+//
+// Where two cells meet, their biome parameters are blended over
+// continuousTerrain.blendWidth px, centred on the seam.  The cell weights
+// form a partition of unity that depends only on the world position, so
+// two tiles compute exactly the same terrain in their shared 128px overlap.
+// Any other neighbour (mountain, ridge, foothill, registered biomes, or a
+// cell over the tile budget) keeps its own tile, and only toward those
+// cells does the terrain fade to BIOME_TRANSITION_ALT.
+//
+// Each continuous cell needs its own 5 MB tile, so continuousTerrain.maxTiles
+// caps the count.  Cells nearest spawn are served first; the rest keep
+// their regular tiles.  Streamed (infinite) worlds always use regular tiles.
+"use strict";
+
+var continuousTerrain = {
+    enabled:    false,   // TERRAIN select in the seed menu
+    maxTiles:   48,      // continuous tile budget
+    blendWidth: 384      // px over which neighbouring cells' parameters mix
+};
+
+// Share of each terrain profile (beach, plains, hills) in a biome, or null
+// for biomes that keep their regular tiles.
+function continuousProfile(biome) {
+    switch (biome) {
+        case BIOME_BEACH:      return [1, 0, 0];
+        case BIOME_TRANSITION: return [0.4, 0.6, 0];
+        case BIOME_PLAINS:     return [0, 1, 0];
+        case BIOME_HILLS:      return [0, 0, 1];
+    }
+    return null;
+}
+
+// One set of world-wide noise functions per seed.
+function continuousNoise(baseSeed) {
+    return {
+        beach:  createPerlinNoise((baseSeed ^ 0xC0BE4CA1) >>> 0),
+        shore:  createPerlinNoise((baseSeed ^ 0xC05A0E11) >>> 0),
+        plains: createPerlinNoise((baseSeed ^ 0xC07A1B3C) >>> 0),
+        hills:  createPerlinNoise((baseSeed ^ 0xC04F5A6B) >>> 0),
+        ridge:  createPerlinNoise((baseSeed ^ 0xC09C8D7E) >>> 0)
+    };
+}
+
+// Per-axis cell weights for a tile starting at world pixel `origin`.
+// For every local pixel: its own cell and weight, and the neighbouring cell
+// across the nearer seam with the remaining weight (0 away from seams).
+function continuousAxisWeights(origin, size, adv) {
+    var hb = continuousTerrain.blendWidth / 2;
+    var out = {
+        c0: new Int32Array(size), w0: new Float32Array(size),
+        c1: new Int32Array(size), w1: new Float32Array(size)
+    };
+    for (var l = 0; l < size; l++) {
+        var g = origin + l;
+        var c = Math.floor(g / adv);
+        var u = g - c * adv;
+        var t = 1, other = c;
+        if (u < hb)            { t = 0.5 + u / (2 * hb);         other = c - 1; }
+        else if (u > adv - hb) { t = 0.5 + (adv - u) / (2 * hb); other = c + 1; }
+        var s = t * t * (3 - 2 * t);
+        out.c0[l] = c;     out.w0[l] = s;
+        out.c1[l] = other; out.w1[l] = 1 - s;
+    }
+    return out;
+}
+
+// -----------------------------------------------------------------------
+// Terrain profiles — the regular generators, sampled in world pixels
+// -----------------------------------------------------------------------
+// Frequencies match the tile-local versions (cycles per 1024 px), so the
+// features keep their familiar scale.
+
+function continuousBeach(nz, wx, wy, pv, out) {
+    var detail = fbm(nz.beach, wx / 1024 * 10, wy / 1024 * 10, 4, 2.0, 0.5);
+    // Wet ↔ dry sand follows a slow noise field instead of the tile's Y axis
+    var dry = Math.max(0, Math.min(1, 0.5 + fbm(nz.shore, wx / 1024 * 1.2, wy / 1024 * 1.2, 3, 2.0, 0.5) * 1.6));
+    var wetAlt = 28 + detail * 8;
+    var dryAlt = 46 + detail * 24;
+    out.alt = wetAlt + (dryAlt - wetAlt) * dry;
+    out.col = beachColor(out.alt, dry, pv);
+}
+
+function continuousPlains(nz, wx, wy, pv, out) {
+    var n = fbm(nz.plains, wx / 1024 * 3.5, wy / 1024 * 3.5, 6, 2.0, 0.5);
+    var t = Math.max(0, Math.min(1, (n + 0.55) / 1.10));
+    out.alt = 52 + t * 45;
+    out.col = plainsColor(out.alt, pv);
+}
+
+function continuousHills(nz, wx, wy, pv, out) {
+    var nx = wx / 1024 * 4.0, ny = wy / 1024 * 4.0;
+    var n        = fbm(nz.hills, nx, ny, 6, 2.0, 0.5);
+    var rawRidge = fbm(nz.ridge, nx * 0.8, ny * 0.8, 4, 2.0, 0.5);
+    var ridge    = Math.max(0, 1.0 - Math.abs(rawRidge));
+    ridge = ridge * ridge;
+    var t = Math.max(0, Math.min(1, Math.pow(Math.max(0, (n * 0.55 + ridge * 0.45 + 0.40) / 0.90), 0.85)));
+    out.alt = 68 + t * 88;
+    // Same color remap as genHillsTile — rocky browns, no moss
+    out.col = hillsColor(Math.round(120 + (out.alt - 65) / (158 - 65) * (158 - 120)), pv);
+}
+
+// -----------------------------------------------------------------------
+// Tile generation
+// -----------------------------------------------------------------------
+
+// Fill mapObj as tile (tileX, tileY) of the continuous world.  profileAt(x, y)
+// returns the continuousProfile of tile (x, y), or null if it keeps a regular tile.
+function genContinuousTile(mapObj, tileX, tileY, nz, profileAt) {
+    var w = mapObj.width, h = mapObj.height;
+    var adv = tileSystem.tileWidth - tileSystem.overlapSize;   // 896
+    mapObj.heightScale = BIOME_HEIGHT_SCALE;
+
+    var ox = tileX * adv, oy = tileY * adv;
+    var ax = continuousAxisWeights(ox, w, adv);
+    var ay = continuousAxisWeights(oy, h, adv);
+
+    // Profiles of the 4x4 cells the tile's pixels can draw from
+    var profs = [];
+    for (var py = -1; py <= 2; py++) {
+        for (var px = -1; px <= 2; px++) profs.push(profileAt(tileX + px, tileY + py));
+    }
+    var flatCol = plainsColor(BIOME_TRANSITION_ALT, 0.5);
+    var sample  = { alt: 0, col: 0 };
+
+    for (var y = 0; y < h; y++) {
+        var wy  = oy + y;
+        var ry0 = (ay.c0[y] - tileY + 1) * 4, ry1 = (ay.c1[y] - tileY + 1) * 4;
+        for (var x = 0; x < w; x++) {
+            var wx  = ox + x;
+            var rx0 = ax.c0[x] - tileX + 1, rx1 = ax.c1[x] - tileX + 1;
+
+            // Blend weights of the beach / plains / hills profiles and of
+            // flat BIOME_TRANSITION_ALT ground toward regular-tile cells
+            var wb = 0, wp = 0, wh = 0, wf = 0;
+            for (var k = 0; k < 4; k++) {
+                var cw = ((k & 1) ? ax.w1[x] : ax.w0[x]) * ((k & 2) ? ay.w1[y] : ay.w0[y]);
+                if (cw <= 0) continue;
+                var p = profs[((k & 2) ? ry1 : ry0) + ((k & 1) ? rx1 : rx0)];
+                if (!p) { wf += cw; continue; }
+                wb += cw * p[0]; wp += cw * p[1]; wh += cw * p[2];
+            }
+
+            var pv  = pixelVar(wx, wy);
+            var alt = BIOME_TRANSITION_ALT * wf;
+            var r = (flatCol & 0xFF) * wf, g = ((flatCol >> 8) & 0xFF) * wf, b = ((flatCol >> 16) & 0xFF) * wf;
+            for (var pi = 0; pi < 3; pi++) {
+                var pw = (pi === 0) ? wb : (pi === 1) ? wp : wh;
+                if (pw <= 0) continue;
+                if (pi === 0)      continuousBeach (nz, wx, wy, pv, sample);
+                else if (pi === 1) continuousPlains(nz, wx, wy, pv, sample);
+                else               continuousHills (nz, wx, wy, pv, sample);
+                alt += sample.alt * pw;
+                r += (sample.col & 0xFF) * pw;
+                g += ((sample.col >> 8) & 0xFF) * pw;
+                b += ((sample.col >> 16) & 0xFF) * pw;
+            }
+
+            r = Math.max(0, Math.min(255, Math.round(r)));
+            g = Math.max(0, Math.min(255, Math.round(g)));
+            b = Math.max(0, Math.min(255, Math.round(b)));
+            var idx = (y << mapObj.shift) + x;
+            setAltitude(mapObj, idx, alt);
+            mapObj.color[idx]    = (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+        }
+    }
+}
+
+// Generate continuous tiles for the beach, plains, hills and transition
+// cells nearest spawn, up to continuousTerrain.maxTiles.
+// Stores window.continuousTileIndex = { tileKey → mapIndex }, which
+// biomeTileIndex() prefers over every other tile of the cell.
+function generateContinuousTiles(baseSeed) {
+    window.continuousTileIndex = {};
+    if (!continuousTerrain.enabled || !window.worldMapData) return;
+
+    var grid = window.worldMapData;
+    var s    = WORLD_MAP_SIZE;
+    var lo = worldPlayableMinCell(), hi = worldPlayableMaxCell();
+
+    var cells = [];
+    for (var gy = lo; gy <= hi; gy++) {
+        for (var gx = lo; gx <= hi; gx++) {
+            if (continuousProfile(grid[gy * s + gx])) cells.push({ x: cellToTile(gx), y: cellToTile(gy) });
+        }
+    }
+    cells.sort(function(a, b) {
+        return (a.x * a.x + a.y * a.y) - (b.x * b.x + b.y * b.y) || a.y - b.y || a.x - b.x;
+    });
+    if (cells.length > continuousTerrain.maxTiles) cells.length = continuousTerrain.maxTiles;
+
+    var chosen = {};
+    cells.forEach(function(c) { chosen[getTileKey(c.x, c.y)] = true; });
+    var profileAt = function(tx, ty) {
+        if (!chosen[getTileKey(tx, ty)]) return null;
+        return continuousProfile(grid[tileToCell(ty) * s + tileToCell(tx)]);
+    };
+
+    var nz = continuousNoise(baseSeed);
+    cells.forEach(function(c) {
+        var m = {
+            width:       1024,
+            height:      1024,
+            shift:       10,
+            altitude:    createAltitudeArray(1024 * 1024),
+            color:       new Uint32Array(1024 * 1024),
+            heightScale: BIOME_HEIGHT_SCALE
+        };
+        genContinuousTile(m, c.x, c.y, nz, profileAt);
+        window.continuousTileIndex[getTileKey(c.x, c.y)] = maps.length;
+        maps.push(m);
+    });
+    console.log('Continuous terrain:', cells.length, 'tiles');
+}
@@ -0,0 +1,223 @@
+// ===============================
+// Erosion — hydraulic and thermal post-process
+// ===============================
+// Weathers a finished tile in place so raw FBM relief reads as eroded land:
+//   Hydraulic — simulated rain droplets run downhill, picking up sediment
+//               where they speed up and dropping it where they slow down.
+//               Carves gullies into slopes and fills valley floors.
+//   Thermal   — material on slopes steeper than the talus angle slides to
+//               the lowest neighbour, rounding off spikes and cliffs.
+// The colormap is then tinted toward bare rock where material was scoured
+// or the ground is steep, and toward sediment where material was laid down.
+//
+// erodeTile() works on any tile's altitude / color arrays.  The hills, hills
+// end-cap and mountain generators in biomeGen.js (and recipes that ask for
+// it) call in through applyErosion(), which skips the pass unless
+// erosion.enabled is set.  The seed menu's EROSION select sets it, and saves
+// record it (worldSave.js) so a world regenerates the way it was made.
+// All randomness comes from the tile seed, so a seed always erodes the same
+// way.  Every change is weighted by biomeEdgeFade, so the outer tile edge is
+// left untouched and still meets its neighbours at the generated altitude.
+//
+// TO DISABLE: choose EROSION → OFF in the seed menu, or remove the script tag in
+// index.html — biomeGen.js checks typeof before calling in.
+"use strict";
+
+var erosion = {
+    enabled:           true,
+    droplets:          60000,  // hydraulic droplets per 1024x1024 tile
+    lifetime:          40,     // max steps a droplet travels, px
+    inertia:           0.05,   // 0 = follow the slope exactly, 1 = never turn
+    capacity:          8,      // sediment carried per unit of speed × water × drop
+    minCapacity:       0.01,
+    erodeRate:         0.5,    // fraction of spare capacity picked up per step
+    depositRate:       0.3,    // fraction of excess sediment dropped per step
+    evaporation:       0.02,   // water lost per step
+    gravity:           4,
+    radius:            2,      // erosion brush radius, px
+    thermalIterations: 6,
+    talus:             1.4,    // steepest stable slope, altitude units per px
+    thermalRate:       0.5     // fraction of the excess slope moved per pass
+};
+
+// Tint endpoints (r, g, b)
+var EROSION_ROCK     = [112, 104, 96];
+var EROSION_SEDIMENT = [134, 116, 86];
+
+// -----------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------
+
+// erosion settings with any fields of opts laid over them.
+function erosionOptions(opts) {
+    var o = {};
+    for (var k in erosion) o[k] = erosion[k];
+    if (opts) for (var j in opts) o[j] = opts[j];
+    return o;
+}
+
+// Cell offsets and normalised weights of a round brush, heavier at the center.
+function erosionBrush(radius) {
+    var brush = { dx: [], dy: [], wt: [] };
+    var sum = 0;
+    for (var dy = -radius; dy <= radius; dy++) {
+        for (var dx = -radius; dx <= radius; dx++) {
+            var wgt = 1 - Math.sqrt(dx * dx + dy * dy) / radius;
+            if (wgt <= 0) continue;
+            brush.dx.push(dx); brush.dy.push(dy); brush.wt.push(wgt);
+            sum += wgt;
+        }
+    }
+    for (var i = 0; i < brush.wt.length; i++) brush.wt[i] /= sum;
+    return brush;
+}
+
+// Bilinear height of hm at (px, py); px, py must lie inside [0, w-1).
+function erosionHeight(hm, w, px, py) {
+    var x = px | 0, y = py | 0;
+    var fx = px - x, fy = py - y;
+    var i = y * w + x;
+    return hm[i]     * (1 - fx) * (1 - fy) + hm[i + 1]     * fx * (1 - fy) +
+           hm[i + w] * (1 - fx) * fy       + hm[i + w + 1] * fx * fy;
+}
+
+// -----------------------------------------------------------------------
+// Hydraulic erosion
+// -----------------------------------------------------------------------
+
+function erodeHydraulic(hm, w, h, o, rng) {
+    var brush = erosionBrush(o.radius);
+    var bn    = brush.wt.length;
+
+    for (var d = 0; d < o.droplets; d++) {
+        var px = rng() * (w - 1), py = rng() * (h - 1);
+        var dirX = 0, dirY = 0, speed = 1, water = 1, sediment = 0;
+
+        for (var step = 0; step < o.lifetime; step++) {
+            var nodeX = px | 0, nodeY = py | 0;
+            var fx = px - nodeX, fy = py - nodeY;
+            var cell = nodeY * w + nodeX;
+
+            // Height and gradient from the four surrounding cells
+            var hNW = hm[cell], hNE = hm[cell + 1], hSW = hm[cell + w], hSE = hm[cell + w + 1];
+            var gx = (hNE - hNW) * (1 - fy) + (hSE - hSW) * fy;
+            var gy = (hSW - hNW) * (1 - fx) + (hSE - hNE) * fx;
+            var height = hNW * (1 - fx) * (1 - fy) + hNE * fx * (1 - fy) +
+                         hSW * (1 - fx) * fy       + hSE * fx * fy;
+
+            // Turn downhill, keeping some of the previous direction
+            dirX = dirX * o.inertia - gx * (1 - o.inertia);
+            dirY = dirY * o.inertia - gy * (1 - o.inertia);
+            var len = Math.sqrt(dirX * dirX + dirY * dirY);
+            if (len < 1e-6) break;   // flat — the droplet soaks in
+            dirX /= len; dirY /= len;
+            px += dirX; py += dirY;
+            if (px < 0 || px >= w - 1 || py < 0 || py >= h - 1) break;
+
+            var dh  = erosionHeight(hm, w, px, py) - height;
+            var cap = Math.max(-dh * speed * water * o.capacity, o.minCapacity);
+
+            if (sediment > cap || dh > 0) {
+                // Uphill: fill the dip behind.  Otherwise drop the excess.
+                var drop = (dh > 0) ? Math.min(dh, sediment) : (sediment - cap) * o.depositRate;
+                sediment -= drop;
+                hm[cell]         += drop * (1 - fx) * (1 - fy);
+                hm[cell + 1]     += drop * fx * (1 - fy);
+                hm[cell + w]     += drop * (1 - fx) * fy;
+                hm[cell + w + 1] += drop * fx * fy;
+            } else {
+                // Pick up sediment over the brush, never digging below the next step
+                var take = Math.min((cap - sediment) * o.erodeRate, -dh);
+                for (var b = 0; b < bn; b++) {
+                    var bx = nodeX + brush.dx[b], by = nodeY + brush.dy[b];
+                    if (bx < 0 || bx >= w || by < 0 || by >= h) continue;
+                    var bi  = by * w + bx;
+                    var amt = Math.min(hm[bi], take * brush.wt[b]);
+                    hm[bi]   -= amt;
+                    sediment += amt;
+                }
+            }
+
+            speed = Math.sqrt(Math.max(0, speed * speed - dh * o.gravity));
+            water *= 1 - o.evaporation;
+        }
+    }
+}
+
+// -----------------------------------------------------------------------
+// Thermal erosion
+// -----------------------------------------------------------------------
+
+function erodeThermal(hm, w, h, o) {
+    var nb = [-w, w, 1, -1];
+    for (var it = 0; it < o.thermalIterations; it++) {
+        for (var y = 1; y < h - 1; y++) {
+            for (var x = 1; x < w - 1; x++) {
+                var i = y * w + x;
+                var best = 0, to = -1;
+                for (var n = 0; n < 4; n++) {
+                    var diff = hm[i] - hm[i + nb[n]];
+                    if (diff > best) { best = diff; to = i + nb[n]; }
+                }
+                if (best <= o.talus) continue;
+                var move = (best - o.talus) * 0.5 * o.thermalRate;
+                hm[i]  -= move;
+                hm[to] += move;
+            }
+        }
+    }
+}
+
+// -----------------------------------------------------------------------
+// Entry points
+// -----------------------------------------------------------------------
+
+// The generators' call: erode unless erosion is switched off.
+function applyErosion(mapObj, seed) {
+    if (erosion.enabled) erodeTile(mapObj, seed);
+}
+
+// Erode mapObj in place.  opts overrides any field of the erosion settings,
+// e.g. erodeTile(m, seed, { droplets: 120000, thermalIterations: 12 }).
+function erodeTile(mapObj, seed, opts) {
+    var o = erosionOptions(opts);
+    var w = mapObj.width, h = mapObj.height;
+    var col = mapObj.color;
+
+    var hm = new Float32Array(w * h);
+    for (var i = 0; i < hm.length; i++) hm[i] = getAltitude(mapObj, i);
+
+    erodeHydraulic(hm, w, h, o, mulberry32((seed ^ 0xE7051DE5) >>> 0));
+    erodeThermal(hm, w, h, o);
+
+    // Write back, faded out toward the tile edge, and tint the colormap
+    for (var y = 1; y < h - 1; y++) {
+        for (var x = 1; x < w - 1; x++) {
+            var fade = biomeEdgeFade(x, y, w, h);
+            if (fade <= 0) continue;
+
+            var idx   = (y << mapObj.shift) + x;
+            var hi    = y * w + x;
+            var before = getAltitude(mapObj, idx);
+            var delta  = (hm[hi] - before) * fade;
+            setAltitude(mapObj, idx, before + delta);
+
+            // Scoured or steep ground shows rock; deposits show sediment
+            var sx    = (hm[hi + 1] - hm[hi - 1]) * 0.5;
+            var sy    = (hm[hi + w] - hm[hi - w]) * 0.5;
+            var steep = (Math.sqrt(sx * sx + sy * sy) - o.talus * 0.6) / o.talus;
+            var rock  = Math.max(0, Math.min(1, Math.max(-delta / 5, steep))) * fade * 0.7;
+            var sed   = Math.max(0, Math.min(1, delta / 3)) * fade * 0.6;
+            if (rock <= 0 && sed <= 0) continue;
+
+            var tint = (sed > rock) ? EROSION_SEDIMENT : EROSION_ROCK;
+            var t    = Math.max(rock, sed);
+            var c = col[idx];
+            var r = c & 0xFF, g = (c >> 8) & 0xFF, b = (c >> 16) & 0xFF;
+            r = (r + (tint[0] - r) * t) | 0;
+            g = (g + (tint[1] - g) * t) | 0;
+            b = (b + (tint[2] - b) * t) | 0;
+            col[idx] = (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+        }
+    }
+}
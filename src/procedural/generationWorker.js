@@ -0,0 +1,36 @@
+// ===============================
+// Generation Worker — builds a fixed-size world off the main thread
+// ===============================
+// Started by generateTerrainAsync() (terrainGen.js).  The page sends one
+// message:
+//   { scripts, settings, seed }
+// scripts are the page's own generation scripts (generationScriptURLs), so
+// the worker sees exactly the plugins and optional modules the page has.
+// The worker runs generateTerrain() and answers with:
+//   { type: 'stage', name, index, count }  — as each stage starts
+//   { type: 'done',  world }               — packGeneratedWorld(); the
+//                                            altitude / color buffers are
+//                                            transferred, not copied
+//   { type: 'error', message }             — the page falls back to
+//                                            generating on the main thread
+// Cancelling is worker.terminate() on the page side.
+"use strict";
+
+// The generation scripts address their globals through window
+self.window = self;
+
+self.onmessage = function(e) {
+    var msg = e.data;
+    try {
+        importScripts.apply(self, msg.scripts);
+        applyGenerationSettings(msg.settings);
+        onGenerationStage = function(name, index, count) {
+            self.postMessage({ type: 'stage', name: name, index: index, count: count });
+        };
+        generateTerrain(msg.seed);
+        var packed = packGeneratedWorld();
+        self.postMessage({ type: 'done', world: packed.world }, packed.transfer);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: String((err && err.message) || err) });
+    }
+};
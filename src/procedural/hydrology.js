@@ -0,0 +1,448 @@
+// ===============================
+// Hydrology — rivers and lakes
+// ===============================
+// Runs in two halves:
+//   generateHydrology()      — world map stage, right after constraint repair.
+//                              Picks springs in mountain / ridge cells and walks
+//                              each river cell-to-cell downhill until it reaches
+//                              a beach, runs into an earlier river, or gets
+//                              stuck in a basin, which becomes a lake.
+//   generateHydrologyTiles() — tile stage.  Every cell a river touches gets its
+//                              own copy of its biome tile with the channel,
+//                              banks and lake basin carved in.
+//
+// Channels are laid out in world pixels, not tile pixels, and every carved
+// tile is cut against the same world-space paths.  Two tiles sharing a 128px
+// overlap therefore carve identical water into it, so rivers run straight
+// through the seams instead of breaking at them.
+"use strict";
+
+var HYDRO_RIVERS_MIN      = 2;     // rivers per 16x16 worth of area
+var HYDRO_RIVERS_MAX      = 4;
+var HYDRO_MIN_RIVER_CELLS = 3;     // shorter walks are dropped
+var HYDRO_MAX_CELLS       = 48;    // carved tile budget — each is a 5 MB tile copy
+
+var HYDRO_SOURCE_ALT      = 66;    // water surface at the spring (world units)
+var HYDRO_DROP_PER_CELL   = 5;     // surface drop per cell travelled
+var HYDRO_SEA_ALT         = 30;    // lowest surface — a beach mouth
+
+var HYDRO_RIVER_WIDTH     = 9;     // channel half-width at the spring, px
+var HYDRO_RIVER_WIDEN     = 3;     // extra half-width per cell downstream
+var HYDRO_RIVER_WIDTH_MAX = 30;
+var HYDRO_BANK_WIDTH      = 110;   // how far the carve reaches past the water, px
+var HYDRO_BANK_SLOPE      = 0.5;   // bank rise per px away from the water
+var HYDRO_MUD_WIDTH       = 8;     // wet mud band along the shore, px
+var HYDRO_BED_DEPTH       = 16;    // deepest point below the surface
+var HYDRO_MEANDER         = 150;   // max sideways swing between cell centers, px
+var HYDRO_SEGMENTS        = 8;     // polyline segments per cell step
+var HYDRO_LAKE_RADIUS     = 170;   // mean lake radius, px
+var HYDRO_MOUTH_RADIUS    = 110;   // pool where a river meets the beach, px
+
+// The carve never reaches a tile's outer 128px unless the river crosses that
+// edge: max meander + widest channel + bank = 290px from the cell center,
+// and lakes at most 1.2 × HYDRO_LAKE_RADIUS + bank = 314px.
+
+var HYDRO_DX = [0, 0, 1, -1];
+var HYDRO_DY = [-1, 1, 0, 0];
+
+// -----------------------------------------------------------------------
+// World map stage
+// -----------------------------------------------------------------------
+
+// Coarse elevation of a biome — rivers only ever move to a lower rank.
+function hydroCellRank(biome) {
+    switch (biome) {
+        case BIOME_BEACH:      return 0;
+        case BIOME_TRANSITION: return 1;
+        case BIOME_PLAINS:     return 2;
+        case BIOME_HILLS:
+        case BIOME_FOOTHILL:   return 3;
+        case BIOME_MOUNTAIN:
+        case BIOME_RIDGE:      return 5;
+    }
+    var reg = getRegisteredBiome(biome);
+    return reg ? reg.elevationRank : 2;
+}
+
+// Cell elevation = biome rank + distance to the nearest beach (so rivers
+// drift seaward over flat ground) + a little jitter.  The extra terms stay
+// below 1, so a river never climbs into a higher rank; ground ringed by
+// higher ranks with no way down becomes a basin.
+function hydroElevation(grid, size, rng) {
+    var dist  = new Int32Array(size * size).fill(-1);
+    var queue = [];
+    for (var i = 0; i < size * size; i++) {
+        if (grid[i] === BIOME_BEACH) { dist[i] = 0; queue.push(i); }
+    }
+    var maxDist = 1;
+    for (var head = 0; head < queue.length; head++) {
+        var c = queue[head], cx = c % size, cy = (c / size) | 0;
+        for (var d = 0; d < 4; d++) {
+            var nx = cx + HYDRO_DX[d], ny = cy + HYDRO_DY[d];
+            if (nx < 0 || ny < 0 || nx >= size || ny >= size) continue;
+            var n = ny * size + nx;
+            if (dist[n] >= 0) continue;
+            dist[n] = dist[c] + 1;
+            if (dist[n] > maxDist) maxDist = dist[n];
+            queue.push(n);
+        }
+    }
+
+    var elev = new Float32Array(size * size);
+    for (var j = 0; j < size * size; j++) {
+        var dj = dist[j] < 0 ? maxDist : dist[j];
+        elev[j] = hydroCellRank(grid[j]) + 0.8 * dj / (maxDist + 1) + rng() * 0.04;
+    }
+    return elev;
+}
+
+// Walk downhill from (sx, sy).  Returns { cells, end, joins } or null when
+// the spring has nowhere to go.  end is 'sea' (reached a beach), 'join'
+// (ran into river #joins) or 'lake' (stuck in a basin).
+function traceRiver(grid, size, elev, owner, sx, sy) {
+    var cells = [{ x: sx, y: sy }];
+    var x = sx, y = sy;
+
+    while (true) {
+        var i = y * size + x;
+        if (cells.length > 1 && grid[i] === BIOME_BEACH) return { cells: cells, end: 'sea', joins: -1 };
+
+        // Steepest strictly-lower cardinal neighbour; strict descent means
+        // the walk can never loop back on itself.
+        var best = -1, bestElev = elev[i];
+        for (var d = 0; d < 4; d++) {
+            var nx = x + HYDRO_DX[d], ny = y + HYDRO_DY[d];
+            if (!isPlayableCell(nx, ny) || isSpawnCell(nx, ny)) continue;
+            var n = ny * size + nx;
+            if (elev[n] < bestElev) { best = n; bestElev = elev[n]; }
+        }
+
+        if (best < 0) {
+            // Lakes only settle in low ground — never a pit in a mountain tile
+            if (cells.length < 2 || hydroCellRank(grid[i]) > 3) return null;
+            return { cells: cells, end: 'lake', joins: -1 };
+        }
+
+        x = best % size;
+        y = (best / size) | 0;
+        cells.push({ x: x, y: y });
+        if (owner[best] >= 0) return { cells: cells, end: 'join', joins: owner[best] };
+    }
+}
+
+// Route rivers over the repaired biome grid.  Returns
+//   { rivers: [{ cells, end, joins }], lakes: [{ x, y, river }], owner }
+// where owner[y * size + x] is the first river through that cell (-1: dry).
+// Draws from its own RNG so the rest of the world layout is unaffected.
+function generateHydrology(grid, size, seed) {
+    var rng   = mulberry32((seed ^ 0x4A7E12F0) >>> 0);
+    var elev  = hydroElevation(grid, size, rng);
+    var owner = new Int16Array(size * size).fill(-1);
+    var hydro = { rivers: [], lakes: [], owner: owner };
+
+    // Springs: mountain / ridge cells on the edge of their range
+    var springs = [];
+    for (var y = 0; y < size; y++) {
+        for (var x = 0; x < size; x++) {
+            if (!isPlayableCell(x, y) || hydroCellRank(grid[y * size + x]) < 5) continue;
+            for (var d = 0; d < 4; d++) {
+                var nx = x + HYDRO_DX[d], ny = y + HYDRO_DY[d];
+                if (isPlayableCell(nx, ny) && hydroCellRank(grid[ny * size + nx]) < 5) {
+                    springs.push({ x: x, y: y });
+                    break;
+                }
+            }
+        }
+    }
+    for (var s = springs.length - 1; s > 0; s--) {
+        var k = Math.floor(rng() * (s + 1));
+        var tmp = springs[s]; springs[s] = springs[k]; springs[k] = tmp;
+    }
+
+    var wanted = (HYDRO_RIVERS_MIN + Math.floor(rng() * (HYDRO_RIVERS_MAX - HYDRO_RIVERS_MIN + 1)))
+               * worldAreaScale();
+    var used = 0;
+
+    for (var si = 0; si < springs.length && hydro.rivers.length < wanted; si++) {
+        var sp = springs[si];
+        if (owner[sp.y * size + sp.x] >= 0) continue;
+
+        var river = traceRiver(grid, size, elev, owner, sp.x, sp.y);
+        if (!river || river.cells.length < HYDRO_MIN_RIVER_CELLS) continue;
+
+        // Drop whole rivers rather than truncate them once the budget runs out
+        var fresh = river.cells.filter(function(c) { return owner[c.y * size + c.x] < 0; });
+        if (used + fresh.length > HYDRO_MAX_CELLS) continue;
+        used += fresh.length;
+
+        var ri = hydro.rivers.length;
+        fresh.forEach(function(c) { owner[c.y * size + c.x] = ri; });
+        hydro.rivers.push(river);
+        if (river.end === 'lake') {
+            var last = river.cells[river.cells.length - 1];
+            hydro.lakes.push({ x: last.x, y: last.y, river: ri });
+        }
+    }
+    return hydro;
+}
+
+// -----------------------------------------------------------------------
+// Tile stage
+// -----------------------------------------------------------------------
+
+// World-pixel center of a cell's tile.
+function hydroCellCenter(c) {
+    var adv = tileSystem.tileWidth - tileSystem.overlapSize;  // 896
+    return {
+        x: cellToTile(c.x) * adv + tileSystem.tileWidth  / 2,
+        y: cellToTile(c.y) * adv + tileSystem.tileHeight / 2
+    };
+}
+
+function hydroRiverHalfWidth(pos) {
+    return Math.min(HYDRO_RIVER_WIDTH_MAX, HYDRO_RIVER_WIDTH + pos * HYDRO_RIVER_WIDEN);
+}
+
+// Keep a river's surface below floorAt(cell) — the lowest ground of that
+// cell's tile — on both ends of every step, and never rising downstream.
+// Without this a river crossing low ground would float above its banks.
+function hydroClampSurface(s, cells, floorAt) {
+    for (var i = 0; i < s.length; i++) {
+        var f = floorAt(cells[i]);
+        if (i + 1 < s.length) f = Math.min(f, floorAt(cells[i + 1]));
+        s[i] = Math.min(s[i], f);
+        if (i > 0) s[i] = Math.min(s[i], s[i - 1]);
+    }
+}
+
+// Water surface at each cell of every river.  Surfaces fall with distance
+// from the spring; a tributary is bent to meet the river it joins at that
+// river's level, so both surfaces agree at the confluence.
+function hydroRiverSurfaces(hydro, floorAt) {
+    var out = [];
+    hydro.rivers.forEach(function(river) {
+        var n = river.cells.length - 1;
+        var s = [];
+        for (var i = 0; i <= n; i++) {
+            s.push(Math.max(HYDRO_SEA_ALT, HYDRO_SOURCE_ALT - i * HYDRO_DROP_PER_CELL));
+        }
+        hydroClampSurface(s, river.cells, floorAt);
+        if (river.end === 'join') {
+            var host = hydro.rivers[river.joins];
+            var end  = river.cells[n];
+            var hi   = 0;
+            while (host.cells[hi].x !== end.x || host.cells[hi].y !== end.y) hi++;
+            var sj   = out[river.joins][hi];
+            var drop = s[n] - sj;
+            for (var j = 0; j <= n; j++) {
+                s[j] = drop > 0 ? s[j] - drop * j / n : Math.max(s[j], sj);
+            }
+            hydroClampSurface(s, river.cells, floorAt);
+        }
+        out.push(s);
+    });
+    return out;
+}
+
+// World-space geometry for the whole network:
+//   segs  — { ax, ay, bx, by, sa, sb, wa, wb }: endpoints, water surface and
+//           channel half-width at each end
+//   pools — { x, y, r, p1, p2, s }: lakes and river mouths (radius r wobbled
+//           by phases p1 / p2, flat surface s)
+// Each step between cell centers swings sideways by a seeded two-harmonic
+// curve that is zero at both centers, so consecutive steps always connect.
+// floorAt(cell) caps the water surface (see hydroClampSurface).
+function buildHydrologyPaths(hydro, seed, floorAt) {
+    var rng      = mulberry32((seed ^ 0x5EEDB0A7) >>> 0);
+    var surfaces = hydroRiverSurfaces(hydro, floorAt);
+    var segs = [], pools = [];
+
+    hydro.rivers.forEach(function(river, ri) {
+        var s = surfaces[ri];
+        for (var i = 0; i < river.cells.length - 1; i++) {
+            var a  = hydroCellCenter(river.cells[i]);
+            var b  = hydroCellCenter(river.cells[i + 1]);
+            var dx = b.x - a.x, dy = b.y - a.y;
+            var len = Math.sqrt(dx * dx + dy * dy);
+            var px = -dy / len, py = dx / len;          // unit perpendicular
+            var a1 = (rng() * 2 - 1) * HYDRO_MEANDER * 0.7;
+            var a2 = (rng() * 2 - 1) * HYDRO_MEANDER * 0.3;
+
+            var prevX = a.x, prevY = a.y, prevT = 0;
+            for (var k = 1; k <= HYDRO_SEGMENTS; k++) {
+                var t   = k / HYDRO_SEGMENTS;
+                var off = a1 * Math.sin(Math.PI * t) + a2 * Math.sin(2 * Math.PI * t);
+                var x   = a.x + dx * t + px * off;
+                var y   = a.y + dy * t + py * off;
+                segs.push({
+                    ax: prevX, ay: prevY, bx: x, by: y,
+                    sa: s[i] + (s[i + 1] - s[i]) * prevT,
+                    sb: s[i] + (s[i + 1] - s[i]) * t,
+                    wa: hydroRiverHalfWidth(i + prevT),
+                    wb: hydroRiverHalfWidth(i + t)
+                });
+                prevX = x; prevY = y; prevT = t;
+            }
+        }
+
+        if (river.end !== 'join') {
+            var c = hydroCellCenter(river.cells[river.cells.length - 1]);
+            pools.push({
+                x: c.x, y: c.y,
+                r:  river.end === 'lake' ? HYDRO_LAKE_RADIUS * (0.85 + rng() * 0.15) : HYDRO_MOUTH_RADIUS,
+                p1: rng() * Math.PI * 2,
+                p2: rng() * Math.PI * 2,
+                s:  s[s.length - 1]
+            });
+        }
+    });
+    return { segs: segs, pools: pools };
+}
+
+function hydroWaterColor(depth, pv) {
+    var v = (pv - 0.5) * 6;
+    var r = 64  - depth * 24 + v;
+    var g = 106 - depth * 22 + v;
+    var b = 132 - depth * 10 + v;
+    r = Math.max(0, Math.min(255, r | 0));
+    g = Math.max(0, Math.min(255, g | 0));
+    b = Math.max(0, Math.min(255, b | 0));
+    return (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+var HYDRO_MUD_COLOR = (0xFF000000 | (58 << 16) | (80 << 8) | 94) >>> 0;
+
+// Carve the network into mapObj, whose pixel (0, 0) sits at world (ox, oy).
+// buf.edge / buf.surf are scratch Float32Arrays the size of the tile.
+function carveHydrologyTile(mapObj, ox, oy, paths, buf) {
+    var w = mapObj.width, h = mapObj.height;
+    var edge = buf.edge, surf = buf.surf;
+    var reach = HYDRO_RIVER_WIDTH_MAX + HYDRO_BANK_WIDTH;
+    edge.fill(Infinity);
+
+    // Pass 1: signed distance to the nearest water edge (< 0 = in the water)
+    // and the water surface there.
+    paths.segs.forEach(function(seg) {
+        var x0 = Math.max(0,     Math.floor(Math.min(seg.ax, seg.bx) - reach - ox));
+        var x1 = Math.min(w - 1, Math.ceil (Math.max(seg.ax, seg.bx) + reach - ox));
+        var y0 = Math.max(0,     Math.floor(Math.min(seg.ay, seg.by) - reach - oy));
+        var y1 = Math.min(h - 1, Math.ceil (Math.max(seg.ay, seg.by) + reach - oy));
+        if (x0 > x1 || y0 > y1) return;
+
+        var dx = seg.bx - seg.ax, dy = seg.by - seg.ay;
+        var len2 = dx * dx + dy * dy || 1;
+        for (var y = y0; y <= y1; y++) {
+            for (var x = x0; x <= x1; x++) {
+                var qx = ox + x - seg.ax, qy = oy + y - seg.ay;
+                var t  = Math.max(0, Math.min(1, (qx * dx + qy * dy) / len2));
+                var ex = qx - dx * t, ey = qy - dy * t;
+                var e  = Math.sqrt(ex * ex + ey * ey) - (seg.wa + (seg.wb - seg.wa) * t);
+                var i  = (y << mapObj.shift) + x;
+                if (e < edge[i]) { edge[i] = e; surf[i] = seg.sa + (seg.sb - seg.sa) * t; }
+            }
+        }
+    });
+
+    paths.pools.forEach(function(pool) {
+        var R  = pool.r * 1.2 + HYDRO_BANK_WIDTH;
+        var x0 = Math.max(0,     Math.floor(pool.x - R - ox)), x1 = Math.min(w - 1, Math.ceil(pool.x + R - ox));
+        var y0 = Math.max(0,     Math.floor(pool.y - R - oy)), y1 = Math.min(h - 1, Math.ceil(pool.y + R - oy));
+        for (var y = y0; y <= y1; y++) {
+            for (var x = x0; x <= x1; x++) {
+                var qx = ox + x - pool.x, qy = oy + y - pool.y;
+                var th = Math.atan2(qy, qx);
+                var r  = pool.r * (1 + 0.12 * Math.sin(3 * th + pool.p1) + 0.08 * Math.sin(5 * th + pool.p2));
+                var e  = Math.sqrt(qx * qx + qy * qy) - r;
+                var i  = (y << mapObj.shift) + x;
+                if (e < edge[i]) { edge[i] = e; surf[i] = pool.s; }
+            }
+        }
+    });
+
+    // Pass 2: the bed sinks below the surface toward the middle of the water
+    // and the surface is recorded in mapObj.waterLevel for the water renderer;
+    // banks are cut as a cone that fades back into the original terrain over
+    // the outer half of the bank.  Heights are worked in world units so
+    // 2.0-scale ridge tiles carve to the same level.
+    var hs = mapObj.heightScale;
+    for (var py = 0; py < h; py++) {
+        for (var px = 0; px < w; px++) {
+            var idx = (py << mapObj.shift) + px;
+            var e   = edge[idx];
+            if (e >= HYDRO_BANK_WIDTH) continue;
+
+            var ground = getAltitude(mapObj, idx) * hs;
+            var s      = Math.max(0, surf[idx]);  // waterLevel is unsigned
+            var level;
+            if (e <= 0) {
+                level = Math.min(ground, s - Math.min(HYDRO_BED_DEPTH, -e * 0.25));
+                mapObj.color[idx]      = hydroWaterColor(Math.min(1, -e / 12), pixelVar(ox + px, oy + py));
+                mapObj.waterLevel[idx] = Math.round(s);
+                if (s > mapObj.waterMax) mapObj.waterMax = Math.round(s);
+            } else {
+                var cut  = Math.min(ground, s + 2 + e * HYDRO_BANK_SLOPE);
+                var keep = Math.max(0, Math.min(1, e / HYDRO_BANK_WIDTH * 2 - 1));
+                keep = keep * keep * (3 - 2 * keep);
+                level = cut + (ground - cut) * keep;
+                if (e < HYDRO_MUD_WIDTH) {
+                    mapObj.color[idx] = blendColors(HYDRO_MUD_COLOR, mapObj.color[idx], e / HYDRO_MUD_WIDTH);
+                }
+            }
+            setAltitude(mapObj, idx, level / hs);
+        }
+    }
+}
+
+// Give every cell on a river its own carved copy of its biome tile, with a
+// waterLevel map (surface in world units per pixel, 0 = dry).  Stores
+// window.hydrologyTileIndex = { tileKey → mapIndex }, which
+// initializeBiomeTileSystem() prefers over the shared biome tile.
+// Runs after all other tile generators so routing sees the final tiles.
+function generateHydrologyTiles(baseSeed) {
+    window.hydrologyTileIndex = {};
+    var hydro = window.worldHydrology;
+    if (!hydro || !hydro.rivers.length || !window.worldMapData) return;
+
+    // Lowest ground (world units) of each cell's biome tile, less a margin,
+    // but never below 0: surfaces are stored in an unsigned waterLevel map
+    var floors  = {};
+    var floorAt = function(c) {
+        var mi = biomeTileIndex(c.x, c.y);
+        if (floors[mi] === undefined) {
+            var src = maps[mi], lo = Infinity;
+            for (var i = 0; i < src.altitude.length; i++) if (src.altitude[i] < lo) lo = src.altitude[i];
+            floors[mi] = Math.max(0, lo * altitudeScale(src) - 2);
+        }
+        return floors[mi];
+    };
+    var paths = buildHydrologyPaths(hydro, baseSeed, floorAt);
+    var size  = WORLD_MAP_SIZE;
+    var adv   = tileSystem.tileWidth - tileSystem.overlapSize;  // 896
+    var buf   = {
+        edge: new Float32Array(tileSystem.tileWidth * tileSystem.tileHeight),
+        surf: new Float32Array(tileSystem.tileWidth * tileSystem.tileHeight)
+    };
+
+    for (var cy = 0; cy < size; cy++) {
+        for (var cx = 0; cx < size; cx++) {
+            if (hydro.owner[cy * size + cx] < 0) continue;
+            var src = maps[biomeTileIndex(cx, cy)];
+            var m   = {
+                width:       src.width,
+                height:      src.height,
+                shift:       src.shift,
+                altitude:    src.altitude.slice(),
+                color:       new Uint32Array(src.color),
+                heightScale: src.heightScale,
+                waterLevel:  new Uint8Array(src.width * src.height),
+                waterMax:    0
+            };
+            var tileX = cellToTile(cx), tileY = cellToTile(cy);
+            carveHydrologyTile(m, tileX * adv, tileY * adv, paths, buf);
+            window.hydrologyTileIndex[getTileKey(tileX, tileY)] = maps.length;
+            maps.push(m);
+        }
+    }
+    console.log('Hydrology:', hydro.rivers.length, 'rivers,', hydro.lakes.length, 'lakes,',
+                Object.keys(window.hydrologyTileIndex).length, 'tiles carved');
+}
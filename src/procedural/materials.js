@@ -0,0 +1,156 @@
+// ===============================
+// Materials — slope-aware colorizer pass
+// ===============================
+// The per-biome color functions pick a color from altitude and pixelVar
+// only, so a cliff is painted the same grass as the meadow below it.
+// colorizeTile() runs over a finished tile and reads the terrain itself:
+//   slope     — steepness in world units per px (central differences)
+//   curvature — Laplacian of the height; > 0 in hollows, < 0 on crests
+//   aspect    — which way a slope faces; pole-facing (north, -y) slopes
+//               hold snow lower down
+// and blends four materials over the generator's colors, in this order:
+//   grass — gentle ground below a grass line
+//   scree — loose rock collecting in hollows below steep ground
+//   rock  — anything steeper than the rock slope
+//   snow  — above the snow line, on ground flat enough for it to settle
+// A profile says which materials a tile family gets and where they start.
+// Heights in a profile are world units (altitude × heightScale), so tiles
+// with different heightScales share one set of thresholds.
+//
+// Any generator opts in with one call after its altitude and color are
+// written (and after erodeTile, which moves the ground):
+//   if (typeof applyMaterials === 'function') applyMaterials(mapObj, 'MOUNTAIN');
+// applyMaterials() is colorizeTile() gated on materials.enabled.
+// Every change is weighted by biomeEdgeFade, so tile borders keep the
+// generator's colors and still match their neighbours.
+//
+// TO DISABLE: set materials.enabled = false, or remove the script tag in
+// index.html — the generators check typeof before calling in.
+"use strict";
+
+var materials = {
+    enabled: true,
+    step:    2      // px between height samples for slope / curvature
+};
+
+// Material colors (r, g, b); each pixel varies by ±variation
+var MATERIAL_COLORS = {
+    grass: [68, 106, 40],
+    scree: [136, 126, 110],
+    rock:  [104, 98, 92],
+    snow:  [232, 237, 246]
+};
+var MATERIAL_VARIATION = 14;
+
+// grass: { below, maxSlope }           — world height, slope
+// scree: { slope, curvature }          — slope where it starts, hollow depth for full cover
+// rock:  { slope, blend }              — slope ± blend
+// snow:  { line, blend, maxSlope, aspect } — snow line ± blend, lowered by
+//                                         `aspect` on fully pole-facing slopes
+// Any material may also carry its own color: [r, g, b].
+var MATERIAL_PROFILES = {
+    HILLS: {
+        grass: { below: 128, maxSlope: 0.35 },
+        scree: { slope: 0.55, curvature: 0.12 },
+        rock:  { slope: 0.95, blend: 0.30 }
+    },
+    FOOTHILL: {
+        grass: { below: 100, maxSlope: 0.30 },
+        scree: { slope: 0.50, curvature: 0.12 },
+        rock:  { slope: 0.85, blend: 0.30 }
+    },
+    MOUNTAIN: {
+        grass: { below: 135, maxSlope: 0.30, color: [60, 94, 38] },
+        scree: { slope: 0.55, curvature: 0.15 },
+        rock:  { slope: 0.90, blend: 0.30 },
+        snow:  { line: 228, blend: 12, maxSlope: 1.10, aspect: 20 }
+    },
+    // Peak and wide-ridge tiles (heightScale 2, up to ~510 world units)
+    PEAK: {
+        scree: { slope: 0.90, curvature: 0.25 },
+        rock:  { slope: 1.80, blend: 0.50 },
+        snow:  { line: 360, blend: 30, maxSlope: 1.80, aspect: 50 }
+    }
+};
+
+function materialStep(e0, e1, v) {
+    var t = Math.max(0, Math.min(1, (v - e0) / (e1 - e0)));
+    return t * t * (3 - 2 * t);
+}
+
+// -----------------------------------------------------------------------
+// Entry points
+// -----------------------------------------------------------------------
+
+// The generators' call: colorize unless materials are switched off.
+function applyMaterials(mapObj, profile) {
+    if (materials.enabled) colorizeTile(mapObj, profile);
+}
+
+// Recolor mapObj in place from its own terrain.  profile is a
+// MATERIAL_PROFILES name or a profile object.
+function colorizeTile(mapObj, profile) {
+    var p = (typeof profile === 'string') ? MATERIAL_PROFILES[profile] : profile;
+    if (!p) return;
+
+    var w = mapObj.width, h = mapObj.height, shift = mapObj.shift;
+    var col = mapObj.color;
+    var S   = materials.step;
+
+    // Heights in world units, so profiles work across heightScales
+    var hs = altitudeScale(mapObj);
+    var hm = new Float32Array(w * h);
+    for (var i = 0; i < hm.length; i++) hm[i] = mapObj.altitude[i] * hs;
+
+    var layers = [];
+    ['grass', 'scree', 'rock', 'snow'].forEach(function(name) {
+        if (p[name]) layers.push({ name: name, rule: p[name], color: p[name].color || MATERIAL_COLORS[name] });
+    });
+
+    for (var y = 0; y < h; y++) {
+        var yN = Math.max(0, y - S) * w, yS = Math.min(h - 1, y + S) * w, row = y * w;
+        for (var x = 0; x < w; x++) {
+            var fade = biomeEdgeFade(x, y, w, h);
+            if (fade <= 0) continue;
+
+            var c  = hm[row + x];
+            var hE = hm[row + Math.min(w - 1, x + S)], hW = hm[row + Math.max(0, x - S)];
+            var hS = hm[yS + x], hN = hm[yN + x];
+            var gx = (hE - hW) / (2 * S), gy = (hS - hN) / (2 * S);
+            var slope = Math.sqrt(gx * gx + gy * gy);
+            var curv  = (hE + hW + hS + hN - 4 * c) / (S * S);
+            var north = slope > 0 ? gy / slope : 0;   // 1 = faces north (downhill is -y)
+
+            var idx = (y << shift) + x;
+            var v = (pixelVar(x, y) - 0.5) * MATERIAL_VARIATION;
+            var px = col[idx];
+            var r = px & 0xFF, g = (px >> 8) & 0xFF, b = (px >> 16) & 0xFF;
+
+            for (var li = 0; li < layers.length; li++) {
+                var L = layers[li], R = L.rule, wt;
+                if (L.name === 'grass') {
+                    wt = (1 - materialStep(R.maxSlope * 0.6, R.maxSlope, slope)) *
+                         (1 - materialStep(R.below - 15, R.below, c));
+                } else if (L.name === 'scree') {
+                    wt = materialStep(R.slope * 0.5, R.slope, slope) * materialStep(0, R.curvature, curv);
+                } else if (L.name === 'rock') {
+                    wt = materialStep(R.slope - R.blend, R.slope + R.blend, slope);
+                } else {
+                    var line = R.line - R.aspect * north;
+                    wt = materialStep(line - R.blend, line + R.blend, c) *
+                         (1 - materialStep(R.maxSlope * 0.7, R.maxSlope, slope));
+                }
+                wt *= fade;
+                if (wt <= 0) continue;
+                r += (L.color[0] + v - r) * wt;
+                g += (L.color[1] + v - g) * wt;
+                b += (L.color[2] + v - b) * wt;
+            }
+
+            r = Math.max(0, Math.min(255, r | 0));
+            g = Math.max(0, Math.min(255, g | 0));
+            b = Math.max(0, Math.min(255, b | 0));
+            col[idx] = (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+        }
+    }
+}
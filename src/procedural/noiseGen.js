@@ -1,5 +1,5 @@
 // ===============================
-// Seeded Perlin Noise + FBM
+// Seeded Noise — Perlin, simplex, cellular and fractal sums
 // ===============================
 "use strict";
 
@@ -15,19 +15,15 @@ function mulberry32(seed) {
 }
 
 // Create a seeded Perlin noise function
-// Returns a function noise(x, y) → approximately [-0.7, 0.7]
-function createPerlinNoise(seed) {
-    var rng = mulberry32(seed >>> 0);
-
-    // Build permutation table shuffled with the seed
-    var p = new Uint8Array(256);
-    for (var i = 0; i < 256; i++) p[i] = i;
-    for (var i = 255; i > 0; i--) {
-        var j = Math.floor(rng() * (i + 1));
-        var tmp = p[i]; p[i] = p[j]; p[j] = tmp;
+// Returns a function noise(x, y) → [-1, 1], 99% of samples within ±0.7
+// With an integer period (1–256) the noise repeats every `period` units;
+// the lattice only has 256 gradients, so longer periods are rejected.
+function createPerlinNoise(seed, period) {
+    if (period !== undefined && period !== 0 &&
+        !(period === (period | 0) && period > 0 && period <= 256)) {
+        throw new Error('createPerlinNoise: period must be an integer from 1 to 256');
     }
-    var perm = new Uint8Array(512);
-    for (var i = 0; i < 512; i++) perm[i] = p[i & 255];
+    var perm = noisePermutation(seed);
 
     function fade(t) {
         return t * t * t * (t * (t * 6.0 - 15.0) + 10.0);
@@ -45,22 +41,32 @@ function createPerlinNoise(seed) {
         return ((h & 1) ? -u : u) + ((h & 2) ? -v : v);
     }
 
-    return function(x, y) {
-        var xi = Math.floor(x) & 255;
-        var yi = Math.floor(y) & 255;
-        var xf = x - Math.floor(x);
-        var yf = y - Math.floor(y);
+    function noise(xi, yi, xj, yj, xf, yf) {
         var u = fade(xf);
         var v = fade(yf);
-        var aa = perm[perm[xi    ] + yi    ];
-        var ab = perm[perm[xi    ] + yi + 1];
-        var ba = perm[perm[xi + 1] + yi    ];
-        var bb = perm[perm[xi + 1] + yi + 1];
+        var aa = perm[perm[xi] + yi];
+        var ab = perm[perm[xi] + yj];
+        var ba = perm[perm[xj] + yi];
+        var bb = perm[perm[xj] + yj];
         return lerp(
             lerp(grad(aa, xf,     yf    ), grad(ba, xf - 1, yf    ), u),
             lerp(grad(ab, xf,     yf - 1), grad(bb, xf - 1, yf - 1), u),
             v
         );
+    }
+
+    var P = period | 0;
+    if (P > 0) {
+        return function(x, y) {
+            var fx = Math.floor(x), fy = Math.floor(y);
+            var xi = ((fx % P) + P) % P, yi = ((fy % P) + P) % P;
+            return noise(xi, yi, (xi + 1) % P, (yi + 1) % P, x - fx, y - fy);
+        };
+    }
+    return function(x, y) {
+        var xi = Math.floor(x) & 255;
+        var yi = Math.floor(y) & 255;
+        return noise(xi, yi, xi + 1, yi + 1, x - Math.floor(x), y - Math.floor(y));
     };
 }
 
@@ -79,3 +85,144 @@ function fbm(noiseFn, x, y, octaves, lacunarity, gain) {
     }
     return sum / maxAmp;
 }
+
+// -----------------------------------------------------------------------
+// Noise toolkit
+// -----------------------------------------------------------------------
+// Every factory takes a 32-bit seed and returns a plain function of (x, y),
+// so any of them can be handed to fbm(), billow(), ridgedMultifractal() or
+// domainWarp().  The same seed always gives the same field.
+//
+//   createPerlinNoise(seed, period)   [-1, 1], 99% within ±0.7  lattice noise
+//   createSimplexNoise(seed)          ≈ [-1, 1]      fewer axis artifacts
+//   createCellularNoise(seed, mode, period)
+//                                     'f1'    [0, ~1.1]  distance to nearest point
+//                                     'f2'    [0, ~1.4]  … to second nearest
+//                                     'f2-f1' [0, ~1.3]  0 on cell borders
+//   fbm(noise, x, y, oct, lac, gain)  noise's range
+//   billow(noise, …)                  ≈ [-1, 0.85] for simplex, [-1, 0.5] for Perlin
+//   ridgedMultifractal(noise, …)      [0, 1], crests at 1
+//   domainWarp(warp, x, y, amount, ox, oy, out)  offset of ±amount
+//
+// Tileable variants: pass an integer period to createPerlinNoise (1–256,
+// anything else throws) or createCellularNoise (any positive integer) and
+// the field repeats every `period` units on both axes.  fbm / billow / ridgedMultifractal of a tileable noise stay tileable
+// as long as the lacunarity is a whole number.
+
+// Shuffled 512-entry permutation table for a seed
+function noisePermutation(seed) {
+    var rng = mulberry32(seed >>> 0);
+    var p = new Uint8Array(256);
+    for (var i = 0; i < 256; i++) p[i] = i;
+    for (var i = 255; i > 0; i--) {
+        var j = Math.floor(rng() * (i + 1));
+        var tmp = p[i]; p[i] = p[j]; p[j] = tmp;
+    }
+    var perm = new Uint8Array(512);
+    for (var i = 0; i < 512; i++) perm[i] = p[i & 255];
+    return perm;
+}
+
+// 2D simplex noise (Gustavson).  Returns noise(x, y) → approximately [-1, 1]
+function createSimplexNoise(seed) {
+    var perm = noisePermutation(seed);
+    var F2 = 0.5 * (Math.sqrt(3) - 1), G2 = (3 - Math.sqrt(3)) / 6;
+    var GX = [1, -1, 1, -1, 1, -1, 0,  0];
+    var GY = [1,  1, -1, -1, 0, 0, 1, -1];
+
+    function corner(gi, x, y) {
+        var t = 0.5 - x * x - y * y;
+        if (t < 0) return 0;
+        t *= t;
+        return t * t * (GX[gi] * x + GY[gi] * y);
+    }
+
+    return function(x, y) {
+        var s  = (x + y) * F2;
+        var i  = Math.floor(x + s), j = Math.floor(y + s);
+        var t  = (i + j) * G2;
+        var x0 = x - (i - t), y0 = y - (j - t);
+        var i1 = x0 > y0 ? 1 : 0, j1 = 1 - i1;
+        var x1 = x0 - i1 + G2,    y1 = y0 - j1 + G2;
+        var x2 = x0 - 1 + 2 * G2, y2 = y0 - 1 + 2 * G2;
+        var ii = i & 255, jj = j & 255;
+        return 70 * (corner(perm[ii +      perm[jj     ]] & 7, x0, y0) +
+                     corner(perm[ii + i1 + perm[jj + j1]] & 7, x1, y1) +
+                     corner(perm[ii + 1  + perm[jj + 1 ]] & 7, x2, y2));
+    };
+}
+
+// Hash of a lattice cell → 32-bit value
+function noiseCellHash(seed, ix, iy) {
+    var h = Math.imul(seed ^ ix, 0x85EBCA6B) ^ Math.imul(iy, 0xC2B2AE35);
+    h = Math.imul(h ^ (h >>> 16), 0x7FEB352D);
+    h = Math.imul(h ^ (h >>> 15), 0x846CA68B);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Worley / cellular noise: one jittered feature point per unit cell.
+// mode 'f1' (default), 'f2' or 'f2-f1' — see the table above.
+function createCellularNoise(seed, mode, period) {
+    seed = seed >>> 0;
+    mode = mode || 'f1';
+    var P = period | 0;
+
+    return function(x, y) {
+        var cx = Math.floor(x), cy = Math.floor(y);
+        var f1 = Infinity, f2 = Infinity;
+        for (var j = -1; j <= 1; j++) {
+            for (var i = -1; i <= 1; i++) {
+                // Feature point of the cell, hashed afresh each time
+                var ix = cx + i, iy = cy + j;
+                if (P) { ix = ((ix % P) + P) % P; iy = ((iy % P) + P) % P; }
+                var h = noiseCellHash(seed, ix, iy);
+                var dx = cx + i + (h & 0xFFFF) / 65536 - x, dy = cy + j + (h >>> 16) / 65536 - y;
+                var d = dx * dx + dy * dy;
+                if (d < f1) { f2 = f1; f1 = d; }
+                else if (d < f2) f2 = d;
+            }
+        }
+        f1 = Math.sqrt(f1); f2 = Math.sqrt(f2);
+        return mode === 'f2' ? f2 : mode === 'f2-f1' ? f2 - f1 : f1;
+    };
+}
+
+// Billow — fbm of |noise|, rounded hills with sharp creases between them
+function billow(noiseFn, x, y, octaves, lacunarity, gain) {
+    var sum = 0.0, amp = 0.5, freq = 1.0, maxAmp = 0.0;
+    for (var i = 0; i < octaves; i++) {
+        sum    += (Math.abs(noiseFn(x * freq, y * freq)) * 2 - 1) * amp;
+        maxAmp += amp;
+        freq   *= lacunarity;
+        amp    *= gain;
+    }
+    return sum / maxAmp;
+}
+
+// Ridged multifractal (Musgrave) — sharp crests where the noise crosses
+// zero; each octave is weighted by the one below it, so detail gathers on
+// the ridges and the valleys stay smooth.  Returns [0, 1].
+function ridgedMultifractal(noiseFn, x, y, octaves, lacunarity, gain) {
+    var sum = 0.0, amp = 0.5, freq = 1.0, maxAmp = 0.0, weight = 1.0;
+    for (var i = 0; i < octaves; i++) {
+        var s = 1 - Math.abs(noiseFn(x * freq, y * freq));
+        s *= s * weight;
+        weight  = Math.max(0, Math.min(1, s * 2));
+        sum    += s * amp;
+        maxAmp += amp;
+        freq   *= lacunarity;
+        amp    *= gain;
+    }
+    return sum / maxAmp;
+}
+
+// Domain warp offset at (x, y): two 3-octave fbm samples of warpFn, the
+// second shifted by (ox, oy) so the axes are uncorrelated, each scaled by
+// amount.  Written to out ([dx, dy], reused to avoid garbage) and returned.
+// Sample the target noise at (x + dx, y + dy).
+function domainWarp(warpFn, x, y, amount, ox, oy, out) {
+    out = out || [0, 0];
+    out[0] = fbm(warpFn, x,      y,      3, 2.0, 0.5) * amount;
+    out[1] = fbm(warpFn, x + ox, y + oy, 3, 2.0, 0.5) * amount;
+    return out;
+}
@@ -0,0 +1,599 @@
+// ===============================
+// Roads — routed, graded paths between points of interest
+// ===============================
+// Runs as the last tile stage, after the rivers are carved, so routing sees
+// the final ground:
+//   1. Points of interest: the spawn, every lake, the square of every
+//      settlement, and a few seeded open-ground sites spread across the
+//      world (roadPointsOfInterest).
+//   2. Their minimum spanning tree gives the pairs to connect, shortest
+//      first.  Each pair is routed with A* over a coarse world raster whose
+//      edge cost grows with grade; steps steeper than roads.maxSlope (the
+//      player's MAX_SLOPE from camera.js) are impassable and water is a ford
+//      to avoid.  Existing road is cheap, so later routes join the network
+//      instead of running beside it.
+//   3. Every new stretch gets a height profile: the ground along it,
+//      smoothed and limited to roads.maxGrade, pinned to the road it joins.
+//   4. Every tile the corridor reaches gets its own copy, with the road bed
+//      flattened to the profile, cut and fill shoulders blended back into the
+//      terrain, and the surface painted.
+//
+// Like rivers, roads are laid out in world pixels and every carved tile is
+// cut against the same segments, so two tiles sharing an overlap carve the
+// same road into it.  A tile whose overlap the corridor only grazes is
+// carved too, so roads never fade out at a seam.
+//
+// TO DISABLE: set roads.enabled = false, or remove the script tag in
+// index.html.
+"use strict";
+
+var roads = {
+    enabled:  true,
+    // Steepest step a route may take, world units per px.  The player's
+    // MAX_SLOPE when camera.js is on the page (the worker and the CLI get
+    // the page's value through generationSettings()).
+    maxSlope: (typeof MAX_SLOPE !== 'undefined') ? MAX_SLOPE : 2,
+    maxGrade: 0.12,     // steepest graded road surface, world units per px
+    sites:    5,        // open-ground sites per 16x16 worth of area
+    maxTiles: 40        // carved 5 MB tile copies per 16x16 worth of area
+};
+
+var ROAD_GRID           = 64;   // routing raster spacing, px
+var ROAD_HALF_WIDTH     = 9;    // road bed half-width, px
+var ROAD_SHOULDER       = 48;   // cut / fill blend width past the bed, px
+var ROAD_EDGE           = 3;    // soft color edge of the bed, px
+var ROAD_SLOPE_COST     = 6;    // extra cost per step at maxGrade (grows with grade²)
+var ROAD_FORD_COST      = 25;   // cost multiplier for a step through water
+var ROAD_REUSE_COST     = 0.35; // cost multiplier along existing road
+var ROAD_WANDER         = 1.5;  // extra cost at the noisiest ground, × the step
+var ROAD_PROFILE_SMOOTH = 3;    // moving-average radius of the profile, nodes
+var ROAD_MIN_SITE_CELLS = 3;    // minimum spacing between sites, cells
+
+var ROAD_DX = [1, -1, 0, 0, 1, 1, -1, -1];
+var ROAD_DY = [0, 0, 1, -1, 1, -1, 1, -1];
+
+// -----------------------------------------------------------------------
+// Ground sampling
+// -----------------------------------------------------------------------
+
+// Final maps[] index of a playable tile (a settlement or river copy wins over
+// the biome tile)
+function roadTileMapIndex(tileX, tileY) {
+    var key = getTileKey(tileX, tileY);
+    var s = window.settlementTileIndex ? window.settlementTileIndex[key] : undefined;
+    var h = window.hydrologyTileIndex ? window.hydrologyTileIndex[key] : undefined;
+    return s !== undefined ? s : h !== undefined ? h : biomeTileIndex(tileToCell(tileX), tileToCell(tileY));
+}
+
+// Ground height (world units) and water at world pixel (wx, wy), read from
+// the tile that owns that pixel.
+function roadGroundAt(wx, wy, out) {
+    var adv = tileSystem.tileWidth - tileSystem.overlapSize;
+    var tx = Math.floor(wx / adv), ty = Math.floor(wy / adv);
+    var m = maps[roadTileMapIndex(tx, ty)];
+    var idx = ((Math.floor(wy - ty * adv)) << m.shift) + Math.floor(wx - tx * adv);
+    out.height = getAltitude(m, idx) * m.heightScale;
+    out.water  = !!(m.waterLevel && m.waterLevel[idx] > 0);
+    return out;
+}
+
+// -----------------------------------------------------------------------
+// Points of interest
+// -----------------------------------------------------------------------
+
+// [{ x, y, kind }] in world pixels: the spawn, lakes, settlement squares and
+// seeded sites on open ground (beach, transition, plains, hills), each at
+// least ROAD_MIN_SITE_CELLS from the others and picked farthest-first so
+// they spread over the whole world.
+function roadPointsOfInterest(rng) {
+    var size = WORLD_MAP_SIZE, c = worldCenterCell();
+    var cells = [{ x: c, y: c, kind: 'spawn' }];
+    var hydro = window.worldHydrology;
+    if (hydro) hydro.lakes.forEach(function(l) { cells.push({ x: l.x, y: l.y, kind: 'lake' }); });
+    (window.worldSettlements || []).forEach(function(s) {
+        cells.push({ x: s.cell.x, y: s.cell.y, kind: 'settlement', at: s });
+    });
+
+    var open = [];
+    for (var y = 0; y < size; y++) {
+        for (var x = 0; x < size; x++) {
+            var b = window.worldMapData[y * size + x];
+            if (!isPlayableCell(x, y)) continue;
+            if (b === BIOME_PLAINS || b === BIOME_HILLS || b === BIOME_TRANSITION || b === BIOME_BEACH) {
+                open.push({ x: x, y: y, kind: 'site' });
+            }
+        }
+    }
+    var wanted = roads.sites * worldAreaScale();
+    var near = function(p) {
+        var best = Infinity;
+        cells.forEach(function(q) { best = Math.min(best, Math.max(Math.abs(p.x - q.x), Math.abs(p.y - q.y))); });
+        return best;
+    };
+    for (var n = 0; n < wanted && open.length; n++) {
+        // Best of a few random candidates — spread out, but not on a lattice
+        var pick = null, pickD = -1;
+        for (var t = 0; t < 8; t++) {
+            var cand = open[Math.floor(rng() * open.length)];
+            var d = near(cand);
+            if (d > pickD) { pick = cand; pickD = d; }
+        }
+        if (pickD < ROAD_MIN_SITE_CELLS) break;
+        cells.push(pick);
+    }
+
+    var adv = tileSystem.tileWidth - tileSystem.overlapSize;
+    return cells.map(function(p) {
+        if (p.at) return { x: p.at.x, y: p.at.y, kind: p.kind };
+        // Somewhere inside the tile's own square, away from its edges
+        return {
+            x: cellToTile(p.x) * adv + adv * (0.3 + rng() * 0.4),
+            y: cellToTile(p.y) * adv + adv * (0.3 + rng() * 0.4),
+            kind: p.kind
+        };
+    });
+}
+
+// Pairs of points to connect: Prim's minimum spanning tree on straight-line
+// distance, returned shortest first.
+function roadSpanningPairs(points) {
+    var n = points.length, pairs = [];
+    var best = [], from = [];
+    for (var i = 0; i < n; i++) { best.push(Infinity); from.push(0); }
+    var dist = function(a, b) { return Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y); };
+    for (var k = 1; k < n; k++) { best[k] = dist(0, k); }
+    best[0] = -1;
+    for (var added = 1; added < n; added++) {
+        var next = -1;
+        for (var j = 0; j < n; j++) if (best[j] >= 0 && (next < 0 || best[j] < best[next])) next = j;
+        pairs.push({ a: from[next], b: next, d: best[next] });
+        best[next] = -1;
+        for (var m = 0; m < n; m++) {
+            if (best[m] < 0) continue;
+            var d = dist(next, m);
+            if (d < best[m]) { best[m] = d; from[m] = next; }
+        }
+    }
+    return pairs.sort(function(p, q) { return p.d - q.d; });
+}
+
+// -----------------------------------------------------------------------
+// Routing
+// -----------------------------------------------------------------------
+
+// Routing raster over the playable area: ground height, water, a little
+// seeded noise per node (wander, 0–1) that keeps routes over flat ground
+// from running dead straight, and the nodes settlement buildings block
+function buildRoadRaster(seed) {
+    var adv  = tileSystem.tileWidth - tileSystem.overlapSize;
+    var half = worldPlayableHalf();
+    var n    = Math.floor(2 * half * adv / ROAD_GRID);
+    var r = {
+        n: n, origin: -half * adv,
+        height: new Float32Array(n * n),
+        water:  new Uint8Array(n * n),
+        wander: new Float32Array(n * n),
+        blocked: new Uint8Array(n * n),
+        road:   new Float32Array(n * n).fill(NaN),  // graded height where a road runs
+        links:  {}                                  // node → { node: true } along roads
+    };
+    var g = { height: 0, water: false };
+    var noise = createPerlinNoise((seed ^ 0x3A9D7E11) >>> 0);
+    for (var j = 0; j < n; j++) {
+        for (var i = 0; i < n; i++) {
+            r.wander[j * n + i] = Math.max(0, Math.min(1, 0.5 + fbm(noise, i * 0.11, j * 0.11, 3, 2.0, 0.5)));
+            roadGroundAt(r.origin + (i + 0.5) * ROAD_GRID, r.origin + (j + 0.5) * ROAD_GRID, g);
+            r.height[j * n + i] = g.height;
+            r.water[j * n + i]  = g.water ? 1 : 0;
+        }
+    }
+    if (typeof settlementOccupied === 'function') {
+        for (var k = 0; k < n * n; k++) {
+            var wx = r.origin + (k % n + 0.5) * ROAD_GRID, wy = r.origin + (((k / n) | 0) + 0.5) * ROAD_GRID;
+            // Half a node of slack: smoothing can pull the road that far off
+            // the node centers
+            if (settlementOccupied(wx, wy, ROAD_HALF_WIDTH + ROAD_GRID / 2, true)) r.blocked[k] = 1;
+        }
+    }
+    return r;
+}
+
+function roadNodeOf(r, wx, wy) {
+    var i = Math.max(0, Math.min(r.n - 1, Math.floor((wx - r.origin) / ROAD_GRID)));
+    var j = Math.max(0, Math.min(r.n - 1, Math.floor((wy - r.origin) / ROAD_GRID)));
+    return j * r.n + i;
+}
+
+// A* from node s to node t.  Returns the node list, or null when the grade
+// limit leaves no way through.
+function routeRoad(r, s, t) {
+    var n = r.n, N = n * n;
+    var cost = new Float32Array(N).fill(Infinity);
+    var prev = new Int32Array(N).fill(-1);
+    var done = new Uint8Array(N);
+    var tx = t % n, ty = (t / n) | 0;
+    var heur = function(k) {
+        return Math.hypot(k % n - tx, ((k / n) | 0) - ty) * ROAD_GRID * ROAD_REUSE_COST;
+    };
+
+    // Binary min-heap of [priority, node]
+    var heap = [];
+    var push = function(p, k) {
+        heap.push([p, k]);
+        for (var c = heap.length - 1; c > 0;) {
+            var up = (c - 1) >> 1;
+            if (heap[up][0] <= heap[c][0]) break;
+            var tmp = heap[up]; heap[up] = heap[c]; heap[c] = tmp;
+            c = up;
+        }
+    };
+    var pop = function() {
+        var top = heap[0], last = heap.pop();
+        if (heap.length) {
+            heap[0] = last;
+            for (var c = 0;;) {
+                var l = 2 * c + 1, m = c;
+                if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                if (l + 1 < heap.length && heap[l + 1][0] < heap[m][0]) m = l + 1;
+                if (m === c) break;
+                var tmp = heap[m]; heap[m] = heap[c]; heap[c] = tmp;
+                c = m;
+            }
+        }
+        return top[1];
+    };
+
+    cost[s] = 0;
+    push(heur(s), s);
+    while (heap.length) {
+        var k = pop();
+        if (done[k]) continue;
+        if (k === t) break;
+        done[k] = 1;
+        var kx = k % n, ky = (k / n) | 0;
+        for (var d = 0; d < 8; d++) {
+            var nx = kx + ROAD_DX[d], ny = ky + ROAD_DY[d];
+            if (nx < 0 || ny < 0 || nx >= n || ny >= n) continue;
+            var q = ny * n + nx;
+            if (done[q] || r.blocked[q]) continue;
+            var len   = (d < 4 ? 1 : Math.SQRT2) * ROAD_GRID;
+            var grade = Math.abs(r.height[q] - r.height[k]) / len;
+            var onRoad = roadNodesLinked(r, k, q);
+            if (!onRoad) {
+                if (grade > roads.maxSlope) continue;
+                // A diagonal step may not cut across a diagonal road; the
+                // route has to meet it at a node and make a junction there
+                if (d >= 4 && roadNodesLinked(r, ky * n + nx, ny * n + kx)) continue;
+            }
+
+            var g = onRoad ? ROAD_REUSE_COST
+                           : (1 + ROAD_SLOPE_COST * (grade / roads.maxGrade) * (grade / roads.maxGrade)) *
+                             (1 + ROAD_WANDER * r.wander[q]);
+            if (r.water[q]) g *= ROAD_FORD_COST;
+            var c = cost[k] + len * g;
+            if (c < cost[q]) {
+                cost[q] = c;
+                prev[q] = k;
+                push(c + heur(q), q);
+            }
+        }
+    }
+    if (s !== t && prev[t] < 0) return null;
+    var path = [];
+    for (var p = t; p >= 0; p = prev[p]) path.push(p);
+    return path.reverse();
+}
+
+// Split a routed path into the stretches that are not road yet.  Each
+// stretch keeps the existing road node it starts or ends on (its junction).
+function roadNewStretches(r, path) {
+    var out = [], cur = null;
+    for (var i = 0; i < path.length; i++) {
+        var isRoad = !isNaN(r.road[path[i]]);
+        if (!isRoad) {
+            if (!cur) {
+                cur = [];
+                if (i > 0) cur.push(path[i - 1]);
+            }
+            cur.push(path[i]);
+        } else if (cur) {
+            cur.push(path[i]);
+            out.push(cur);
+            cur = null;
+        } else if (i > 0 && !roadNodesLinked(r, path[i - 1], path[i])) {
+            // Two road nodes that the network does not link directly
+            out.push([path[i - 1], path[i]]);
+        }
+    }
+    if (cur && cur.length > 1) out.push(cur);
+    return out;
+}
+
+function roadNodesLinked(r, a, b) {
+    return !!(r.links[a] && r.links[a][b]);
+}
+
+// Height profile for a stretch of nodes: the ground, smoothed, pulled to
+// the road height at junctions, then held to maxGrade in both directions.
+function roadProfile(r, nodes) {
+    var n = nodes.length, h = [], fixed = [];
+    for (var i = 0; i < n; i++) {
+        var sum = 0, cnt = 0;
+        for (var k = Math.max(0, i - ROAD_PROFILE_SMOOTH); k <= Math.min(n - 1, i + ROAD_PROFILE_SMOOTH); k++) {
+            sum += r.height[nodes[k]]; cnt++;
+        }
+        var pinned = r.road[nodes[i]];
+        fixed.push(!isNaN(pinned));
+        h.push(fixed[i] ? pinned : sum / cnt);
+    }
+    roadClampGrade(h, fixed, function(i) {
+        var a = nodes[i - 1], b = nodes[i];
+        return Math.hypot(a % r.n - b % r.n, ((a / r.n) | 0) - ((b / r.n) | 0)) * ROAD_GRID;
+    });
+    return h;
+}
+
+// Hold heights h to roads.maxGrade between neighbours, len(i) apart
+// horizontally from h[i - 1], leaving fixed[i] entries alone.  Only two
+// fixed heights too far apart for the grade can leave a steeper step.
+function roadClampGrade(h, fixed, len) {
+    var n = h.length;
+    for (var f = 1; f < n; f++) {
+        var up = len(f) * roads.maxGrade;
+        if (!fixed[f]) h[f] = Math.max(h[f - 1] - up, Math.min(h[f - 1] + up, h[f]));
+    }
+    for (var b = n - 2; b >= 0; b--) {
+        var down = len(b + 1) * roads.maxGrade;
+        if (!fixed[b]) h[b] = Math.max(h[b + 1] - down, Math.min(h[b + 1] + down, h[b]));
+    }
+}
+
+// World-space polyline for a stretch: node centers rounded off with two
+// Chaikin passes (the end points stay put, so junctions still meet).
+// Cutting corners shortens the road, so the grade is enforced again.
+// Returns [[x, y, height], ...].
+function roadPolyline(r, nodes, heights) {
+    var pts = nodes.map(function(k, i) {
+        return [r.origin + (k % r.n + 0.5) * ROAD_GRID, r.origin + (((k / r.n) | 0) + 0.5) * ROAD_GRID, heights[i]];
+    });
+    for (var pass = 0; pass < 2 && pts.length > 2; pass++) {
+        var out = [pts[0]];
+        for (var i = 0; i < pts.length - 1; i++) {
+            var a = pts[i], b = pts[i + 1];
+            var q = [a[0] * 0.75 + b[0] * 0.25, a[1] * 0.75 + b[1] * 0.25, a[2] * 0.75 + b[2] * 0.25];
+            var s = [a[0] * 0.25 + b[0] * 0.75, a[1] * 0.25 + b[1] * 0.75, a[2] * 0.25 + b[2] * 0.75];
+            if (i > 0) out.push(q);
+            if (i < pts.length - 2) out.push(s);
+        }
+        out.push(pts[pts.length - 1]);
+        pts = out;
+    }
+    var h = pts.map(function(p) { return p[2]; });
+    var fixed = h.map(function(v, i) {
+        return (i === 0 || i === h.length - 1) && !isNaN(r.road[nodes[i === 0 ? 0 : nodes.length - 1]]);
+    });
+    roadClampGrade(h, fixed, function(i) { return Math.hypot(pts[i][0] - pts[i - 1][0], pts[i][1] - pts[i - 1][1]); });
+    pts.forEach(function(p, i) { p[2] = h[i]; });
+    return pts;
+}
+
+// Keys of the playable tiles whose full 1024px square (overlap included)
+// comes within the corridor's reach of polyline pts.
+function roadTilesTouched(pts, into) {
+    var adv   = tileSystem.tileWidth - tileSystem.overlapSize;
+    var reach = ROAD_HALF_WIDTH + ROAD_SHOULDER;
+    var half  = worldPlayableHalf();
+    for (var i = 0; i < pts.length - 1; i++) {
+        var x0 = Math.min(pts[i][0], pts[i + 1][0]) - reach, x1 = Math.max(pts[i][0], pts[i + 1][0]) + reach;
+        var y0 = Math.min(pts[i][1], pts[i + 1][1]) - reach, y1 = Math.max(pts[i][1], pts[i + 1][1]) + reach;
+        // Tile t spans [t * adv, t * adv + tileWidth)
+        for (var ty = Math.floor((y0 - tileSystem.tileHeight) / adv) + 1; ty <= Math.floor(y1 / adv); ty++) {
+            for (var tx = Math.floor((x0 - tileSystem.tileWidth) / adv) + 1; tx <= Math.floor(x1 / adv); tx++) {
+                if (tx < -half || ty < -half || tx >= half || ty >= half) continue;
+                into[getTileKey(tx, ty)] = true;
+            }
+        }
+    }
+    return into;
+}
+
+// Route the network.  Returns window.worldRoads:
+//   { points: [{ x, y, kind }], roads: [[[x, y, height], ...], ...] }
+// with everything in world pixels / world units.  Whole routes are dropped
+// once the carved tile budget (roads.maxTiles, scaled with the world's area)
+// runs out; net.skipped lists them as { a, b } indices into points.
+function buildRoadNetwork(seed) {
+    var rng    = mulberry32((seed ^ 0x60AD5EED) >>> 0);
+    var points = roadPointsOfInterest(rng);
+    var r      = buildRoadRaster(seed);
+    var net    = { points: points, roads: [], skipped: [] };
+    var tiles  = {}, tileCount = 0;
+    var budget = Math.round(roads.maxTiles * worldAreaScale());
+
+    roadSpanningPairs(points).forEach(function(pair) {
+        var path = routeRoad(r, roadNodeOf(r, points[pair.a].x, points[pair.a].y),
+                                roadNodeOf(r, points[pair.b].x, points[pair.b].y));
+        if (!path || path.length < 2) return;
+
+        var stretches = roadNewStretches(r, path).map(function(nodes) {
+            var h = roadProfile(r, nodes);
+            return { nodes: nodes, heights: h, pts: roadPolyline(r, nodes, h) };
+        });
+        var touched = {};
+        stretches.forEach(function(st) { roadTilesTouched(st.pts, touched); });
+        var extra = Object.keys(touched).filter(function(k) { return !tiles[k]; });
+        var copies = extra.filter(function(k) { return roadCopiedTile(k) === undefined; }).length;
+        if (tileCount + copies > budget) {
+            net.skipped.push({ a: pair.a, b: pair.b });
+            return;
+        }
+        tileCount += copies;
+        extra.forEach(function(k) { tiles[k] = true; });
+
+        stretches.forEach(function(st) {
+            st.nodes.forEach(function(k, i) {
+                r.road[k] = st.heights[i];
+                if (i > 0) {
+                    var a = st.nodes[i - 1];
+                    (r.links[a] = r.links[a] || {})[k] = true;
+                    (r.links[k] = r.links[k] || {})[a] = true;
+                }
+            });
+            net.roads.push(st.pts);
+        });
+    });
+    net.tiles = Object.keys(tiles);
+    if (net.skipped.length) {
+        var at = function(p) { return p.kind + ' (' + Math.round(p.x) + ', ' + Math.round(p.y) + ')'; };
+        console.warn('Roads: carved tile budget of ' + budget + ' reached, skipped ' +
+                     net.skipped.map(function(s) { return at(points[s.a]) + ' to ' + at(points[s.b]); }).join('; '));
+    }
+    return net;
+}
+
+// -----------------------------------------------------------------------
+// Tile stage
+// -----------------------------------------------------------------------
+
+var ROAD_COLOR = [138, 116, 84];
+
+// Road segments whose corridor reaches the rectangle [x0, x1) × [y0, y1)
+// (world pixels) widened by pad: [{ ax, ay, ha, bx, by, hb }]
+function roadSegmentsNear(x0, y0, x1, y1, pad) {
+    var net = window.worldRoads, out = [];
+    if (!net) return out;
+    var reach = ROAD_HALF_WIDTH + ROAD_SHOULDER + (pad || 0);
+    net.roads.forEach(function(pts) {
+        for (var i = 0; i < pts.length - 1; i++) {
+            var a = pts[i], b = pts[i + 1];
+            if (Math.max(a[0], b[0]) + reach < x0 || Math.min(a[0], b[0]) - reach >= x1) continue;
+            if (Math.max(a[1], b[1]) + reach < y0 || Math.min(a[1], b[1]) - reach >= y1) continue;
+            out.push({ ax: a[0], ay: a[1], ha: a[2], bx: b[0], by: b[1], hb: b[2] });
+        }
+    });
+    return out;
+}
+
+// Distance from world pixel (x, y) to the nearest road centerline in segs
+function roadDistance(segs, x, y) {
+    var best = Infinity;
+    for (var s = 0; s < segs.length; s++) {
+        var g = segs[s], dx = g.bx - g.ax, dy = g.by - g.ay;
+        var t = Math.max(0, Math.min(1, ((x - g.ax) * dx + (y - g.ay) * dy) / (dx * dx + dy * dy || 1)));
+        var ex = x - g.ax - dx * t, ey = y - g.ay - dy * t;
+        best = Math.min(best, ex * ex + ey * ey);
+    }
+    return Math.sqrt(best);
+}
+
+// Carve the roads into mapObj, whose pixel (0, 0) sits at world (ox, oy).
+// buf.dist / buf.road are scratch Float32Arrays the size of the tile.
+function carveRoadTile(mapObj, ox, oy, buf) {
+    var w = mapObj.width, h = mapObj.height, shift = mapObj.shift;
+    var dist = buf.dist, road = buf.road;
+    var reach = ROAD_HALF_WIDTH + ROAD_SHOULDER;
+    dist.fill(Infinity);
+
+    // Pass 1: distance to the nearest centerline and the road height there
+    roadSegmentsNear(ox, oy, ox + w, oy + h, 0).forEach(function(g) {
+        var x0 = Math.max(0,     Math.floor(Math.min(g.ax, g.bx) - reach - ox));
+        var x1 = Math.min(w - 1, Math.ceil (Math.max(g.ax, g.bx) + reach - ox));
+        var y0 = Math.max(0,     Math.floor(Math.min(g.ay, g.by) - reach - oy));
+        var y1 = Math.min(h - 1, Math.ceil (Math.max(g.ay, g.by) + reach - oy));
+        var dx = g.bx - g.ax, dy = g.by - g.ay;
+        var len2 = dx * dx + dy * dy || 1;
+        for (var y = y0; y <= y1; y++) {
+            for (var x = x0; x <= x1; x++) {
+                var qx = ox + x - g.ax, qy = oy + y - g.ay;
+                var t  = Math.max(0, Math.min(1, (qx * dx + qy * dy) / len2));
+                var ex = qx - dx * t, ey = qy - dy * t;
+                var e  = Math.sqrt(ex * ex + ey * ey);
+                var i  = (y << shift) + x;
+                if (e < dist[i]) { dist[i] = e; road[i] = g.ha + (g.hb - g.ha) * t; }
+            }
+        }
+    });
+
+    // Pass 2: flatten the bed to the profile, blend the shoulders from the
+    // road height back to the ground, and paint the bed.  Water is left
+    // alone — a road meets a river as a ford.  World units throughout.
+    var hs = mapObj.heightScale;
+    for (var py = 0; py < h; py++) {
+        for (var px = 0; px < w; px++) {
+            var idx = (py << shift) + px;
+            var e = dist[idx];
+            if (e >= reach) continue;
+            if (mapObj.waterLevel && mapObj.waterLevel[idx] > 0) continue;
+
+            var ground = getAltitude(mapObj, idx) * hs;
+            var level  = road[idx];
+            if (e > ROAD_HALF_WIDTH) {
+                var keep = (e - ROAD_HALF_WIDTH) / ROAD_SHOULDER;
+                keep = keep * keep * (3 - 2 * keep);
+                level = level + (ground - level) * keep;
+            } else {
+                var v = (pixelVar(ox + px, oy + py) - 0.5) * 16;
+                var rr = Math.max(0, Math.min(255, (ROAD_COLOR[0] + v) | 0));
+                var gg = Math.max(0, Math.min(255, (ROAD_COLOR[1] + v) | 0));
+                var bb = Math.max(0, Math.min(255, (ROAD_COLOR[2] + v * 0.8) | 0));
+                var surface = (0xFF000000 | (bb << 16) | (gg << 8) | rr) >>> 0;
+                var edge = Math.max(0, Math.min(1, (ROAD_HALF_WIDTH - e) / ROAD_EDGE));
+                mapObj.color[idx] = blendColors(mapObj.color[idx], surface, edge);
+            }
+            setAltitude(mapObj, idx, Math.max(0, level / hs));
+        }
+    }
+}
+
+// maps[] index of the copy an earlier stage made of tile key (a settlement
+// or a river), or undefined
+function roadCopiedTile(key) {
+    var s = window.settlementTileIndex ? window.settlementTileIndex[key] : undefined;
+    if (s !== undefined) return s;
+    return window.hydrologyTileIndex ? window.hydrologyTileIndex[key] : undefined;
+}
+
+// Route the road network and carve it into per-tile copies.  Stores
+// window.worldRoads (see buildRoadNetwork) and window.roadTileIndex =
+// { tileKey → mapIndex }, which initializeBiomeTileSystem() prefers over the
+// settlement, river and biome tiles.  Tiles a settlement or river already
+// copied are carved in place.
+function generateRoadTiles(baseSeed) {
+    window.roadTileIndex = {};
+    window.worldRoads = null;
+    if (!roads.enabled || !window.worldMapData) return;
+
+    var net = buildRoadNetwork(baseSeed);
+    window.worldRoads = net;
+    var adv = tileSystem.tileWidth - tileSystem.overlapSize;
+    var buf = {
+        dist: new Float32Array(tileSystem.tileWidth * tileSystem.tileHeight),
+        road: new Float32Array(tileSystem.tileWidth * tileSystem.tileHeight)
+    };
+
+    net.tiles.forEach(function(key) {
+        var xy = key.split(','), tileX = +xy[0], tileY = +xy[1];
+        var cIdx = roadCopiedTile(key);
+        var m;
+        if (cIdx !== undefined) {
+            m = maps[cIdx];
+        } else {
+            var src = maps[biomeTileIndex(tileToCell(tileX), tileToCell(tileY))];
+            m = {
+                width:       src.width,
+                height:      src.height,
+                shift:       src.shift,
+                altitude:    src.altitude.slice(),
+                color:       new Uint32Array(src.color),
+                heightScale: src.heightScale
+            };
+            if (src.waterLevel) {
+                m.waterLevel = src.waterLevel.slice();
+                m.waterMax   = src.waterMax;
+            }
+            window.roadTileIndex[key] = maps.length;
+            maps.push(m);
+        }
+        carveRoadTile(m, tileX * adv, tileY * adv, buf);
+    });
+}
@@ -0,0 +1,378 @@
+// ===============================
+// Settlements — small villages of templated buildings
+// ===============================
+// Runs as a tile stage between the rivers and the roads:
+//   1. Sites: the flattest dry plains and transition cells, away from the
+//      spawn and from each other (settlementSites).
+//   2. Layout: a few buildings drawn from SETTLEMENT_TEMPLATES, scattered
+//      over the four quarters left by two streets crossing at an open square
+//      in the middle of the cell's tile (layoutSettlement).
+//   3. Every settlement cell gets its own copy of its tile with one level
+//      pad under the buildings and the square, a packed-earth yard around
+//      each building, and a smooth blend back into the surrounding ground.
+//
+// The whole settlement stays inside its tile's own square, clear of the
+// 128px overlap, so only the one tile needs a copy.  The roads stage that
+// follows routes a road into each square, down one of the streets, and
+// carves it in place.
+//
+// Buildings use the interiorWalls format of src/indoor/buildingConfig.js.
+// On the page, placeSettlementBuildings() hands each one to
+// registerBuildingCollider(), which gives it walls, roof and rendering.
+//
+// TO DISABLE: set settlements.enabled = false, or remove the script tag in
+// index.html.
+"use strict";
+
+var settlements = {
+    enabled: true,
+    count:   3          // settlements per 16x16 worth of area
+};
+
+var SETTLEMENT_YARD      = 20;   // packed-earth apron around each building, px
+var SETTLEMENT_BLEND     = 64;   // pad → ground blend past the yard, px
+var SETTLEMENT_GAP       = 40;   // minimum clearance between buildings, px
+var SETTLEMENT_SQUARE    = 64;   // radius of the open square in the middle, px
+var SETTLEMENT_STREET    = 48;   // half-width of the two streets crossing at the square, px
+var SETTLEMENT_MIN_CELLS = 3;    // minimum spacing between settlements, cells
+var SETTLEMENT_MAX_ROUGH = 10;   // roughest usable ground (std dev, world units)
+var SETTLEMENT_MIN_HOUSES = 3;
+var SETTLEMENT_MAX_HOUSES = 6;
+var SETTLEMENT_TRIES     = 40;   // placement attempts per building
+
+var SETTLEMENT_YARD_COLOR = [124, 106, 80];
+
+// Floor plans, centered on (0, 0) — the same fields as buildingConfig,
+// with interior wall coordinates relative to the building center.  The
+// entry door is on the south wall.  weight sets how often each is picked.
+var SETTLEMENT_TEMPLATES = [
+    {
+        name: 'cottage', weight: 4,
+        width: 150, depth: 130, wallHeight: 70, doorHeight: 58, doorWidth: 44, doorOffsetX: 0,
+        interiorWalls: []
+    },
+    {
+        // Two rooms side by side, entered from the east one
+        name: 'house', weight: 3,
+        width: 210, depth: 150, wallHeight: 76, doorHeight: 60, doorWidth: 48, doorOffsetX: 45,
+        interiorWalls: [
+            { type: 'v', x: 0, y1: -75, y2: 75, gaps: [{ y1: -10, y2: 40 }] }
+        ]
+    },
+    {
+        // Three rooms in a row, entered from the west end
+        name: 'longhouse', weight: 2,
+        width: 250, depth: 130, wallHeight: 80, doorHeight: 62, doorWidth: 50, doorOffsetX: -80,
+        interiorWalls: [
+            { type: 'v', x: -40, y1: -65, y2: 65, gaps: [{ y1: -20, y2: 25 }] },
+            { type: 'v', x:  45, y1: -65, y2: 65, gaps: [{ y1:   0, y2: 45 }] }
+        ]
+    },
+    {
+        // Tall open floor with a partition across the back
+        name: 'barn', weight: 1.5,
+        width: 240, depth: 190, wallHeight: 110, doorHeight: 96, doorWidth: 100, doorOffsetX: 0,
+        interiorWalls: [
+            { type: 'h', y: -30, x1: -120, x2: 120, gaps: [{ x1: -40, x2: 40 }] }
+        ]
+    },
+    {
+        // The layout of buildingConfig: a north room over a west and an east room
+        name: 'hall', weight: 0.5,
+        width: 250, depth: 220, wallHeight: 96, doorHeight: 78, doorWidth: 70, doorOffsetX: 65,
+        interiorWalls: [
+            { type: 'h', y: -30, x1: -125, x2: 125, gaps: [{ x1: -35, x2: 35 }] },
+            { type: 'v', x: 0, y1: -30, y2: 110, gaps: [{ y1: 15, y2: 85 }] }
+        ]
+    }
+];
+
+// -----------------------------------------------------------------------
+// Sites
+// -----------------------------------------------------------------------
+
+// Area of a tile (local px, [lo, hi) on both axes) a settlement may change:
+// the tile's own square less the overlap on its leading edges
+function settlementBounds() {
+    var adv = tileSystem.tileWidth - tileSystem.overlapSize;
+    return { lo: tileSystem.overlapSize, hi: adv };
+}
+
+// Ground spread of tile m over the settlement bounds: { mean, rough } in
+// world units, or null when any of it is under water
+function settlementGround(m) {
+    var b = settlementBounds(), hs = m.heightScale;
+    var sum = 0, sum2 = 0, n = 0;
+    for (var y = b.lo; y < b.hi; y += 32) {
+        for (var x = b.lo; x < b.hi; x += 32) {
+            var idx = (y << m.shift) + x;
+            if (m.waterLevel && m.waterLevel[idx] > 0) return null;
+            var h = getAltitude(m, idx) * hs;
+            sum += h; sum2 += h * h; n++;
+        }
+    }
+    var mean = sum / n;
+    return { mean: mean, rough: Math.sqrt(Math.max(0, sum2 / n - mean * mean)) };
+}
+
+// Cells to build on, flattest first: playable plains and transition cells
+// with no river, at least two cells from the spawn and SETTLEMENT_MIN_CELLS
+// from each other.
+function settlementSites() {
+    var size = WORLD_MAP_SIZE, c = worldCenterCell();
+    var hydroIdx = window.hydrologyTileIndex || {};
+    var cand = [];
+    for (var y = 0; y < size; y++) {
+        for (var x = 0; x < size; x++) {
+            var b = window.worldMapData[y * size + x];
+            if (b !== BIOME_PLAINS && b !== BIOME_TRANSITION) continue;
+            if (!isPlayableCell(x, y) || isSpawnCell(x, y)) continue;
+            if (Math.max(Math.abs(x - c), Math.abs(y - c)) < 2) continue;
+            if (hydroIdx[getTileKey(cellToTile(x), cellToTile(y))] !== undefined) continue;
+            var g = settlementGround(maps[biomeTileIndex(x, y)]);
+            if (!g || g.rough > SETTLEMENT_MAX_ROUGH) continue;
+            cand.push({ x: x, y: y, rough: g.rough });
+        }
+    }
+    cand.sort(function(p, q) { return p.rough - q.rough || p.y - q.y || p.x - q.x; });
+
+    var wanted = Math.round(settlements.count * worldAreaScale()), out = [];
+    for (var i = 0; i < cand.length && out.length < wanted; i++) {
+        var p = cand[i];
+        var clear = out.every(function(q) {
+            return Math.max(Math.abs(p.x - q.x), Math.abs(p.y - q.y)) >= SETTLEMENT_MIN_CELLS;
+        });
+        if (clear) out.push(p);
+    }
+    return out;
+}
+
+// -----------------------------------------------------------------------
+// Layout
+// -----------------------------------------------------------------------
+
+function pickSettlementTemplate(rng) {
+    var total = 0;
+    SETTLEMENT_TEMPLATES.forEach(function(t) { total += t.weight; });
+    var u = rng() * total;
+    for (var i = 0; i < SETTLEMENT_TEMPLATES.length; i++) {
+        u -= SETTLEMENT_TEMPLATES[i].weight;
+        if (u < 0) return SETTLEMENT_TEMPLATES[i];
+    }
+    return SETTLEMENT_TEMPLATES[SETTLEMENT_TEMPLATES.length - 1];
+}
+
+// A building config at world center (x, y) from template t, interior wall
+// coordinates moved into world space
+function settlementBuilding(t, x, y) {
+    return {
+        template:    t.name,
+        x: x, y: y,
+        width:       t.width,
+        depth:       t.depth,
+        wallHeight:  t.wallHeight,
+        doorHeight:  t.doorHeight,
+        doorWidth:   t.doorWidth,
+        doorOffsetX: t.doorOffsetX,
+        interiorWalls: t.interiorWalls.map(function(w) {
+            return w.type === 'h'
+                ? { type: 'h', y: y + w.y, x1: x + w.x1, x2: x + w.x2,
+                    gaps: w.gaps.map(function(g) { return { x1: x + g.x1, x2: x + g.x2, height: g.height }; }) }
+                : { type: 'v', x: x + w.x, y1: y + w.y1, y2: y + w.y2,
+                    gaps: w.gaps.map(function(g) { return { y1: y + g.y1, y2: y + g.y2, height: g.height }; }) };
+        })
+    };
+}
+
+// Scatter buildings over the tile at (tileX, tileY), each in one of the
+// quarters between the streets.  Returns { x, y, buildings } in world pixels
+// (x, y = the square's center), or null when fewer than two buildings fit.
+function layoutSettlement(rng, tileX, tileY) {
+    var adv = tileSystem.tileWidth - tileSystem.overlapSize;
+    var b   = settlementBounds();
+    var pad = SETTLEMENT_YARD + SETTLEMENT_BLEND;
+    var lo  = b.lo + pad, hi = b.hi - pad;
+    // The square sits on a node of the road raster (roads.js), so the
+    // streets line up with a row and a column of it and stay open to routing
+    var grid = (typeof ROAD_GRID !== 'undefined') ? ROAD_GRID : 64;
+    var sq  = Math.floor((lo + hi) / 2 / grid) * grid + grid / 2;
+    var want = SETTLEMENT_MIN_HOUSES + Math.floor(rng() * (SETTLEMENT_MAX_HOUSES - SETTLEMENT_MIN_HOUSES + 1));
+    var placed = [];
+
+    for (var n = 0; n < want; n++) {
+        var t = pickSettlementTemplate(rng);
+        var hw = t.width / 2, hd = t.depth / 2;
+        for (var k = 0; k < SETTLEMENT_TRIES; k++) {
+            // A random quarter, then a spot in it
+            var xr = rng() < 0.5 ? [lo, sq - SETTLEMENT_STREET] : [sq + SETTLEMENT_STREET, hi];
+            var yr = rng() < 0.5 ? [lo, sq - SETTLEMENT_STREET] : [sq + SETTLEMENT_STREET, hi];
+            if (xr[1] - xr[0] < t.width || yr[1] - yr[0] < t.depth) continue;
+            var x = xr[0] + hw + rng() * (xr[1] - xr[0] - t.width);
+            var y = yr[0] + hd + rng() * (yr[1] - yr[0] - t.depth);
+            // Keep the square open
+            var ex = Math.max(0, Math.abs(x - sq) - hw), ey = Math.max(0, Math.abs(y - sq) - hd);
+            if (Math.hypot(ex, ey) < SETTLEMENT_SQUARE + SETTLEMENT_GAP) continue;
+            var clear = placed.every(function(p) {
+                return Math.abs(p.x - x) >= (p.width + t.width) / 2 + SETTLEMENT_GAP ||
+                       Math.abs(p.y - y) >= (p.depth + t.depth) / 2 + SETTLEMENT_GAP;
+            });
+            if (!clear) continue;
+            placed.push({ t: t, x: x, y: y, width: t.width, depth: t.depth });
+            break;
+        }
+    }
+    if (placed.length < 2) return null;
+
+    var ox = tileX * adv, oy = tileY * adv;
+    return {
+        x: ox + sq, y: oy + sq,
+        buildings: placed.map(function(p) {
+            return settlementBuilding(p.t, ox + Math.round(p.x), oy + Math.round(p.y));
+        })
+    };
+}
+
+// Distance from world pixel (x, y) to settlement s's built ground: the
+// nearest building footprint or, unless buildingsOnly, the square (0 on or
+// inside them)
+function settlementDistance(s, x, y, buildingsOnly) {
+    var best = buildingsOnly ? Infinity : Math.max(0, Math.hypot(x - s.x, y - s.y) - SETTLEMENT_SQUARE);
+    for (var i = 0; i < s.buildings.length && best > 0; i++) {
+        var bd = s.buildings[i];
+        var ex = Math.max(0, Math.abs(x - bd.x) - bd.width / 2);
+        var ey = Math.max(0, Math.abs(y - bd.y) - bd.depth / 2);
+        best = Math.min(best, Math.hypot(ex, ey));
+    }
+    return best;
+}
+
+// True when world pixel (x, y) is within margin px of any settlement's
+// buildings or, unless buildingsOnly, its square
+function settlementOccupied(x, y, margin, buildingsOnly) {
+    var list = window.worldSettlements;
+    if (!list) return false;
+    for (var i = 0; i < list.length; i++) {
+        var s = list[i];
+        if (Math.abs(x - s.x) > s.reach + margin || Math.abs(y - s.y) > s.reach + margin) continue;
+        if (settlementDistance(s, x, y, buildingsOnly) < margin) return true;
+    }
+    return false;
+}
+
+// -----------------------------------------------------------------------
+// Tile stage
+// -----------------------------------------------------------------------
+
+// Level settlement s into mapObj, whose pixel (0, 0) sits at world (ox, oy):
+// the pad at s.height under the buildings, square and yards, blended back
+// to the ground over SETTLEMENT_BLEND, with the yards and square painted.
+function levelSettlementTile(mapObj, s, ox, oy) {
+    var b = settlementBounds(), hs = mapObj.heightScale, shift = mapObj.shift;
+    var reach = SETTLEMENT_YARD + SETTLEMENT_BLEND;
+    for (var py = b.lo; py < b.hi; py++) {
+        for (var px = b.lo; px < b.hi; px++) {
+            var d = settlementDistance(s, ox + px, oy + py);
+            if (d >= reach) continue;
+            var idx = (py << shift) + px;
+            var level = s.height;
+            if (d > SETTLEMENT_YARD) {
+                var keep = (d - SETTLEMENT_YARD) / SETTLEMENT_BLEND;
+                keep = keep * keep * (3 - 2 * keep);
+                level += (getAltitude(mapObj, idx) * hs - level) * keep;
+            } else {
+                var v = (pixelVar(ox + px, oy + py) - 0.5) * 14;
+                var rr = Math.max(0, Math.min(255, (SETTLEMENT_YARD_COLOR[0] + v) | 0));
+                var gg = Math.max(0, Math.min(255, (SETTLEMENT_YARD_COLOR[1] + v) | 0));
+                var bb = Math.max(0, Math.min(255, (SETTLEMENT_YARD_COLOR[2] + v * 0.8) | 0));
+                var yard = (0xFF000000 | (bb << 16) | (gg << 8) | rr) >>> 0;
+                mapObj.color[idx] = blendColors(mapObj.color[idx], yard, 0.85 * Math.min(1, (SETTLEMENT_YARD - d) / 6));
+            }
+            setAltitude(mapObj, idx, Math.max(0, level / hs));
+        }
+    }
+}
+
+// Lay out the settlements and level each into its own tile copy.  Stores
+// window.worldSettlements:
+//   [{ cell: { x, y }, x, y, height, reach, buildings: [buildingConfig-style] }]
+// (x, y = the square, world pixels; height = the pad, world units) and
+// window.settlementTileIndex = { tileKey → mapIndex }, which the road stage
+// carves in place and initializeBiomeTileSystem() prefers over the river
+// and biome tiles.
+function generateSettlementTiles(baseSeed) {
+    window.settlementTileIndex = {};
+    window.worldSettlements = null;
+    if (!settlements.enabled || !window.worldMapData) return;
+
+    var rng = mulberry32((baseSeed ^ 0x5E771E5) >>> 0);
+    var adv = tileSystem.tileWidth - tileSystem.overlapSize;
+    var list = [];
+
+    settlementSites().forEach(function(cell) {
+        var tileX = cellToTile(cell.x), tileY = cellToTile(cell.y);
+        var s = layoutSettlement(rng, tileX, tileY);
+        if (!s) return;
+
+        var src = maps[biomeTileIndex(cell.x, cell.y)];
+        var m = {
+            width:       src.width,
+            height:      src.height,
+            shift:       src.shift,
+            altitude:    src.altitude.slice(),
+            color:       new Uint32Array(src.color),
+            heightScale: src.heightScale
+        };
+        if (src.waterLevel) {
+            m.waterLevel = src.waterLevel.slice();
+            m.waterMax   = src.waterMax;
+        }
+
+        // Pad height: the mean ground under the buildings
+        var sum = 0, cnt = 0, ox = tileX * adv, oy = tileY * adv;
+        s.buildings.forEach(function(bd) {
+            for (var y = bd.y - bd.depth / 2; y <= bd.y + bd.depth / 2; y += 16) {
+                for (var x = bd.x - bd.width / 2; x <= bd.x + bd.width / 2; x += 16) {
+                    sum += getAltitude(m, ((Math.floor(y - oy)) << m.shift) + Math.floor(x - ox)) * m.heightScale;
+                    cnt++;
+                }
+            }
+        });
+        s.cell   = { x: cell.x, y: cell.y };
+        s.height = sum / cnt;
+        s.reach  = adv / 2;
+        levelSettlementTile(m, s, ox, oy);
+
+        window.settlementTileIndex[getTileKey(tileX, tileY)] = maps.length;
+        maps.push(m);
+        list.push(s);
+    });
+    window.worldSettlements = list;
+
+    var houses = 0;
+    list.forEach(function(s) { houses += s.buildings.length; });
+    console.log('Settlements:', list.length, 'with', houses, 'buildings');
+}
+
+// -----------------------------------------------------------------------
+// Page side
+// -----------------------------------------------------------------------
+
+var settlementColliders = [];
+
+// Register every building of window.worldSettlements with the building
+// renderer (src/indoor/buildingRenderer.js), replacing the previous
+// world's.  Called once a world is entered; a no-op without the indoor
+// module.
+function placeSettlementBuildings() {
+    if (typeof registerBuildingCollider !== 'function') return;
+    for (var i = buildingColliders.length - 1; i >= 0; i--) {
+        if (settlementColliders.indexOf(buildingColliders[i]) >= 0) buildingColliders.splice(i, 1);
+    }
+    settlementColliders = [];
+    (window.worldSettlements || []).forEach(function(s) {
+        s.buildings.forEach(function(bd) {
+            registerBuildingCollider(bd);
+            settlementColliders.push(bd);
+        });
+    });
+}
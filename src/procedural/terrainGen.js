@@ -29,34 +29,274 @@ function pixelVar(x, y) {
     return (h >>> 0) / 4294967296;
 }
 
+// -----------------------------------------------------------------------
+// Progress
+// -----------------------------------------------------------------------
+// generateWorldMap and generateTerrain announce each stage through
+// generationStage().  The generation worker points onGenerationStage at a
+// postMessage; on the main thread it is normally null.  Progress counts
+// only the stages this run goes through, so a world without climate numbers
+// its stages 1..16 rather than skipping one.
+var GENERATION_STAGES = [
+    'VORONOI', 'RIDGES', 'CLIMATE', 'CONSTRAINT REPAIR', 'RIVERS', 'BELTS',
+    'BIOME TILES', 'MOUNTAIN TILES', 'TRANSITION TILES', 'RIDGE TILES',
+    'FOOTHILL TILES', 'PLUGIN BIOME TILES', 'CONTINUOUS TILES',
+    'VARIANT TILES', 'RIVER TILES', 'SETTLEMENT TILES', 'ROAD TILES'
+];
+var onGenerationStage = null;   // function(name, index, count)
+
+// GENERATION_STAGES less the ones the current settings skip.
+function activeGenerationStages() {
+    return GENERATION_STAGES.filter(function(name) {
+        return name !== 'CLIMATE' || (typeof climate !== 'undefined' && climate.enabled);
+    });
+}
+
+function generationStage(name) {
+    if (!onGenerationStage) return;
+    var stages = activeGenerationStages();
+    onGenerationStage(name, stages.indexOf(name), stages.length);
+}
+
 // Generate the world: biome layout via constraint satisfaction, then
 // one dedicated tile per biome type via biomeGen.js.
 function generateTerrain(seedStr) {
     var baseSeed = hashSeedStr(seedStr);
     currentSeed  = baseSeed;
     proceduralMode = true;
+    if (typeof stopWorldStream === 'function') stopWorldStream();
+    if (typeof clearDEMImports === 'function') clearDEMImports();
+    if (typeof clearMapPack === 'function') clearMapPack();
 
-    // 1. Build 16x16 biome world map (constraint satisfaction)
+    // 1. Build the WORLD_MAP_SIZE² biome world map (constraint satisfaction)
     window.worldMapData = generateWorldMap(baseSeed);
 
     // 2. Generate one tile per biome type (beach, plains, hills, mountain)
+    generationStage('BIOME TILES');
     generateBiomeTiles(baseSeed);
 
     // 3. Generate one oriented tile per unique mountain ridge configuration.
     //    Adds entries to maps[] at indices 4+ and stores mountainRidgeMapIndex.
+    generationStage('MOUNTAIN TILES');
     generateMountainRidgeTiles(baseSeed);
 
     // 4. Generate beach↔plains transition tiles (one per unique orientation key).
     //    Always runs after mountain tiles so map indices don't collide.
+    generationStage('TRANSITION TILES');
     generateTransitionTiles(baseSeed);
 
     // 5. Generate wide straight ridge tiles (NS and/or EW only).
     //    Always runs after transition tiles so map indices don't collide.
+    generationStage('RIDGE TILES');
     generateStraightRidgeTiles(baseSeed);
 
     // 6. Generate foothill ramp tiles (one per unique orientation key).
-    //    Always runs last so map indices don't collide with earlier tiles.
+    //    Always runs after ridge tiles so map indices don't collide.
+    generationStage('FOOTHILL TILES');
     generateFoothillTiles(baseSeed);
+
+    // 7. Generate tiles for biomes added through registerBiome().
+    generationStage('PLUGIN BIOME TILES');
+    generateRegisteredBiomeTiles(baseSeed);
+
+    // 8. Continuous mode: world-space tiles for beach / plains / hills /
+    //    transition cells.  Appends to maps[], so it runs after every
+    //    fixed-index generator.
+    generationStage('CONTINUOUS TILES');
+    generateContinuousTiles(baseSeed);
+
+    // 9. Give the remaining beach, plains and hills cells their own seeded
+    //    variant tiles.
+    generationStage('VARIANT TILES');
+    generateBiomeVariantTiles(baseSeed);
+
+    // 10. Carve rivers and lakes into per-cell copies of the tiles they cross.
+    //    Runs last so it copies the final tile of every cell.
+    generationStage('RIVER TILES');
+    generateHydrologyTiles(baseSeed);
+
+    // 11. Lay out settlements on flat dry ground and level a pad for each.
+    //    After the rivers, so none is built in a river valley.
+    generationStage('SETTLEMENT TILES');
+    if (typeof generateSettlementTiles === 'function') generateSettlementTiles(baseSeed);
+
+    // 12. Route roads between points of interest and carve them, grading the
+    //    ground under them.  After the rivers, so routes can see the water,
+    //    and after the settlements, so every square gets a road.
+    generationStage('ROAD TILES');
+    if (typeof generateRoadTiles === 'function') generateRoadTiles(baseSeed);
+}
+
+// -----------------------------------------------------------------------
+// Generation worker hand-off (see generationWorker.js)
+// -----------------------------------------------------------------------
+
+// Global tables a generated world consists of, besides maps[].
+var GENERATION_TABLES = [
+    'worldMapData', 'worldMapReport', 'worldHydrology', 'worldClimate',
+    'mountainRidgeMapIndex', 'transitionMapIndex', 'wideRidgeMapIndex',
+    'foothillMapIndex', 'steepFoothillMapIndex', 'hillsCapMapIndex',
+    'continuousTileIndex', 'biomeVariantIndex', 'biomeVariantMaps',
+    'hydrologyTileIndex', 'worldSettlements', 'settlementTileIndex',
+    'worldRoads', 'roadTileIndex'
+];
+
+// Page scripts the worker loads — only those that are on the page, so a
+// removed plugin or optional module stays removed in the worker too.
+var GENERATION_SCRIPT_PATTERN = /^src\/(core\/globals|rendering\/(voxelEngine|minimap)|procedural\/|map\/mapLoader)/;
+
+function generationScriptURLs() {
+    var urls = [];
+    var scripts = document.getElementsByTagName('script');
+    for (var i = 0; i < scripts.length; i++) {
+        var src = scripts[i].getAttribute('src');
+        if (src && GENERATION_SCRIPT_PATTERN.test(src)) urls.push(scripts[i].src);
+    }
+    return urls;
+}
+
+// Settings from the seed menu that generation depends on.
+function generationSettings() {
+    var copy = function(o) { return (typeof o === 'object' && o) ? JSON.parse(JSON.stringify(o)) : null; };
+    return {
+        worldSize:         WORLD_MAP_SIZE,
+        heightBits:        heightmap.bits,
+        continuousTerrain: copy(continuousTerrain),
+        climate:           copy(typeof climate !== 'undefined' ? climate : null),
+        erosion:           copy(typeof erosion !== 'undefined' ? erosion : null),
+        materials:         copy(typeof materials !== 'undefined' ? materials : null),
+        settlements:       copy(typeof settlements !== 'undefined' ? settlements : null),
+        roads:             copy(typeof roads !== 'undefined' ? roads : null),
+        tileRecipes:       copy(typeof TILE_RECIPES !== 'undefined' ? TILE_RECIPES : null),
+        variantPool:       typeof BIOME_VARIANT_POOL !== 'undefined' ? BIOME_VARIANT_POOL : null,
+        biomeSet:          typeof activeBiomeSet === 'function' ? activeBiomeSet() : null
+    };
+}
+
+// Worker side: adopt the page's settings.
+function applyGenerationSettings(s) {
+    var assign = function(target, src) { if (src) for (var k in src) target[k] = src[k]; };
+    setWorldMapSize(s.worldSize);
+    setHeightmapBits(s.heightBits);
+    assign(continuousTerrain, s.continuousTerrain);
+    if (typeof climate !== 'undefined') assign(climate, s.climate);
+    if (typeof erosion !== 'undefined') assign(erosion, s.erosion);
+    if (typeof materials !== 'undefined') assign(materials, s.materials);
+    if (typeof settlements !== 'undefined') assign(settlements, s.settlements);
+    if (typeof roads !== 'undefined') assign(roads, s.roads);
+    if (typeof registerTileRecipe === 'function' && s.tileRecipes) s.tileRecipes.forEach(registerTileRecipe);
+    if (typeof BIOME_VARIANT_POOL !== 'undefined' && typeof s.variantPool === 'number') BIOME_VARIANT_POOL = s.variantPool;
+    if (typeof useBiomeSet === 'function') useBiomeSet(s.biomeSet);
+}
+
+// Worker side: the generated world as a message, with the list of buffers
+// to transfer rather than copy.
+function packGeneratedWorld() {
+    var world = { seed: currentSeed, maps: [], tables: {}, biomeMapIndex: {} };
+    var transfer = [];
+    var addBuffer = function(a) { if (transfer.indexOf(a.buffer) < 0) transfer.push(a.buffer); };
+    maps.forEach(function(m) {
+        if (!m) { world.maps.push(null); return; }
+        var p = {
+            width: m.width, height: m.height, shift: m.shift, heightScale: m.heightScale,
+            altitude: m.altitude, color: m.color
+        };
+        addBuffer(m.altitude);
+        addBuffer(m.color);
+        if (m.waterLevel) {
+            p.waterLevel = m.waterLevel;
+            p.waterMax   = m.waterMax;
+            addBuffer(m.waterLevel);
+        }
+        world.maps.push(p);
+    });
+    GENERATION_TABLES.forEach(function(k) { world.tables[k] = window[k]; });
+    registeredBiomes().forEach(function(b) { world.biomeMapIndex[b.id] = b.mapIndex; });
+    return { world: world, transfer: transfer };
+}
+
+// Page side: install a world built by the worker, as if generateTerrain()
+// had run here.  The base maps keep their identity — the legacy paths read
+// map / map2 / map3 directly.
+function applyGeneratedWorld(world) {
+    if (typeof stopWorldStream === 'function') stopWorldStream();
+    if (typeof clearDEMImports === 'function') clearDEMImports();
+    if (typeof clearMapPack === 'function') clearMapPack();
+    var base = [map, map2, map3, biomeMapMountain];
+    maps.length = 0;
+    world.maps.forEach(function(p, i) {
+        if (!p) { maps[i] = null; return; }
+        var m = (i < base.length) ? base[i] : {};
+        for (var k in p) m[k] = p[k];
+        maps[i] = m;
+    });
+    GENERATION_TABLES.forEach(function(k) { window[k] = world.tables[k]; });
+    for (var id in world.biomeMapIndex) {
+        var biome = getRegisteredBiome(+id);
+        if (biome) biome.mapIndex = world.biomeMapIndex[id];
+    }
+    currentSeed    = world.seed;
+    proceduralMode = true;
+}
+
+// Generate the world for seedStr in a worker.  onStage(name, index, count)
+// reports each stage; onDone() runs once the world is installed.  Where a
+// worker cannot be used (pages opened from file://, or a worker error) the
+// world is generated on the main thread instead, without stage reports.
+// Returns { cancel } — a cancelled generation never calls onDone.
+function generateTerrainAsync(seedStr, onStage, onDone) {
+    var worker = null, timer = null;
+
+    var runHere = function() {
+        timer = setTimeout(function() {
+            timer = null;
+            generateTerrain(seedStr);
+            onDone();
+        }, 50);
+    };
+    var stopWorker = function() {
+        if (worker) worker.terminate();
+        worker = null;
+    };
+
+    try {
+        worker = new Worker('src/procedural/generationWorker.js');
+    } catch (e) {
+        worker = null;
+    }
+    if (!worker) {
+        runHere();
+    } else {
+        worker.onmessage = function(e) {
+            var msg = e.data;
+            if (msg.type === 'stage') {
+                onStage(msg.name, msg.index, msg.count);
+            } else if (msg.type === 'done') {
+                stopWorker();
+                applyGeneratedWorld(msg.world);
+                onDone();
+            } else if (msg.type === 'error') {
+                console.warn('Generation worker failed, generating on the main thread:', msg.message);
+                stopWorker();
+                runHere();
+            }
+        };
+        worker.onerror = function(e) {
+            e.preventDefault();
+            console.warn('Generation worker unavailable, generating on the main thread:', e.message);
+            stopWorker();
+            runHere();
+        };
+        worker.postMessage({ scripts: generationScriptURLs(), settings: generationSettings(), seed: seedStr });
+    }
+
+    return {
+        cancel: function() {
+            stopWorker();
+            if (timer) clearTimeout(timer);
+            timer = null;
+        }
+    };
 }
 
 // -----------------------------------------------------------------------
@@ -71,49 +311,132 @@ function showSeedMenu() {
     var randomBtn    = document.getElementById('random-seed-btn');
     var generateBtn  = document.getElementById('generate-btn');
     var progressEl   = document.getElementById('gen-progress');
+    var sizeSelect   = document.getElementById('world-size-select');
+    var modeSelect   = document.getElementById('terrain-mode-select');
+    var biomeSelect  = document.getElementById('biome-mode-select');
+    var heightsSelect = document.getElementById('heights-select');
+    var erosionSelect = document.getElementById('erosion-select');
+    var genControls  = document.getElementById('gen-controls');
+    var cancelBtn    = document.getElementById('cancel-gen-btn');
+    var rerollBtn    = document.getElementById('reroll-gen-btn');
 
-    // Fill a random seed on load
-    seedInput.value = Math.floor(Math.random() * 999999999).toString();
+    var pending = null;   // { cancel } of the generation in progress
 
-    randomBtn.addEventListener('click', function() {
-        seedInput.value = Math.floor(Math.random() * 999999999).toString();
-    });
+    var randomSeed = function() {
+        return Math.floor(Math.random() * 999999999).toString();
+    };
+
+    // Lock or unlock the menu inputs while a world is being generated
+    var setGenerating = function(on) {
+        generateBtn.disabled = on;
+        randomBtn.disabled   = on;
+        [sizeSelect, modeSelect, biomeSelect, heightsSelect, erosionSelect].forEach(function(el) {
+            if (el) el.disabled = on;
+        });
+        if (genControls) genControls.style.display = on ? 'flex' : 'none';
+    };
+
+    // Enter the generated world
+    var finishWorld = function() {
+        pending = null;
+        setGenerating(false);
+        if (progressEl) progressEl.textContent = '';
 
-    generateBtn.addEventListener('click', function() {
+        // Place camera on the spawn terrain surface using the tile-aware sampler
+        camera.height = getRawTerrainHeight(camera.x, camera.y) + player.normalHeight;
+
+        // Populate the tile legend with thumbnails of every generated map
+        BuildTileLegend();
+
+        // Hide menu and start the game
+        var menuEl = document.getElementById('seed-menu');
+        if (menuEl) menuEl.style.display = 'none';
+
+        // Show in-game buttons (EDIT + SAVE) — generated worlds only
+        var gameBtns = document.getElementById('game-buttons');
+        if (gameBtns) gameBtns.style.display = proceduralMode ? 'flex' : 'none';
+
+        // Settlement buildings of this world (none in the streaming world)
+        if (typeof placeSettlementBuildings === 'function') placeSettlementBuildings();
+
+        flattenTerrainUnderCube();
+        Draw();
+    };
+
+    var startGeneration = function() {
         var seedVal = seedInput.value.trim();
-        if (!seedVal) seedVal = Math.floor(Math.random() * 999999999).toString();
+        if (!seedVal) seedVal = randomSeed();
         seedInput.value = seedVal;
 
-        generateBtn.disabled = true;
-        randomBtn.disabled   = true;
+        setGenerating(true);
         if (progressEl) progressEl.textContent = 'GENERATING WORLD...';
 
-        // Yield to let the DOM update before the heavy computation
-        setTimeout(function() {
-            generateTerrain(seedVal);
+        // "stream" selects the endless world; anything else is a grid size
+        var streaming = sizeSelect && sizeSelect.value === 'stream';
+
+        // World dimension must be set before anything reads the grid
+        if (!streaming) setWorldMapSize(sizeSelect ? sizeSelect.value : WORLD_MAP_SIZE);
+        continuousTerrain.enabled = !!modeSelect && modeSelect.value === 'continuous';
+        if (typeof climate !== 'undefined') climate.enabled = !!biomeSelect && biomeSelect.value === 'climate';
+        setHeightmapBits(heightsSelect && heightsSelect.value === '8' ? 8 : 16);
+        if (typeof erosion !== 'undefined' && erosionSelect) erosion.enabled = erosionSelect.value !== 'off';
+        // New worlds use every registered biome (a loaded save may have narrowed the set)
+        if (typeof useBiomeSet === 'function') useBiomeSet(null);
+        if (typeof BIOME_VARIANT_POOL !== 'undefined') BIOME_VARIANT_POOL = BIOME_VARIANT_POOL_DEFAULT;
+        items = [];  // clear items from any previous world
+
+        if (streaming) {
+            // Tiles around spawn are placed here; the rest stream in per frame.
+            // Yield first to let the DOM update.
+            var timer = setTimeout(function() {
+                startWorldStream(seedVal);
+                finishWorld();
+            }, 50);
+            pending = { cancel: function() { clearTimeout(timer); } };
+            return;
+        }
 
+        pending = generateTerrainAsync(seedVal, function(name, index, count) {
+            if (progressEl) progressEl.textContent = (index + 1) + '/' + count + '  ' + name;
+        }, function() {
             // Initialize tile system before sampling spawn height so the
             // correct biome map is used (not always the beach map).
-            items = [];  // clear items from any previous world
             initializeTileSystem();
             spawnBiomeTrees();
+            finishWorld();
+        });
+    };
 
-            // Place camera on the spawn terrain surface using the tile-aware sampler
-            camera.height = getRawTerrainHeight(camera.x, camera.y) + player.normalHeight;
+    // Fill a random seed on load
+    seedInput.value = randomSeed();
 
-            // Populate the tile legend with thumbnails of every generated map
-            BuildTileLegend();
+    randomBtn.addEventListener('click', function() {
+        seedInput.value = randomSeed();
+    });
 
-            // Hide menu and start the game
-            var menuEl = document.getElementById('seed-menu');
-            if (menuEl) menuEl.style.display = 'none';
+    generateBtn.addEventListener('click', startGeneration);
 
-            // Show in-game buttons (EDIT + SAVE)
-            var gameBtns = document.getElementById('game-buttons');
-            if (gameBtns) gameBtns.style.display = 'flex';
+    // Hand-made worlds from map packs (mapLoader.js)
+    if (typeof initMapPackMenu === 'function') initMapPackMenu(function(pack) {
+        var spawn = pack.source.spawn || [512, 400];
+        camera.x = spawn[0];
+        camera.y = spawn[1];
+        finishWorld();
+    });
 
-            flattenTerrainUnderCube();
-            Draw();
-        }, 50);
+    // Abandon the world being generated and return to the menu
+    if (cancelBtn) cancelBtn.addEventListener('click', function() {
+        if (pending) pending.cancel();
+        pending = null;
+        setGenerating(false);
+        if (progressEl) progressEl.textContent = 'CANCELLED';
+    });
+
+    // Abandon it and start over with a fresh random seed
+    if (rerollBtn) rerollBtn.addEventListener('click', function() {
+        if (pending) pending.cancel();
+        pending = null;
+        seedInput.value = randomSeed();
+        startGeneration();
     });
 }
@@ -0,0 +1,344 @@
+// ===============================
+// Tile Recipes — declarative tile generators from JSON
+// ===============================
+// A recipe describes a tile type as data instead of a gen*Tile function:
+// a graph of noise nodes evaluated at every pixel, the node that becomes
+// altitude, a color ramp and the usual edge fade.  registerTileRecipe()
+// compiles it into a generator and registers it as a biome through
+// registerBiome(), so it gets a palette entry, a legend entry and a
+// minimap color like any plugin biome.
+//
+// Recipe files are listed in index.html as
+//   <link rel="tile-recipe" href="src/procedural/recipes/mesa.json">
+// and loaded in page order by loadTileRecipes() before the seed menu
+// opens.  The generation worker and tools/generateWorld.js register the
+// same recipes, so every path builds the same world.
+//
+//   {
+//     "name": "MESA",                        // defines BIOME_MESA
+//     "minimapColor": "rgb(188,112,72)",     // all registerBiome() fields
+//     "seedWeight": 0,                       // apply; constraints are names
+//     "constraints": ["SWAMP"],
+//     "nodes": {
+//       "base":  { "type": "fbm", "freq": 3, "octaves": 5 },
+//       "shape": { "type": "remap", "input": "base", "from": [-0.5, 0.5] }
+//     },
+//     "altitude": { "node": "shape", "range": [70, 160] },
+//     "color":    { "ramp": [[70, [180, 120, 80]], [160, [220, 170, 120]]] },
+//     "edgeFade": true,                      // fade to edgeAlt at the border
+//     "materials": "HILLS",                  // optional applyMaterials profile
+//     "erosion": false                       // optional applyErosion pass
+//   }
+//
+// Node types (x, y run 0 → 1 across the tile; noise is seeded per node):
+//   perlin   { freq }                            one octave, [-1, 1], mostly ±0.7
+//   simplex  { freq }                            one octave, ≈ [-1, 1]
+//   cellular { freq, mode }                      Worley 'f1' | 'f2' | 'f2-f1', ≥ 0
+//   fbm      { freq, octaves, lacunarity, gain } ≈ [-1, 1]
+//   billow   { freq, octaves, lacunarity, gain } fbm of |noise|, ≤ [-1, 1]
+//   ridged   { freq, octaves, lacunarity, gain } ridged multifractal, [0, 1]
+//   ridge    { freq, octaves, sharpness }        1 − |fbm|, raised to sharpness
+//   warp     { input, amount, freq, octaves }    input sampled at displaced x, y
+//   remap    { input, from, to, power, clamp }   linear remap, then ^power
+//   combine  { op, inputs, weights }             add | mul | min | max | mix
+//   terrace  { input, steps, sharpness }         flat steps with steep risers
+//   gradient { axis, from, to }                  linear ramp along x or y
+//   const    { value }
+// fbm, billow, ridged and ridge take "basis": "simplex" to sum simplex
+// octaves instead of Perlin ones.  Ranges are listed in noiseGen.js.
+"use strict";
+
+// Recipes registered so far, in order (handed to the generation worker)
+var TILE_RECIPES = [];
+
+var TILE_RECIPE_NODE_TYPES = ['perlin', 'simplex', 'cellular', 'fbm', 'billow', 'ridged', 'ridge', 'warp', 'remap', 'combine', 'terrace', 'gradient', 'const'];
+
+function tileRecipeError(recipe, msg) {
+    return new Error('tile recipe ' + ((recipe && recipe.name) || '?') + ': ' + msg);
+}
+
+// FNV-1a of a node name — keeps each node's noise independent
+function tileRecipeSalt(name) {
+    var h = 2166136261;
+    for (var i = 0; i < name.length; i++) {
+        h ^= name.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+// -----------------------------------------------------------------------
+// Compiling
+// -----------------------------------------------------------------------
+
+// Compile recipe.nodes for one tile seed into { name → f(x, y) }.
+function compileRecipeNodes(recipe, seed) {
+    var defs = recipe.nodes || {};
+    var fns = {}, visiting = {};
+
+    var node = function(name) {
+        if (fns[name]) return fns[name];
+        var d = defs[name];
+        if (!d) throw tileRecipeError(recipe, 'unknown node "' + name + '"');
+        if (visiting[name]) throw tileRecipeError(recipe, 'node "' + name + '" depends on itself');
+        visiting[name] = true;
+
+        var nodeSeed = (seed ^ tileRecipeSalt(name) ^ Math.imul(d.seed || 0, 0x9E3779B1)) >>> 0;
+        var nz = function() {
+            return d.basis === 'simplex' ? createSimplexNoise(nodeSeed) : createPerlinNoise(nodeSeed);
+        };
+        var freq = d.freq || 1, oct = d.octaves || 4;
+        var lac = d.lacunarity || 2.0, gain = d.gain || 0.5;
+        var f, n, input;
+
+        switch (d.type) {
+            case 'perlin':
+                n = nz();
+                f = function(x, y) { return n(x * freq, y * freq); };
+                break;
+            case 'simplex':
+                n = createSimplexNoise(nodeSeed);
+                f = function(x, y) { return n(x * freq, y * freq); };
+                break;
+            case 'cellular':
+                n = createCellularNoise(nodeSeed, d.mode);
+                f = function(x, y) { return n(x * freq, y * freq); };
+                break;
+            case 'fbm':
+                n = nz();
+                f = function(x, y) { return fbm(n, x * freq, y * freq, oct, lac, gain); };
+                break;
+            case 'billow':
+                n = nz();
+                f = function(x, y) { return billow(n, x * freq, y * freq, oct, lac, gain); };
+                break;
+            case 'ridged':
+                n = nz();
+                f = function(x, y) { return ridgedMultifractal(n, x * freq, y * freq, oct, lac, gain); };
+                break;
+            case 'ridge':
+                n = nz();
+                var sharp = d.sharpness || 2;
+                f = function(x, y) {
+                    return Math.pow(Math.max(0, 1 - Math.abs(fbm(n, x * freq, y * freq, oct, lac, gain))), sharp);
+                };
+                break;
+            case 'warp':
+                n = nz();
+                input = node(d.input);
+                var amt = d.amount !== undefined ? d.amount : 0.1;
+                f = function(x, y) {
+                    var wx = fbm(n, x * freq,       y * freq,       oct, lac, gain) * amt;
+                    var wy = fbm(n, x * freq + 4.7, y * freq + 1.9, oct, lac, gain) * amt;
+                    return input(x + wx, y + wy);
+                };
+                break;
+            case 'remap':
+                input = node(d.input);
+                var from = d.from || [-1, 1], to = d.to || [0, 1];
+                var pow = d.power || 1, clamp = d.clamp !== false;
+                f = function(x, y) {
+                    var t = (input(x, y) - from[0]) / (from[1] - from[0]);
+                    if (clamp) t = Math.max(0, Math.min(1, t));
+                    if (pow !== 1) t = Math.pow(Math.max(0, t), pow);
+                    return to[0] + t * (to[1] - to[0]);
+                };
+                break;
+            case 'combine':
+                var ins = (d.inputs || []).map(node);
+                if (!ins.length) throw tileRecipeError(recipe, 'combine node "' + name + '" has no inputs');
+                var op = d.op || 'add', wts = d.weights || ins.map(function() { return 1; });
+                if (['add', 'mul', 'min', 'max', 'mix'].indexOf(op) < 0) {
+                    throw tileRecipeError(recipe, 'unknown combine op "' + op + '"');
+                }
+                var wsum = wts.reduce(function(a, b) { return a + b; }, 0) || 1;
+                f = function(x, y) {
+                    var acc = (op === 'mul') ? 1 : (op === 'min') ? Infinity : (op === 'max') ? -Infinity : 0;
+                    for (var i = 0; i < ins.length; i++) {
+                        var v = ins[i](x, y);
+                        if      (op === 'add') acc += v * wts[i];
+                        else if (op === 'mix') acc += v * wts[i] / wsum;
+                        else if (op === 'mul') acc *= v;
+                        else if (op === 'min') acc = Math.min(acc, v);
+                        else                   acc = Math.max(acc, v);
+                    }
+                    return acc;
+                };
+                break;
+            case 'terrace':
+                input = node(d.input);
+                var steps = d.steps || 5, tsharp = d.sharpness !== undefined ? d.sharpness : 0.8;
+                f = function(x, y) {
+                    var v = input(x, y) * steps, fl = Math.floor(v), fr = v - fl;
+                    // fr → 0 over most of the step, rising quickly near its end
+                    var rise = Math.pow(fr, 1 + tsharp * 8);
+                    return (fl + rise) / steps;
+                };
+                break;
+            case 'gradient':
+                var g0 = d.from !== undefined ? d.from : 0, g1 = d.to !== undefined ? d.to : 1;
+                var alongY = d.axis === 'y';
+                f = function(x, y) { return g0 + (alongY ? y : x) * (g1 - g0); };
+                break;
+            case 'const':
+                var cv = d.value || 0;
+                f = function() { return cv; };
+                break;
+            default:
+                throw tileRecipeError(recipe, 'node "' + name + '" has unknown type "' + d.type + '"');
+        }
+        visiting[name] = false;
+        fns[name] = f;
+        return f;
+    };
+
+    for (var name in defs) node(name);
+    return fns;
+}
+
+// Color at v from ramp [[v0, [r, g, b]], [v1, …], …] (sorted by v)
+function tileRecipeRamp(ramp, v) {
+    if (v <= ramp[0][0]) return ramp[0][1];
+    for (var i = 1; i < ramp.length; i++) {
+        if (v <= ramp[i][0]) {
+            var a = ramp[i - 1], b = ramp[i];
+            var t = (v - a[0]) / ((b[0] - a[0]) || 1);
+            return [a[1][0] + (b[1][0] - a[1][0]) * t,
+                    a[1][1] + (b[1][1] - a[1][1]) * t,
+                    a[1][2] + (b[1][2] - a[1][2]) * t];
+        }
+    }
+    return ramp[ramp.length - 1][1];
+}
+
+// Check a recipe and throw a readable error for the first problem found.
+function validateTileRecipe(recipe) {
+    if (!recipe || typeof recipe !== 'object') throw tileRecipeError(recipe, 'not an object');
+    if (!recipe.name) throw tileRecipeError(recipe, 'name is required');
+    if (!recipe.altitude || !recipe.altitude.node) throw tileRecipeError(recipe, 'altitude.node is required');
+    if (!recipe.color || !recipe.color.ramp || !recipe.color.ramp.length) {
+        throw tileRecipeError(recipe, 'color.ramp needs at least one stop');
+    }
+    for (var name in recipe.nodes || {}) {
+        if (TILE_RECIPE_NODE_TYPES.indexOf(recipe.nodes[name].type) < 0) {
+            throw tileRecipeError(recipe, 'node "' + name + '" has unknown type "' + recipe.nodes[name].type + '"');
+        }
+    }
+    // Compiling once catches missing inputs and cycles up front
+    var fns = compileRecipeNodes(recipe, 0);
+    if (!fns[recipe.altitude.node]) throw tileRecipeError(recipe, 'unknown node "' + recipe.altitude.node + '"');
+    if (recipe.color.by && recipe.color.by !== 'altitude' && !fns[recipe.color.by]) {
+        throw tileRecipeError(recipe, 'unknown node "' + recipe.color.by + '"');
+    }
+}
+
+// Generator (mapObj, seed) for a validated recipe.
+function buildRecipeGenerator(recipe) {
+    var range    = recipe.altitude.range || [0, 255];
+    var ramp     = recipe.color.ramp.slice().sort(function(a, b) { return a[0] - b[0]; });
+    var colorBy  = recipe.color.by || 'altitude';
+    var variation = recipe.color.variation !== undefined ? recipe.color.variation : 12;
+    var edgeFade = recipe.edgeFade !== false;
+    var edgeAlt  = recipe.edgeAlt !== undefined ? recipe.edgeAlt : BIOME_TRANSITION_ALT;
+
+    return function(mapObj, seed) {
+        var fns = compileRecipeNodes(recipe, seed);
+        var hf  = fns[recipe.altitude.node];
+        var cf  = colorBy === 'altitude' ? null : fns[colorBy];
+        var w = mapObj.width, h = mapObj.height;
+        mapObj.heightScale = recipe.heightScale || BIOME_HEIGHT_SCALE;
+
+        for (var y = 0; y < h; y++) {
+            for (var x = 0; x < w; x++) {
+                var lx = x / w, ly = y / h;
+                var t = Math.max(0, Math.min(1, hf(lx, ly)));
+                var altitude = range[0] + t * (range[1] - range[0]);
+                if (edgeFade) {
+                    var fade = biomeEdgeFade(x, y, w, h);
+                    altitude = altitude * fade + edgeAlt * (1 - fade);
+                }
+                altitude = Math.max(0, Math.min(255, altitude));
+
+                var rgb = tileRecipeRamp(ramp, cf ? cf(lx, ly) : altitude);
+                var v = (pixelVar(x, y) - 0.5) * variation;
+                var r = Math.max(0, Math.min(255, (rgb[0] + v) | 0));
+                var g = Math.max(0, Math.min(255, (rgb[1] + v) | 0));
+                var b = Math.max(0, Math.min(255, (rgb[2] + v * 0.6) | 0));
+
+                var idx = (y << mapObj.shift) + x;
+                setAltitude(mapObj, idx, altitude);
+                mapObj.color[idx] = (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+            }
+        }
+
+        if (recipe.erosion && typeof applyErosion === 'function') applyErosion(mapObj, seed);
+        if (recipe.materials && typeof applyMaterials === 'function') applyMaterials(mapObj, recipe.materials);
+    };
+}
+
+// -----------------------------------------------------------------------
+// Registration and loading
+// -----------------------------------------------------------------------
+
+// Validate a recipe, compile it and register it as a biome.  Returns the
+// biome id.  Registering a recipe whose name is already taken by a recipe
+// is a no-op, so the worker can replay the page's list safely.
+function registerTileRecipe(recipe) {
+    validateTileRecipe(recipe);
+    var name = String(recipe.name).toUpperCase();
+    for (var i = 0; i < TILE_RECIPES.length; i++) {
+        if (String(TILE_RECIPES[i].name).toUpperCase() === name) return window['BIOME_' + name];
+    }
+    var biomeId = function(n) {
+        var id = window['BIOME_' + String(n).toUpperCase()];
+        if (!id) throw tileRecipeError(recipe, 'unknown biome "' + n + '" in constraints');
+        return id;
+    };
+    var id = registerBiome({
+        id:            recipe.id,
+        name:          name,
+        generator:     buildRecipeGenerator(recipe),
+        constraints:   (recipe.constraints || []).map(biomeId),
+        minimapColor:  recipe.minimapColor,
+        paletteGroup:  recipe.paletteGroup,
+        seedWeight:    recipe.seedWeight,
+        elevationRank: recipe.elevationRank,
+        vegetation:    recipe.vegetation
+    });
+    TILE_RECIPES.push(recipe);
+    return id;
+}
+
+// Fetch and register every <link rel="tile-recipe"> in page order, then
+// call onDone.  A recipe that fails to load or validate is reported and
+// skipped; pages opened from file:// cannot fetch files at all.
+function loadTileRecipes(onDone) {
+    var links = document.querySelectorAll('link[rel="tile-recipe"]');
+    var i = 0;
+    var next = function() {
+        if (i >= links.length) { if (onDone) onDone(); return; }
+        var href = links[i++].getAttribute('href');
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', href);
+        xhr.onload = function() {
+            try {
+                if (xhr.status && xhr.status !== 200) throw new Error('HTTP ' + xhr.status);
+                registerTileRecipe(JSON.parse(xhr.responseText));
+            } catch (e) {
+                console.warn('Tile recipe ' + href + ' skipped:', e.message);
+            }
+            next();
+        };
+        xhr.onerror = function() {
+            console.warn('Tile recipe ' + href + ' could not be loaded');
+            next();
+        };
+        try {
+            xhr.send();
+        } catch (e) {
+            // Some browsers refuse file:// requests synchronously
+            xhr.onerror();
+        }
+    };
+    next();
+}
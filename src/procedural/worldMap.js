@@ -1,9 +1,11 @@
 // ===============================
 // World Map — Biome Layout via Constraint Satisfaction
 // ===============================
-// Generates a low-resolution biome grid using the minimum-conflicts
-// local search algorithm (as described by Terry Soul / Programming Chaos).
-// Each cell in this 16x16 grid maps to one tile in the game world.
+// Generates a low-resolution biome grid: Voronoi regions and ridge walks,
+// then a backtracking constraint solver that guarantees zero adjacency
+// violations or reports the ones it could not resolve.
+// Each cell in this WORLD_MAP_SIZE x WORLD_MAP_SIZE grid maps to one tile in
+// the game world.
 "use strict";
 
 // Biome type constants (used by worldMap, biomeGen, mapLoader)
@@ -16,9 +18,73 @@ var BIOME_RIDGE      = 6;  // wide, very tall straight ridge — NS or EW only,
 var BIOME_FOOTHILL   = 7;  // gradual ramp from plains up to ridge; post-pass only
 var BIOME_COUNT      = 7;
 
-// World map grid dimension
+// -----------------------------------------------------------------------
+// World dimensions
+// -----------------------------------------------------------------------
+// WORLD_MAP_SIZE is the single world-dimension setting.  Generation, tile
+// placement, trees, minimaps, the editor and saves all derive their bounds
+// from it through the helpers below — never from hard-coded cell numbers.
+//
+// Layout along each axis (16-cell example):
+//   cells 0–1   unused margin
+//   cell  2     border ring (tile left empty — the world edge)
+//   cells 3–12  playable tiles  (tile -5 .. 4)
+//   cell  13    border ring
+//   cells 14–15 unused margin
+// Tile (0,0) always sits on cell (WORLD_MAP_SIZE / 2, WORLD_MAP_SIZE / 2).
 var WORLD_MAP_SIZE = 16;
 
+// Grid sizes offered by the seed menu.
+var WORLD_MAP_SIZES = [16, 32, 64];
+
+// Cells between the grid edge and the first playable cell (margin + border ring).
+var WORLD_MAP_MARGIN = 3;
+
+// Set the world grid dimension.  Must be called before generateTerrain().
+// Unsupported sizes fall back to the default 16.
+function setWorldMapSize(size) {
+    size = parseInt(size, 10);
+    WORLD_MAP_SIZE = WORLD_MAP_SIZES.indexOf(size) >= 0 ? size : 16;
+    return WORLD_MAP_SIZE;
+}
+
+// Cell coordinate that tile 0 maps to on each axis (8 for a 16-cell grid).
+function worldCenterCell() {
+    return WORLD_MAP_SIZE >> 1;
+}
+
+// Half-extent of the playable tile range: playable tiles run from
+// -worldPlayableHalf() to worldPlayableHalf() - 1 (5 for a 16-cell grid).
+function worldPlayableHalf() {
+    return worldCenterCell() - WORLD_MAP_MARGIN;
+}
+
+// Inclusive playable cell bounds (3 and 12 for a 16-cell grid).
+function worldPlayableMinCell() { return WORLD_MAP_MARGIN; }
+function worldPlayableMaxCell() { return WORLD_MAP_SIZE - WORLD_MAP_MARGIN - 1; }
+
+// True if cell (x, y) lies inside the playable area.
+function isPlayableCell(x, y) {
+    var lo = worldPlayableMinCell(), hi = worldPlayableMaxCell();
+    return x >= lo && x <= hi && y >= lo && y <= hi;
+}
+
+// True for the two spawn cells (tiles (0,0) and (1,0)) — never mountain or ridge.
+function isSpawnCell(x, y) {
+    var c = worldCenterCell();
+    return (x === c && y === c) || (x === c + 1 && y === c);
+}
+
+// Tile ↔ cell conversion (same offset on both axes).
+function tileToCell(t) { return t + worldCenterCell(); }
+function cellToTile(c) { return c - worldCenterCell(); }
+
+// How many 16x16 grids fit in the current world (1, 4 or 16).  Feature counts
+// (Voronoi seeds, ridge walks) scale by this so density stays the same.
+function worldAreaScale() {
+    return (WORLD_MAP_SIZE * WORLD_MAP_SIZE) >> 8;
+}
+
 // Adjacency constraint table: NOT_ALLOWED[a][b] = 1 means biome a cannot be
 // directly adjacent to biome b.
 //
@@ -63,17 +129,18 @@ function getRidgeOrientationKey(grid, gx, gy) {
 // This guarantees every BIOME_RIDGE cell has only NS or EW neighbors,
 // so getRidgeOrientationKey always returns a valid orientation.
 function generateRidgeWalks(rng, size, grid) {
-    function isSpawn(x, y) { return (x === 8 && y === 8) || (x === 9 && y === 8); }
-    function inPlayable(x, y) { return x >= 3 && x <= 12 && y >= 3 && y <= 12; }
+    var lo   = worldPlayableMinCell();
+    var span = worldPlayableMaxCell() - lo + 1;
 
-    var numWalks = 1 + Math.floor(rng() * 2);   // 1 or 2 straight ridges
+    // 1 or 2 straight ridges per 16x16 worth of area
+    var numWalks = (1 + Math.floor(rng() * 2)) * worldAreaScale();
     for (var w = 0; w < numWalks; w++) {
         // Pick a random playable start cell
         var sx, sy, att = 0;
         do {
-            sx = 3 + Math.floor(rng() * 10);
-            sy = 3 + Math.floor(rng() * 10);
-        } while ((isSpawn(sx, sy) || grid[sy * size + sx] !== 0) && ++att < 30);
+            sx = lo + Math.floor(rng() * span);
+            sy = lo + Math.floor(rng() * span);
+        } while ((isSpawnCell(sx, sy) || grid[sy * size + sx] !== 0) && ++att < 30);
 
         var isNS  = rng() < 0.5;   // true = vertical ridge, false = horizontal
         var dx    = isNS ? 0 : 1;
@@ -85,7 +152,7 @@ function generateRidgeWalks(rng, size, grid) {
         var startY = sy - Math.floor(len / 2) * dy;
         for (var i = 0; i < len; i++) {
             var cx = startX + i * dx, cy = startY + i * dy;
-            if (inPlayable(cx, cy) && !isSpawn(cx, cy)) {
+            if (isPlayableCell(cx, cy) && !isSpawnCell(cx, cy)) {
                 grid[cy * size + cx] = BIOME_RIDGE;
             }
         }
@@ -167,25 +234,223 @@ function insertFoothillBiomes(grid) {
     }
 }
 
-// Count how many adjacency constraint violations exist for cell (gx, gy).
-function wm_checkConflicts(grid, gx, gy, range) {
-    var centerType = grid[gy * WORLD_MAP_SIZE + gx];
-    if (centerType === 0) return 0;
-
-    var conflicts = 0;
-    for (var dy = -range; dy <= range; dy++) {
-        for (var dx = -range; dx <= range; dx++) {
-            if (dx === 0 && dy === 0) continue;
-            var nx = (gx + dx + WORLD_MAP_SIZE) % WORLD_MAP_SIZE;
-            var ny = (gy + dy + WORLD_MAP_SIZE) % WORLD_MAP_SIZE;
-            var neighborType = grid[ny * WORLD_MAP_SIZE + nx];
-            if (neighborType === 0) continue;
-            if (BIOME_NOT_ALLOWED[centerType][neighborType]) {
-                conflicts++;
+// -----------------------------------------------------------------------
+// Constraint validation
+// -----------------------------------------------------------------------
+
+// True if biomes a and b may sit next to each other (checked both ways).
+function biomesCompatible(a, b) {
+    var ra = BIOME_NOT_ALLOWED[a], rb = BIOME_NOT_ALLOWED[b];
+    return !(ra && ra[b]) && !(rb && rb[a]);
+}
+
+// Check every pair of 8-neighbours in `grid` against BIOME_NOT_ALLOWED.
+// Grid edges do not wrap; cells holding 0 (undecided) are ignored.
+// Returns one entry per offending pair — an empty array means the grid is
+// consistent:  [{ x, y, biome, nx, ny, neighbor }]
+function validateBiomeGrid(grid, size) {
+    size = size || WORLD_MAP_SIZE;
+    // Forward half of the 8-neighbourhood, so each pair is visited once
+    var DX = [1, -1, 0, 1];
+    var DY = [0, 1, 1, 1];
+    var out = [];
+    for (var y = 0; y < size; y++) {
+        for (var x = 0; x < size; x++) {
+            var a = grid[y * size + x];
+            if (a === 0) continue;
+            for (var d = 0; d < 4; d++) {
+                var nx = x + DX[d], ny = y + DY[d];
+                if (nx < 0 || nx >= size || ny >= size) continue;
+                var b = grid[ny * size + nx];
+                if (b !== 0 && !biomesCompatible(a, b)) {
+                    out.push({ x: x, y: y, biome: a, nx: nx, ny: ny, neighbor: b });
+                }
+            }
+        }
+    }
+    return out;
+}
+
+// -----------------------------------------------------------------------
+// Biome layout solver
+// -----------------------------------------------------------------------
+// Backtracking search with forward checking over the 8-neighbour adjacency
+// constraints.  Domains are bitmasks (bit b = biome b is still possible).
+//
+//   - Locked cells (isLocked(biome) true) keep their value.
+//   - Every other cell may take any value in BIOME_SOLVER_DOMAIN; its current
+//     value is tried first, so the Voronoi layout survives wherever it can.
+//   - Cells narrowed by propagation are assigned first, then the rest in
+//     scan order.  Each assignment is propagated (AC-3) to its neighbours.
+//   - Fallback values are tried least-constraining first (plains, which
+//     fits next to anything, before beach or hills).
+//
+// On success the grid has zero violations.  If the constraints cannot be
+// met (or the backtrack budget runs out) the grid gets a greedy best-effort
+// fill and `violations` lists exactly which neighbour pairs still conflict.
+
+// Values the solver may assign to unlocked cells.
+var BIOME_SOLVER_DOMAIN = [BIOME_BEACH, BIOME_PLAINS, BIOME_HILLS];
+
+// Give up after this many dead ends and fall back to the greedy fill.
+var BIOME_SOLVER_MAX_BACKTRACKS = 20000;
+
+function bitCount(v) {
+    v = v - ((v >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+// Solve `grid` (size x size) in place.
+// Returns { ok, violations, changed, backtracks }.
+function solveBiomeLayout(grid, size, rng, isLocked) {
+    var total = size * size;
+    var pref  = Uint8Array.from(grid);
+
+    // compat[v] = mask of biomes allowed next to v
+    var compat = [];
+    for (var v = 0; v < 32; v++) {
+        compat[v] = 0;
+        for (var w = 1; w < 32; w++) {
+            if (biomesCompatible(v, w)) compat[v] |= 1 << w;
+        }
+    }
+    function allowedBy(mask) {
+        var m = 0;
+        for (var v = 1; mask >>> v; v++) if (mask & (1 << v)) m |= compat[v];
+        return m;
+    }
+
+    var domainMask = 0;
+    for (var i = 0; i < BIOME_SOLVER_DOMAIN.length; i++) domainMask |= 1 << BIOME_SOLVER_DOMAIN[i];
+
+    var dom = new Int32Array(total);
+    for (var c = 0; c < total; c++) {
+        dom[c] = isLocked(grid[c]) ? (1 << grid[c]) : domainMask;
+    }
+
+    // Undo trail: every domain change records (cell, previous mask)
+    var trailCell = [], trailMask = [];
+    function setDomain(cell, mask) {
+        trailCell.push(cell);
+        trailMask.push(dom[cell]);
+        dom[cell] = mask;
+    }
+    function undoTo(mark) {
+        while (trailCell.length > mark) dom[trailCell.pop()] = trailMask.pop();
+    }
+
+    // AC-3 from the given cells.  Returns false on a domain wipe-out.
+    function propagate(queue) {
+        while (queue.length) {
+            var a  = queue.pop();
+            var ax = a % size, ay = (a / size) | 0;
+            var ok = allowedBy(dom[a]);
+            for (var dy = -1; dy <= 1; dy++) {
+                for (var dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    var nx = ax + dx, ny = ay + dy;
+                    if (nx < 0 || nx >= size || ny < 0 || ny >= size) continue;
+                    var b  = ny * size + nx;
+                    var nd = dom[b] & ok;
+                    if (nd === dom[b]) continue;
+                    if (nd === 0) return false;
+                    setDomain(b, nd);
+                    queue.push(b);
+                    hot.push(b);
+                }
+            }
+        }
+        return true;
+    }
+
+    // Next unassigned cell, or -1 when done.  Cells narrowed by propagation
+    // (hot) come first; otherwise a cursor walks the grid in scan order.
+    // Undo can re-open cells behind the cursor, so retries reset it.
+    var hot = [], cursor = 0;
+    function pickCell() {
+        while (hot.length) {
+            var h = hot.pop();
+            if (bitCount(dom[h]) > 1) return h;
+        }
+        while (cursor < total && bitCount(dom[cursor]) <= 1) cursor++;
+        return cursor < total ? cursor : -1;
+    }
+
+    // Preferred value first, then least-constraining first (rng breaks ties)
+    function valueOrder(cell) {
+        var vals = [];
+        for (var v = 1; dom[cell] >>> v; v++) {
+            if ((dom[cell] & (1 << v)) && v !== pref[cell]) vals.push({ v: v, r: rng() });
+        }
+        vals.sort(function(a, b) {
+            return (bitCount(compat[b.v] & domainMask) - bitCount(compat[a.v] & domainMask)) || (a.r - b.r);
+        });
+        vals = vals.map(function(e) { return e.v; });
+        if (dom[cell] & (1 << pref[cell])) vals.unshift(pref[cell]);
+        return vals;
+    }
+
+    // Assign the frame's next value; false once its values are exhausted
+    function tryNext(frame) {
+        while (frame.next < frame.values.length) {
+            if (frame.next > 0) { hot = []; cursor = 0; }
+            undoTo(frame.mark);
+            setDomain(frame.cell, 1 << frame.values[frame.next++]);
+            if (propagate([frame.cell])) return true;
+        }
+        undoTo(frame.mark);
+        hot = []; cursor = 0;
+        return false;
+    }
+
+    var all = [];
+    for (var q = 0; q < total; q++) all.push(q);
+    var ok = propagate(all);
+    var backtracks = 0;
+
+    var stack = [];
+    while (ok) {
+        var cell = pickCell();
+        if (cell < 0) break;   // every domain is a single value
+        stack.push({ cell: cell, values: valueOrder(cell), next: 0, mark: trailCell.length });
+        while (stack.length && !tryNext(stack[stack.length - 1])) {
+            stack.pop();
+            backtracks++;
+        }
+        if (!stack.length || backtracks > BIOME_SOLVER_MAX_BACKTRACKS) ok = false;
+    }
+
+    if (ok) {
+        for (var r = 0; r < total; r++) grid[r] = 31 - Math.clz32(dom[r]);
+    } else {
+        // Greedy fill: keep the preference unless another value conflicts less
+        grid.set(pref);
+        for (var g = 0; g < total; g++) {
+            if (isLocked(grid[g])) continue;
+            var bestType = grid[g], least = Infinity;
+            var gx = g % size, gy = (g / size) | 0;
+            for (var di = 0; di < BIOME_SOLVER_DOMAIN.length; di++) {
+                var cand = BIOME_SOLVER_DOMAIN[di];
+                var conflicts = 0;
+                for (var ey = -1; ey <= 1; ey++) {
+                    for (var ex = -1; ex <= 1; ex++) {
+                        var mx = gx + ex, my = gy + ey;
+                        if ((ex || ey) && mx >= 0 && mx < size && my >= 0 && my < size &&
+                            !biomesCompatible(cand, grid[my * size + mx])) conflicts++;
+                    }
+                }
+                if (conflicts < least || (conflicts === least && cand === pref[g])) {
+                    least = conflicts; bestType = cand;
+                }
             }
+            grid[g] = bestType;
         }
     }
-    return conflicts;
+
+    var changed = 0;
+    for (var h = 0; h < total; h++) if (grid[h] !== pref[h]) changed++;
+    return { ok: ok, violations: validateBiomeGrid(grid, size), changed: changed, backtracks: backtracks };
 }
 
 // -----------------------------------------------------------------------
@@ -193,8 +458,9 @@ function wm_checkConflicts(grid, gx, gy, range) {
 // -----------------------------------------------------------------------
 // Mountains are placed as connected fault-line walks, NOT via Voronoi.
 // This guarantees all mountain cells are connected to at least one neighbor.
-// Walks are bounded to the inner playable area (cells 3–12) so they never
-// land on spawn tiles (8,8)/(9,8) or the border ring (cells 2 and 13).
+// Walks are bounded to the inner playable area (cells 3–12 on a 16-cell
+// grid) so they never land on the spawn tiles or the border ring.
+// Larger worlds grow one primary ridge per 16x16 worth of area.
 //
 // The walk is cardinal-direction only (N/E/S/W).  A branch is optionally
 // grown from a cell already on the ridge, giving a T or L junction.
@@ -202,15 +468,15 @@ function generateMountainRidges(rng, size, grid) {
     var DX = [0, 1, 0, -1];
     var DY = [-1, 0, 1, 0];
 
-    function isSpawn(x, y) { return (x === 8 && y === 8) || (x === 9 && y === 8); }
-    // Restrict mountains to inner playable tiles only (3..12 in cell space)
-    function inPlayable(x, y) { return x >= 3 && x <= 12 && y >= 3 && y <= 12; }
+    // Restrict mountains to inner playable tiles only
+    var lo   = worldPlayableMinCell(), hi = worldPlayableMaxCell();
+    var span = hi - lo + 1;
 
     function walk(startX, startY, length) {
         var x = startX, y = startY;
         var dir = Math.floor(rng() * 4);
         for (var step = 0; step < length; step++) {
-            if (inPlayable(x, y) && !isSpawn(x, y)) {
+            if (isPlayableCell(x, y) && !isSpawnCell(x, y)) {
                 grid[y * size + x] = BIOME_MOUNTAIN;
             }
             // 30 % chance to turn left or right
@@ -223,7 +489,7 @@ function generateMountainRidges(rng, size, grid) {
             for (var attempt = 0; attempt < 4; attempt++) {
                 var nx = x + DX[dir];
                 var ny = y + DY[dir];
-                if (inPlayable(nx, ny) && grid[ny * size + nx] !== BIOME_MOUNTAIN) {
+                if (isPlayableCell(nx, ny) && grid[ny * size + nx] !== BIOME_MOUNTAIN) {
                     x = nx; y = ny;
                     moved = true;
                     break;
@@ -234,26 +500,29 @@ function generateMountainRidges(rng, size, grid) {
         }
     }
 
-    // Primary ridge: 6–11 cells long, starts at a random inner position
-    var sx, sy, att = 0;
-    do {
-        sx = 3 + Math.floor(rng() * 10);
-        sy = 3 + Math.floor(rng() * 10);
-    } while (isSpawn(sx, sy) && ++att < 20);
-
-    walk(sx, sy, 6 + Math.floor(rng() * 6));
-
-    // Optional branch (65 % chance): grows from a random existing mountain cell
-    if (rng() < 0.65) {
-        var mc = [];
-        for (var cy = 3; cy <= 12; cy++) {
-            for (var cx = 3; cx <= 12; cx++) {
-                if (grid[cy * size + cx] === BIOME_MOUNTAIN) mc.push({ x: cx, y: cy });
+    var numRidges = worldAreaScale();
+    for (var r = 0; r < numRidges; r++) {
+        // Primary ridge: 6–11 cells long, starts at a random inner position
+        var sx, sy, att = 0;
+        do {
+            sx = lo + Math.floor(rng() * span);
+            sy = lo + Math.floor(rng() * span);
+        } while (isSpawnCell(sx, sy) && ++att < 20);
+
+        walk(sx, sy, 6 + Math.floor(rng() * 6));
+
+        // Optional branch (65 % chance): grows from a random existing mountain cell
+        if (rng() < 0.65) {
+            var mc = [];
+            for (var cy = lo; cy <= hi; cy++) {
+                for (var cx = lo; cx <= hi; cx++) {
+                    if (grid[cy * size + cx] === BIOME_MOUNTAIN) mc.push({ x: cx, y: cy });
+                }
+            }
+            if (mc.length > 0) {
+                var sc = mc[Math.floor(rng() * mc.length)];
+                walk(sc.x, sc.y, 2 + Math.floor(rng() * 5));
             }
-        }
-        if (mc.length > 0) {
-            var sc = mc[Math.floor(rng() * mc.length)];
-            walk(sc.x, sc.y, 2 + Math.floor(rng() * 5));
         }
     }
 }
@@ -264,22 +533,28 @@ function generateMountainRidges(rng, size, grid) {
 // Strategy:
 //   1. Voronoi seeding for non-mountain biomes (beach, plains, hills).
 //   2. Overlay connected mountain ridges via random walks.
+//   2c. Climate mode: re-type the Voronoi cells from temperature and
+//       moisture (see climate.js).
 //   3. Constraint satisfaction to fix beach-adjacent-to-mountain violations
 //      (mountain cells are locked; only non-mountain cells are adjusted).
-//   4. Force spawn-area cells to BEACH.
+//   3b. Rivers and lakes (see hydrology.js).
+//   4. Transition and foothill belts.
 //
-// Returns a Uint8Array of length WORLD_MAP_SIZE * WORLD_MAP_SIZE.
+// Returns a Uint8Array of length WORLD_MAP_SIZE * WORLD_MAP_SIZE.  The
+// solver result ({ ok, violations, changed, backtracks }) is left in
+// window.worldMapReport and the river network in window.worldHydrology.
 function generateWorldMap(seed) {
     var rng  = mulberry32((seed ^ 0xC0FFEE42) >>> 0);
     var size = WORLD_MAP_SIZE;
     var grid = new Uint8Array(size * size);
 
     // ---- Step 1: Voronoi seeding (no mountains — those come from ridges) ----
-    var numSeeds = 8 + Math.floor(rng() * 8);
+    generationStage('VORONOI');
+    // 8–16 seeds per 16x16 worth of area keeps region size constant as the world grows.
+    var numSeeds = (8 + Math.floor(rng() * 8)) * worldAreaScale();
     var voronoi  = [];
     for (var s = 0; s < numSeeds; s++) {
-        var bp = rng();
-        var biome = bp < 0.30 ? BIOME_BEACH : (bp < 0.65 ? BIOME_PLAINS : BIOME_HILLS);
+        var biome = pickSeedBiome(rng());
         voronoi.push({ x: rng() * size, y: rng() * size, biome: biome });
     }
 
@@ -298,45 +573,39 @@ function generateWorldMap(seed) {
     }
 
     // ---- Step 2: Overlay mountain ridges ----
+    generationStage('RIDGES');
     generateMountainRidges(rng, size, grid);
 
     // ---- Step 2b: Overlay straight wide ridges (BIOME_RIDGE) ----
     generateRidgeWalks(rng, size, grid);
 
-    // ---- Step 3: minimum-conflicts (mountain + ridge cells are locked) ----
+    // ---- Step 2c: climate mode re-types the Voronoi cells (climate.js) ----
+    // Runs after the ridges so they can cast rain shadows.
+    window.worldClimate = null;
+    if (typeof climate !== 'undefined' && climate.enabled) {
+        generationStage('CLIMATE');
+        applyClimateBiomes(grid, size, seed);
+    }
+
+    // ---- Step 3: constraint solver (mountain + ridge cells are locked) ----
     // Any non-mountain cell adjacent to a mountain must become plains or hills —
-    // the constraint table already encodes this; the resolver picks the best type.
-    var range    = 1;
-    var maxPasses = 100;
-    var total    = size * size;
-
-    for (var pass = 0; pass < maxPasses; pass++) {
-        var anyConflict = false;
-        for (var iter = 0; iter < total; iter++) {
-            var gx = Math.floor(rng() * size);
-            var gy = Math.floor(rng() * size);
-            if (grid[gy * size + gx] === BIOME_MOUNTAIN) continue; // locked
-            if (grid[gy * size + gx] === BIOME_RIDGE)    continue; // locked
-
-            var numConflicts = wm_checkConflicts(grid, gx, gy, range);
-            if (numConflicts > 0) {
-                anyConflict = true;
-                var bestType       = grid[gy * size + gx];
-                var leastConflicts = numConflicts;
-                for (var tries = 0; tries < 8; tries++) {
-                    var tr = rng();
-                    var tryType = tr < 0.40 ? BIOME_PLAINS : (tr < 0.70 ? BIOME_HILLS : BIOME_BEACH);
-                    grid[gy * size + gx] = tryType;
-                    var c = wm_checkConflicts(grid, gx, gy, range);
-                    if (c < leastConflicts) { leastConflicts = c; bestType = tryType; }
-                }
-                grid[gy * size + gx] = bestType;
-            }
-        }
-        if (!anyConflict) break;
+    // the constraint table already encodes this; the solver picks the type.
+    generationStage('CONSTRAINT REPAIR');
+    var report = solveBiomeLayout(grid, size, rng, function(b) {
+        return b === BIOME_MOUNTAIN || b === BIOME_RIDGE;
+    });
+    window.worldMapReport = report;
+    if (!report.ok) {
+        console.warn('World map constraints unsatisfied:', report.violations);
     }
 
+    // ---- Step 3b: route rivers and lakes over the repaired layout ----
+    // Tiles are carved later by generateHydrologyTiles (hydrology.js).
+    generationStage('RIVERS');
+    window.worldHydrology = generateHydrology(grid, size, seed);
+
     // ---- Final pass: insert transition belt between beach and plains ----
+    generationStage('BELTS');
     insertTransitionBiomes(grid);
 
     // ---- Final pass 2: insert foothill ramp belt between plains and ridge ----
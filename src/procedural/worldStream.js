@@ -0,0 +1,436 @@
+// ===============================
+// Streaming World — endless terrain, generated on demand
+// ===============================
+// An alternative to the fixed WORLD_MAP_SIZE grid: biome cells are derived
+// from the seed on request, and each cell's 1024x1024 tile is generated as
+// the camera approaches and dropped again when it falls out of range.
+//
+// Biome layout (per cell, all deterministic from the seed):
+//   1. Jittered Voronoi lattice — one site per STREAM_SITE_SPACING² cells,
+//      biome odds match generateWorldMap (30 % beach, 35 % plains, 35 % hills).
+//   2. Mountain and ridge walks — the world is cut into 16x16 regions and each
+//      region runs the regular generateMountainRidges / generateRidgeWalks
+//      over its own grid, so features stay inside the region's playable area.
+//   3. Local repair — of two clashing neighbours the lower biome id becomes
+//      plains, so beach touching hills, mountain or ridge turns to plains
+//      (plains are compatible with everything, see BIOME_NOT_ALLOWED).
+//   4. Transition and foothill belts, same rules as the fixed-world post-passes.
+//
+// Tile slots:
+//   maps[0..3]  base beach / plains / hills / mountain — generated once, pinned
+//   maps[4+]    oriented tiles (mountain, transition, ridge, foothill), shared
+//               by every cell with the same orientation key and evicted
+//               least-recently-used once more than maxMaps are resident.
+// Evicted map objects are pooled and reused, so memory stays bounded.
+"use strict";
+
+// Cells between jittered Voronoi sites (one site per 5x5 cells ≈ the
+// 8–16 sites per 16x16 grid used by generateWorldMap).
+var STREAM_SITE_SPACING = 5;
+
+// Region edge used for mountain / ridge walks.  Must equal the grid size the
+// walk generators see, which is why startWorldStream pins WORLD_MAP_SIZE to 16.
+var STREAM_REGION_SIZE = 16;
+
+// First maps[] slot used for streamed (evictable) tiles.
+var STREAM_FIRST_SLOT = 4;
+
+var worldStream = {
+    enabled:      false,
+    seed:         0,
+    loadRadius:   4,     // tiles around the camera that get placed
+    unloadRadius: 6,     // placed tiles beyond this are removed from tileMap
+    maxMaps:      32,    // resident streamed tiles before LRU eviction kicks in
+    genPerFrame:  1,     // tile generations allowed per frame
+    centerX:      null,  // camera tile at the last placement pass
+    centerY:      null,
+    pending:      [],    // [{x, y}] cells still waiting to be placed, nearest first
+    tileIndex:    {},    // streamed tile id ('M:NS', 'T:C', ...) → maps[] index
+    slotTile:     {},    // maps[] index → streamed tile id
+    refs:         {},    // maps[] index → number of placed cells using it
+    lastUsed:     {},    // maps[] index → frame it was last referenced
+    freeSlots:    [],    // maps[] indices released by eviction
+    pool:         [],    // evicted map objects, reused for the next tile
+    regions:      {},    // 'rx,ry' → Uint8Array mountain/ridge grid
+    cells:        {},    // 'x,y' → final biome
+    frame:        0
+};
+
+// Integer hash of (x, y, salt) under the stream seed.  Returns [0, 1).
+function streamHash(x, y, salt) {
+    var h = (worldStream.seed ^ Math.imul(salt, 0x9E3779B1)) | 0;
+    h = Math.imul(h ^ Math.imul(x, 374761393), 0x85EBCA6B);
+    h = Math.imul(h ^ Math.imul(y, 1013904223), 0xC2B2AE35);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x27D4EB2F);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+}
+
+// -----------------------------------------------------------------------
+// Biome layout
+// -----------------------------------------------------------------------
+
+// Stage 1: nearest jittered Voronoi site (3x3 lattice neighbourhood).
+function streamVoronoiBiome(cx, cy) {
+    var sp = STREAM_SITE_SPACING;
+    var lx = Math.floor(cx / sp), ly = Math.floor(cy / sp);
+    var nearestDist  = Infinity;
+    var nearestBiome = BIOME_PLAINS;
+    for (var dy = -1; dy <= 1; dy++) {
+        for (var dx = -1; dx <= 1; dx++) {
+            var sx = lx + dx, sy = ly + dy;
+            var px = (sx + streamHash(sx, sy, 1)) * sp;
+            var py = (sy + streamHash(sx, sy, 2)) * sp;
+            var ddx = cx + 0.5 - px, ddy = cy + 0.5 - py;
+            var dd  = ddx * ddx + ddy * ddy;
+            if (dd < nearestDist) {
+                nearestDist  = dd;
+                nearestBiome = pickSeedBiome(streamHash(sx, sy, 3));
+            }
+        }
+    }
+    return nearestBiome;
+}
+
+// Stage 2: mountain / ridge grid for one region.  Region (0,0) is offset so
+// its centre cells are world cells (0,0) and (1,0), which keeps the spawn
+// tiles free of mountains exactly as in the fixed world.
+function streamRegionGrid(rx, ry) {
+    var rKey = rx + ',' + ry;
+    var grid = worldStream.regions[rKey];
+    if (grid) return grid;
+
+    var size = STREAM_REGION_SIZE;
+    grid = new Uint8Array(size * size);
+    var rng = mulberry32((streamHash(rx, ry, 4) * 4294967296) >>> 0);
+    generateMountainRidges(rng, size, grid);
+    generateRidgeWalks(rng, size, grid);
+    worldStream.regions[rKey] = grid;
+    return grid;
+}
+
+// Biome before repair: region feature if any, else the Voronoi biome.
+function streamRawBiome(cx, cy) {
+    var size = STREAM_REGION_SIZE, half = size >> 1;
+    var rx = Math.floor((cx + half) / size);
+    var ry = Math.floor((cy + half) / size);
+    var feature = streamRegionGrid(rx, ry)[(cy + half - ry * size) * size + (cx + half - rx * size)];
+    return feature || streamVoronoiBiome(cx, cy);
+}
+
+// Stage 3: of two clashing neighbours, the one with the lower biome id
+// becomes plains (beach gives way to hills; mountain and ridge never move).
+function streamRepairedBiome(cx, cy) {
+    var b = streamRawBiome(cx, cy);
+    if (b === BIOME_MOUNTAIN || b === BIOME_RIDGE) return b;
+    for (var dy = -1; dy <= 1; dy++) {
+        for (var dx = -1; dx <= 1; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            var n = streamRawBiome(cx + dx, cy + dy);
+            if (biomesCompatible(b, n)) continue;
+            if (n > b || n === BIOME_MOUNTAIN || n === BIOME_RIDGE) return BIOME_PLAINS;
+        }
+    }
+    return b;
+}
+
+// Stage 4: final biome of a cell, including transition and foothill belts.
+function getStreamBiome(cx, cy) {
+    var cKey = cx + ',' + cy;
+    var cached = worldStream.cells[cKey];
+    if (cached) return cached;
+
+    var b = streamRepairedBiome(cx, cy);
+    if (b === BIOME_PLAINS) {
+        // Transition: plains touching beach, cardinally or diagonally
+        for (var dy = -1; dy <= 1 && b === BIOME_PLAINS; dy++) {
+            for (var dx = -1; dx <= 1; dx++) {
+                if ((dx || dy) && streamRepairedBiome(cx + dx, cy + dy) === BIOME_BEACH) {
+                    b = BIOME_TRANSITION;
+                    break;
+                }
+            }
+        }
+        // Foothill: remaining plains cardinally touching a ridge
+        if (b === BIOME_PLAINS &&
+            (streamRepairedBiome(cx, cy - 1) === BIOME_RIDGE || streamRepairedBiome(cx, cy + 1) === BIOME_RIDGE ||
+             streamRepairedBiome(cx + 1, cy) === BIOME_RIDGE || streamRepairedBiome(cx - 1, cy) === BIOME_RIDGE)) {
+            b = BIOME_FOOTHILL;
+        }
+    }
+    worldStream.cells[cKey] = b;
+    return b;
+}
+
+// NSEW key of the cardinal neighbours whose final biome is `target`.
+function streamNeighborKey(cx, cy, target) {
+    return (getStreamBiome(cx, cy - 1) === target ? 'N' : '') +
+           (getStreamBiome(cx, cy + 1) === target ? 'S' : '') +
+           (getStreamBiome(cx + 1, cy) === target ? 'E' : '') +
+           (getStreamBiome(cx - 1, cy) === target ? 'W' : '');
+}
+
+// -----------------------------------------------------------------------
+// Tile generation
+// -----------------------------------------------------------------------
+// Oriented tiles use the same seed derivation as the fixed-world generators
+// in biomeGen.js, so a key looks the same in both modes for a given seed.
+
+var STREAM_TILE_GENERATORS = {
+    M: function(m, seed, key) {
+        genDirectionalMountainTile(m, (seed ^ (key.length * 0xDEAD + key.charCodeAt(0) * 0xBEEF)) >>> 0, key);
+    },
+    T: function(m, seed, key) {
+        genTransitionTile(m, (seed ^ (key.length * 0x1337 + (key.charCodeAt(0) || 0) * 0xF00D)) >>> 0, key);
+    },
+    R: function(m, seed, key) {
+        genStraightRidgeTile(m, (seed ^ (key === 'NS' ? 0xAB12CD34 : 0xEF56AB78)) >>> 0, key);
+    },
+    F: function(m, seed, key) {
+        genFoothillTile(m, (seed ^ (key.length * 0x7F3A + (key.charCodeAt(0) || 0) * 0xC9B1)) >>> 0, key);
+    }
+};
+
+// Streamed tile id for a cell ('M:NS', 'T:C', '#8:BASE', ...), or null for
+// the four base biomes, which always use pinned slots 0–3.  Registered
+// biomes use '#<id>' as their kind.
+function streamTileId(cx, cy) {
+    var b = getStreamBiome(cx, cy);
+    var reg = getRegisteredBiome(b);
+    if (reg) return '#' + b + ':' + registeredBiomeKey(reg, getStreamBiome, cx, cy);
+    if (b === BIOME_MOUNTAIN)   return 'M:' + (streamNeighborKey(cx, cy, BIOME_MOUNTAIN) || 'ISO');
+    if (b === BIOME_TRANSITION) return 'T:' + (streamNeighborKey(cx, cy, BIOME_PLAINS) || 'C');
+    if (b === BIOME_FOOTHILL)   return 'F:' + (streamNeighborKey(cx, cy, BIOME_RIDGE) || 'C');
+    if (b === BIOME_RIDGE) {
+        // Same rule as getRidgeOrientationKey: vertical wins, isolated → NS
+        var ns = getStreamBiome(cx, cy - 1) === BIOME_RIDGE || getStreamBiome(cx, cy + 1) === BIOME_RIDGE;
+        var ew = getStreamBiome(cx + 1, cy) === BIOME_RIDGE || getStreamBiome(cx - 1, cy) === BIOME_RIDGE;
+        return 'R:' + (ns || !ew ? 'NS' : 'EW');
+    }
+    return null;
+}
+
+// Drop the least-recently-used streamed tile that no placed cell references.
+// Returns false if every resident tile is still in use.
+function streamEvictLRU() {
+    var victim = -1, oldest = Infinity;
+    for (var idx in worldStream.slotTile) {
+        if (worldStream.refs[idx] > 0) continue;
+        if (worldStream.lastUsed[idx] < oldest) { oldest = worldStream.lastUsed[idx]; victim = +idx; }
+    }
+    if (victim < 0) return false;
+
+    worldStream.pool.push(maps[victim]);
+    maps[victim] = null;
+    delete worldStream.tileIndex[worldStream.slotTile[victim]];
+    delete worldStream.slotTile[victim];
+    delete worldStream.refs[victim];
+    delete worldStream.lastUsed[victim];
+    worldStream.freeSlots.push(victim);
+    return true;
+}
+
+// Generate a streamed tile into a free slot and return its maps[] index.
+function streamGenerateTile(tileId) {
+    var resident = Object.keys(worldStream.slotTile).length;
+    if (resident >= worldStream.maxMaps && worldStream.pool.length === 0) streamEvictLRU();
+
+    var m = worldStream.pool.pop() || {
+        width:    1024, height: 1024, shift: 10,
+        altitude: createAltitudeArray(1024 * 1024),
+        color:    new Uint32Array(1024 * 1024)
+    };
+    var sep  = tileId.indexOf(':');
+    var kind = tileId.slice(0, sep), key = tileId.slice(sep + 1);
+    if (kind.charAt(0) === '#') {
+        genRegisteredBiomeTile(getRegisteredBiome(+kind.slice(1)), key, worldStream.seed, m);
+    } else {
+        m.heightScale = BIOME_HEIGHT_SCALE;
+        STREAM_TILE_GENERATORS[kind](m, worldStream.seed, key);
+    }
+
+    var idx = worldStream.freeSlots.length ? worldStream.freeSlots.pop() : maps.length;
+    maps[idx] = m;
+    worldStream.tileIndex[tileId] = idx;
+    worldStream.slotTile[idx]     = tileId;
+    worldStream.refs[idx]         = 0;
+    worldStream.lastUsed[idx]     = worldStream.frame;
+    return idx;
+}
+
+// -----------------------------------------------------------------------
+// Placement
+// -----------------------------------------------------------------------
+
+// Place cell (cx, cy) into tileSystem.tileMap.  Returns false if its tile
+// still needs generating and `allowGenerate` is false.
+function streamPlaceCell(cx, cy, allowGenerate) {
+    var tileId = streamTileId(cx, cy);
+    var idx;
+    if (tileId === null) {
+        idx = getStreamBiome(cx, cy) - 1;   // base biome 1–4 → pinned slot 0–3
+    } else {
+        idx = worldStream.tileIndex[tileId];
+        if (idx === undefined) {
+            if (!allowGenerate) return false;
+            idx = streamGenerateTile(tileId);
+        }
+        worldStream.refs[idx]++;
+        worldStream.lastUsed[idx] = worldStream.frame;
+    }
+
+    tileSystem.tileMap[getTileKey(cx, cy)] = idx;
+    if (typeof spawnTreesOnTile === 'function') spawnTreesOnTile(cx, cy, getStreamBiome(cx, cy));
+    return true;
+}
+
+function streamUnplaceCell(tileKey) {
+    var idx = tileSystem.tileMap[tileKey];
+    delete tileSystem.tileMap[tileKey];
+    if (idx in worldStream.slotTile) {
+        worldStream.refs[idx]--;
+        worldStream.lastUsed[idx] = worldStream.frame;
+    }
+    if (typeof removeTreesOnTile === 'function') removeTreesOnTile(tileKey);
+}
+
+// Cells within loadRadius of (tx, ty) that are not placed yet, nearest first.
+function streamWantedCells(tx, ty) {
+    var r = worldStream.loadRadius;
+    var out = [];
+    for (var dy = -r; dy <= r; dy++) {
+        for (var dx = -r; dx <= r; dx++) {
+            if (dx * dx + dy * dy > r * r + r) continue;   // rounded square
+            if (getTileKey(tx + dx, ty + dy) in tileSystem.tileMap) continue;
+            out.push({ x: tx + dx, y: ty + dy, d: dx * dx + dy * dy });
+        }
+    }
+    out.sort(function(a, b) { return a.d - b.d; });
+    return out;
+}
+
+// Remove placed cells beyond unloadRadius and forget cached layout far away,
+// so the biome caches don't grow without limit on a long walk.
+function streamUnloadFar(tx, ty) {
+    var r = worldStream.unloadRadius;
+    for (var k in tileSystem.tileMap) {
+        var p = k.split(',');
+        if (Math.abs(+p[0] - tx) > r || Math.abs(+p[1] - ty) > r) streamUnplaceCell(k);
+    }
+
+    var cr = r + 4;
+    for (var ck in worldStream.cells) {
+        var c = ck.split(',');
+        if (Math.abs(+c[0] - tx) > cr || Math.abs(+c[1] - ty) > cr) delete worldStream.cells[ck];
+    }
+    var rr = Math.ceil(cr / STREAM_REGION_SIZE) + 1;
+    var crx = Math.floor(tx / STREAM_REGION_SIZE), cry = Math.floor(ty / STREAM_REGION_SIZE);
+    for (var rk in worldStream.regions) {
+        var rp = rk.split(',');
+        if (Math.abs(+rp[0] - crx) > rr || Math.abs(+rp[1] - cry) > rr) delete worldStream.regions[rk];
+    }
+}
+
+// Called every frame from Draw().  Re-plans when the camera changes tile,
+// then places pending cells, generating at most genPerFrame new tiles.
+function updateWorldStream() {
+    if (!worldStream.enabled) return;
+    worldStream.frame++;
+
+    var c = getTileCoords(camera.x, camera.y);
+    if (c.tileX !== worldStream.centerX || c.tileY !== worldStream.centerY) {
+        worldStream.centerX = c.tileX;
+        worldStream.centerY = c.tileY;
+        streamUnloadFar(c.tileX, c.tileY);
+        worldStream.pending = streamWantedCells(c.tileX, c.tileY);
+    }
+
+    var budget = worldStream.genPerFrame;
+    while (worldStream.pending.length) {
+        var cell = worldStream.pending[0];
+        var id   = streamTileId(cell.x, cell.y);
+        var gen  = id !== null && worldStream.tileIndex[id] === undefined;
+        if (!streamPlaceCell(cell.x, cell.y, budget > 0)) break;   // out of budget
+        if (gen) budget--;
+        worldStream.pending.shift();
+    }
+
+    // Trim back to the cap once the burst of new tiles is placed
+    while (Object.keys(worldStream.slotTile).length > worldStream.maxMaps && streamEvictLRU()) {}
+}
+
+// -----------------------------------------------------------------------
+// Entry point
+// -----------------------------------------------------------------------
+
+// Start a streaming world.  Replaces generateTerrain() + initializeTileSystem()
+// for this mode; the cells around spawn are placed synchronously so the
+// camera has ground under it on the first frame.
+function startWorldStream(seedStr) {
+    var baseSeed = hashSeedStr(seedStr);
+    currentSeed    = baseSeed;
+    proceduralMode = true;
+
+    // Region walks read the grid bounds from the world dimension
+    setWorldMapSize(STREAM_REGION_SIZE);
+    window.worldMapData          = null;
+    window.mountainRidgeMapIndex = null;
+    window.transitionMapIndex    = null;
+    window.wideRidgeMapIndex     = null;
+    window.foothillMapIndex      = null;
+    window.steepFoothillMapIndex = null;
+    window.hillsCapMapIndex      = null;
+    window.worldHydrology        = null;
+    window.hydrologyTileIndex    = null;
+    window.worldSettlements      = null;
+    window.settlementTileIndex   = null;
+    window.worldRoads            = null;
+    window.roadTileIndex         = null;
+    window.biomeVariantIndex     = null;
+    window.biomeVariantMaps      = null;
+    window.continuousTileIndex   = null;
+    if (typeof clearDEMImports === 'function') clearDEMImports();
+    if (typeof clearMapPack === 'function') clearMapPack();
+    registeredBiomes().forEach(function(biome) { biome.mapIndex = {}; });
+
+    worldStream.enabled   = true;
+    worldStream.seed      = baseSeed;
+    worldStream.centerX   = null;
+    worldStream.centerY   = null;
+    worldStream.pending   = [];
+    worldStream.tileIndex = {};
+    worldStream.slotTile  = {};
+    worldStream.refs      = {};
+    worldStream.lastUsed  = {};
+    worldStream.freeSlots = [];
+    worldStream.pool      = [];
+    worldStream.regions   = {};
+    worldStream.cells     = {};
+    worldStream.frame     = 0;
+    treeLUT = {};
+
+    // Pinned base tiles — same seeds as generateBiomeTiles
+    genBeachTile   (map,              (baseSeed ^ 0x11223344) >>> 0);
+    genPlainsTile  (map2,             (baseSeed ^ 0x55667788) >>> 0);
+    genHillsTile   (map3,             (baseSeed ^ 0x99AABBCC) >>> 0);
+    genMountainTile(biomeMapMountain, (baseSeed ^ 0xDDEEFF11) >>> 0);
+    maps[3] = biomeMapMountain;
+    maps.length = STREAM_FIRST_SLOT;
+
+    tileSystem.tileMap = {};
+    var c = getTileCoords(camera.x, camera.y);
+    for (var dy = -1; dy <= 1; dy++) {
+        for (var dx = -1; dx <= 1; dx++) {
+            streamPlaceCell(c.tileX + dx, c.tileY + dy, true);
+        }
+    }
+}
+
+function stopWorldStream() {
+    worldStream.enabled = false;
+    worldStream.pending = [];
+    worldStream.pool    = [];
+    worldStream.regions = {};
+    worldStream.cells   = {};
+}
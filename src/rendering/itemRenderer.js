@@ -58,8 +58,8 @@ function RenderItems(){
         var scaleX = scale;
         var scaleY = scale;
         if (it.type === "tree") {
-            scaleX *= 6;   // wider trees
-            scaleY *= 12;  // much taller trees (stretched)
+            scaleX *= it.spriteW || 6;   // wider trees (per species and size)
+            scaleY *= it.spriteH || 12;  // much taller trees (stretched)
         }
 
         // Quick bounds check
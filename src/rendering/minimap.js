@@ -28,13 +28,13 @@ function InitMinimap() {
 }
 
 // -----------------------------------------------------------------------
-// World Map Minimap — shows the 16x16 biome grid + player position
+// World Map Minimap — shows the biome grid + player position
 // -----------------------------------------------------------------------
 
 var worldMinimap = {
     canvas: null,
     context: null,
-    cellSize: 10   // pixels per biome cell (160px canvas / 16 cells)
+    cellSize: 10   // pixels per biome cell (canvas width / WORLD_MAP_SIZE)
 };
 
 // Biome fill colors for the world map display
@@ -56,7 +56,7 @@ function InitWorldMinimap() {
         if (canvas && canvas.getContext) {
             worldMinimap.canvas  = canvas;
             worldMinimap.context = canvas.getContext('2d');
-            worldMinimap.cellSize = canvas.width / WORLD_MAP_SIZE;  // 160 / 16 = 10
+            worldMinimap.cellSize = canvas.width / WORLD_MAP_SIZE;  // 160 / 16 = 10 (recomputed per frame)
         }
     } catch (e) {
         console.error("World minimap init error:", e);
@@ -71,6 +71,12 @@ function RenderWorldMinimap() {
         worldMinimap.canvas.style.display = renderOpts.minimapVisible ? 'block' : 'none';
         if (!renderOpts.minimapVisible) return;
 
+        // Infinite world: no fixed grid, draw a window around the player instead
+        if (typeof worldStream !== 'undefined' && worldStream.enabled) {
+            RenderStreamMinimap(worldMinimap.context);
+            return;
+        }
+
         // Only show when world map data exists (biome/procedural mode)
         if (!proceduralMode || !window.worldMapData) {
             worldMinimap.canvas.style.display = 'none';
@@ -78,15 +84,17 @@ function RenderWorldMinimap() {
         }
 
         var ctx  = worldMinimap.context;
-        var cs   = worldMinimap.cellSize;   // pixels per cell
         var size = WORLD_MAP_SIZE;
+        // The world size can change between generations — refit cells to the canvas.
+        worldMinimap.cellSize = worldMinimap.canvas.width / size;
+        var cs   = worldMinimap.cellSize;   // pixels per cell
         var tileAdvanceX = tileSystem.tileWidth  - tileSystem.overlapSize;  // 896
         var tileAdvanceY = tileSystem.tileHeight - tileSystem.overlapSize;  // 896
 
-        // ---- Redraw biome grid every frame (256 fillRects — trivially cheap) ----
+        // ---- Redraw biome grid every frame (size² fillRects — trivially cheap) ----
         ctx.clearRect(0, 0, worldMinimap.canvas.width, worldMinimap.canvas.height);
 
-        var halfGrid  = 5;   // inner tile half-extent
+        var halfGrid  = worldPlayableHalf();   // inner tile half-extent
         var borderMin = -halfGrid - 1;
         var borderMax =  halfGrid;
 
@@ -94,9 +102,9 @@ function RenderWorldMinimap() {
             for (var cellX = 0; cellX < size; cellX++) {
                 var biome = window.worldMapData[cellY * size + cellX];
 
-                // Map cell → tile coordinates (tile 0,0 is at cell 8,8)
-                var tileX = cellX - 8;
-                var tileY = cellY - 8;
+                // Map cell → tile coordinates (tile 0,0 is at the center cell)
+                var tileX = cellToTile(cellX);
+                var tileY = cellToTile(cellY);
                 var isBorder = (tileX === borderMin) || (tileX === borderMax) ||
                                (tileY === borderMin) || (tileY === borderMax);
 
@@ -137,7 +145,7 @@ function RenderWorldMinimap() {
                 if (window.worldMapData[ry * size + rx] !== BIOME_MOUNTAIN) continue;
 
                 // Skip border ring cells (they are solid wall, not ridge tiles)
-                var rtX = rx - 8, rtY = ry - 8;
+                var rtX = cellToTile(rx), rtY = cellToTile(ry);
                 if (rtX <= borderMin || rtX >= borderMax ||
                     rtY <= borderMin || rtY >= borderMax) continue;
 
@@ -176,14 +184,61 @@ function RenderWorldMinimap() {
             }
         }
 
+        // ---- Rivers (center to center) and lakes ----
+        var hydro = window.worldHydrology;
+        if (hydro) {
+            ctx.strokeStyle = 'rgba(70,130,200,0.95)';
+            ctx.fillStyle   = 'rgba(70,130,200,0.95)';
+            ctx.lineWidth   = Math.max(1, cs * 0.22);
+            hydro.rivers.forEach(function(river) {
+                ctx.beginPath();
+                river.cells.forEach(function(c, i) {
+                    var fn = i === 0 ? 'moveTo' : 'lineTo';
+                    ctx[fn]((c.x + 0.5) * cs, (c.y + 0.5) * cs);
+                });
+                ctx.stroke();
+            });
+            hydro.lakes.forEach(function(lake) {
+                ctx.beginPath();
+                ctx.arc((lake.x + 0.5) * cs, (lake.y + 0.5) * cs, cs * 0.32, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        // ---- Roads (world pixels → cells) ----
+        if (window.worldRoads) {
+            ctx.strokeStyle = 'rgba(150,112,70,0.95)';
+            ctx.lineWidth   = Math.max(1, cs * 0.12);
+            window.worldRoads.roads.forEach(function(pts) {
+                ctx.beginPath();
+                pts.forEach(function(p, i) {
+                    var fn = i === 0 ? 'moveTo' : 'lineTo';
+                    ctx[fn]((p[0] / tileAdvanceX + worldCenterCell()) * cs, (p[1] / tileAdvanceY + worldCenterCell()) * cs);
+                });
+                ctx.stroke();
+            });
+        }
+
+        // ---- Settlements (a square per building, world pixels → cells) ----
+        if (window.worldSettlements) {
+            ctx.fillStyle = 'rgba(214,196,160,0.95)';
+            var bs = Math.max(1, cs * 0.12);
+            window.worldSettlements.forEach(function(st) {
+                st.buildings.forEach(function(bd) {
+                    ctx.fillRect((bd.x / tileAdvanceX + worldCenterCell()) * cs - bs / 2,
+                                 (bd.y / tileAdvanceY + worldCenterCell()) * cs - bs / 2, bs, bs);
+                });
+            });
+        }
+
         // ---- Player dot (drawn on top of freshly redrawn grid) ----
         // Convert world coordinates to world-map fraction
         var playerTileX = camera.x / tileAdvanceX;
         var playerTileY = camera.y / tileAdvanceY;
 
-        // Add offset: tile (0,0) maps to cell (8,8)
-        var wmFracX = (playerTileX + 8) / size;
-        var wmFracY = (playerTileY + 8) / size;
+        // Add offset: tile (0,0) maps to the center cell
+        var wmFracX = (playerTileX + worldCenterCell()) / size;
+        var wmFracY = (playerTileY + worldCenterCell()) / size;
 
         var dotX = wmFracX * worldMinimap.canvas.width;
         var dotY = wmFracY * worldMinimap.canvas.height;
@@ -215,6 +270,51 @@ function RenderWorldMinimap() {
     }
 }
 
+// Streaming-world variant of the world minimap: a STREAM_REGION_SIZE-cell
+// window that scrolls with the player, who always stays in the middle.
+// Cells come from getStreamBiome, so areas not yet streamed still show.
+function RenderStreamMinimap(ctx) {
+    var size = STREAM_REGION_SIZE;
+    var cs   = worldMinimap.canvas.width / size;
+    worldMinimap.cellSize = cs;
+
+    var tileAdvance = tileSystem.tileWidth - tileSystem.overlapSize;  // 896
+    var ptX  = camera.x / tileAdvance;
+    var ptY  = camera.y / tileAdvance;
+    var minX = Math.floor(ptX) - (size >> 1);
+    var minY = Math.floor(ptY) - (size >> 1);
+
+    ctx.clearRect(0, 0, worldMinimap.canvas.width, worldMinimap.canvas.height);
+    for (var cy = 0; cy < size; cy++) {
+        for (var cx = 0; cx < size; cx++) {
+            var tileKey = getTileKey(minX + cx, minY + cy);
+            ctx.fillStyle = BIOME_COLORS[getStreamBiome(minX + cx, minY + cy)] || BIOME_COLORS[0];
+            // Dim cells whose tile isn't currently loaded
+            ctx.globalAlpha = (tileKey in tileSystem.tileMap) ? 1 : 0.45;
+            ctx.fillRect(cx * cs, cy * cs, cs, cs);
+        }
+    }
+    ctx.globalAlpha = 1;
+
+    // Player dot + direction
+    var dotX = (ptX - minX) * cs;
+    var dotY = (ptY - minY) * cs;
+    ctx.strokeStyle = 'rgba(255,255,255,0.7)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(dotX, dotY);
+    ctx.lineTo(dotX - Math.sin(camera.angle) * cs * 1.2, dotY - Math.cos(camera.angle) * cs * 1.2);
+    ctx.stroke();
+    ctx.fillStyle = 'white';
+    ctx.beginPath();
+    ctx.arc(dotX, dotY, 3, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = 'rgba(0, 255, 136, 0.5)';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(1, 1, worldMinimap.canvas.width - 2, worldMinimap.canvas.height - 2);
+}
+
 function RenderMinimap() {
     try {
         if (!minimap.context) return;
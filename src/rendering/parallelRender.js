@@ -0,0 +1,295 @@
+// ===============================
+// Parallel Render — terrain columns drawn by a pool of Web Workers
+// ===============================
+// Registers the 'parallel' render mode.  Each frame the screen is cut into
+// one strip of columns per worker (renderWorker.js).  Every worker runs the
+// tiled mode's loop on its strip, writing straight into the page's frame
+// and depth buffers.  The main thread only waits for the strips, then draws
+// items over the result as usual.
+//
+// Per frame only the camera and the option tables are posted.  The frame
+// buffers and each map's altitude / color / waterLevel arrays move into
+// SharedArrayBuffers the first time the mode draws, and again whenever a map
+// or the screen is replaced.  Edits made in place on the page therefore show
+// up in the workers' next frame without being sent.
+//
+// SharedArrayBuffer needs a cross-origin isolated page, served with
+//   Cross-Origin-Opener-Policy: same-origin
+//   Cross-Origin-Embedder-Policy: require-corp
+// The mode draws the tiled loop on the main thread instead when the page is
+// not isolated, until the workers have started, and after a worker fails.
+// A frame the workers have not finished within parallelRender.timeout is
+// drawn on the main thread too: the workers are told to drop it, and the
+// page waits until they have stopped writing before it draws, so the two
+// never share the buffers.  The pool keeps running.  A worker that does not
+// stop in time is given up with the pool, and the page draws into buffers
+// of its own.  The picture is the same, only slower.
+//
+// Waits use Atomics.wait on the control words where the thread may block.
+// Browsers refuse it on the page's main thread, so there the page polls the
+// control word instead (renderWaitBlocks is false).
+//
+// TO DISABLE: remove (or comment out) the script tag in index.html.
+"use strict";
+
+var parallelRender = {
+    workers: Math.max(1, Math.min(8, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4) - 1)),
+    timeout: 50      // ms to wait for the workers before drawing a frame here
+};
+
+// Page scripts the render loop needs: globals, the engine, and the optional
+// water and LOD modules when the page has them
+var RENDER_WORKER_SCRIPT_PATTERN = /^src\/(core\/globals|rendering\/(voxelEngine|water|lod\/))/;
+
+// { workers, ready, failed, control, frame, buf32, depth, mapRefs, mapCount, tileMap, tileCount }
+var renderPool = null;
+var renderWaitBlocks = false;   // Atomics.wait is allowed on this thread
+
+function renderWorkerScriptURLs() {
+    var urls = [];
+    var scripts = document.getElementsByTagName('script');
+    for (var i = 0; i < scripts.length; i++) {
+        var src = scripts[i].getAttribute('src');
+        if (src && RENDER_WORKER_SCRIPT_PATTERN.test(src)) urls.push(scripts[i].src);
+    }
+    return urls;
+}
+
+function canRenderParallel() {
+    return typeof SharedArrayBuffer === 'function' && typeof Atomics === 'object' &&
+           typeof Worker === 'function' && window.crossOriginIsolated !== false;
+}
+
+// -----------------------------------------------------------------------
+// Worker pool
+// -----------------------------------------------------------------------
+
+function startRenderPool() {
+    var pool = {
+        workers: [], ready: 0, failed: false,
+        control: null,       // [frame << 8 | strips finished, a strip failed, workers busy]
+        frame: 0,            // number of the last frame posted
+        buf32: null, depth: null,
+        mapRefs: [], mapCount: -1,
+        tileMap: null, tileCount: 0
+    };
+    if (!canRenderParallel()) {
+        stopRenderPool(pool, 'Parallel rendering needs SharedArrayBuffer (a cross-origin isolated page)');
+        return pool;
+    }
+    pool.control = new Int32Array(new SharedArrayBuffer(12));
+    try {
+        Atomics.wait(pool.control, 1, 1, 0);   // value differs: returns at once where allowed
+        renderWaitBlocks = true;
+    } catch (e) {
+        renderWaitBlocks = false;
+    }
+
+    var onMessage = function(e) {
+        if (e.data.type === 'ready') pool.ready++;
+        else stopRenderPool(pool, 'Render worker failed: ' + e.data.message);
+    };
+    var onError = function(e) {
+        stopRenderPool(pool, 'Render worker failed: ' + e.message);
+    };
+    try {
+        var scripts = renderWorkerScriptURLs();
+        for (var i = 0; i < parallelRender.workers; i++) {
+            var worker = new Worker('src/rendering/renderWorker.js');
+            worker.onmessage = onMessage;
+            worker.onerror = onError;
+            worker.postMessage({ type: 'init', scripts: scripts, control: pool.control });
+            pool.workers.push(worker);
+        }
+    } catch (e) {
+        stopRenderPool(pool, 'Render workers unavailable: ' + e.message);
+    }
+    return pool;
+}
+
+// Give the pool up for this session; the mode keeps drawing on the main thread.
+function stopRenderPool(pool, reason) {
+    if (pool.failed) return;
+    pool.failed = true;
+    pool.workers.forEach(function(w) { w.terminate(); });
+    pool.workers = [];
+    console.warn(reason + ', drawing on the main thread');
+}
+
+// Return once control[i] is no longer v, or after ms
+function waitRenderControl(control, i, v, ms) {
+    if (renderWaitBlocks) {
+        Atomics.wait(control, i, v, ms);
+        return;
+    }
+    var end = Date.now() + ms;
+    while (Atomics.load(control, i) === v && Date.now() < end) {}
+}
+
+// Give the page screen buffers no worker can write to, keeping their contents
+function detachRenderScreen(frame) {
+    var buf = new ArrayBuffer(screendata.bufarray.byteLength);
+    new Uint8Array(buf).set(screendata.buf8);
+    screendata.bufarray = buf;
+    screendata.buf8 = new Uint8Array(buf);
+    screendata.buf32 = new Uint32Array(buf);
+    screendata.depthBuffer = new Float32Array(screendata.depthBuffer);
+    frame.buf32 = screendata.buf32;
+    frame.depth = screendata.depthBuffer;
+}
+
+function postToRenderWorkers(pool, msg) {
+    for (var i = 0; i < pool.workers.length; i++) pool.workers[i].postMessage(msg);
+}
+
+// -----------------------------------------------------------------------
+// Shared state
+// -----------------------------------------------------------------------
+
+// Copy a typed array into shared memory (returned as is when it already is).
+function shareRenderArray(a) {
+    if (a.buffer instanceof SharedArrayBuffer) return a;
+    var shared = new a.constructor(new SharedArrayBuffer(a.byteLength));
+    shared.set(a);
+    return shared;
+}
+
+// Frame and depth buffers; whatever was drawn before Render() is kept.
+function syncRenderScreen(pool, frame) {
+    if (!(screendata.bufarray instanceof SharedArrayBuffer)) {
+        var buf = new SharedArrayBuffer(screendata.bufarray.byteLength);
+        new Uint8Array(buf).set(screendata.buf8);
+        screendata.bufarray = buf;
+        screendata.buf8 = new Uint8Array(buf);
+        screendata.buf32 = new Uint32Array(buf);
+    }
+    screendata.depthBuffer = shareRenderArray(screendata.depthBuffer);
+    frame.buf32 = screendata.buf32;
+    frame.depth = screendata.depthBuffer;
+
+    if (pool.buf32 === frame.buf32 && pool.depth === frame.depth) return;
+    pool.buf32 = frame.buf32;
+    pool.depth = frame.depth;
+    postToRenderWorkers(pool, { type: 'screen', width: frame.sw, height: frame.sh, buf32: frame.buf32, depth: frame.depth });
+}
+
+// What a worker needs of a map: its scalar fields and the shared arrays.
+function renderMapView(m) {
+    var view = {};
+    for (var k in m) {
+        var v = m[k];
+        if (typeof v === 'number' || typeof v === 'string' || typeof v === 'boolean') view[k] = v;
+    }
+    view.altitude = m.altitude;
+    view.color = m.color;
+    if (m.waterLevel) view.waterLevel = m.waterLevel;
+    return view;
+}
+
+// Send maps that are new, replaced, or had an array swapped since last frame.
+function syncRenderMaps(pool) {
+    var changed = [];
+    for (var i = 0; i < maps.length; i++) {
+        var m = maps[i], ref = pool.mapRefs[i];
+        if (!m) continue;
+        if (ref && ref.map === m && ref.altitude === m.altitude && ref.color === m.color &&
+            ref.waterLevel === m.waterLevel && ref.heightScale === m.heightScale) continue;
+
+        m.altitude = shareRenderArray(m.altitude);
+        m.color = shareRenderArray(m.color);
+        if (m.waterLevel) m.waterLevel = shareRenderArray(m.waterLevel);
+        pool.mapRefs[i] = { map: m, altitude: m.altitude, color: m.color, waterLevel: m.waterLevel, heightScale: m.heightScale };
+        changed.push({ index: i, map: renderMapView(m) });
+    }
+    if (!changed.length && pool.mapCount === maps.length) return;
+    pool.mapRefs.length = maps.length;
+    pool.mapCount = maps.length;
+    postToRenderWorkers(pool, { type: 'maps', count: maps.length, maps: changed });
+}
+
+// Send the tile map when any entry was added, removed or reassigned.
+function syncRenderTiles(pool) {
+    var tm = tileSystem.tileMap, snap = pool.tileMap, count = 0, same = !!snap;
+    for (var key in tm) {
+        if (same && snap[key] !== tm[key]) same = false;
+        count++;
+    }
+    if (same && count === pool.tileCount) return;
+    pool.tileMap = Object.assign({}, tm);
+    pool.tileCount = count;
+    postToRenderWorkers(pool, { type: 'tiles', tileMap: pool.tileMap });
+}
+
+// -----------------------------------------------------------------------
+// Frame
+// -----------------------------------------------------------------------
+
+function renderParallel(mode, frame) {
+    if (!renderPool) renderPool = startRenderPool();
+    var pool = renderPool;
+    if (pool.failed || pool.ready < pool.workers.length) return renderColumns(mode, frame);
+
+    var control = pool.control, n = pool.workers.length;
+    syncRenderScreen(pool, frame);
+    syncRenderMaps(pool);
+    syncRenderTiles(pool);
+
+    pool.frame = (pool.frame + 1) & 0x7FFFFF;
+    var done = (pool.frame << 8) + n;
+    Atomics.store(control, 0, pool.frame << 8);
+    Atomics.store(control, 1, 0);
+    Atomics.store(control, 2, n);
+    for (var k = 0; k < n; k++) {
+        pool.workers[k].postMessage({
+            type:       'frame',
+            frame:      pool.frame,
+            colStart:   Math.floor(frame.sw * k / n),
+            colEnd:     Math.floor(frame.sw * (k + 1) / n),
+            camera:     camera,
+            renderOpts: renderOpts,
+            water:      typeof water !== 'undefined' ? water : null,
+            lod:        typeof distanceLOD !== 'undefined' ? distanceLOD : null,
+            background: screendata.backgroundcolor
+        });
+    }
+
+    var start = Date.now(), v;
+    while ((v = Atomics.load(control, 0)) !== done) {
+        var left = parallelRender.timeout - (Date.now() - start);
+        if (left <= 0) return renderTimedOut(pool, mode, frame);
+        waitRenderControl(control, 0, v, left);
+    }
+    if (Atomics.load(control, 1)) {
+        stopRenderPool(pool, 'A render worker failed');
+        renderColumns(mode, frame);
+    }
+}
+
+// Moving control[0] off the frame tells the workers to drop it (within one
+// depth slice).  Once control[2] shows them all stopped, the page draws the
+// frame itself.
+function renderTimedOut(pool, mode, frame) {
+    var control = pool.control;
+    Atomics.store(control, 0, ((pool.frame + 1) & 0x7FFFFF) << 8);
+    var start = Date.now(), v;
+    while ((v = Atomics.load(control, 2)) > 0) {
+        var left = parallelRender.timeout - (Date.now() - start);
+        if (left <= 0) {
+            stopRenderPool(pool, 'Render workers did not stop');
+            detachRenderScreen(frame);
+            break;
+        }
+        waitRenderControl(control, 2, v, left);
+    }
+    renderColumns(mode, frame);
+}
+
+// Same sampler as 'tiled', so physics matches what the workers draw
+registerRenderMode('parallel', {
+    label:       'Parallel (Workers)',
+    sample:      function(x, y, z) { return getTerrainData(x, y, z); },
+    render:      function(frame) { renderParallel(this, frame); },
+    water:       true,
+    depthInterp: true,
+    lod:         true
+});
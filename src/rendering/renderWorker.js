@@ -0,0 +1,79 @@
+// ===============================
+// Render Worker — draws one strip of screen columns
+// ===============================
+// Started by parallelRender.js.  The page sends, in order:
+//   { type: 'init',   scripts, control }  — renderWorkerScriptURLs(); control
+//                                           is the pool's shared Int32Array
+//   { type: 'screen', width, height, buf32, depth }  — shared frame buffers
+//   { type: 'maps',   count, maps: [{ index, map }] } — changed maps; their
+//                                           altitude / color / waterLevel
+//                                           arrays are shared, not copied
+//   { type: 'tiles',  tileMap }
+//   { type: 'frame',  frame, colStart, colEnd, camera, renderOpts, water, lod, background }
+// The worker answers 'init' with { type: 'ready' } or { type: 'error', message }.
+// Frames are answered through control instead of a message, because the page
+// waits for them without returning to its event loop: control[0] holds the
+// frame number (high bits) and its finished strips (low 8 bits), control[1]
+// is set when a strip failed, and control[2] counts workers still on a frame.
+// Once control[0] names a newer frame the page has stopped waiting: the
+// strip is abandoned at the next depth slice and not counted.
+"use strict";
+
+// The rendering scripts address their globals through window
+self.window = self;
+
+var renderControl = null;
+
+self.onmessage = function(e) {
+    var msg = e.data;
+    if (msg.type === 'init') {
+        try {
+            importScripts.apply(self, msg.scripts);
+            renderControl = msg.control;
+            self.postMessage({ type: 'ready' });
+        } catch (err) {
+            self.postMessage({ type: 'error', message: String((err && err.message) || err) });
+        }
+    } else if (msg.type === 'screen') {
+        screendata.canvas = { width: msg.width, height: msg.height };
+        screendata.buf32 = msg.buf32;
+        screendata.depthBuffer = msg.depth;
+        hiddeny = new Int32Array(msg.width);
+    } else if (msg.type === 'maps') {
+        maps.length = msg.count;
+        msg.maps.forEach(function(entry) { maps[entry.index] = entry.map; });
+    } else if (msg.type === 'tiles') {
+        tileSystem.tileMap = msg.tileMap;
+    } else if (msg.type === 'frame') {
+        var cancelled = function() { return (Atomics.load(renderControl, 0) >>> 8) !== msg.frame; };
+        try {
+            Object.assign(camera, msg.camera);
+            Object.assign(renderOpts, msg.renderOpts);
+            if (msg.water && typeof water !== 'undefined') Object.assign(water, msg.water);
+            if (msg.lod && typeof distanceLOD !== 'undefined') Object.assign(distanceLOD, msg.lod);
+            screendata.backgroundcolor = msg.background;
+            renderColumns(RENDER_MODES.tiled, {
+                sw: screendata.canvas.width, sh: screendata.canvas.height,
+                depth: screendata.depthBuffer, buf32: screendata.buf32,
+                colStart: msg.colStart, colEnd: msg.colEnd, cancelled: cancelled
+            });
+        } catch (err) {
+            Atomics.store(renderControl, 1, 1);
+        }
+        // Off the busy count first, so a finished frame never finds a worker busy
+        Atomics.sub(renderControl, 2, 1);
+        Atomics.notify(renderControl, 2);
+        countRenderStrip(msg.frame);
+        Atomics.notify(renderControl, 0);
+    }
+};
+
+// Add a finished strip to control[0] if it still belongs to that frame
+function countRenderStrip(frame) {
+    var v = Atomics.load(renderControl, 0);
+    while ((v >>> 8) === frame) {
+        var seen = Atomics.compareExchange(renderControl, 0, v, v + 1);
+        if (seen === v) return;
+        v = seen;
+    }
+}
@@ -73,10 +73,30 @@ function BuildTileLegend() {
         legend.appendChild(section);
     }
 
+    // ---- Map pack: each map's tiles, slices in reading order ----
+    if (window.mapPack) {
+        var pack = window.mapPack;
+        addSection(pack.name.toUpperCase(), [].concat.apply([], Object.keys(pack.maps).map(function(id) {
+            var slices = pack.maps[id].slices;
+            return slices.map(function(idx, i) {
+                return { map: maps[idx], label: slices.length > 1 ? id + ' ' + (i + 1) : id };
+            });
+        })));
+        return;
+    }
+
+    // Base tile of a biome followed by its per-cell variants, if any.
+    function baseItems(biome, idx) {
+        var pool  = window.biomeVariantMaps && window.biomeVariantMaps[biome];
+        var items = [{ map: maps[idx], label: pool ? 'BASE' : '' }];
+        if (pool) pool.forEach(function(vIdx, i) { items.push({ map: maps[vIdx], label: 'V' + (i + 1) }); });
+        return items;
+    }
+
     // ---- Base biome tiles ----
-    addSection('SAND',   [{ map: maps[0] }]);
-    addSection('PLAINS', [{ map: maps[1] }]);
-    addSection('HILLS',  [{ map: maps[2] }]);
+    addSection('SAND',   baseItems(BIOME_BEACH,  0));
+    addSection('PLAINS', baseItems(BIOME_PLAINS, 1));
+    addSection('HILLS',  baseItems(BIOME_HILLS,  2));
 
     // ---- Mountain tiles: base + all ridge variants ----
     var mountainItems = [{ map: maps[3], label: 'BASE' }];
@@ -110,4 +130,12 @@ function BuildTileLegend() {
         });
         addSection('FOOTHILLS', foothillItems);
     }
+
+    // ---- Registered plugin biomes ----
+    registeredBiomes().forEach(function(biome) {
+        var regItems = Object.keys(biome.mapIndex).sort().map(function(k) {
+            return { map: maps[biome.mapIndex[k]], label: k === 'BASE' ? '' : k };
+        });
+        addSection(biome.paletteGroup, regItems);
+    });
 }
@@ -96,7 +96,7 @@ function sampleBilinear(tileMap, x, y) {
     var height = lerp(h0, h1, fy);
 
     // Apply height scale multiplier
-    height *= tileMap.heightScale;
+    height *= altitudeScale(tileMap);
 
     // Interpolate color (blend top row, then bottom row, then between rows)
     var colorTop = blendColors(c00, c10, fx);
@@ -113,7 +113,7 @@ function getTerrainData(x, y, z) {
 
     // NORTHERN MOUNTAIN REGION - DISABLED
     // if (y >= tiles.mountainMinY && x >= tiles.mountainMinX && x < tiles.mountainMaxX) {
-    //     var mountainMap = maps[3];  // map4
+    //     var mountainMap = maps[3];
     //     var localX = x - tiles.mountainMinX;  // Adjust X to map coordinates
     //     var localY = y - tiles.mountainMinY;  // Adjust Y to map coordinates
     //
@@ -123,7 +123,7 @@ function getTerrainData(x, y, z) {
     //         var mapX = Math.floor(localX) & (mountainMap.width - 1);
     //         var mapY = Math.floor(localY) & (mountainMap.height - 1);
     //         var offset = (mapY << mountainMap.shift) + mapX;
-    //         return { height: mountainMap.altitude[offset] * mountainMap.heightScale, color: mountainMap.color[offset] };
+    //         return { height: mountainMap.altitude[offset] * altitudeScale(mountainMap), color: mountainMap.color[offset] };
     //     }
     // }
 
@@ -174,7 +174,7 @@ function getTerrainData(x, y, z) {
             var mx2 = Math.floor(lx) & (m.width - 1);
             var my2 = Math.floor(ly) & (m.height - 1);
             var off = (my2 << m.shift) + mx2;
-            return { height: m.altitude[off] * m.heightScale, color: m.color[off] };
+            return { height: m.altitude[off] * altitudeScale(m), color: m.color[off] };
         };
 
         // CORNER ZONES: pixel is inside an overlap region on both axes simultaneously.
@@ -238,8 +238,8 @@ function getTerrainData(x, y, z) {
                 var mapY2 = Math.floor(localY) & (map2.height - 1);
                 var offset1 = (mapY1 << map1.shift) + mapX1;
                 var offset2 = (mapY2 << map2.shift) + mapX2;
-                sample1 = { height: map1.altitude[offset1] * map1.heightScale, color: map1.color[offset1] };
-                sample2 = { height: map2.altitude[offset2] * map2.heightScale, color: map2.color[offset2] };
+                sample1 = { height: map1.altitude[offset1] * altitudeScale(map1), color: map1.color[offset1] };
+                sample2 = { height: map2.altitude[offset2] * altitudeScale(map2), color: map2.color[offset2] };
             }
             return { height: lerp(sample1.height, sample2.height, blendFactor), color: blendColors(sample1.color, sample2.color, blendFactor) };
         }
@@ -263,8 +263,8 @@ function getTerrainData(x, y, z) {
                 var mapY2 = Math.floor(localY) & (map2.height - 1);
                 var offset1 = (mapY1 << map1.shift) + mapX1;
                 var offset2 = (mapY2 << map2.shift) + mapX2;
-                sample1 = { height: map1.altitude[offset1] * map1.heightScale, color: map1.color[offset1] };
-                sample2 = { height: map2.altitude[offset2] * map2.heightScale, color: map2.color[offset2] };
+                sample1 = { height: map1.altitude[offset1] * altitudeScale(map1), color: map1.color[offset1] };
+                sample2 = { height: map2.altitude[offset2] * altitudeScale(map2), color: map2.color[offset2] };
             }
             return { height: lerp(sample1.height, sample2.height, blendFactor), color: blendColors(sample1.color, sample2.color, blendFactor) };
         }
@@ -288,8 +288,8 @@ function getTerrainData(x, y, z) {
                 var mapY2 = Math.floor(localY) & (map2.height - 1);
                 var offset1 = (mapY1 << map1.shift) + mapX1;
                 var offset2 = (mapY2 << map2.shift) + mapX2;
-                sample1 = { height: map1.altitude[offset1] * map1.heightScale, color: map1.color[offset1] };
-                sample2 = { height: map2.altitude[offset2] * map2.heightScale, color: map2.color[offset2] };
+                sample1 = { height: map1.altitude[offset1] * altitudeScale(map1), color: map1.color[offset1] };
+                sample2 = { height: map2.altitude[offset2] * altitudeScale(map2), color: map2.color[offset2] };
             }
             return { height: lerp(sample1.height, sample2.height, blendFactor), color: blendColors(sample1.color, sample2.color, blendFactor) };
         }
@@ -313,8 +313,8 @@ function getTerrainData(x, y, z) {
                 var mapY2 = Math.floor(localY2) & (map2.height - 1);
                 var offset1 = (mapY1 << map1.shift) + mapX1;
                 var offset2 = (mapY2 << map2.shift) + mapX2;
-                sample1 = { height: map1.altitude[offset1] * map1.heightScale, color: map1.color[offset1] };
-                sample2 = { height: map2.altitude[offset2] * map2.heightScale, color: map2.color[offset2] };
+                sample1 = { height: map1.altitude[offset1] * altitudeScale(map1), color: map1.color[offset1] };
+                sample2 = { height: map2.altitude[offset2] * altitudeScale(map2), color: map2.color[offset2] };
             }
             return { height: lerp(sample1.height, sample2.height, blendFactor), color: blendColors(sample1.color, sample2.color, blendFactor) };
         }
@@ -333,7 +333,7 @@ function getTerrainData(x, y, z) {
             var mapX = Math.floor(localX) & (tileMap.width - 1);
             var mapY = Math.floor(localY) & (tileMap.height - 1);
             var offset = (mapY << tileMap.shift) + mapX;
-            return { height: tileMap.altitude[offset] * tileMap.heightScale, color: tileMap.color[offset] };
+            return { height: tileMap.altitude[offset] * altitudeScale(tileMap), color: tileMap.color[offset] };
         }
     }
 
@@ -341,106 +341,22 @@ function getTerrainData(x, y, z) {
 }
 
 // Terrain height functions
-// Use appropriate terrain access based on current render mode
-var getRawTerrainHeight = (x, y) => {
-    // For tiled/cached modes: use tile system to respect different maps at different locations
-    // For direct/subdivided modes: use direct map access for consistency with rendering
-    if (renderOpts.renderMode === 'tiled' || renderOpts.renderMode === 'cached') {
-        var data = getTerrainData(x, y);
-        return data ? data.height : 0;
-    } else if (renderOpts.renderMode === 'subdivided') {
-        // Subdivided mode - use same 1024×1024 tile system with blending as rendering
-        var tileSize = 1024;
-        var tileAdvanceX = tileSize - tileSystem.overlapSize;  // 896
-        var tileAdvanceY = tileSize - tileSystem.overlapSize;  // 896
-
-        // Determine which tile we're in
-        var tileX = Math.floor(x / tileAdvanceX);
-        var tileY = Math.floor(y / tileAdvanceY);
-
-        // Get position within tile
-        var tileStartX = tileX * tileAdvanceX;
-        var tileStartY = tileY * tileAdvanceY;
-        var localX = x - tileStartX;
-        var localY = y - tileStartY;
-
-        // Helper to check if tile is subdivided
-        var isSubdivided = function(tx, ty) {
-            var hash = ((tx * 73856093) ^ (ty * 19349663)) & 0x7FFFFFFF;
-            return (hash % 3) === 0;
-        };
-
-        // Helper to sample tile data
-        var sampleTileHeight = function(tx, ty, lx, ly) {
-            if(isSubdivided(tx, ty)) {
-                // Sample from cached subdivided tile
-                if(window.subdividedTileCache) {
-                    var tileKey = tx + ',' + ty;
-                    if(window.subdividedTileCache[tileKey]) {
-                        var tileIdx = (Math.floor(ly) * tileSize) + Math.floor(lx);
-                        return window.subdividedTileCache[tileKey].altitude[tileIdx] * map.heightScale;
-                    }
-                }
-            }
-            // Fallback: use local coordinates to sample base map (matches rendering)
-            var mapX = Math.floor(lx) & (map.width - 1);
-            var mapY = Math.floor(ly) & (map.height - 1);
-            var mapoffset = (mapY << map.shift) + mapX;
-            return map.altitude[mapoffset] * map.heightScale;
-        };
-
-        // Smoothstep for blending
-        var smoothstep = function(t) {
-            t = Math.max(0, Math.min(1, t));
-            return t * t * (3 - 2 * t);
-        };
+// Physics reads the active render mode's sampler at the view depth the frame
+// draws (x, y) at, so collision matches the drawn surface filter and all:
+// bilinear up close when that is on, nearest beyond (see RENDER MODES below).
+function sampleTerrain(x, y) {
+    return currentRenderMode().sample(x, y, terrainViewDepth(x, y));
+}
 
-        // Check for overlap zones and blend (same logic as rendering)
-        var overlapSize = tileSystem.overlapSize;
-        var overlapStartX = tileSize - overlapSize;
-        var overlapStartY = tileSize - overlapSize;
+// Depth slice z the draw loop samples world point (x, y) in; points beside
+// or behind the camera count as the nearest slice.
+function terrainViewDepth(x, y) {
+    return Math.max(1, -(x - camera.x) * Math.sin(camera.angle) - (y - camera.y) * Math.cos(camera.angle));
+}
 
-        // LEFT overlap
-        if(localX >= 0 && localX < overlapSize) {
-            var prevLocalX = tileSize - overlapSize + localX;
-            var blendFactor = smoothstep(localX / overlapSize);
-            var h1 = sampleTileHeight(tileX - 1, tileY, prevLocalX, localY);
-            var h2 = sampleTileHeight(tileX, tileY, localX, localY);
-            return h1 + (h2 - h1) * blendFactor;  // lerp
-        }
-        // RIGHT overlap
-        else if(localX >= overlapStartX && localX < tileSize) {
-            var localX2 = localX - overlapStartX;
-            var blendFactor = smoothstep(localX2 / overlapSize);
-            var h1 = sampleTileHeight(tileX, tileY, localX, localY);
-            var h2 = sampleTileHeight(tileX + 1, tileY, localX2, localY);
-            return h1 + (h2 - h1) * blendFactor;  // lerp
-        }
-        // TOP overlap
-        else if(localY >= 0 && localY < overlapSize) {
-            var prevLocalY = tileSize - overlapSize + localY;
-            var blendFactor = smoothstep(localY / overlapSize);
-            var h1 = sampleTileHeight(tileX, tileY - 1, localX, prevLocalY);
-            var h2 = sampleTileHeight(tileX, tileY, localX, localY);
-            return h1 + (h2 - h1) * blendFactor;  // lerp
-        }
-        // BOTTOM overlap
-        else if(localY >= overlapStartY && localY < tileSize) {
-            var localY2 = localY - overlapStartY;
-            var blendFactor = smoothstep(localY2 / overlapSize);
-            var h1 = sampleTileHeight(tileX, tileY, localX, localY);
-            var h2 = sampleTileHeight(tileX, tileY + 1, localX, localY2);
-            return h1 + (h2 - h1) * blendFactor;  // lerp
-        }
-        // NO OVERLAP
-        else {
-            return sampleTileHeight(tileX, tileY, localX, localY);
-        }
-    } else {
-        // Direct mode - direct map access
-        var mapoffset = ((Math.floor(y) & (map.width - 1)) << map.shift) + (Math.floor(x) & (map.height - 1));
-        return map.altitude[mapoffset] * map.heightScale;
-    }
+var getRawTerrainHeight = (x, y) => {
+    var data = sampleTerrain(x, y);
+    return data ? data.height : 0;
 };
 
 // Get ground height including cube top surface
@@ -473,61 +389,136 @@ function getGroundHeight(x, y) {
 }
 
 // ===============================
-// RENDER MODE DISPATCHER
+// RENDER MODES
 // ===============================
-function Render(){
-    // Dispatch to appropriate render implementation based on mode
-    switch(renderOpts.renderMode) {
-        case 'tiled':
-            return Render_Tiled();
-        case 'cached':
-            return Render_Cached();
-        case 'direct':
-            return Render_Direct();
-        case 'subdivided':
-            return Render_Subdivided();
-        default:
-            return Render_Tiled();
+// Every mode draws through the same loop (Render): front-to-back depth
+// slices, one ray per screen column, hiddeny occlusion and the post steps.
+// A mode only says how terrain is sampled:
+//
+//   registerRenderMode('tiled', {
+//       label:       'Tiled (Slow)',             // shown by the 6 key and the legend
+//       sample:      function(x, y, z, col) {},  // → { height, color[, waterLevel] } or null
+//       begin:       function(frame) {},         // optional, once per frame
+//       slice:       function(frame, z, x, y, dx, dy) {},  // optional, once per depth slice
+//       rasterize:   function(frame, col, z, top, color) {},  // optional, default rasterizeColumn
+//       render:      function(frame) {},         // optional, replaces the whole loop
+//       water:       true,                       // post steps, in this order
+//       depthInterp: true,
+//       lod:         true
+//   });
+//
+// sample() must return a fresh object (the water step tints it in place).
+// z is the view depth of a query and col its screen column.  Physics passes
+// the point's view depth (terrainViewDepth) but no col, so samplers must work
+// without one.
+// frame = { sw, sh, depth, buf32, colStart, colEnd }: the loop draws screen
+// columns colStart..colEnd-1 (renderColumns), so a mode's render() can hand
+// strips of the screen elsewhere (see parallelRender.js).  A frame may also
+// carry cancelled(), checked once per depth slice; the loop stops as soon as
+// it returns true.
+// Modes are cycled by the 6 key in registration order.
+
+var RENDER_MODES = {};
+var RENDER_MODE_ORDER = [];
+
+function registerRenderMode(name, mode) {
+    if (!name || !mode || typeof mode.sample !== 'function') {
+        throw new Error('registerRenderMode: name and sample are required');
     }
+    if (!RENDER_MODES[name]) RENDER_MODE_ORDER.push(name);
+    mode.name  = name;
+    mode.label = mode.label || name;
+    RENDER_MODES[name] = mode;
+    return mode;
 }
 
-// ===============================
-// MODE 1: TILED (Original - Slow)
-// ===============================
-function Render_Tiled(){
-    var sw=screendata.canvas.width,sh=screendata.canvas.height,
+// Registered mode names in cycle order.
+function renderModeNames() {
+    return RENDER_MODE_ORDER.slice();
+}
+
+// Mode selected by renderOpts.renderMode (first registered if unknown).
+function currentRenderMode() {
+    return RENDER_MODES[renderOpts.renderMode] || RENDER_MODES[RENDER_MODE_ORDER[0]];
+}
+
+// Default column rasterizer: fills screen column col from row top down to
+// hiddeny[col] with depth testing.  groundFloor caps the fill at 20% of the
+// screen and hard-blocks the rest so no item can draw through the gap.
+function rasterizeColumn(frame, col, z, top, color) {
+    var sw = frame.sw, sh = frame.sh, depth = frame.depth, buf32 = frame.buf32;
+    var colBottom = renderOpts.groundFloor
+        ? Math.min(hiddeny[col], (top|0) + Math.floor(sh * 0.2))
+        : hiddeny[col];
+    // Clamp to screen bounds to prevent giant loops when deep underground
+    var drawTop = Math.max(0, top|0);
+    var drawBot = Math.min(sh, colBottom);
+    for(var k=drawTop;k<drawBot;k++){
+        var idx=k*sw+col;
+        if(z<depth[idx]){
+            buf32[idx]=color;
+            depth[idx]=z;
+        }
+    }
+    if(renderOpts.groundFloor && colBottom<hiddeny[col]){
+        var blockStart = Math.max(0, colBottom);
+        var blockEnd   = Math.min(sh, hiddeny[col]);
+        for(var k=blockStart;k<blockEnd;k++){
+            depth[k*sw+col] = 1;  // min z — items at z>=1 never pass z<1
+        }
+    }
+}
+
+function Render(){
+    var mode = currentRenderMode();
+    var sw = screendata.canvas.width;
+    var frame = { sw: sw, sh: screendata.canvas.height, depth: screendata.depthBuffer, buf32: screendata.buf32,
+                  colStart: 0, colEnd: sw };
+    if(mode.render) return mode.render(frame);
+    renderColumns(mode, frame);
+}
+
+// Draw screen columns frame.colStart..colEnd-1 with mode's sampler.
+function renderColumns(mode, frame){
+    var sw=frame.sw,sh=frame.sh,colStart=frame.colStart,colEnd=frame.colEnd,
         sinang=Math.sin(camera.angle),cosang=Math.cos(camera.angle),
-        deltaz=1,depth=screendata.depthBuffer;
+        deltaz=1;
+    var rasterize = mode.rasterize || rasterizeColumn;
+    var useWater  = mode.water && typeof waterApply === 'function';
+    var useLod    = mode.lod && typeof lodApply === 'function';
 
-    hiddeny.fill(sh);
+    hiddeny.fill(sh, colStart, colEnd);
+    if(mode.begin) mode.begin(frame);
 
     // Arrays to store previous depth slice data for interpolation
     var prevHeights = null;
     var prevColors = null;
     var prevZ = 0;
 
-    // Render flat terrain using voxel space with tile blending
     for(var z=1;z<camera.distance;z+=deltaz){
+        if(frame.cancelled && frame.cancelled()) return;
         var plx=-cosang*z-sinang*z,ply=sinang*z-cosang*z,prx=cosang*z-sinang*z,pry=-sinang*z-cosang*z,dx=(prx-plx)/sw,dy=(pry-ply)/sw;
-        plx+=camera.x;ply+=camera.y;var invz = camera.focalLength / z;
+        plx+=camera.x+dx*colStart;ply+=camera.y+dy*colStart;var invz = camera.focalLength / z;
 
-        var useDepthInterp = renderOpts.depthInterp && (z < 600);  // Use depth interpolation for closest 20%
+        var useDepthInterp = mode.depthInterp && renderOpts.depthInterp && (z < 600);  // Use depth interpolation for closest 20%
         var currentHeights = useDepthInterp ? new Float32Array(sw) : null;
         var currentColors = useDepthInterp ? new Uint32Array(sw) : null;
 
-        for(var i=0;i<sw;i++){
+        if(mode.slice) mode.slice(frame, z, plx, ply, dx, dy);
+
+        for(var i=colStart;i<colEnd;i++){
             // Skip columns that are fully occluded (optimization)
             if(hiddeny[i] <= 0) {
                 plx+=dx;ply+=dy;
                 continue;
             }
 
-            var currentX = plx, currentY = ply;
-
-            // Sample terrain data directly
-            var terrainData = getTerrainData(currentX, currentY, z);
+            var terrainData = mode.sample(plx, ply, z, i);
 
             if(terrainData) {
+                // Water surface (optional module) — submerged ground becomes the water plane
+                if(useWater) waterApply(terrainData, plx, ply, z, terrainData.waterLevel);
+
                 var finalHeight = terrainData.height;
                 var finalColor = terrainData.color;
 
@@ -546,31 +537,11 @@ function Render_Tiled(){
                 }
 
                 // Distance LOD — flatten color in far 10% of draw distance
-                if(typeof lodApply === 'function') finalColor = lodApply(finalColor, finalHeight, z);
+                if(useLod) finalColor = lodApply(finalColor, finalHeight, z);
 
                 var heightonscreen=(camera.height-finalHeight)*invz+camera.horizon;
                 if(heightonscreen<hiddeny[i]){
-                    var colBottom = renderOpts.groundFloor
-                        ? Math.min(hiddeny[i], (heightonscreen|0) + Math.floor(sh * 0.2))
-                        : hiddeny[i];
-                    // Clamp to screen bounds to prevent giant loops when deep underground
-                    var drawTop = Math.max(0, heightonscreen|0);
-                    var drawBot = Math.min(sh, colBottom);
-                    for(var k=drawTop;k<drawBot;k++){
-                        var idx=k*sw+i;
-                        if(z<depth[idx]){
-                            screendata.buf32[idx]=finalColor;
-                            depth[idx]=z;
-                        }
-                    }
-                    // groundFloor: hard-block the gap so no item (any z) can render there
-                    if(renderOpts.groundFloor && colBottom<hiddeny[i]){
-                        var blockStart = Math.max(0, colBottom);
-                        var blockEnd   = Math.min(sh, hiddeny[i]);
-                        for(var k=blockStart;k<blockEnd;k++){
-                            depth[k*sw+i] = 1;  // min z — items at z>=1 never pass z<1
-                        }
-                    }
+                    rasterize(frame, i, z, heightonscreen, finalColor);
                     hiddeny[i]=heightonscreen;
                 }
             }
@@ -590,572 +561,375 @@ function Render_Tiled(){
     }
 }
 
+// ===============================
+// MODE 1: TILED (Original - Slow)
+// ===============================
+registerRenderMode('tiled', {
+    label:       'Tiled (Slow)',
+    sample:      function(x, y, z) { return getTerrainData(x, y, z); },
+    water:       true,
+    depthInterp: true,
+    lod:         true
+});
+
 // ===============================
 // MODE 2: CACHED (Option 1 - Fast)
 // Pre-cache tile lookups per depth slice to eliminate repeated calculations
 // ===============================
-function Render_Cached(){
-    var sw=screendata.canvas.width,sh=screendata.canvas.height,
-        sinang=Math.sin(camera.angle),cosang=Math.cos(camera.angle),
-        deltaz=1,depth=screendata.depthBuffer;
-
-    hiddeny.fill(sh);
-
-    // Pre-allocate tile cache arrays (reused each z-slice)
-    var tileCacheX = new Int32Array(sw);
-    var tileCacheY = new Int32Array(sw);
-    var tileCacheMapIndex = new Int32Array(sw);
-    var tileCacheValid = new Uint8Array(sw);  // Boolean array
-
-    // Arrays to store previous depth slice data for interpolation
-    var prevHeights = null;
-    var prevColors = null;
-    var prevZ = 0;
-
-    for(var z=1;z<camera.distance;z+=deltaz){
-        var plx=-cosang*z-sinang*z,ply=sinang*z-cosang*z,prx=cosang*z-sinang*z,pry=-sinang*z-cosang*z,dx=(prx-plx)/sw,dy=(pry-ply)/sw;
-        plx+=camera.x;ply+=camera.y;var invz = camera.focalLength / z;
-
-        var useDepthInterp = renderOpts.depthInterp && (z < 600);
-        var currentHeights = useDepthInterp ? new Float32Array(sw) : null;
-        var currentColors = useDepthInterp ? new Uint32Array(sw) : null;
+// Per-column tile lookups for the current depth slice (reused each slice)
+var tileCacheX = new Int32Array(0);
+var tileCacheY = new Int32Array(0);
+var tileCacheMapIndex = new Int32Array(0);
+var tileCacheValid = new Uint8Array(0);  // Boolean array
+
+registerRenderMode('cached', {
+    label: 'Cached (Fast)',
+
+    begin: function(frame) {
+        if(tileCacheValid.length !== frame.sw) {
+            tileCacheX = new Int32Array(frame.sw);
+            tileCacheY = new Int32Array(frame.sw);
+            tileCacheMapIndex = new Int32Array(frame.sw);
+            tileCacheValid = new Uint8Array(frame.sw);
+        }
+    },
 
-        // PRE-PASS: Cache tile lookups for all columns at this depth
-        var tempX = plx, tempY = ply;
+    // PRE-PASS: Cache tile lookups for all columns at this depth
+    slice: function(frame, z, tempX, tempY, dx, dy) {
         var tileAdvanceX = tileSystem.tileWidth - tileSystem.overlapSize;
         var tileAdvanceY = tileSystem.tileHeight - tileSystem.overlapSize;
 
-        for(var i=0;i<sw;i++){
+        for(var i=frame.colStart;i<frame.colEnd;i++){
             var coords_tileX = Math.floor(tempX / tileAdvanceX);
             var coords_tileY = Math.floor(tempY / tileAdvanceY);
             var tileKey = coords_tileX + ',' + coords_tileY;
 
             tileCacheX[i] = coords_tileX;
             tileCacheY[i] = coords_tileY;
+            tileCacheValid[i] = 0;  // Tile doesn't exist (or is culled)
 
             if(tileKey in tileSystem.tileMap) {
                 // Tile exists - check distance culling
+                var inRange = true;
                 if(renderOpts.tileCulling) {
-                    var startX = coords_tileX * tileAdvanceX;
-                    var startY = coords_tileY * tileAdvanceY;
-                    var tileCenterX = startX + tileSystem.tileWidth / 2;
-                    var tileCenterY = startY + tileSystem.tileHeight / 2;
-                    var distToTile = Math.hypot(tileCenterX - camera.x, tileCenterY - camera.y);
-
-                    if(distToTile > 1000) {
-                        tileCacheValid[i] = 0;  // Too far
-                    } else {
-                        tileCacheMapIndex[i] = tileSystem.tileMap[tileKey];
-                        tileCacheValid[i] = 1;  // Valid
-                    }
-                } else {
+                    var tileCenterX = coords_tileX * tileAdvanceX + tileSystem.tileWidth / 2;
+                    var tileCenterY = coords_tileY * tileAdvanceY + tileSystem.tileHeight / 2;
+                    inRange = Math.hypot(tileCenterX - camera.x, tileCenterY - camera.y) <= 1000;
+                }
+                if(inRange) {
                     tileCacheMapIndex[i] = tileSystem.tileMap[tileKey];
-                    tileCacheValid[i] = 1;  // Valid
+                    tileCacheValid[i] = 1;
                 }
-            } else {
-                tileCacheValid[i] = 0;  // Tile doesn't exist
             }
 
             tempX += dx;
             tempY += dy;
         }
+    },
 
-        // MAIN PASS: Render using cached tile data
-        plx=-cosang*z-sinang*z+camera.x;
-        ply=sinang*z-cosang*z+camera.y;
-
-        for(var i=0;i<sw;i++){
-            if(hiddeny[i] <= 0) {
-                plx+=dx;ply+=dy;
-                continue;
-            }
-
-            if(!tileCacheValid[i]) {
-                plx+=dx;ply+=dy;
-                continue;
-            }
-
-            // Use cached tile data to get terrain
-            var tileX = tileCacheX[i];
-            var tileY = tileCacheY[i];
-            var mapIndex = tileCacheMapIndex[i];
-            var tileMap = maps[mapIndex];
-
-            // Calculate local position within tile
-            var tileStartX = tileX * tileAdvanceX;
-            var tileStartY = tileY * tileAdvanceY;
-            var localX = plx - tileStartX;
-            var localY = ply - tileStartY;
-
-            // Sample terrain (simplified - no overlap blending in cached mode for performance)
-            var useBilinear = renderOpts.bilinearFilter && (z < 600);
-            var terrainData;
-
-            if(useBilinear) {
-                terrainData = sampleBilinear(tileMap, localX, localY);
-            } else {
-                var mapX = Math.floor(localX) & (tileMap.width - 1);
-                var mapY = Math.floor(localY) & (tileMap.height - 1);
-                var offset = (mapY << tileMap.shift) + mapX;
-                terrainData = { height: tileMap.altitude[offset] * tileMap.heightScale, color: tileMap.color[offset] };
-            }
-
-            if(terrainData) {
-                var finalHeight = terrainData.height;
-                var finalColor = terrainData.color;
-
-                // Depth interpolation
-                if(useDepthInterp && prevHeights && prevColors) {
-                    var depthFactor = clamp((z - prevZ) / deltaz, 0, 1);
-                    finalHeight = lerp(prevHeights[i], terrainData.height, depthFactor);
-                    finalColor = blendColors(prevColors[i], terrainData.color, depthFactor);
-                }
-
-                if(useDepthInterp) {
-                    currentHeights[i] = terrainData.height;
-                    currentColors[i] = terrainData.color;
-                }
+    // Draw queries read the slice cache; physics looks the tile up itself
+    sample: function(x, y, z, col) {
+        var tileAdvanceX = tileSystem.tileWidth - tileSystem.overlapSize;
+        var tileAdvanceY = tileSystem.tileHeight - tileSystem.overlapSize;
+        var tileX, tileY, tileMap;
 
-                // Distance LOD — flatten color in far 10% of draw distance
-                if(typeof lodApply === 'function') finalColor = lodApply(finalColor, finalHeight, z);
+        if(col !== undefined) {
+            if(!tileCacheValid[col]) return null;
+            tileX = tileCacheX[col];
+            tileY = tileCacheY[col];
+            tileMap = maps[tileCacheMapIndex[col]];
+        } else {
+            tileX = Math.floor(x / tileAdvanceX);
+            tileY = Math.floor(y / tileAdvanceY);
+            var tileKey = tileX + ',' + tileY;
+            if(!(tileKey in tileSystem.tileMap)) return null;
+            tileMap = maps[tileSystem.tileMap[tileKey]];
+        }
 
-                var heightonscreen=(camera.height-finalHeight)*invz+camera.horizon;
-                if(heightonscreen<hiddeny[i]){
-                    var colBottom = renderOpts.groundFloor
-                        ? Math.min(hiddeny[i], (heightonscreen|0) + Math.floor(sh * 0.2))
-                        : hiddeny[i];
-                    // Clamp to screen bounds to prevent giant loops when deep underground
-                    var drawTop = Math.max(0, heightonscreen|0);
-                    var drawBot = Math.min(sh, colBottom);
-                    for(var k=drawTop;k<drawBot;k++){
-                        var idx=k*sw+i;
-                        if(z<depth[idx]){
-                            screendata.buf32[idx]=finalColor;
-                            depth[idx]=z;
-                        }
-                    }
-                    // groundFloor: hard-block the gap so no item (any z) can render there
-                    if(renderOpts.groundFloor && colBottom<hiddeny[i]){
-                        var blockStart = Math.max(0, colBottom);
-                        var blockEnd   = Math.min(sh, hiddeny[i]);
-                        for(var k=blockStart;k<blockEnd;k++){
-                            depth[k*sw+i] = 1;  // min z — items at z>=1 never pass z<1
-                        }
-                    }
-                    hiddeny[i]=heightonscreen;
-                }
-            }
+        // Calculate local position within tile
+        var localX = x - tileX * tileAdvanceX;
+        var localY = y - tileY * tileAdvanceY;
 
-            plx+=dx;ply+=dy;
+        // Sample terrain (simplified - no overlap blending in cached mode for performance)
+        var terrainData;
+        if(renderOpts.bilinearFilter && z !== undefined && z < 600) {
+            terrainData = sampleBilinear(tileMap, localX, localY);
+        } else {
+            var mapX = Math.floor(localX) & (tileMap.width - 1);
+            var mapY = Math.floor(localY) & (tileMap.height - 1);
+            var offset = (mapY << tileMap.shift) + mapX;
+            terrainData = { height: tileMap.altitude[offset] * altitudeScale(tileMap), color: tileMap.color[offset] };
         }
 
-        if(useDepthInterp) {
-            prevHeights = currentHeights;
-            prevColors = currentColors;
-            prevZ = z;
+        // Water level read straight from the cached tile
+        if(col !== undefined && typeof waterTileLevel === 'function') {
+            terrainData.waterLevel = waterTileLevel(tileMap, localX, localY);
         }
+        return terrainData;
+    },
 
-        if(z>1000)deltaz+=0.02;else deltaz+=0.005;
-    }
-}
+    water:       true,
+    depthInterp: true,
+    lod:         true
+});
 
 // ===============================
 // MODE 3: DIRECT (Option 2 - Fastest)
 // Direct array access like VoxelSpace-Master - no tiles, just single map
 // ===============================
-function Render_Direct(){
-    var sw=screendata.canvas.width,sh=screendata.canvas.height,
-        sinang=Math.sin(camera.angle),cosang=Math.cos(camera.angle),
-        deltaz=1,depth=screendata.depthBuffer;
-
-    hiddeny.fill(sh);
-
-    for(var z=1;z<camera.distance;z+=deltaz){
-        var plx=-cosang*z-sinang*z,ply=sinang*z-cosang*z,prx=cosang*z-sinang*z,pry=-sinang*z-cosang*z,dx=(prx-plx)/sw,dy=(pry-ply)/sw;
-        plx+=camera.x;ply+=camera.y;var invz = camera.focalLength / z;
-
-        for(var i=0;i<sw;i++){
-            if(hiddeny[i] <= 0) {
-                plx+=dx;ply+=dy;
-                continue;
-            }
-
-            // Direct array access - like VoxelSpace-Master
-            var mapoffset=((Math.floor(ply)&(map.width-1))<<map.shift)+(Math.floor(plx)&(map.height-1));
-            var heightonscreen=(camera.height-map.altitude[mapoffset]*map.heightScale)*invz+camera.horizon;
-
-            if(heightonscreen<hiddeny[i]){
-                for(var k=heightonscreen|0;k<hiddeny[i];k++){
-                    var idx=k*sw+i;
-                    if(z<depth[idx]){
-                        screendata.buf32[idx]=map.color[mapoffset];
-                        depth[idx]=z;
-                    }
-                }
-                hiddeny[i]=heightonscreen;
-            }
-            plx+=dx;ply+=dy;
-        }
-
-        if(z>1000)deltaz+=0.02;else deltaz+=0.005;
+registerRenderMode('direct', {
+    label:  'Direct (Fastest)',
+    sample: function(x, y) {
+        var mapoffset=((Math.floor(y)&(map.width-1))<<map.shift)+(Math.floor(x)&(map.height-1));
+        return { height: map.altitude[mapoffset]*altitudeScale(map), color: map.color[mapoffset] };
     }
-}
+});
 
 // ===============================
 // MODE 4: SUBDIVIDED (Visual Effect)
 // Some tiles are preprocessed: downsampled to 256×256, then replicated 4 times to create 1024×1024
 // ===============================
-function Render_Subdivided(){
-    var sw=screendata.canvas.width,sh=screendata.canvas.height,
-        sinang=Math.sin(camera.angle),cosang=Math.cos(camera.angle),
-        deltaz=1,depth=screendata.depthBuffer;
-
-    hiddeny.fill(sh);
+// Use same tile size as tiled mode: 1024×1024
+var SUBDIVIDED_TILE_SIZE = 1024;
+var SUBDIVIDED_QUARTER_SIZE = 256;  // Downsampled size (1024 / 4)
 
-    // Use same tile size as tiled mode: 1024×1024
-    var tileSize = 1024;
-    var quarterSize = 256;  // Downsampled size (1024 / 4)
-    var tileAdvanceX = tileSize - tileSystem.overlapSize;  // 896
-    var tileAdvanceY = tileSize - tileSystem.overlapSize;  // 896
-
-    // Smoothstep function for smoother blending
-    var smoothstep = function(t) {
-        t = clamp(t, 0, 1);
-        return t * t * (3 - 2 * t);  // Hermite interpolation
-    };
+// Smoothstep function for smoother blending
+function subdividedSmoothstep(t) {
+    t = clamp(t, 0, 1);
+    return t * t * (3 - 2 * t);  // Hermite interpolation
+}
 
-    // Pre-compute which tiles are subdivided (deterministic based on tile coords)
-    var isSubdivided = function(tileX, tileY) {
-        // Use a simple hash to determine if tile is subdivided
-        var hash = ((tileX * 73856093) ^ (tileY * 19349663)) & 0x7FFFFFFF;
-        return (hash % 3) === 0;  // ~33% of tiles are subdivided
-    };
+// Which tiles are subdivided (deterministic based on tile coords)
+function isSubdividedTile(tileX, tileY) {
+    // Use a simple hash to determine if tile is subdivided
+    var hash = ((tileX * 73856093) ^ (tileY * 19349663)) & 0x7FFFFFFF;
+    return (hash % 3) === 0;  // ~33% of tiles are subdivided
+}
 
-    // Get or create preprocessed subdivided tile data
-    var getSubdividedTileData = function(tileX, tileY) {
-        var tileKey = tileX + ',' + tileY;
+// Get or create preprocessed subdivided tile data
+function getSubdividedTileData(tileX, tileY) {
+    var tileSize = SUBDIVIDED_TILE_SIZE, quarterSize = SUBDIVIDED_QUARTER_SIZE;
+    var tileKey = tileX + ',' + tileY;
 
-        // Check cache first
-        if(!window.subdividedTileCache) {
-            window.subdividedTileCache = {};
-        }
+    // Check cache first
+    if(!window.subdividedTileCache) {
+        window.subdividedTileCache = {};
+    }
 
-        if(window.subdividedTileCache[tileKey]) {
-            return window.subdividedTileCache[tileKey];
-        }
+    if(window.subdividedTileCache[tileKey]) {
+        return window.subdividedTileCache[tileKey];
+    }
 
-        // Subdivided mode always uses the base map
-        var sourceMap = map;
+    // Subdivided mode always uses the base map
+    var sourceMap = map;
 
-        // STEP 1: Downsample 1024×1024 to 256×256
-        var downsampled = {
-            altitude: new Uint8Array(quarterSize * quarterSize),
-            color: new Uint32Array(quarterSize * quarterSize)
-        };
+    // STEP 1: Downsample 1024×1024 to 256×256
+    // Altitude arrays keep the source map's precision
+    var downsampled = {
+        altitude: new sourceMap.altitude.constructor(quarterSize * quarterSize),
+        color: new Uint32Array(quarterSize * quarterSize)
+    };
 
-        for(var dy = 0; dy < quarterSize; dy++) {
-            for(var dx = 0; dx < quarterSize; dx++) {
-                // Sample from source map with 4x downsampling
-                var sampledX = dx * 4;
-                var sampledY = dy * 4;
+    for(var dy = 0; dy < quarterSize; dy++) {
+        for(var dx = 0; dx < quarterSize; dx++) {
+            // Sample from source map with 4x downsampling
+            var sampledX = dx * 4;
+            var sampledY = dy * 4;
 
-                var mapoffset = ((Math.floor(sampledY) & (sourceMap.width - 1)) << sourceMap.shift) + (Math.floor(sampledX) & (sourceMap.height - 1));
-                var downIdx = dy * quarterSize + dx;
+            var mapoffset = ((Math.floor(sampledY) & (sourceMap.width - 1)) << sourceMap.shift) + (Math.floor(sampledX) & (sourceMap.height - 1));
+            var downIdx = dy * quarterSize + dx;
 
-                downsampled.altitude[downIdx] = sourceMap.altitude[mapoffset];
-                downsampled.color[downIdx] = sourceMap.color[mapoffset];
-            }
+            downsampled.altitude[downIdx] = sourceMap.altitude[mapoffset];
+            downsampled.color[downIdx] = sourceMap.color[mapoffset];
         }
+    }
 
-        // STEP 2: Replicate 256×256 into 1024×1024 (2×2 grid) with height scaling
-        var tileData = {
-            altitude: new Uint8Array(tileSize * tileSize),
-            color: new Uint32Array(tileSize * tileSize)
-        };
+    // STEP 2: Replicate 256×256 into 1024×1024 (2×2 grid) with height scaling
+    var tileData = {
+        altitude: new sourceMap.altitude.constructor(tileSize * tileSize),
+        color: new Uint32Array(tileSize * tileSize)
+    };
 
-        // Scale factor for subdivided tiles (makes them shorter than normal tiles)
-        var heightScale = 0.5;  // Subdivided tiles are half the height
+    // Scale factor for subdivided tiles (makes them shorter than normal tiles)
+    var heightScale = 0.5;  // Subdivided tiles are half the height
 
-        for(var ty = 0; ty < tileSize; ty++) {
-            for(var tx = 0; tx < tileSize; tx++) {
-                // Map to 256×256 downsampled tile (modulo wrapping)
-                var srcX = Math.floor(tx / 4) % quarterSize;
-                var srcY = Math.floor(ty / 4) % quarterSize;
-                var srcIdx = srcY * quarterSize + srcX;
-                var dstIdx = ty * tileSize + tx;
+    for(var ty = 0; ty < tileSize; ty++) {
+        for(var tx = 0; tx < tileSize; tx++) {
+            // Map to 256×256 downsampled tile (modulo wrapping)
+            var srcX = Math.floor(tx / 4) % quarterSize;
+            var srcY = Math.floor(ty / 4) % quarterSize;
+            var srcIdx = srcY * quarterSize + srcX;
+            var dstIdx = ty * tileSize + tx;
 
-                // Scale down height (makes subdivided tiles shorter/lower)
-                var scaledHeight = Math.floor(downsampled.altitude[srcIdx] * heightScale);
+            // Scale down height (makes subdivided tiles shorter/lower)
+            var scaledHeight = Math.floor(downsampled.altitude[srcIdx] * heightScale);
 
-                tileData.altitude[dstIdx] = scaledHeight;
-                tileData.color[dstIdx] = downsampled.color[srcIdx];
-            }
+            tileData.altitude[dstIdx] = scaledHeight;
+            tileData.color[dstIdx] = downsampled.color[srcIdx];
         }
+    }
 
-        // Cache it
-        window.subdividedTileCache[tileKey] = tileData;
-        return tileData;
-    };
+    // Cache it
+    window.subdividedTileCache[tileKey] = tileData;
+    return tileData;
+}
 
-    // Helper to sample tile data (either subdivided or normal) with optional bilinear filtering
-    var sampleTileData = function(tileX, tileY, localX, localY, useBilinear) {
-        if(isSubdivided(tileX, tileY)) {
-            // Sample from preprocessed subdivided tile
-            var tileData = getSubdividedTileData(tileX, tileY);
-
-            if(useBilinear) {
-                // Bilinear filtering
-                var x0 = Math.floor(localX);
-                var y0 = Math.floor(localY);
-                var x1 = x0 + 1;
-                var y1 = y0 + 1;
-
-                var fx = localX - x0;  // Fractional part
-                var fy = localY - y0;
-
-                // Clamp to tile bounds
-                x0 = Math.max(0, Math.min(tileSize - 1, x0));
-                y0 = Math.max(0, Math.min(tileSize - 1, y0));
-                x1 = Math.max(0, Math.min(tileSize - 1, x1));
-                y1 = Math.max(0, Math.min(tileSize - 1, y1));
-
-                // Get 4 corner samples
-                var idx00 = y0 * tileSize + x0;
-                var idx10 = y0 * tileSize + x1;
-                var idx01 = y1 * tileSize + x0;
-                var idx11 = y1 * tileSize + x1;
-
-                var h00 = tileData.altitude[idx00];
-                var h10 = tileData.altitude[idx10];
-                var h01 = tileData.altitude[idx01];
-                var h11 = tileData.altitude[idx11];
-
-                var c00 = tileData.color[idx00];
-                var c10 = tileData.color[idx10];
-                var c01 = tileData.color[idx01];
-                var c11 = tileData.color[idx11];
-
-                // Interpolate height
-                var h0 = lerp(h00, h10, fx);
-                var h1 = lerp(h01, h11, fx);
-                var altitude = lerp(h0, h1, fy) * map.heightScale;
-
-                // Interpolate color
-                var colorTop = blendColors(c00, c10, fx);
-                var colorBottom = blendColors(c01, c11, fx);
-                var color = blendColors(colorTop, colorBottom, fy);
-
-                return { altitude: altitude, color: color };
-            } else {
-                // Nearest neighbor
-                var tileIdx = (Math.floor(localY) * tileSize) + Math.floor(localX);
-                return {
-                    altitude: tileData.altitude[tileIdx] * map.heightScale,
-                    color: tileData.color[tileIdx]
-                };
-            }
-        } else {
-            // Non-subdivided tiles in subdivided mode also use the base map
-            var sourceMap = map;
-
-            if(useBilinear) {
-                // Bilinear filtering
-                var x0 = Math.floor(localX);
-                var y0 = Math.floor(localY);
-                var x1 = x0 + 1;
-                var y1 = y0 + 1;
-
-                var fx = localX - x0;
-                var fy = localY - y0;
-
-                // Wrap to map bounds
-                var mapX0 = x0 & (sourceMap.width - 1);
-                var mapY0 = y0 & (sourceMap.height - 1);
-                var mapX1 = x1 & (sourceMap.width - 1);
-                var mapY1 = y1 & (sourceMap.height - 1);
-
-                var offset00 = (mapY0 << sourceMap.shift) + mapX0;
-                var offset10 = (mapY0 << sourceMap.shift) + mapX1;
-                var offset01 = (mapY1 << sourceMap.shift) + mapX0;
-                var offset11 = (mapY1 << sourceMap.shift) + mapX1;
-
-                var h00 = sourceMap.altitude[offset00];
-                var h10 = sourceMap.altitude[offset10];
-                var h01 = sourceMap.altitude[offset01];
-                var h11 = sourceMap.altitude[offset11];
-
-                var c00 = sourceMap.color[offset00];
-                var c10 = sourceMap.color[offset10];
-                var c01 = sourceMap.color[offset01];
-                var c11 = sourceMap.color[offset11];
-
-                // Interpolate height
-                var h0 = lerp(h00, h10, fx);
-                var h1 = lerp(h01, h11, fx);
-                var altitude = lerp(h0, h1, fy) * sourceMap.heightScale;
-
-                // Interpolate color
-                var colorTop = blendColors(c00, c10, fx);
-                var colorBottom = blendColors(c01, c11, fx);
-                var color = blendColors(colorTop, colorBottom, fy);
-
-                return { altitude: altitude, color: color };
-            } else {
-                // Nearest neighbor
-                var mapX = Math.floor(localX) & (sourceMap.width - 1);
-                var mapY = Math.floor(localY) & (sourceMap.height - 1);
-                var mapoffset = (mapY << sourceMap.shift) + mapX;
-                return {
-                    altitude: sourceMap.altitude[mapoffset] * sourceMap.heightScale,
-                    color: sourceMap.color[mapoffset]
-                };
-            }
+// Sample one tile (either subdivided or normal) with optional bilinear filtering
+function sampleSubdividedTile(tileX, tileY, localX, localY, useBilinear) {
+    var tileSize = SUBDIVIDED_TILE_SIZE;
+    if(isSubdividedTile(tileX, tileY)) {
+        // Sample from preprocessed subdivided tile
+        var tileData = getSubdividedTileData(tileX, tileY);
+
+        if(useBilinear) {
+            // Bilinear filtering
+            var x0 = Math.floor(localX);
+            var y0 = Math.floor(localY);
+            var x1 = x0 + 1;
+            var y1 = y0 + 1;
+
+            var fx = localX - x0;  // Fractional part
+            var fy = localY - y0;
+
+            // Clamp to tile bounds
+            x0 = Math.max(0, Math.min(tileSize - 1, x0));
+            y0 = Math.max(0, Math.min(tileSize - 1, y0));
+            x1 = Math.max(0, Math.min(tileSize - 1, x1));
+            y1 = Math.max(0, Math.min(tileSize - 1, y1));
+
+            // Get 4 corner samples
+            var idx00 = y0 * tileSize + x0;
+            var idx10 = y0 * tileSize + x1;
+            var idx01 = y1 * tileSize + x0;
+            var idx11 = y1 * tileSize + x1;
+
+            // Interpolate height
+            var h0 = lerp(tileData.altitude[idx00], tileData.altitude[idx10], fx);
+            var h1 = lerp(tileData.altitude[idx01], tileData.altitude[idx11], fx);
+
+            // Interpolate color
+            var colorTop = blendColors(tileData.color[idx00], tileData.color[idx10], fx);
+            var colorBottom = blendColors(tileData.color[idx01], tileData.color[idx11], fx);
+
+            return { height: lerp(h0, h1, fy) * altitudeScale(map), color: blendColors(colorTop, colorBottom, fy) };
         }
+        // Nearest neighbor
+        var tileIdx = (Math.floor(localY) * tileSize) + Math.floor(localX);
+        return {
+            height: tileData.altitude[tileIdx] * altitudeScale(map),
+            color: tileData.color[tileIdx]
+        };
+    }
+
+    // Non-subdivided tiles in subdivided mode also use the base map
+    if(useBilinear) return sampleBilinear(map, localX, localY);
+    var mapX = Math.floor(localX) & (map.width - 1);
+    var mapY = Math.floor(localY) & (map.height - 1);
+    var mapoffset = (mapY << map.shift) + mapX;
+    return {
+        height: map.altitude[mapoffset] * altitudeScale(map),
+        color: map.color[mapoffset]
     };
+}
 
-    for(var z=1;z<camera.distance;z+=deltaz){
-        var plx=-cosang*z-sinang*z,ply=sinang*z-cosang*z,prx=cosang*z-sinang*z,pry=-sinang*z-cosang*z,dx=(prx-plx)/sw,dy=(pry-ply)/sw;
-        plx+=camera.x;ply+=camera.y;var invz = camera.focalLength / z;
+// Blend two tile samples across an overlap
+function blendSubdividedSamples(sample1, sample2, t) {
+    return { height: lerp(sample1.height, sample2.height, t), color: blendColors(sample1.color, sample2.color, t) };
+}
+
+registerRenderMode('subdivided', {
+    label:  'Subdivided (Visual)',
+    sample: function(x, y, z) {
+        var tileSize = SUBDIVIDED_TILE_SIZE;
+        var tileAdvanceX = tileSize - tileSystem.overlapSize;  // 896
+        var tileAdvanceY = tileSize - tileSystem.overlapSize;  // 896
+        var smoothstep = subdividedSmoothstep;
 
         // Enable bilinear filtering for closest 20% of view distance
-        var useBilinear = renderOpts.bilinearFilter && (z < 600);
+        var useBilinear = renderOpts.bilinearFilter && (z !== undefined && z < 600);
 
-        for(var i=0;i<sw;i++){
-            if(hiddeny[i] <= 0) {
-                plx+=dx;ply+=dy;
-                continue;
-            }
+        // Determine which tile we're in (same as tiled mode)
+        var tileX = Math.floor(x / tileAdvanceX);
+        var tileY = Math.floor(y / tileAdvanceY);
 
-            var worldX = plx;
-            var worldY = ply;
-
-            // Determine which tile we're in (same as tiled mode)
-            var tileX = Math.floor(worldX / tileAdvanceX);
-            var tileY = Math.floor(worldY / tileAdvanceY);
-
-            // Get position within tile (0 to tileSize)
-            var tileStartX = tileX * tileAdvanceX;
-            var tileStartY = tileY * tileAdvanceY;
-            var localX = worldX - tileStartX;
-            var localY = worldY - tileStartY;
-
-            var finalAltitude, finalColor;
-
-            // Tile blending at boundaries (same logic as tiled mode)
-            if(renderOpts.tileBlending) {
-                var overlapSize = tileSystem.overlapSize;
-                var overlapStartX = tileSize - overlapSize;
-                var overlapStartY = tileSize - overlapSize;
-
-                var sdInLeft   = localX >= 0 && localX < overlapSize;
-                var sdInRight  = localX >= overlapStartX && localX < tileSize;
-                var sdInTop    = localY >= 0 && localY < overlapSize;
-                var sdInBottom = localY >= overlapStartY && localY < tileSize;
-
-                // CORNER ZONES: blend across all 4 tiles bilinearly
-                if((sdInLeft || sdInRight) && (sdInTop || sdInBottom)) {
-                    var sbx, sby, snLX, snLY, snTX, snTY;
-                    if(sdInLeft) {
-                        snLX = tileSize - overlapSize + localX;
-                        sbx  = smoothstep(localX / overlapSize);
-                        snTX = tileX - 1;
-                    } else {
-                        snLX = localX - overlapStartX;
-                        sbx  = smoothstep(snLX / overlapSize);
-                        snTX = tileX + 1;
-                    }
-                    if(sdInTop) {
-                        snLY = tileSize - overlapSize + localY;
-                        sby  = smoothstep(localY / overlapSize);
-                        snTY = tileY - 1;
-                    } else {
-                        snLY = localY - overlapStartY;
-                        sby  = smoothstep(snLY / overlapSize);
-                        snTY = tileY + 1;
-                    }
-                    var sc00 = sampleTileData(snTX, snTY, snLX, snLY, useBilinear);
-                    var sc10 = sampleTileData(tileX, snTY, localX, snLY, useBilinear);
-                    var sc01 = sampleTileData(snTX, tileY, snLX, localY, useBilinear);
-                    var sc11 = sampleTileData(tileX, tileY, localX, localY, useBilinear);
-                    if(!sc00) sc00 = sc10 || sc01 || sc11;
-                    if(!sc10) sc10 = sc00 || sc11 || sc01;
-                    if(!sc01) sc01 = sc00 || sc11 || sc10;
-                    if(!sc11) sc11 = sc01 || sc10 || sc00;
-                    if(sc00) {
-                        finalAltitude = lerp(lerp(sc00.altitude, sc10.altitude, sbx), lerp(sc01.altitude, sc11.altitude, sbx), sby);
-                        finalColor    = blendColors(blendColors(sc00.color, sc10.color, sbx), blendColors(sc01.color, sc11.color, sbx), sby);
-                    } else {
-                        var sc = sampleTileData(tileX, tileY, localX, localY, useBilinear);
-                        finalAltitude = sc.altitude; finalColor = sc.color;
-                    }
-                }
-                // EDGE LEFT
-                else if(sdInLeft) {
-                    var prevLocalX = tileSize - overlapSize + localX;
-                    var blendFactor = smoothstep(localX / overlapSize);
-                    var sample1 = sampleTileData(tileX - 1, tileY, prevLocalX, localY, useBilinear);
-                    var sample2 = sampleTileData(tileX, tileY, localX, localY, useBilinear);
-                    finalAltitude = lerp(sample1.altitude, sample2.altitude, blendFactor);
-                    finalColor = blendColors(sample1.color, sample2.color, blendFactor);
-                }
-                // EDGE RIGHT
-                else if(sdInRight) {
-                    var localX2 = localX - overlapStartX;
-                    var blendFactor = smoothstep(localX2 / overlapSize);
-                    var sample1 = sampleTileData(tileX, tileY, localX, localY, useBilinear);
-                    var sample2 = sampleTileData(tileX + 1, tileY, localX2, localY, useBilinear);
-                    finalAltitude = lerp(sample1.altitude, sample2.altitude, blendFactor);
-                    finalColor = blendColors(sample1.color, sample2.color, blendFactor);
-                }
-                // EDGE TOP
-                else if(sdInTop) {
-                    var prevLocalY = tileSize - overlapSize + localY;
-                    var blendFactor = smoothstep(localY / overlapSize);
-                    var sample1 = sampleTileData(tileX, tileY - 1, localX, prevLocalY, useBilinear);
-                    var sample2 = sampleTileData(tileX, tileY, localX, localY, useBilinear);
-                    finalAltitude = lerp(sample1.altitude, sample2.altitude, blendFactor);
-                    finalColor = blendColors(sample1.color, sample2.color, blendFactor);
-                }
-                // EDGE BOTTOM
-                else if(sdInBottom) {
-                    var localY2 = localY - overlapStartY;
-                    var blendFactor = smoothstep(localY2 / overlapSize);
-                    var sample1 = sampleTileData(tileX, tileY, localX, localY, useBilinear);
-                    var sample2 = sampleTileData(tileX, tileY + 1, localX, localY2, useBilinear);
-                    finalAltitude = lerp(sample1.altitude, sample2.altitude, blendFactor);
-                    finalColor = blendColors(sample1.color, sample2.color, blendFactor);
-                }
-                else {
-                    // NO OVERLAP - regular sample
-                    var sample = sampleTileData(tileX, tileY, localX, localY, useBilinear);
-                    finalAltitude = sample.altitude;
-                    finalColor = sample.color;
-                }
-            } else {
-                // Blending disabled - regular sample
-                var sample = sampleTileData(tileX, tileY, localX, localY, useBilinear);
-                finalAltitude = sample.altitude;
-                finalColor = sample.color;
-            }
+        // Get position within tile (0 to tileSize)
+        var localX = x - tileX * tileAdvanceX;
+        var localY = y - tileY * tileAdvanceY;
 
-            var heightonscreen=(camera.height-finalAltitude)*invz+camera.horizon;
+        // Blending disabled - regular sample
+        if(!renderOpts.tileBlending) return sampleSubdividedTile(tileX, tileY, localX, localY, useBilinear);
 
-            if(heightonscreen<hiddeny[i]){
-                for(var k=heightonscreen|0;k<hiddeny[i];k++){
-                    var idx=k*sw+i;
-                    if(z<depth[idx]){
-                        screendata.buf32[idx]=finalColor;
-                        depth[idx]=z;
-                    }
-                }
-                hiddeny[i]=heightonscreen;
+        // Tile blending at boundaries (same logic as tiled mode)
+        var overlapSize = tileSystem.overlapSize;
+        var overlapStartX = tileSize - overlapSize;
+        var overlapStartY = tileSize - overlapSize;
+
+        var sdInLeft   = localX >= 0 && localX < overlapSize;
+        var sdInRight  = localX >= overlapStartX && localX < tileSize;
+        var sdInTop    = localY >= 0 && localY < overlapSize;
+        var sdInBottom = localY >= overlapStartY && localY < tileSize;
+
+        // CORNER ZONES: blend across all 4 tiles bilinearly
+        if((sdInLeft || sdInRight) && (sdInTop || sdInBottom)) {
+            var sbx, sby, snLX, snLY, snTX, snTY;
+            if(sdInLeft) {
+                snLX = tileSize - overlapSize + localX;
+                sbx  = smoothstep(localX / overlapSize);
+                snTX = tileX - 1;
+            } else {
+                snLX = localX - overlapStartX;
+                sbx  = smoothstep(snLX / overlapSize);
+                snTX = tileX + 1;
             }
-            plx+=dx;ply+=dy;
+            if(sdInTop) {
+                snLY = tileSize - overlapSize + localY;
+                sby  = smoothstep(localY / overlapSize);
+                snTY = tileY - 1;
+            } else {
+                snLY = localY - overlapStartY;
+                sby  = smoothstep(snLY / overlapSize);
+                snTY = tileY + 1;
+            }
+            var sc00 = sampleSubdividedTile(snTX, snTY, snLX, snLY, useBilinear);
+            var sc10 = sampleSubdividedTile(tileX, snTY, localX, snLY, useBilinear);
+            var sc01 = sampleSubdividedTile(snTX, tileY, snLX, localY, useBilinear);
+            var sc11 = sampleSubdividedTile(tileX, tileY, localX, localY, useBilinear);
+            return blendSubdividedSamples(blendSubdividedSamples(sc00, sc10, sbx), blendSubdividedSamples(sc01, sc11, sbx), sby);
         }
-
-        if(z>1000)deltaz+=0.02;else deltaz+=0.005;
+        // EDGE LEFT
+        if(sdInLeft) {
+            return blendSubdividedSamples(
+                sampleSubdividedTile(tileX - 1, tileY, tileSize - overlapSize + localX, localY, useBilinear),
+                sampleSubdividedTile(tileX, tileY, localX, localY, useBilinear),
+                smoothstep(localX / overlapSize));
+        }
+        // EDGE RIGHT
+        if(sdInRight) {
+            var localX2 = localX - overlapStartX;
+            return blendSubdividedSamples(
+                sampleSubdividedTile(tileX, tileY, localX, localY, useBilinear),
+                sampleSubdividedTile(tileX + 1, tileY, localX2, localY, useBilinear),
+                smoothstep(localX2 / overlapSize));
+        }
+        // EDGE TOP
+        if(sdInTop) {
+            return blendSubdividedSamples(
+                sampleSubdividedTile(tileX, tileY - 1, localX, tileSize - overlapSize + localY, useBilinear),
+                sampleSubdividedTile(tileX, tileY, localX, localY, useBilinear),
+                smoothstep(localY / overlapSize));
+        }
+        // EDGE BOTTOM
+        if(sdInBottom) {
+            var localY2 = localY - overlapStartY;
+            return blendSubdividedSamples(
+                sampleSubdividedTile(tileX, tileY, localX, localY, useBilinear),
+                sampleSubdividedTile(tileX, tileY + 1, localX, localY2, useBilinear),
+                smoothstep(localY2 / overlapSize));
+        }
+        // NO OVERLAP - regular sample
+        return sampleSubdividedTile(tileX, tileY, localX, localY, useBilinear);
     }
-}
+});
 
 
 function horizonToPitchRad(h){return h*90/500*Math.PI/180;}
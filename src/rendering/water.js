@@ -0,0 +1,119 @@
+// ===============================
+// Water
+// ===============================
+// Draws a water surface wherever terrain lies below the water level: the
+// global sea level, or the river / lake surface that hydrology.js stores on
+// the tiles it carves (mapObj.waterLevel, world units per pixel, 0 = dry).
+//
+// The surface color mixes the submerged ground with a depth tint (shallow
+// water is see-through), a sky reflection that grows toward grazing angles,
+// animated ripples, and foam where the ground meets the surface.  Deep water
+// also switches the player into swimming (see UpdateCamera).
+//
+// TO DISABLE: remove (or comment out) the script tag in index.html.
+// voxelEngine.js, camera.js and main.js check typeof before calling in.
+//
+// Colors are in ABGR little-endian format matching the map color arrays:
+//   bits 0-7  = Red, bits 8-15 = Green, bits 16-23 = Blue, bits 24-31 = 0xFF
+"use strict";
+
+var water = {
+    enabled:    true,   // 5 key
+    seaLevel:   28,     // world units — beach wet sand spans 20–36
+    clearDepth: 14,     // depth at which the bottom is no longer visible
+    foamDepth:  1.5,    // ground this close under the surface gets foam
+    swimDepth:  8,      // deeper than this, the player swims
+    maxLevel:   28,     // highest surface in the world — kept by updateWater()
+    time:       0       // seconds, drives the ripple / foam animation
+};
+
+// Depth tint endpoints (r, g, b)
+var WATER_SHALLOW = [62, 124, 140];
+var WATER_DEEP    = [18,  52,  88];
+var WATER_FOAM    = [232, 240, 242];
+
+// Once per frame: advance the animation clock and find the highest surface
+// so renderers can skip the lookup for any ground above it.
+function updateWater() {
+    water.time = Date.now() / 1000;
+    var max = water.seaLevel;
+    for (var i = 0; i < maps.length; i++) {
+        if (maps[i] && maps[i].waterMax > max) max = maps[i].waterMax;
+    }
+    water.maxLevel = max;
+}
+
+// Water surface (world units) of one tile at local pixel (lx, ly).
+function waterTileLevel(tileMap, lx, ly) {
+    if (!tileMap.waterLevel) return water.seaLevel;
+    var off = ((Math.floor(ly) & (tileMap.height - 1)) << tileMap.shift) + (Math.floor(lx) & (tileMap.width - 1));
+    return Math.max(water.seaLevel, tileMap.waterLevel[off]);
+}
+
+// Water surface (world units) at world position (x, y).  Carved tiles share
+// identical water in their overlaps, so the owning tile is enough.
+function getWaterLevel(x, y) {
+    if (water.maxLevel <= water.seaLevel) return water.seaLevel;
+    var coords  = getTileCoords(x, y);
+    var tileMap = maps[tileSystem.tileMap[getTileKey(coords.tileX, coords.tileY)]];
+    if (!tileMap) return water.seaLevel;
+    var start = getTileStartPos(coords.tileX, coords.tileY);
+    return waterTileLevel(tileMap, x - start.startX, y - start.startY);
+}
+
+// Surface level if the water at (x, y) is deep enough to swim in, else null.
+function getSwimLevel(x, y) {
+    if (!water.enabled) return null;
+    var level = getWaterLevel(x, y);
+    return (level - getRawTerrainHeight(x, y) > water.swimDepth) ? level : null;
+}
+
+// Replace a submerged terrain sample with the water surface.  sample is the
+// { height, color } object from getTerrainData / sampleBilinear and is
+// updated in place.  level is the surface at (x, y); omit it to look it up.
+function waterApply(sample, x, y, z, level) {
+    if (!water.enabled || sample.height >= water.maxLevel) return sample;
+    if (level === undefined) level = getWaterLevel(x, y);
+    var depth = level - sample.height;
+    if (depth <= 0) return sample;
+
+    var c = sample.color;
+    var r = c & 0xFF, g = (c >> 8) & 0xFF, b = (c >> 16) & 0xFF;
+
+    // Depth tint — shallow water lets most of the bottom through
+    var t    = Math.min(1, depth / water.clearDepth);
+    var mix  = 0.35 + 0.65 * t;
+    r += (WATER_SHALLOW[0] + (WATER_DEEP[0] - WATER_SHALLOW[0]) * t - r) * mix;
+    g += (WATER_SHALLOW[1] + (WATER_DEEP[1] - WATER_SHALLOW[1]) * t - g) * mix;
+    b += (WATER_SHALLOW[2] + (WATER_DEEP[2] - WATER_SHALLOW[2]) * t - b) * mix;
+
+    // Sky reflection: stronger the flatter the view ray hits the surface
+    var sky     = screendata.backgroundcolor;
+    var grazing = Math.max(0, Math.min(1, 1 - (camera.height - level) / z * 6));
+    var refl    = 0.15 + 0.45 * grazing;
+    r += ((sky & 0xFF)         - r) * refl;
+    g += (((sky >> 8) & 0xFF)  - g) * refl;
+    b += (((sky >> 16) & 0xFF) - b) * refl;
+
+    // Ripples — two crossing waves, fading out with distance
+    var wt     = water.time;
+    var ripple = Math.sin(x * 0.09 + wt * 1.7) * Math.sin(y * 0.11 - wt * 1.3)
+               + 0.5 * Math.sin((x + y) * 0.05 + wt);
+    var shade  = 1 + ripple * 0.07 * Math.max(0, 1 - z / camera.distance);
+    r *= shade; g *= shade; b *= shade;
+
+    // Shoreline foam, pulsing slowly along the water's edge
+    if (depth < water.foamDepth) {
+        var foam = (1 - depth / water.foamDepth) * (0.55 + 0.35 * Math.sin(wt * 2 + (x + y) * 0.2));
+        r += (WATER_FOAM[0] - r) * foam;
+        g += (WATER_FOAM[1] - g) * foam;
+        b += (WATER_FOAM[2] - b) * foam;
+    }
+
+    r = Math.max(0, Math.min(255, r | 0));
+    g = Math.max(0, Math.min(255, g | 0));
+    b = Math.max(0, Math.min(255, b | 0));
+    sample.height = level;
+    sample.color  = (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+    return sample;
+}
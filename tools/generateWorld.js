@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+// ===============================
+// Headless World Generator — Node CLI
+// ===============================
+// Generates a world from a seed without a browser and writes:
+//   heightmap.png  — the stitched world heightmap, 16-bit greyscale,
+//                    scaled from the lowest to the highest sampled height
+//   colormap.png   — the stitched world colormap, 8-bit RGB
+//   biomes.png     — the biome mask, 8-bit palette indices = biome ids
+//   world.obj / world.ply — with --mesh, a decimated mesh with vertex colors
+//   manifest.json  — seed, settings, the biome grid, the tile map, the
+//                    *MapIndex tables and a checksum of every generated map
+//
+// Usage:
+//   node tools/generateWorld.js --seed <seed> [options]
+//
+// The page's own generation scripts are run in a vm context whose global
+// object doubles as window, the same way the generation worker runs them.
+// The script list is read from index.html and filtered with
+// GENERATION_SCRIPT_PATTERN (terrainGen.js), so the CLI builds exactly the
+// world the page would, plugins included.  The images and meshes come from
+// src/editor/worldExport.js, the page's own export.  Needs nothing beyond
+// Node.
+"use strict";
+
+var fs   = require('fs');
+var path = require('path');
+var vm   = require('vm');
+var zlib = require('zlib');
+
+var ROOT = path.resolve(__dirname, '..');
+
+var USAGE = [
+    'Usage: node tools/generateWorld.js --seed <seed> [options]',
+    '',
+    'Options:',
+    '  --seed <seed>     world seed (number or text, as typed in the seed menu)',
+    '  --size <n>        world size: 16, 32 or 64 (default 16)',
+    '  --out <dir>       output directory (default ./world-<seed>)',
+    '  --scale <n>       world units per output pixel (default 4, raised so',
+    '                    the images stay within 8192 px)',
+    '  --heights <bits>  heightmap storage: 16 or 8 (default 16)',
+    '  --continuous      continuous terrain mode',
+    '  --climate         climate biome mode',
+    '  --no-erosion      skip the erosion pass',
+    '  --no-materials    skip the slope-aware colorizer',
+    '  --no-settlements  skip the settlements',
+    '  --no-roads        skip the road network',
+    '  --mesh <format>   also write the terrain mesh: obj or ply',
+    '  --mesh-step <n>   world units between mesh vertices (default: 512',
+    '                    vertices a side)',
+    '  --verbose         show the generators\' console output',
+    '  --help            show this text'
+].join('\n');
+
+// -----------------------------------------------------------------------
+// Options
+// -----------------------------------------------------------------------
+
+function parseArgs(argv) {
+    var opts = {
+        seed: null, size: 16, out: null, scale: null, heights: 16,
+        continuous: false, climate: false, erosion: true, materials: true,
+        settlements: true, roads: true, mesh: null, meshStep: null, verbose: false, help: false
+    };
+    var value = function(i) {
+        if (i >= argv.length) fail('missing value for ' + argv[i - 1]);
+        return argv[i];
+    };
+    for (var i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--seed':       opts.seed    = value(++i); break;
+            case '--size':       opts.size    = parseInt(value(++i), 10); break;
+            case '--out':        opts.out     = value(++i); break;
+            case '--scale':      opts.scale   = parseInt(value(++i), 10); break;
+            case '--heights':    opts.heights = parseInt(value(++i), 10); break;
+            case '--continuous': opts.continuous = true; break;
+            case '--climate':    opts.climate    = true; break;
+            case '--no-erosion': opts.erosion    = false; break;
+            case '--no-materials': opts.materials = false; break;
+            case '--no-settlements': opts.settlements = false; break;
+            case '--no-roads':   opts.roads      = false; break;
+            case '--mesh':       opts.mesh    = value(++i); break;
+            case '--mesh-step':  opts.meshStep = parseInt(value(++i), 10); break;
+            case '--verbose':    opts.verbose    = true; break;
+            case '--help':       opts.help       = true; break;
+            default: fail('unknown option ' + argv[i]);
+        }
+    }
+    if (opts.help) return opts;
+    if (opts.seed === null || !String(opts.seed).trim()) fail('--seed is required');
+    if ([16, 32, 64].indexOf(opts.size) < 0) fail('--size must be 16, 32 or 64');
+    if ([8, 16].indexOf(opts.heights) < 0) fail('--heights must be 8 or 16');
+    if (opts.scale !== null && !(opts.scale >= 1)) fail('--scale must be a whole number of at least 1');
+    if (opts.mesh !== null && ['obj', 'ply'].indexOf(opts.mesh) < 0) fail('--mesh must be obj or ply');
+    if (opts.meshStep !== null && !(opts.meshStep >= 1)) fail('--mesh-step must be a whole number of at least 1');
+    if (!opts.out) opts.out = 'world-' + String(opts.seed).replace(/[^\w.-]+/g, '_');
+    return opts;
+}
+
+function fail(message) {
+    process.stderr.write('generateWorld: ' + message + '\n\n' + USAGE + '\n');
+    process.exit(1);
+}
+
+// -----------------------------------------------------------------------
+// Loading the generation scripts
+// -----------------------------------------------------------------------
+
+function runScript(ctx, file) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), ctx, { filename: file });
+}
+
+// Generation scripts on the page, in page order
+function generationScripts() {
+    // GENERATION_SCRIPT_PATTERN is read from terrainGen.js itself, so the
+    // CLI and the worker cannot drift apart.  terrainGen.js only declares
+    // things at load time, so it can run on its own here.
+    var probe = vm.createContext({});
+    runScript(probe, 'src/procedural/terrainGen.js');
+    var pattern = vm.runInContext('GENERATION_SCRIPT_PATTERN', probe);
+
+    var html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    var re = /<script\s+src="([^"]+)"/g, m, files = [];
+    while ((m = re.exec(html))) if (pattern.test(m[1])) files.push(m[1]);
+    return files;
+}
+
+// Tile recipe files on the page, in page order (see tileRecipes.js)
+function tileRecipeFiles() {
+    var html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    var re = /<link\s+rel="tile-recipe"\s+href="([^"]+)"/g, m, files = [];
+    while ((m = re.exec(html))) files.push(m[1]);
+    return files;
+}
+
+function createGenerationContext(verbose) {
+    var quiet = function() {};
+    var ctx = {
+        console: verbose ? console : { log: quiet, info: quiet, warn: quiet, error: console.error }
+    };
+    ctx.window = ctx;
+    vm.createContext(ctx);
+    generationScripts().forEach(function(f) { runScript(ctx, f); });
+    runScript(ctx, 'src/editor/worldExport.js');
+    if (typeof ctx.registerTileRecipe === 'function') {
+        tileRecipeFiles().forEach(function(f) {
+            try {
+                ctx.registerTileRecipe(JSON.parse(fs.readFileSync(path.join(ROOT, f), 'utf8')));
+            } catch (e) {
+                process.stderr.write('generateWorld: ' + f + ': ' + e.message + '\n');
+                process.exit(1);
+            }
+        });
+    }
+    return ctx;
+}
+
+// -----------------------------------------------------------------------
+// Images
+// -----------------------------------------------------------------------
+
+// rows: unfiltered scanlines from the export's *Rows functions
+function writePNG(ctx, file, s, bitDepth, colorType, rows, palette) {
+    var idat = zlib.deflateSync(Buffer.from(rows.buffer, rows.byteOffset, rows.length), { level: 6 });
+    fs.writeFileSync(file, ctx.exportPNGFile(s.width, s.height, bitDepth, colorType, idat, palette));
+}
+
+// -----------------------------------------------------------------------
+// Manifest
+// -----------------------------------------------------------------------
+
+// FNV-1a over a map's altitude and color values — for seed regression checks
+function mapChecksum(m) {
+    var h = 2166136261;
+    var mix = function(a) {
+        for (var i = 0; i < a.length; i++) h = Math.imul(h ^ a[i], 16777619) >>> 0;
+    };
+    mix(m.altitude);
+    mix(m.color);
+    return ('0000000' + h.toString(16)).slice(-8);
+}
+
+// Typed arrays (climate fields, hydrology owners) serialise as plain arrays
+function jsonReplacer(key, value) {
+    return ArrayBuffer.isView(value) ? Array.from(value) : value;
+}
+
+function buildManifest(ctx, opts, s, mesh) {
+    var size = ctx.WORLD_MAP_SIZE;
+    var grid = [];
+    for (var y = 0; y < size; y++) grid.push(Array.from(ctx.worldMapData.slice(y * size, (y + 1) * size)));
+
+    var tables = {};
+    ctx.GENERATION_TABLES.forEach(function(k) {
+        if (k !== 'worldMapData') tables[k] = ctx[k] === undefined ? null : ctx[k];
+    });
+    var biomeMapIndex = {};
+    ctx.registeredBiomes().forEach(function(b) { biomeMapIndex[b.id] = b.mapIndex; });
+
+    return {
+        seed:     String(opts.seed),
+        seedHash: ctx.currentSeed,
+        settings: ctx.generationSettings(),
+        world: {
+            size:            size,
+            playableMinCell: ctx.worldPlayableMinCell(),
+            playableMaxCell: ctx.worldPlayableMaxCell(),
+            tileSize:        ctx.tileSystem.tileWidth,
+            tileOverlap:     ctx.tileSystem.overlapSize,
+            origin:          s.origin,
+            extent:          s.side
+        },
+        images: {
+            scale:     opts.scale,
+            width:     s.width,
+            height:    s.height,
+            heightmap: { file: 'heightmap.png', bits: 16, minHeight: s.min, maxHeight: s.max },
+            colormap:  { file: 'colormap.png' },
+            biomes:    { file: 'biomes.png' }
+        },
+        mesh: mesh ? {
+            file:     'world.' + opts.mesh,
+            step:     mesh.scale,
+            vertices: mesh.width + 'x' + mesh.height,
+            up:       'y'
+        } : null,
+        biomes:        ctx.exportBiomeLegend(),
+        grid:          grid,
+        tileMap:       ctx.tileSystem.tileMap,
+        biomeMapIndex: biomeMapIndex,
+        tables:        tables,
+        maps: ctx.maps.map(function(m, i) {
+            if (!m) return null;
+            return {
+                index:        i,
+                width:        m.width,
+                height:       m.height,
+                heightScale:  m.heightScale,
+                altitudeBits: m.altitude.BYTES_PER_ELEMENT * 8,
+                checksum:     mapChecksum(m)
+            };
+        })
+    };
+}
+
+// -----------------------------------------------------------------------
+// Main
+// -----------------------------------------------------------------------
+
+function main() {
+    var opts = parseArgs(process.argv.slice(2));
+    if (opts.help) { process.stdout.write(USAGE + '\n'); return; }
+
+    var ctx = createGenerationContext(opts.verbose);
+    ctx.setWorldMapSize(opts.size);
+    ctx.setHeightmapBits(opts.heights);
+    ctx.continuousTerrain.enabled = opts.continuous;
+    if (ctx.climate) ctx.climate.enabled = opts.climate;
+    if (ctx.erosion) ctx.erosion.enabled = opts.erosion;
+    if (ctx.materials) ctx.materials.enabled = opts.materials;
+    if (ctx.settlements) ctx.settlements.enabled = opts.settlements;
+    if (ctx.roads) ctx.roads.enabled = opts.roads;
+
+    var started = Date.now();
+    ctx.onGenerationStage = function(name, index, count) {
+        process.stderr.write('[' + (index + 1) + '/' + count + '] ' + name + '\n');
+    };
+    ctx.generateTerrain(String(opts.seed));
+    ctx.initializeTileSystem();
+    process.stderr.write('generated ' + ctx.maps.length + ' maps in ' +
+                         ((Date.now() - started) / 1000).toFixed(1) + 's\n');
+
+    if (opts.scale === null) opts.scale = ctx.worldExportImageScale();
+    var s = ctx.sampleWorldExport(opts.scale);
+
+    fs.mkdirSync(opts.out, { recursive: true });
+    writePNG(ctx, path.join(opts.out, 'heightmap.png'), s, 16, 0, ctx.exportHeightRows(s));
+    writePNG(ctx, path.join(opts.out, 'colormap.png'), s, 8, 2, ctx.exportColorRows(s));
+    writePNG(ctx, path.join(opts.out, 'biomes.png'), s, 8, 3, ctx.exportBiomeRows(s), ctx.exportBiomePalette());
+
+    var mesh = null;
+    if (opts.mesh) {
+        mesh = ctx.sampleWorldExport(opts.meshStep || ctx.worldExportMeshStep());
+        fs.writeFileSync(path.join(opts.out, 'world.' + opts.mesh),
+                         opts.mesh === 'ply' ? ctx.worldMeshPLY(mesh) : ctx.worldMeshOBJ(mesh));
+    }
+    var manifest = buildManifest(ctx, opts, s, mesh);
+    fs.writeFileSync(path.join(opts.out, 'manifest.json'), JSON.stringify(manifest, jsonReplacer, 2) + '\n');
+
+    process.stderr.write('wrote ' + s.width + 'x' + s.height + ' images and manifest.json to ' + opts.out + '\n');
+}
+
+main();